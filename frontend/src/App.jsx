@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { ChevronDown, Server, Settings } from 'lucide-react';
+import { ChevronDown, Server, Settings, LogIn, LogOut, UserCircle } from 'lucide-react';
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -10,7 +10,11 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Toaster } from '@/components/ui/toaster';
 import { PDTFProvider, usePDTF } from '@/contexts/PDTFContext';
+import { AuthProvider } from '@/contexts/AuthContext';
+import { useAuth } from '@/hooks/use-auth';
+import { PERSONA_LABELS } from '@/lib/personas';
 import PDTFConfigDialog from '@/components/PDTFConfigDialog';
+import SignInDialog from '@/components/SignInDialog';
 import BuyerViewPropertyPack from '@/components/use-cases/BuyerViewPropertyPack';
 import BuyerConsentAtom from '@/components/use-cases/BuyerConsentAtom';
 import SurveyorReportSurvey from '@/components/use-cases/SurveyorReportSurvey';
@@ -98,7 +102,9 @@ const useCases = [
 function AppContent() {
   const [selectedUseCase, setSelectedUseCase] = useState(useCases.find(uc => uc.id === 'listing-property-dip') || useCases[0]);
   const [showConfig, setShowConfig] = useState(false);
+  const [showSignIn, setShowSignIn] = useState(false);
   const { selectedService, transactionId } = usePDTF();
+  const { user, persona, displayName, signOut } = useAuth();
 
   const CurrentComponent = selectedUseCase.component;
 
@@ -131,6 +137,39 @@ function AppContent() {
               </div>
             </div>
 
+            <div className="flex items-center gap-3">
+            {/* Signed-in User */}
+            {user ? (
+              <div className="flex items-center gap-2 text-sm">
+                <UserCircle className="h-4 w-4 text-gray-400" />
+                <span className="text-gray-200">{displayName}</span>
+                {persona && (
+                  <Badge variant="outline" className="text-xs border-gray-600 text-gray-300">
+                    {PERSONA_LABELS[persona]}
+                  </Badge>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={signOut}
+                  className="h-7 px-2 text-xs text-gray-300 hover:text-white hover:bg-gray-700"
+                >
+                  <LogOut className="h-3 w-3 mr-1" />
+                  Sign out
+                </Button>
+              </div>
+            ) : (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setShowSignIn(true)}
+                className="h-7 px-2 text-xs text-gray-300 hover:text-white hover:bg-gray-700"
+              >
+                <LogIn className="h-3 w-3 mr-1" />
+                Sign in
+              </Button>
+            )}
+
             {/* Use Case Selector */}
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
@@ -168,6 +207,7 @@ function AppContent() {
                 ))}
               </DropdownMenuContent>
             </DropdownMenu>
+            </div>
           </div>
         </div>
       </header>
@@ -189,6 +229,9 @@ function AppContent() {
       {/* PDTF Config Dialog */}
       <PDTFConfigDialog open={showConfig} onOpenChange={setShowConfig} />
 
+      {/* Sign In Dialog */}
+      <SignInDialog open={showSignIn} onOpenChange={setShowSignIn} />
+
       <Toaster />
     </div>
   );
@@ -196,9 +239,11 @@ function AppContent() {
 
 function App() {
   return (
-    <PDTFProvider>
-      <AppContent />
-    </PDTFProvider>
+    <AuthProvider>
+      <PDTFProvider>
+        <AppContent />
+      </PDTFProvider>
+    </AuthProvider>
   );
 }
 
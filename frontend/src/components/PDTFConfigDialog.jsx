@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import {
   Dialog,
   DialogContent,
@@ -19,6 +19,13 @@ import { Button } from "@/components/ui/button";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import { AlertCircle } from "lucide-react";
 import { usePDTF } from "@/contexts/PDTFContext";
+import { pdtfAPI } from "@/lib/api";
+
+const TRANSACTION_PLACEHOLDERS = {
+  moverly: "e.g., 78HJ1ggqJBuMjED6bvhdx7",
+  "moverly-nptn": "e.g., 78HJ1ggqJBuMjED6bvhdx7",
+  local: "e.g., HLbVvS2z3LCEVedziZ3kx8",
+};
 
 function PDTFConfigDialog({ open, onOpenChange }) {
   const {
@@ -32,6 +39,32 @@ function PDTFConfigDialog({ open, onOpenChange }) {
   } = usePDTF();
 
   const [localTransactionId, setLocalTransactionId] = useState(transactionId);
+  const [availableTransactions, setAvailableTransactions] = useState([]);
+
+  const canListTransactions = selectedService.operations?.includes("listTransactions");
+
+  // Offer the transactions a service holds when it can list them
+  useEffect(() => {
+    if (!open || !canListTransactions) {
+      setAvailableTransactions([]);
+      return;
+    }
+
+    let cancelled = false;
+    pdtfAPI.listPDTFTransactions(selectedService.id)
+      .then((response) => {
+        if (!cancelled) {
+          setAvailableTransactions(response.transactions || []);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed to list PDTF transactions:", err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, canListTransactions, selectedService.id]);
 
   const handleApply = () => {
     setTransactionId(localTransactionId);
@@ -90,15 +123,43 @@ function PDTFConfigDialog({ open, onOpenChange }) {
             </Select>
           </div>
 
+          {availableTransactions.length > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="transaction-select">Available Transactions</Label>
+              <Select
+                value={
+                  availableTransactions.some((t) => t.transactionId === localTransactionId)
+                    ? localTransactionId
+                    : ""
+                }
+                onValueChange={setLocalTransactionId}
+              >
+                <SelectTrigger id="transaction-select">
+                  <SelectValue placeholder="Choose a transaction" />
+                </SelectTrigger>
+                <SelectContent>
+                  {availableTransactions.map((transaction) => (
+                    <SelectItem key={transaction.transactionId} value={transaction.transactionId}>
+                      <div>
+                        <div className="font-medium">{transaction.transactionId}</div>
+                        <div className="text-xs text-gray-500">
+                          {transaction.files.join(", ")} ({transaction.claimsCount} claims)
+                        </div>
+                      </div>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
           <div className="space-y-2">
             <Label htmlFor="transaction-id">Transaction ID</Label>
             <Input
               id="transaction-id"
               type="text"
               placeholder={
-                selectedService.id === "moverly"
-                  ? "e.g., 78HJ1ggqJBuMjED6bvhdx7"
-                  : "e.g., TX-2024-001"
+                TRANSACTION_PLACEHOLDERS[selectedService.id] || "e.g., TX-2024-001"
               }
               value={localTransactionId}
               onChange={(e) => setLocalTransactionId(e.target.value)}
@@ -116,6 +177,18 @@ function PDTFConfigDialog({ open, onOpenChange }) {
               </AlertDescription>
             </Alert>
           )}
+
+          {selectedService.id === "local" && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertTitle>Local Files</AlertTitle>
+              <AlertDescription>
+                Claims and state are served from the claims files bundled with the
+                functions, so no API keys or network are needed. Claims you post are
+                saved to functions/data/local-claims.
+              </AlertDescription>
+            </Alert>
+          )}
         </div>
 
         <div className="flex justify-end gap-2">
@@ -0,0 +1,32 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+// Picks a demo property from the backend's property registry by slug
+function PropertyPicker({ properties, value, onValueChange, disabled = false, className = '' }) {
+  return (
+    <Select value={value || ''} onValueChange={onValueChange} disabled={disabled || properties.length === 0}>
+      <SelectTrigger className={`bg-white ${className}`}>
+        <SelectValue placeholder={properties.length === 0 ? 'No properties available' : 'Select a property...'} />
+      </SelectTrigger>
+      <SelectContent>
+        {properties.map((property) => (
+          <SelectItem key={property.slug} value={property.slug}>
+            <div className="flex flex-col text-left">
+              <span className="font-medium">{property.name}</span>
+              {property.address && (
+                <span className="text-sm text-gray-500">{property.address}</span>
+              )}
+            </div>
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+export default PropertyPicker;
@@ -0,0 +1,124 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle } from "lucide-react";
+import { useAuth } from "@/hooks/use-auth";
+import { usingAuthEmulator } from "@/lib/firebase";
+
+// Firebase Auth error codes worth explaining; anything else shows Firebase's message
+const SIGN_IN_ERRORS = {
+  "auth/invalid-credential": "The email address or password is wrong.",
+  "auth/invalid-email": "That is not a valid email address.",
+  "auth/too-many-requests": "Too many attempts. Wait a moment and try again.",
+  "auth/network-request-failed": "Could not reach Firebase Auth. Is the Auth emulator running?",
+};
+
+function SignInDialog({ open, onOpenChange }) {
+  const { signIn } = useAuth();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSignIn = async () => {
+    setSigningIn(true);
+    setError(null);
+    try {
+      await signIn(email.trim(), password);
+      setPassword("");
+      onOpenChange(false);
+    } catch (err) {
+      console.error("Sign-in failed:", err);
+      setError(SIGN_IN_ERRORS[err.code] || err.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter") {
+      handleSignIn();
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[420px]">
+        <DialogHeader>
+          <DialogTitle>Sign In</DialogTitle>
+          <DialogDescription>
+            Sign in to see the restricted claims of transactions you take part in
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-4">
+          <div className="space-y-2">
+            <Label htmlFor="sign-in-email">Email</Label>
+            <Input
+              id="sign-in-email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyPress={handleKeyPress}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="sign-in-password">Password</Label>
+            <Input
+              id="sign-in-password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onKeyPress={handleKeyPress}
+            />
+          </div>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertTitle>Sign-in failed</AlertTitle>
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {usingAuthEmulator && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertTitle>Auth Emulator</AlertTitle>
+              <AlertDescription>
+                Sign-in goes to the local Auth emulator. Create a demo user for each
+                persona with <code>npm run auth:seed</code> in functions.
+              </AlertDescription>
+            </Alert>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSignIn}
+            disabled={signingIn || !email.trim() || !password}
+          >
+            {signingIn ? "Signing in..." : "Sign In"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default SignInDialog;
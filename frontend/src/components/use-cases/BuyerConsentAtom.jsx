@@ -17,6 +17,8 @@ import {
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { pdtfAPI } from "@/lib/api";
+import { useProperties } from "@/hooks/use-properties";
+import PropertyPicker from "@/components/PropertyPicker";
 
 function BuyerConsentAtom() {
   const [propertyData, setPropertyData] = useState(null);
@@ -34,11 +36,25 @@ function BuyerConsentAtom() {
   });
   const { toast } = useToast();
 
-  // Use same transaction ID as conveyancer view
-  const transactionId = "78HJ1ggqJBuMjED6bvhdx7";
   const pdtfService = "moverly"; // Use Moverly PDTF service
 
+  // The property comes from the registry, starting with its lender demo default
+  const { properties, defaults, error: propertiesError } = useProperties(pdtfService);
+  const [propertySlug, setPropertySlug] = useState(null);
+  const selectedSlug = propertySlug || defaults.lender || properties[0]?.slug;
+  const transactionId = properties.find((property) => property.slug === selectedSlug)?.transactions[pdtfService];
+
+  useEffect(() => {
+    if (propertiesError) {
+      setLoading(false);
+    }
+  }, [propertiesError]);
+
   useEffect(() => {
+    if (!transactionId) {
+      return;
+    }
+
     const fetchPropertyData = async () => {
       try {
         setLoading(true);
@@ -57,7 +73,14 @@ function BuyerConsentAtom() {
     };
 
     fetchPropertyData();
-  }, [toast]);
+  }, [transactionId, toast]);
+
+  // An offer is for one property, so picking another starts again
+  const handlePropertyChange = (slug) => {
+    setPropertySlug(slug);
+    setOffer(null);
+    setConsentGiven(false);
+  };
 
   const handleConsentChange = (field, checked) => {
     setConsentChecks(prev => ({
@@ -224,6 +247,14 @@ function BuyerConsentAtom() {
             <Shield className="h-5 w-5 text-[#FFD500]" />
           </div>
 
+          <PropertyPicker
+            properties={properties}
+            value={selectedSlug}
+            onValueChange={handlePropertyChange}
+            disabled={consentGiven}
+            className="mb-4"
+          />
+
           <div className="space-y-3">
             {propertyDetails ? (
               <div className="p-4 bg-white rounded-lg">
@@ -11,6 +11,8 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { usePDTF } from "@/contexts/PDTFContext";
+import { useProperties } from "@/hooks/use-properties";
+import PropertyPicker from "@/components/PropertyPicker";
 import {
   ChevronLeft,
   ChevronRight,
@@ -25,16 +27,23 @@ import {
 } from "lucide-react";
 
 function ListingAndPropertyDIP() {
-  const { stateData, loading } = usePDTF();
+  const { stateData, loading, selectedService, transactionId, setTransactionId, loadPDTFData } = usePDTF();
+  const { properties } = useProperties(selectedService.id);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [showDIPDialog, setShowDIPDialog] = useState(false);
 
-  const propertyImages = [
-    "/91_South_Hill_Avenue/image-0-1024x1024.webp",
-    "/91_South_Hill_Avenue/image-1-1024x1024.webp",
-    "/91_South_Hill_Avenue/image-3-1024x1024.webp",
-    "/91_South_Hill_Avenue/image-4-1024x1024.webp"
-  ];
+  // Photos come from the property registry entry for the loaded transaction
+  const listedProperty = properties.find(
+    (entry) => entry.transactions[selectedService.id] === transactionId
+  ) || null;
+  const propertyImages = listedProperty?.media?.images || [];
+
+  const handlePropertyChange = (slug) => {
+    const entry = properties.find((candidate) => candidate.slug === slug);
+    const nextTransactionId = entry.transactions[selectedService.id];
+    setTransactionId(nextTransactionId);
+    loadPDTFData(selectedService.id, nextTransactionId);
+  };
 
   const nextImage = () => {
     setCurrentImageIndex((prev) => (prev + 1) % propertyImages.length);
@@ -128,10 +137,16 @@ function ListingAndPropertyDIP() {
               alt="OnTheMarket"
               className="h-10"
             />
-            <div className="flex gap-6 text-sm text-gray-600">
+            <div className="flex items-center gap-6 text-sm text-gray-600">
               <a href="#" className="hover:text-gray-900">For sale</a>
               <a href="#" className="hover:text-gray-900">To rent</a>
               <a href="#" className="hover:text-gray-900">Find an agent</a>
+              <PropertyPicker
+                properties={properties}
+                value={listedProperty?.slug}
+                onValueChange={handlePropertyChange}
+                className="w-64"
+              />
             </div>
           </div>
         </div>
@@ -140,6 +155,11 @@ function ListingAndPropertyDIP() {
       {/* Main Content */}
       <div className="max-w-7xl mx-auto px-4 py-8">
         {/* Photo Collage Gallery */}
+        {propertyImages.length === 0 ? (
+          <div className="h-96 mb-8 rounded-lg bg-gray-200 flex items-center justify-center">
+            <p className="text-gray-500">No photos for this property yet</p>
+          </div>
+        ) : (
         <div className="grid grid-cols-4 gap-2 mb-8">
           {/* Main large image */}
           <div className="col-span-3 h-96 relative rounded-lg overflow-hidden bg-black">
@@ -169,6 +189,7 @@ function ListingAndPropertyDIP() {
             ))}
           </div>
         </div>
+        )}
 
         {/* Property Details and Sidebar */}
         <div className="grid grid-cols-3 gap-8">
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
@@ -7,9 +7,10 @@ import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
-import { Building, MapPin, Users, FileText, Shield, Clock, ExternalLink, Verified, Server, AlertCircle, Settings, Eye } from 'lucide-react';
+import { Building, MapPin, Users, FileText, Shield, Clock, ExternalLink, Verified, Server, AlertCircle, Settings, Eye, ListChecks } from 'lucide-react';
 import { Skeleton } from '@/components/ui/skeleton';
 import { usePDTF } from '@/contexts/PDTFContext';
+import { pdtfAPI } from '@/lib/api';
 
 function PDTFViewer() {
   const {
@@ -27,6 +28,42 @@ function PDTFViewer() {
   } = usePDTF();
 
   const [showConfig, setShowConfig] = useState(false);
+  const [coverage, setCoverage] = useState(null);
+  const [coverageLoading, setCoverageLoading] = useState(false);
+  const [coverageError, setCoverageError] = useState(null);
+
+  // Coverage belongs to the loaded transaction, so drop it when new data arrives
+  useEffect(() => {
+    setCoverage(null);
+    setCoverageError(null);
+  }, [claimsData, stateData]);
+
+  const loadCoverage = async () => {
+    setCoverageLoading(true);
+    setCoverageError(null);
+    try {
+      // Claims carry the evidence behind each field; a state alone only gives completeness
+      const transaction = claimsData && claimsData.length > 0 ? claimsData : stateData;
+      setCoverage(await pdtfAPI.getPDTFSchemaCoverage(transaction));
+    } catch (err) {
+      console.error('Error loading schema coverage:', err);
+      setCoverageError(`Failed to load schema coverage: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setCoverageLoading(false);
+    }
+  };
+
+  const handleTabChange = (tab) => {
+    if (tab === 'coverage' && !coverage && !coverageLoading) {
+      loadCoverage();
+    }
+  };
+
+  const getCompletenessColour = (completeness) => {
+    if (completeness >= 75) return 'bg-green-500';
+    if (completeness >= 25) return 'bg-yellow-500';
+    return 'bg-red-500';
+  };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
@@ -235,10 +272,11 @@ function PDTFViewer() {
         return null;
       })()}
       {!loading && hasLoaded && (claimsData || stateData) && (
-        <Tabs defaultValue="state" className="space-y-4">
+        <Tabs defaultValue="state" className="space-y-4" onValueChange={handleTabChange}>
           <TabsList>
             <TabsTrigger value="state">Transaction State</TabsTrigger>
             <TabsTrigger value="claims">Claims List</TabsTrigger>
+            <TabsTrigger value="coverage">Schema Coverage</TabsTrigger>
           </TabsList>
 
           {/* State Tab */}
@@ -341,6 +379,132 @@ function PDTFViewer() {
               </CardContent>
             </Card>
           </TabsContent>
+
+          {/* Schema Coverage Tab */}
+          <TabsContent value="coverage">
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <ListChecks className="h-5 w-5" />
+                  <span>Schema Coverage</span>
+                </CardTitle>
+                <CardDescription>
+                  How much of the PDTF schema transaction {transactionId} fills in, section by section
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {coverageLoading && (
+                  <div className="space-y-2">
+                    <Skeleton className="h-8 w-full" />
+                    <Skeleton className="h-8 w-full" />
+                    <Skeleton className="h-8 w-full" />
+                  </div>
+                )}
+                {coverageError && (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertTitle>Error</AlertTitle>
+                    <AlertDescription>{coverageError}</AlertDescription>
+                  </Alert>
+                )}
+                {!coverageLoading && coverage && (
+                  <div className="space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Fields populated</p>
+                        <p className="text-2xl font-semibold">{coverage.summary.populatedFields} / {coverage.summary.applicableFields}</p>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Completeness</p>
+                        <p className="text-2xl font-semibold">{coverage.summary.completeness ?? 0}%</p>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Sections started</p>
+                        <p className="text-2xl font-semibold">{coverage.summary.sectionsStarted} / {coverage.summary.sections}</p>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Required but missing</p>
+                        <p className={`text-2xl font-semibold ${coverage.summary.missingRequired > 0 ? 'text-red-600' : ''}`}>
+                          {coverage.summary.missingRequired}
+                        </p>
+                      </div>
+                    </div>
+
+                    {coverage.summary.evidence ? (
+                      <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="text-gray-600">Evidence behind populated fields:</span>
+                        <Badge variant="default">{coverage.summary.evidence.electronicRecord} electronic record</Badge>
+                        <Badge variant="outline">{coverage.summary.evidence.document} document</Badge>
+                        <Badge variant="secondary">{coverage.summary.evidence.vouchedOnly} seller-vouched only</Badge>
+                        {coverage.summary.evidence.other > 0 && (
+                          <Badge variant="outline">{coverage.summary.evidence.other} other</Badge>
+                        )}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-600">No claims were loaded, so evidence is not shown.</p>
+                    )}
+
+                    <div className="space-y-3">
+                      {coverage.sections
+                        .filter((section) => section.populatedFields > 0 || section.missingRequired.length > 0)
+                        .map((section) => (
+                          <div key={section.path} className="border rounded-lg p-3 space-y-2">
+                            <div className="flex items-center justify-between gap-4">
+                              <div>
+                                <p className="font-medium">{section.title}</p>
+                                <p className="text-xs text-gray-500 font-mono">{section.path}</p>
+                              </div>
+                              <div className="flex items-center gap-2 shrink-0">
+                                {section.evidence?.electronicRecord > 0 && (
+                                  <Badge variant="default">{section.evidence.electronicRecord} record</Badge>
+                                )}
+                                {section.evidence?.vouchedOnly > 0 && (
+                                  <Badge variant="secondary">{section.evidence.vouchedOnly} vouched only</Badge>
+                                )}
+                                {section.missingRequired.length > 0 && (
+                                  <Badge variant="destructive">{section.missingRequired.length} required missing</Badge>
+                                )}
+                                <span className="text-sm text-gray-600 w-24 text-right">
+                                  {section.populatedFields} / {section.applicableFields}
+                                </span>
+                              </div>
+                            </div>
+                            <div className="h-2 bg-gray-100 rounded">
+                              <div
+                                className={`h-2 rounded ${getCompletenessColour(section.completeness ?? 0)}`}
+                                style={{ width: `${section.completeness ?? 0}%` }}
+                              />
+                            </div>
+                            {section.missingRequired.length > 0 && (
+                              <ul className="text-xs text-red-600 font-mono space-y-1">
+                                {section.missingRequired.map((fieldPath) => <li key={fieldPath}>{fieldPath}</li>)}
+                              </ul>
+                            )}
+                            {section.vouchedOnly?.length > 0 && (
+                              <details className="text-xs text-gray-600">
+                                <summary className="cursor-pointer">Values only vouched for by the seller</summary>
+                                <ul className="font-mono space-y-1 mt-1">
+                                  {section.vouchedOnly.map((fieldPath) => <li key={fieldPath}>{fieldPath}</li>)}
+                                </ul>
+                              </details>
+                            )}
+                          </div>
+                        ))}
+                    </div>
+
+                    {coverage.sections.some((section) => section.populatedFields === 0 && section.missingRequired.length === 0) && (
+                      <p className="text-sm text-gray-600">
+                        Not started: {coverage.sections
+                          .filter((section) => section.populatedFields === 0 && section.missingRequired.length === 0)
+                          .map((section) => section.title)
+                          .join(', ')}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
       )}
 
@@ -55,8 +55,12 @@ import {
   Loader2,
 } from "lucide-react";
 import { Skeleton } from "@/components/ui/skeleton";
-import { pdtfAPI } from "@/lib/api";
+import { pdtfAPI, explainApiError } from "@/lib/api";
+import { useToast } from "@/hooks/use-toast";
 import { usePDTF } from "@/contexts/PDTFContext";
+import { useAuth } from "@/hooks/use-auth";
+import { PERSONA_LABELS } from "@/lib/personas";
+import SignInDialog from "@/components/SignInDialog";
 
 const PARTICIPANT_STATUS = {
   active: {
@@ -94,8 +98,21 @@ const PARTICIPANT_ROLES = [
   "Tenant",
 ];
 
+// How Firebase sign-in providers are shown in the participant history
+const SIGN_IN_PROVIDER_LABELS = {
+  password: "email sign-in",
+  "google.com": "Google sign-in",
+  custom: "service sign-in",
+};
+
 function SellerConsentManagement() {
-  const { transactionId, stateData, claimsData, loading: pdtfLoading, error: pdtfError } = usePDTF();
+  const { toast } = useToast();
+  const { selectedService, transactionId, stateData, claimsData, loading: pdtfLoading, error: pdtfError } = usePDTF();
+  const { user, persona, displayName, signOut } = useAuth();
+  const [showSignIn, setShowSignIn] = useState(false);
+  // Moverly transactions are read from its PDTF service but updated through NPTN,
+  // which the backend uses by default; the local service handles both itself
+  const updateService = selectedService.id === "local" ? "local" : undefined;
   const [participants, setParticipants] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -134,7 +151,8 @@ function SellerConsentManagement() {
       await pdtfAPI.updateParticipantStatus(
         transactionId,
         participantIndex,
-        newStatus
+        newStatus,
+        updateService
       );
 
       // Update local state immediately for better UX
@@ -149,8 +167,13 @@ function SellerConsentManagement() {
       // Note: Full state will be reloaded automatically by PDTFContext if needed
     } catch (err) {
       console.error("Failed to update participant status:", err);
-      const errorMessage = err.response?.data?.error || err.message;
+      const errorMessage = explainApiError(err);
       setError(`Failed to update participant status: ${errorMessage}`);
+      toast({
+        title: "Failed to update participant status",
+        description: errorMessage,
+        variant: "destructive",
+      });
     } finally {
       setUpdatingParticipant(null);
     }
@@ -171,7 +194,8 @@ function SellerConsentManagement() {
         inviteForm.firstName,
         inviteForm.lastName,
         inviteForm.email,
-        inviteForm.role
+        inviteForm.role,
+        updateService
       );
 
       // Reset form and close dialog
@@ -186,8 +210,13 @@ function SellerConsentManagement() {
       // Note: Transaction data will be reloaded automatically by PDTFContext
     } catch (err) {
       console.error("Failed to invite participant:", err);
-      const errorMessage = err.response?.data?.error || err.message;
+      const errorMessage = explainApiError(err);
       setError(`Failed to invite participant: ${errorMessage}`);
+      toast({
+        title: "Failed to invite participant",
+        description: errorMessage,
+        variant: "destructive",
+      });
     } finally {
       setInviting(false);
     }
@@ -199,7 +228,7 @@ function SellerConsentManagement() {
 
     try {
       // Use claims from PDTFContext if available, otherwise fetch
-      const claims = claimsData || await pdtfAPI.getPDTFClaims("moverly", transactionId);
+      const claims = claimsData || await pdtfAPI.getPDTFClaims(selectedService.id, transactionId);
 
       // Filter claims that affect participants
       const participantClaims = claims.filter(claim => {
@@ -223,7 +252,7 @@ function SellerConsentManagement() {
           timestamp: claim.verification.time,
           path: claimPath,
           value: claimValue,
-          author: claim.verification.evidence?.[0]?.attestation?.voucher?.name || "System",
+          ...describeAuthor(claim.verification.evidence?.[0]),
           change: formatParticipantChange(claimPath, claimValue, participants),
         };
       });
@@ -238,6 +267,18 @@ function SellerConsentManagement() {
     }
   };
 
+  // Who vouched for a change, with their role and how they signed in when the
+  // claim records them (claims made before sign-in only carry a name)
+  const describeAuthor = (evidence) => {
+    const voucher = evidence?.attestation?.voucher;
+    const provider = evidence?.verification_method?.provider;
+    return {
+      author: voucher?.name || voucher?.organization || "System",
+      authorRole: voucher?.role || null,
+      authMethod: provider ? (SIGN_IN_PROVIDER_LABELS[provider] || provider) : null,
+    };
+  };
+
   const formatParticipantChange = (path, value, currentParticipants) => {
     const pathParts = path.split("/");
     
@@ -488,13 +529,27 @@ function SellerConsentManagement() {
     <div className="space-y-6">
       {/* User Status */}
       <div className="flex justify-end items-center space-x-3">
-        <div className="text-sm text-gray-600 bg-gray-100 px-3 py-1 rounded-full">
-          Logged in as Diane Hardy
-        </div>
-        <Button variant="link" size="sm">
-          Logout
-        </Button>
+        {user ? (
+          <>
+            <div className="text-sm text-gray-600 bg-gray-100 px-3 py-1 rounded-full">
+              Logged in as {displayName}{persona && ` (${PERSONA_LABELS[persona]})`}
+            </div>
+            <Button variant="link" size="sm" onClick={signOut}>
+              Logout
+            </Button>
+          </>
+        ) : (
+          <>
+            <div className="text-sm text-gray-600 bg-gray-100 px-3 py-1 rounded-full">
+              Sign in as a seller, conveyancer or estate agent to manage consent
+            </div>
+            <Button variant="link" size="sm" onClick={() => setShowSignIn(true)}>
+              Sign in
+            </Button>
+          </>
+        )}
       </div>
+      <SignInDialog open={showSignIn} onOpenChange={setShowSignIn} />
 
       {/* Header */}
       <div>
@@ -956,6 +1011,14 @@ function SellerConsentManagement() {
                       </p>
                       <div className="flex items-center text-xs text-gray-500">
                         <span>by {entry.author}</span>
+                        {entry.authorRole && (
+                          <Badge variant="outline" className="ml-2 text-xs">
+                            {entry.authorRole}
+                          </Badge>
+                        )}
+                        {entry.authMethod && (
+                          <span className="ml-2">via {entry.authMethod}</span>
+                        )}
                       </div>
                     </div>
                   </div>
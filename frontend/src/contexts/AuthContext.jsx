@@ -0,0 +1,47 @@
+import { useState, useCallback, useEffect } from "react";
+import { onIdTokenChanged, signInWithEmailAndPassword, signOut as firebaseSignOut } from "firebase/auth";
+import { auth } from "@/lib/firebase";
+import { PERSONA_LABELS } from "@/lib/personas";
+import { AuthContext } from "@/hooks/use-auth";
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [persona, setPersona] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Follows sign-in, sign-out and token refreshes, which is when custom claims change
+  useEffect(() => {
+    return onIdTokenChanged(auth, async (firebaseUser) => {
+      if (firebaseUser) {
+        const { claims } = await firebaseUser.getIdTokenResult();
+        setPersona(PERSONA_LABELS[claims.persona] ? claims.persona : null);
+      } else {
+        setPersona(null);
+      }
+      setUser(firebaseUser);
+      setLoading(false);
+    });
+  }, []);
+
+  const signIn = useCallback(
+    (email, password) => signInWithEmailAndPassword(auth, email, password),
+    []
+  );
+
+  const signOut = useCallback(() => firebaseSignOut(auth), []);
+
+  const value = {
+    user,
+    persona,
+    displayName: user ? user.displayName || user.email : null,
+    loading,
+    signIn,
+    signOut,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
@@ -1,9 +1,11 @@
-import { createContext, useContext, useState, useCallback, useEffect } from "react";
-import { pdtfAPI } from "@/lib/api";
+import { createContext, useContext, useState, useCallback, useEffect, useRef } from "react";
+import { pdtfAPI, explainApiError } from "@/lib/api";
+import { useAuth } from "@/hooks/use-auth";
 
 const PDTFContext = createContext(null);
 
-const PDTF_SERVICES = [
+// Shown until the backend's service registry has loaded, or if it cannot be reached
+const FALLBACK_SERVICES = [
   {
     id: "moverly",
     name: "Moverly PDTF Service",
@@ -22,7 +24,9 @@ const PDTF_SERVICES = [
 const DEFAULT_TRANSACTION_ID = "HLbVvS2z3LCEVedziZ3kx8";
 
 export function PDTFProvider({ children }) {
-  const [selectedService, setSelectedService] = useState(PDTF_SERVICES[0]);
+  const { user, loading: authLoading } = useAuth();
+  const [services, setServices] = useState(FALLBACK_SERVICES);
+  const [selectedService, setSelectedService] = useState(FALLBACK_SERVICES[0]);
   const [transactionId, setTransactionId] = useState(DEFAULT_TRANSACTION_ID);
   const [claimsData, setClaimsData] = useState(null);
   const [stateData, setStateData] = useState(null);
@@ -55,7 +59,7 @@ export function PDTFProvider({ children }) {
 
     } catch (err) {
       console.error("Failed to load PDTF data:", err);
-      let errorMessage = err.response?.data?.error || err.message;
+      let errorMessage = explainApiError(err);
 
       // Check if it's a demo data suggestion
       if (errorMessage.includes("Try transaction ID:")) {
@@ -70,16 +74,46 @@ export function PDTFProvider({ children }) {
     }
   }, [selectedService, transactionId]);
 
-  // Auto-load data on mount
+  // Load the services registered on the backend
   useEffect(() => {
-    if (!hasLoaded) {
+    pdtfAPI.getPDTFServices()
+      .then((response) => {
+        if (!response.services?.length) {
+          return;
+        }
+        setServices(response.services);
+        setSelectedService((current) =>
+          response.services.find((s) => s.id === current.id) || response.services[0]
+        );
+      })
+      .catch((err) => {
+        console.error("Failed to load PDTF services:", err);
+      });
+  }, []);
+
+  // Auto-load data on mount, once we know who is signed in
+  useEffect(() => {
+    if (!hasLoaded && !authLoading) {
+      loadPDTFData();
+    }
+  }, [loadPDTFData, hasLoaded, authLoading]);
+
+  // Reload when the user signs in or out, as that changes which claims they see
+  const loadedForUid = useRef(undefined);
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    const uid = user?.uid ?? null;
+    if (loadedForUid.current !== undefined && loadedForUid.current !== uid && hasLoaded) {
       loadPDTFData();
     }
-  }, [loadPDTFData, hasLoaded]);
+    loadedForUid.current = uid;
+  }, [user, authLoading, hasLoaded, loadPDTFData]);
 
   const value = {
     // Configuration
-    services: PDTF_SERVICES,
+    services,
     selectedService,
     setSelectedService,
     transactionId,
@@ -0,0 +1,14 @@
+import { createContext, useContext } from "react";
+
+// Provided by AuthProvider in contexts/AuthContext.jsx; kept apart from the
+// component so that file only exports components
+export const AuthContext = createContext(null);
+
+// The signed-in user, their persona and the sign-in and sign-out actions
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { pdtfAPI } from "@/lib/api";
+
+// Loads the demo properties from the backend's property registry, optionally
+// only those with a transaction on one PDTF service
+export function useProperties(service = null) {
+  const [properties, setProperties] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    pdtfAPI.listProperties(service)
+      .then((response) => {
+        if (!cancelled) {
+          setProperties(response.properties || []);
+          setDefaults(response.defaults || {});
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed to load properties:", err);
+        if (!cancelled) {
+          setError(err);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [service]);
+
+  return { properties, defaults, loading, error };
+}
@@ -1,4 +1,15 @@
 import axios from 'axios';
+import { auth } from '@/lib/firebase';
+
+// Every call carries the signed-in user's Firebase ID token, which the backend
+// checks to decide what they may see and do; signed-out calls go without one
+const apiClient = axios.create();
+apiClient.interceptors.request.use(async (config) => {
+  if (auth.currentUser) {
+    config.headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+  }
+  return config;
+});
 
 // Public function URLs - These remain publicly accessible for demo purposes
 const PUBLIC_FUNCTION_URLS = {
@@ -10,7 +21,10 @@ const PUBLIC_FUNCTION_URLS = {
     : 'https://getpropertypackdata-sufe6opz3a-uc.a.run.app',
   getAggregatedState: import.meta.env.DEV
     ? 'http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getAggregatedState'
-    : 'https://getaggregatedstate-sufe6opz3a-uc.a.run.app'
+    : 'https://getaggregatedstate-sufe6opz3a-uc.a.run.app',
+  getStateHistory: import.meta.env.DEV
+    ? 'http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getStateHistory'
+    : 'https://getstatehistory-sufe6opz3a-uc.a.run.app'
 };
 
 // Private function URLs - These require authentication (currently disabled in frontend)
@@ -18,14 +32,46 @@ const PRIVATE_FUNCTION_URLS = {
   getState: 'https://getstate-sufe6opz3a-uc.a.run.app',
   getClaims: 'https://getclaims-sufe6opz3a-uc.a.run.app', 
   createClaim: 'https://createclaim-sufe6opz3a-uc.a.run.app',
-  processSmartData: 'https://processsmartdata-sufe6opz3a-uc.a.run.app',
   getSandboxData: 'https://getsandboxdata-sufe6opz3a-uc.a.run.app', // Available but not used in frontend
 };
 
+// Plain-English explanations for the error codes PDTF service endpoints return
+const API_ERROR_EXPLANATIONS = {
+  NOT_FOUND: 'The transaction was not found on the selected PDTF service.',
+  UPSTREAM_UNAUTHORIZED: 'The PDTF service rejected our credentials. Check the API keys configured in the backend.',
+  UNAUTHENTICATED: 'Your sign-in is missing or has expired. Sign in and try again.',
+  TIMEOUT: 'The PDTF service did not respond in time. Please try again.',
+  UPSTREAM_UNAVAILABLE: 'The PDTF service could not be reached. Please try again shortly.',
+  UPSTREAM_ERROR: 'The PDTF service ran into an error.',
+};
+
+// Turn a failed request into a message that says what went wrong and what to do about it
+export const explainApiError = (err) => {
+  const data = err.response?.data;
+  if (!data?.code) {
+    return data?.error || err.message;
+  }
+
+  if (data.code === 'VALIDATION_FAILED') {
+    const messages = (data.issues || [])
+      .filter((issue) => issue.severity === 'error')
+      .map((issue) => issue.message);
+    return messages.length
+      ? `Claims failed PDTF validation: ${[...new Set(messages)].join('; ')}`
+      : `The claims were rejected as invalid: ${data.message}`;
+  }
+  if (data.code === 'RATE_LIMITED') {
+    return data.retryAfter
+      ? `The PDTF service is rate limiting requests. Try again in ${data.retryAfter} seconds.`
+      : 'The PDTF service is rate limiting requests. Try again shortly.';
+  }
+  return API_ERROR_EXPLANATIONS[data.code] || data.message || data.error;
+};
+
 export const pdtfAPI = {
-  // Get property-centric data - PUBLIC
+  // Get property-centric data - requires sign-in
   getPropertyData: async (propertyId = null) => {
-    const response = await axios.get(PUBLIC_FUNCTION_URLS.getPropertyData, {
+    const response = await apiClient.get(PUBLIC_FUNCTION_URLS.getPropertyData, {
       params: propertyId ? { propertyId } : {}
     });
     return response.data;
@@ -33,70 +79,147 @@ export const pdtfAPI = {
 
   // Get property pack data (claims/summary/validation) - PUBLIC
   getPropertyPackData: async (propertyId, type = 'claims') => {
-    const response = await axios.get(PUBLIC_FUNCTION_URLS.getPropertyPackData, {
+    const response = await apiClient.get(PUBLIC_FUNCTION_URLS.getPropertyPackData, {
       params: { propertyId, type }
     });
     return response.data;
   },
 
   // Get aggregated state from claims using JSON Pointer - PUBLIC
-  getAggregatedState: async (propertyId) => {
-    const response = await axios.get(PUBLIC_FUNCTION_URLS.getAggregatedState, {
-      params: { propertyId }
+  // Pass { provenance: true } to also receive the per-leaf claims index, and
+  // { asAt } or { upToClaimId } to see the state at an earlier point
+  getAggregatedState: async (propertyId, { provenance = false, conflicts = false, policy, preferSource, asAt, upToClaimId } = {}) => {
+    const response = await apiClient.get(PUBLIC_FUNCTION_URLS.getAggregatedState, {
+      params: {
+        propertyId,
+        ...(provenance && { provenance: true }),
+        ...(conflicts && { conflicts: true }),
+        ...(policy && { policy }),
+        ...(preferSource && { preferSource }),
+        ...(asAt && { asAt }),
+        ...(upToClaimId && { upToClaimId })
+      }
+    });
+    return response.data;
+  },
+
+  // Get aggregated state at several timestamps with diffs between them - PUBLIC
+  getStateHistory: async (propertyId, timestamps) => {
+    const response = await apiClient.get(PUBLIC_FUNCTION_URLS.getStateHistory, {
+      params: { propertyId, asAt: timestamps.join(',') }
+    });
+    return response.data;
+  },
+
+  // List the demo properties in the backend's property registry, optionally
+  // only those with a transaction on one PDTF service - PUBLIC wrapper
+  listProperties: async (service = null) => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/listProperties`
+      : `https://listproperties-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.get(endpoint, {
+      params: service ? { service } : {}
+    });
+    return response.data;
+  },
+
+  // List the PDTF services registered on the backend - PUBLIC wrapper
+  getPDTFServices: async () => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getPDTFServices`
+      : `https://getpdtfservices-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.get(endpoint);
+    return response.data;
+  },
+
+  // List the transactions a PDTF service holds - PUBLIC wrapper
+  listPDTFTransactions: async (service) => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/listPDTFTransactions`
+      : `https://listpdtftransactions-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.get(endpoint, {
+      params: { service }
     });
     return response.data;
   },
 
-  // Get PDTF claims from specified service (Moverly or LMS NPTN) - PUBLIC wrapper
+  // Compare two transactions, claim sets or states - PUBLIC wrapper
+  // Each side is "service:transactionId", a claims array or a state object
+  diffPDTFTransactions: async (before, after, format = 'json') => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/diffPDTFTransactions`
+      : `https://diffpdtftransactions-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.post(endpoint, { before, after, format });
+    return response.data;
+  },
+
+  // Report how much of the PDTF schema a transaction fills in - PUBLIC wrapper
+  // The transaction is "service:transactionId", a claims array or a state object
+  getPDTFSchemaCoverage: async (transaction, format = 'json') => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getPDTFSchemaCoverage`
+      : `https://getpdtfschemacoverage-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.post(endpoint, { transaction, format });
+    return response.data;
+  },
+
+  // Get PDTF claims from any registered PDTF service - PUBLIC wrapper
   getPDTFClaims: async (service, transactionId) => {
     const endpoint = import.meta.env.DEV
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getPDTFClaims`
       : `https://getpdtfclaims-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.get(endpoint, {
+    const response = await apiClient.get(endpoint, {
       params: { service, transactionId }
     });
     return response.data;
   },
 
-  // Get PDTF state from specified service (Moverly or LMS NPTN) - PUBLIC wrapper
+  // Get PDTF state from any registered PDTF service - PUBLIC wrapper
   getPDTFState: async (service, transactionId) => {
     const endpoint = import.meta.env.DEV
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/getPDTFState`
       : `https://getpdtfstate-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.get(endpoint, {
+    const response = await apiClient.get(endpoint, {
       params: { service, transactionId }
     });
     return response.data;
   },
 
   // Update participant status in a transaction - PUBLIC wrapper
-  updateParticipantStatus: async (transactionId, participantIndex, status) => {
+  updateParticipantStatus: async (transactionId, participantIndex, status, service) => {
     const endpoint = import.meta.env.DEV
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/updateParticipantStatus`
       : `https://updateparticipantstatus-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.post(endpoint, {
+    const response = await apiClient.post(endpoint, {
       transactionId,
       participantIndex,
-      status
+      status,
+      service
     });
     return response.data;
   },
 
   // Invite a new participant to a transaction - PUBLIC wrapper
-  inviteParticipant: async (transactionId, firstName, lastName, email, role) => {
+  inviteParticipant: async (transactionId, firstName, lastName, email, role, service) => {
     const endpoint = import.meta.env.DEV
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/inviteParticipant`
       : `https://inviteparticipant-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.post(endpoint, {
+    const response = await apiClient.post(endpoint, {
       transactionId,
       firstName,
       lastName,
       email,
-      role
+      role,
+      service
     });
     return response.data;
   },
@@ -107,7 +230,7 @@ export const pdtfAPI = {
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/generateDiligenceReport`
       : `https://generatediligencereport-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.post(endpoint, {
+    const response = await apiClient.post(endpoint, {
       stateData,
       claimsData,
       analysisType
@@ -121,25 +244,45 @@ export const pdtfAPI = {
       ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/generateDiligenceInsights`
       : `https://generatediligenceinsights-sufe6opz3a-uc.a.run.app`;
 
-    const response = await axios.post(endpoint, {
+    const response = await apiClient.post(endpoint, {
       stateData,
       claimsData
     });
     return response.data;
   },
 
+  // List the data jobs processSmartData can run, and whether we may run each - PUBLIC wrapper
+  listSmartDataJobs: async () => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/listSmartDataJobs`
+      : `https://listsmartdatajobs-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.get(endpoint);
+    return response.data;
+  },
+
+  // Run a registered data job - each job checks the signed-in user's access
+  processSmartData: async (scriptName, params = {}) => {
+    const endpoint = import.meta.env.DEV
+      ? `http://127.0.0.1:5001/moverly-smart-data-challenge/us-central1/processSmartData`
+      : `https://processsmartdata-sufe6opz3a-uc.a.run.app`;
+
+    const response = await apiClient.post(endpoint, { scriptName, ...params });
+    return response.data;
+  },
+
   // PRIVATE FUNCTIONS - Disabled in frontend for security
   // These would require proper authentication tokens in a production app
   
   // getState: async (authToken) => {
-  //   const response = await axios.get(PRIVATE_FUNCTION_URLS.getState, {
+  //   const response = await apiClient.get(PRIVATE_FUNCTION_URLS.getState, {
   //     headers: { 'Authorization': `Bearer ${authToken}` }
   //   });
   //   return response.data;
   // },
 
   // getClaims: async (params = {}, authToken) => {
-  //   const response = await axios.get(PRIVATE_FUNCTION_URLS.getClaims, { 
+  //   const response = await apiClient.get(PRIVATE_FUNCTION_URLS.getClaims, { 
   //     params,
   //     headers: { 'Authorization': `Bearer ${authToken}` }
   //   });
@@ -147,17 +290,7 @@ export const pdtfAPI = {
   // },
 
   // createClaim: async (claimData, authToken) => {
-  //   const response = await axios.post(PRIVATE_FUNCTION_URLS.createClaim, claimData, {
-  //     headers: { 'Authorization': `Bearer ${authToken}` }
-  //   });
-  //   return response.data;
-  // },
-
-  // processSmartData: async (scriptName, params, authToken) => {
-  //   const response = await axios.post(PRIVATE_FUNCTION_URLS.processSmartData, {
-  //     scriptName,
-  //     ...params,
-  //   }, {
+  //   const response = await apiClient.post(PRIVATE_FUNCTION_URLS.createClaim, claimData, {
   //     headers: { 'Authorization': `Bearer ${authToken}` }
   //   });
   //   return response.data;
@@ -0,0 +1,21 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+
+const PROJECT_ID = import.meta.env.VITE_FIREBASE_PROJECT_ID || 'moverly-smart-data-challenge';
+
+// The Auth emulator accepts any API key, so only deployed builds need VITE_FIREBASE_API_KEY
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY || 'emulator-api-key',
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN || `${PROJECT_ID}.firebaseapp.com`,
+  projectId: PROJECT_ID,
+};
+
+const app = initializeApp(firebaseConfig);
+
+export const auth = getAuth(app);
+
+// In development sign-in goes to the Auth emulator started by `firebase emulators:start`
+export const usingAuthEmulator = import.meta.env.DEV && import.meta.env.VITE_USE_AUTH_EMULATOR !== 'false';
+if (usingAuthEmulator) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+}
@@ -0,0 +1,8 @@
+// Labels for the personas the backend reads from the "persona" custom claim
+export const PERSONA_LABELS = {
+  seller: 'Seller',
+  buyer: 'Buyer',
+  conveyancer: 'Conveyancer',
+  lender: 'Lender',
+  agent: 'Estate Agent',
+};
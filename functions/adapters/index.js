@@ -0,0 +1,102 @@
+const { createMoverlyAdapter } = require("./moverly");
+const { createLmsNptnAdapter } = require("./lms-nptn");
+const { createLocalAdapter, isLocalAdapterEnabled } = require("./local");
+const { MOVERLY_BASE_URL, MOVERLY_NPTN_BASE_URL } = require("../scripts/moverly-api-client");
+const { NotSupportedError } = require("../scripts/api-errors");
+
+// Operations every adapter exposes; ones a service cannot do throw NOT_SUPPORTED
+const ADAPTER_OPERATIONS = ["getClaims", "getState", "postClaims", "listTransactions"];
+
+const adapters = new Map();
+
+/**
+ * Creates the error thrown when an adapter does not implement an operation
+ * @param {string} adapterId - The adapter ID
+ * @param {string} operation - The operation that was called
+ * @return {NotSupportedError} Error with code "NOT_SUPPORTED"
+ */
+function notSupported(adapterId, operation) {
+  return new NotSupportedError(`PDTF service '${adapterId}' does not support ${operation}`);
+}
+
+/**
+ * Registers a PDTF data-source adapter under its ID, replacing any adapter
+ * already registered with that ID. Operations the adapter leaves out are
+ * filled in with ones that throw a NOT_SUPPORTED error.
+ * @param {Object} adapter - Adapter with id, name, description, icon and any of
+ *   getClaims(transactionId), getState(transactionId),
+ *   postClaims(transactionId, claims, options) and listTransactions()
+ * @return {Object} The registered adapter
+ */
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.id) {
+    throw new Error("Adapter must have an id");
+  }
+
+  const registered = {
+    ...adapter,
+    operations: ADAPTER_OPERATIONS.filter((operation) => typeof adapter[operation] === "function"),
+  };
+  for (const operation of ADAPTER_OPERATIONS) {
+    if (typeof registered[operation] !== "function") {
+      registered[operation] = async () => {
+        throw notSupported(adapter.id, operation);
+      };
+    }
+  }
+
+  adapters.set(adapter.id, registered);
+  return registered;
+}
+
+/**
+ * Looks up a registered adapter
+ * @param {string} id - The adapter ID, e.g. "moverly" or "lms-nptn"
+ * @return {Object|null} The adapter, or null if none is registered with that ID
+ */
+function getAdapter(id) {
+  return adapters.get(id) || null;
+}
+
+/**
+ * Lists registered adapters in registration order, without their operations,
+ * for service pickers
+ * @return {Array} { id, name, description, icon, operations } for each adapter
+ */
+function listAdapters() {
+  return [...adapters.values()].map((adapter) => ({
+    id: adapter.id,
+    name: adapter.name,
+    description: adapter.description,
+    icon: adapter.icon,
+    operations: adapter.operations,
+  }));
+}
+
+// Built-in services; a new network provider only needs a registerAdapter call here
+registerAdapter(createMoverlyAdapter({
+  id: "moverly",
+  name: "Moverly PDTF Service",
+  description: "Moverly staging PDTF API",
+  icon: "🏢",
+  baseUrl: MOVERLY_BASE_URL,
+}));
+registerAdapter(createMoverlyAdapter({
+  id: "moverly-nptn",
+  name: "Moverly NPTN Service",
+  description: "Moverly staging National Property Transaction Network API",
+  icon: "🔗",
+  baseUrl: MOVERLY_NPTN_BASE_URL,
+}));
+registerAdapter(createLmsNptnAdapter());
+if (isLocalAdapterEnabled()) {
+  registerAdapter(createLocalAdapter());
+}
+
+module.exports = {
+  ADAPTER_OPERATIONS,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  notSupported,
+};
@@ -0,0 +1,101 @@
+const { assertValidOutboundClaims } = require("../scripts/pdtf-validator");
+const { requestPdtfApi } = require("../scripts/moverly-api-client");
+const { ApiError, UnauthorizedError } = require("../scripts/api-errors");
+
+const SERVICE_NAME = "LMS NPTN API";
+const REQUIRED_SETTINGS = ["LMS_NPTN_BASE_URL", "LMS_OAUTH_TOKEN_URL", "LMS_NPTN_CLIENT_ID", "LMS_NPTN_CLIENT_SECRET"];
+
+// OAuth token storage
+let oauthToken = null;
+let tokenExpiry = null;
+
+/**
+ * Get OAuth token using client credentials flow.
+ * @return {Promise<string>} The OAuth token.
+ */
+async function getOAuthToken() {
+  const missing = REQUIRED_SETTINGS.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    throw new ApiError(`${missing.join(", ")} environment variable(s) not set`, { code: "NOT_CONFIGURED", status: 500 });
+  }
+  if (oauthToken && tokenExpiry && Date.now() < tokenExpiry) {
+    return oauthToken;
+  }
+
+  const token = await requestPdtfApi({
+    method: "post",
+    url: process.env.LMS_OAUTH_TOKEN_URL,
+    data: new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: process.env.LMS_NPTN_CLIENT_ID,
+      client_secret: process.env.LMS_NPTN_CLIENT_SECRET,
+    }).toString(),
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    serviceName: SERVICE_NAME,
+    action: "obtaining an LMS OAuth token",
+  });
+
+  oauthToken = token.access_token;
+  tokenExpiry = Date.now() + token.expires_in * 1000 - 60000;
+  return oauthToken;
+}
+
+/**
+ * Calls the LMS NPTN transactions API with a bearer token, with the same
+ * timeout, retries and error mapping as the Moverly client
+ * @param {string} method - HTTP method
+ * @param {string} resourcePath - Path under LMS_NPTN_BASE_URL, e.g. "/transactions/ID/claims"
+ * @param {Object} data - Request body, if any
+ * @param {string} action - What is being done, for log and error messages
+ * @return {Promise<any>} The response body
+ */
+async function callLmsNptn(method, resourcePath, data, action) {
+  const token = await getOAuthToken();
+  try {
+    return await requestPdtfApi({
+      method,
+      url: `${process.env.LMS_NPTN_BASE_URL}${resourcePath}`,
+      data,
+      headers: { "Authorization": `Bearer ${token}` },
+      serviceName: SERVICE_NAME,
+      action,
+    });
+  } catch (error) {
+    // A rejected token may have been revoked early; fetch a new one next time
+    if (error instanceof UnauthorizedError) {
+      oauthToken = null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates the adapter for the LMS National Property Transaction Network,
+ * configured by the LMS_NPTN_* and LMS_OAUTH_TOKEN_URL environment variables
+ * @return {Object} The adapter
+ */
+function createLmsNptnAdapter() {
+  return {
+    id: "lms-nptn",
+    name: "LMS NPTN Service",
+    description: "National Property Transaction Network PDTF API",
+    icon: "🏛️",
+
+    async getClaims(transactionId) {
+      return callLmsNptn("get", `/transactions/${transactionId}/claims`, undefined, "fetching LMS NPTN claims");
+    },
+
+    async getState(transactionId) {
+      return callLmsNptn("get", `/transactions/${transactionId}/state`, undefined, "fetching LMS NPTN state");
+    },
+
+    async postClaims(transactionId, claims, { force = false } = {}) {
+      assertValidOutboundClaims(claims, { force });
+      return callLmsNptn("post", `/transactions/${transactionId}/claims`, claims, "posting LMS NPTN claims");
+    },
+  };
+}
+
+module.exports = {
+  createLmsNptnAdapter,
+};
@@ -0,0 +1,174 @@
+const path = require("path");
+const fs = require("fs").promises;
+const { aggregateState } = require("../scripts/state-aggregator");
+const { assertValidOutboundClaims } = require("../scripts/pdtf-validator");
+const { generateClaimId } = require("../scripts/sandbox-claims-builder-v3");
+const { NotFoundError } = require("../scripts/api-errors");
+
+const DEFAULT_DIRECTORIES = [
+  path.join(__dirname, "../data/moverly-properties"),
+  path.join(__dirname, "../data/sandbox-claims-v3"),
+];
+
+// Claims posted to the local service; read alongside the directories above
+const DEFAULT_POSTED_DIRECTORY = process.env.LOCAL_PDTF_CLAIMS_DIR || path.join(__dirname, "../data/local-claims");
+
+/**
+ * Decides whether the local service should be offered. Deployed functions
+ * cannot write to their own source directory, so there it needs
+ * LOCAL_PDTF_CLAIMS_DIR pointing at a writable directory such as /tmp; the
+ * emulator and CLI scripts (anything not running as a Cloud Function, which
+ * sets K_SERVICE) can use functions/data/local-claims.
+ * @param {Object} env - Environment variables
+ * @return {boolean} True if the local adapter should be registered
+ */
+function isLocalAdapterEnabled(env = process.env) {
+  return Boolean(env.LOCAL_PDTF_CLAIMS_DIR) || env.FUNCTIONS_EMULATOR === "true" || !env.K_SERVICE;
+}
+
+/**
+ * Reads every claims file in the given directories and groups the recorded
+ * claims by transaction. Only claims with an ID count as recorded: files of
+ * claims without IDs are payloads waiting to be pushed, not service data.
+ * Claims that appear in more than one file are kept once.
+ * @param {Array<string>} directories - Directories holding claims JSON files
+ * @return {Promise<Map>} Transaction ID to { claims, files }
+ */
+async function indexClaimFiles(directories) {
+  const transactions = new Map();
+
+  for (const directory of directories) {
+    let files;
+    try {
+      files = (await fs.readdir(directory)).filter((file) => file.endsWith(".json")).sort();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        continue;
+      }
+      throw error;
+    }
+
+    for (const file of files) {
+      const claims = JSON.parse(await fs.readFile(path.join(directory, file), "utf8"));
+      if (!Array.isArray(claims)) {
+        continue;
+      }
+
+      for (const claim of claims) {
+        if (!claim.id || !claim.transactionId) {
+          continue;
+        }
+
+        if (!transactions.has(claim.transactionId)) {
+          transactions.set(claim.transactionId, { claims: new Map(), files: new Set() });
+        }
+        const transaction = transactions.get(claim.transactionId);
+        if (!transaction.claims.has(claim.id)) {
+          transaction.claims.set(claim.id, claim);
+        }
+        transaction.files.add(file);
+      }
+    }
+  }
+
+  return transactions;
+}
+
+/**
+ * Creates an adapter that serves claims and state from claims JSON files on
+ * disk, so every use case works under the emulator without network access.
+ * Posted claims are given IDs and appended to one file per transaction in
+ * the posted directory, which is read along with the other directories.
+ * @param {Object} options - Adapter options
+ * @param {Array<string>} options.directories - Directories holding claims files
+ * @param {string} options.postedDirectory - Directory posted claims are written to
+ * @return {Object} The adapter
+ */
+function createLocalAdapter({ directories = DEFAULT_DIRECTORIES, postedDirectory = DEFAULT_POSTED_DIRECTORY } = {}) {
+  const readDirectories = [...directories, postedDirectory];
+
+  // Posts are written one at a time so concurrent requests cannot drop claims
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Appends claims to the posted claims file for a transaction
+   * @param {string} transactionId - The transaction ID
+   * @param {Array} claims - Claims to append
+   * @return {Promise<void>}
+   */
+  async function appendClaims(transactionId, claims) {
+    const file = path.join(postedDirectory, `${encodeURIComponent(transactionId)}-claims.json`);
+
+    let existing = [];
+    try {
+      existing = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    await fs.mkdir(postedDirectory, { recursive: true });
+    await fs.writeFile(file, JSON.stringify([...existing, ...claims], null, 2));
+  }
+
+  /**
+   * Loads the recorded claims for one transaction
+   * @param {string} transactionId - The transaction ID
+   * @return {Promise<Array>} The claims, in file order
+   */
+  async function loadClaims(transactionId) {
+    const transaction = (await indexClaimFiles(readDirectories)).get(transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`No local claims found for transaction ${transactionId}`);
+    }
+    return [...transaction.claims.values()];
+  }
+
+  return {
+    id: "local",
+    name: "Local Files",
+    description: "Claims files bundled with the functions, no network needed",
+    icon: "💾",
+
+    async getClaims(transactionId) {
+      return loadClaims(transactionId);
+    },
+
+    async getState(transactionId) {
+      // aggregateState sorts its input in place and may share claim values
+      return aggregateState(structuredClone(await loadClaims(transactionId)));
+    },
+
+    async postClaims(transactionId, claims, { force = false } = {}) {
+      const claimList = Array.isArray(claims) ? claims : [claims];
+      assertValidOutboundClaims(claimList, { force });
+
+      const recorded = claimList.map((claim) => ({ id: generateClaimId(), ...claim, transactionId }));
+      const write = pendingWrite.then(() => appendClaims(transactionId, recorded));
+      pendingWrite = write.catch(() => {});
+      await write;
+
+      return {
+        processedClaims: recorded.length,
+        claims: recorded,
+        message: `Stored ${recorded.length} claims for transaction ${transactionId}`,
+      };
+    },
+
+    async listTransactions() {
+      const transactions = await indexClaimFiles(readDirectories);
+      return [...transactions.entries()].map(([transactionId, transaction]) => ({
+        transactionId,
+        claimsCount: transaction.claims.size,
+        files: [...transaction.files],
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createLocalAdapter,
+  indexClaimFiles,
+  isLocalAdapterEnabled,
+};
@@ -0,0 +1,38 @@
+const moverlyClient = require("../scripts/moverly-api-client");
+
+/**
+ * Creates an adapter for a Moverly staging transactions API. Moverly serves
+ * both its own PDTF service and an NPTN node, which differ only by base URL.
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.id - Adapter ID, e.g. "moverly" or "moverly-nptn"
+ * @param {string} config.name - Display name
+ * @param {string} config.description - Short description for service pickers
+ * @param {string} config.icon - Emoji icon for service pickers
+ * @param {string} config.baseUrl - Transactions endpoint to call
+ * @param {boolean} config.useMainKey - Whether to use MOVERLY_API_KEY instead of MOVERLY_NPTN_API_KEY
+ * @return {Object} The adapter
+ */
+function createMoverlyAdapter({ id, name, description, icon, baseUrl, useMainKey = false }) {
+  return {
+    id,
+    name,
+    description,
+    icon,
+
+    async getClaims(transactionId) {
+      return moverlyClient.fetchMoverlyClaims(transactionId, useMainKey, baseUrl);
+    },
+
+    async getState(transactionId) {
+      return moverlyClient.fetchMoverlyState(transactionId, useMainKey, baseUrl);
+    },
+
+    async postClaims(transactionId, claims, { force = false } = {}) {
+      return moverlyClient.createMoverlyClaim(transactionId, claims, useMainKey, { force, baseUrl });
+    },
+  };
+}
+
+module.exports = {
+  createMoverlyAdapter,
+};
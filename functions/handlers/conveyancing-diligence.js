@@ -3,6 +3,7 @@ const { config } = require("firebase-functions");
 const { OpenAI } = require("openai");
 const { zodResponseFormat } = require("openai/helpers/zod");
 const { z } = require("zod");
+const { withAuth } = require("../scripts/request-auth");
 
 /**
  * Generate AI-powered Report on Title
@@ -64,10 +65,10 @@ const ReportOnTitleSchema = z.object({
 const generateDiligenceReport = onRequest(
   {
     cors: true,
-    invoker: "public", // Demo access - would be "private" in production
+    invoker: "public", // Callers are checked by withAuth from their Firebase ID token
     timeoutSeconds: 300, // 5 minutes for AI processing
   },
-  async (req, res) => {
+  withAuth({ required: true }, async (req, res) => {
     try {
       // Only allow POST requests
       if (req.method !== "POST") {
@@ -110,7 +111,7 @@ const generateDiligenceReport = onRequest(
         details: error.message,
       });
     }
-  },
+  }),
 );
 
 // OpenAI Integration for Report on Title
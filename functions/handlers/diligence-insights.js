@@ -3,6 +3,8 @@ const { config } = require("firebase-functions");
 const { OpenAI } = require("openai");
 const { zodResponseFormat } = require("openai/helpers/zod");
 const { z } = require("zod");
+const { aggregateState } = require("../scripts/state-aggregator");
+const { withAuth } = require("../scripts/request-auth");
 
 /**
  * Diligence Insights AI Analysis
@@ -179,6 +181,39 @@ const DILIGENCE_CHECKS = [
         "Early identification allows time for resolution without transaction pressure. Minor issues can often be resolved with indemnity insurance. Missing planning permissions or building regulations can cause serious delays. Boundary issues should be addressed before marketing. Consider title insurance for defects that cannot be cured.",
     },
   },
+  {
+    id: "environmental_risks",
+    name: "Environmental & Specialist Issues",
+    description:
+      "Identifies flood, ground and invasive plant risks that affect mortgageability and insurance",
+    category: "environmental",
+    riskFactors: [
+      "flood risk",
+      "historical flooding",
+      "invasive plants",
+      "ground stability",
+    ],
+    context: {
+      lookFor: [
+        "Medium or high flood risk from rivers, the sea or surface water",
+        "Seller disclosure of previous flooding",
+        "Japanese knotweed or other invasive plants on or near the property",
+        "Coal mining, non-coal mining or subsidence risk",
+        "Radon risk without remedial measures",
+        "Difficulties obtaining buildings insurance",
+      ],
+      riskAssessment: {
+        low: "Very low or low environmental risks with no seller disclosures",
+        medium:
+          "Medium flood risk or a managed specialist issue with a treatment plan and insurance-backed guarantee",
+        high: "High flood risk, previous flooding, or untreated Japanese knotweed that lenders and insurers will query",
+        critical:
+          "Issues likely to make the property unmortgageable or uninsurable without remediation",
+      },
+      guidance:
+        "Lenders and insurers decline or load cover for high flood risk and untreated knotweed, so flag these early. Check that official flood data and the seller's answers agree. A knotweed management plan with an insurance-backed guarantee usually makes the issue manageable.",
+    },
+  },
 ];
 
 /**
@@ -187,10 +222,10 @@ const DILIGENCE_CHECKS = [
 const generateDiligenceInsights = onRequest(
   {
     cors: true,
-    invoker: "public", // Demo access - would be "private" in production
+    invoker: "public", // Callers are checked by withAuth from their Firebase ID token
     timeoutSeconds: 300, // 5 minutes for AI processing
   },
-  async (req, res) => {
+  withAuth({ required: true }, async (req, res) => {
     try {
       // Only allow POST requests
       if (req.method !== "POST") {
@@ -203,38 +238,7 @@ const generateDiligenceInsights = onRequest(
         return res.status(400).json({ error: "State data is required" });
       }
 
-      // Generate insights for each check
-      const checkResults = await Promise.all(
-        DILIGENCE_CHECKS.map((check) =>
-          performDiligenceCheck(check, stateData, claimsData),
-        ),
-      );
-
-      // Calculate overall risk assessment
-      const overallRisk = calculateOverallRisk(checkResults);
-
-      const insights = {
-        analysisType: "diligence-insights",
-        timestamp: new Date().toISOString(),
-        transactionId: stateData.transactionId || "unknown",
-        property: {
-          address: formatPropertyAddress(stateData.propertyPack?.address),
-          titleNumber:
-            stateData.propertyPack?.titlesToBeSold?.[0]?.registerExtract
-              ?.ocSummaryData?.title?.titleNumber || "Not available",
-        },
-        overallRisk,
-        checks: checkResults,
-        summary: {
-          totalChecks: checkResults.length,
-          passedChecks: checkResults.filter((r) => r.status === "pass").length,
-          warningChecks: checkResults.filter((r) => r.status === "warning")
-            .length,
-          failedChecks: checkResults.filter((r) => r.status === "fail").length,
-        },
-        disclaimer:
-          "This analysis is generated by AI for demonstration purposes. This should not be relied upon for actual conveyancing transactions. Professional legal advice should always be sought.",
-      };
+      const insights = await runDiligenceChecks(stateData, claimsData);
 
       res.json({
         success: true,
@@ -247,17 +251,65 @@ const generateDiligenceInsights = onRequest(
         details: error.message,
       });
     }
-  },
+  }),
 );
 
+/**
+ * Runs every diligence check against a transaction and combines the results
+ * @param {Object} stateData - The aggregated property state data
+ * @param {Object|Array} claimsData - The individual claims data
+ * @return {Promise<Object>} The insights report, as returned by the endpoint
+ */
+async function runDiligenceChecks(stateData, claimsData) {
+  // Find paths where sources disagree so title and identity checks can see them
+  const conflicts = detectSourceConflicts(claimsData);
+
+  // Generate insights for each check
+  const checkResults = await Promise.all(
+    DILIGENCE_CHECKS.map((check) =>
+      performDiligenceCheck(check, stateData, claimsData, conflicts),
+    ),
+  );
+
+  // Calculate overall risk assessment
+  const overallRisk = calculateOverallRisk(checkResults);
+
+  const insights = {
+    analysisType: "diligence-insights",
+    timestamp: new Date().toISOString(),
+    transactionId: stateData.transactionId || "unknown",
+    property: {
+      address: formatPropertyAddress(stateData.propertyPack?.address),
+      titleNumber:
+        stateData.propertyPack?.titlesToBeSold?.[0]?.registerExtract
+          ?.ocSummaryData?.title?.titleNumber || "Not available",
+    },
+    overallRisk,
+    checks: checkResults,
+    conflicts,
+    summary: {
+      totalChecks: checkResults.length,
+      passedChecks: checkResults.filter((r) => r.status === "pass").length,
+      warningChecks: checkResults.filter((r) => r.status === "warning")
+        .length,
+      failedChecks: checkResults.filter((r) => r.status === "fail").length,
+    },
+    disclaimer:
+      "This analysis is generated by AI for demonstration purposes. This should not be relied upon for actual conveyancing transactions. Professional legal advice should always be sought.",
+  };
+
+  return insights;
+}
+
 /**
  * Perform all diligence checks using AI in a single comprehensive analysis
  * @param {Object} check - The check configuration object
  * @param {Object} stateData - The aggregated property state data
  * @param {Object} claimsData - The individual claims data
+ * @param {Array} conflicts - Paths where claims from different sources disagree
  * @return {Promise<Object>} The check result with status and findings
  */
-async function performDiligenceCheck(check, stateData, claimsData) {
+async function performDiligenceCheck(check, stateData, claimsData, conflicts = []) {
   const startTime = Date.now();
 
   try {
@@ -273,7 +325,7 @@ async function performDiligenceCheck(check, stateData, claimsData) {
     const openai = new OpenAI({ apiKey: openaiApiKey });
 
     // Create comprehensive prompt with all data
-    const prompt = createComprehensivePrompt(stateData, claimsData, check);
+    const prompt = createComprehensivePrompt(stateData, claimsData, check, conflicts);
 
     // Use OpenAI's zodResponseFormat helper for structured output
     const responseFormat = zodResponseFormat(
@@ -463,6 +515,19 @@ function createFallbackCheckResult(check, stateData) {
       confidence: "high",
       relevantClaimIds: [],
     },
+    environmental_risks: {
+      status: "pass",
+      riskLevel: "low",
+      findings: "No significant environmental or specialist issues identified",
+      details:
+        "Official flood risk data shows very low risk and the seller has not disclosed flooding, invasive plants or other specialist issues.",
+      recommendations:
+        "Include the environmental search results in the buyer's pack and confirm the seller's answers are up to date.",
+      proactiveActions:
+        "Order an environmental search now. Confirm buildings insurance is in place and obtain the current policy schedule.",
+      confidence: "high",
+      relevantClaimIds: [],
+    },
   };
 
   const demoResult = demoResults[check.id] || {
@@ -486,27 +551,52 @@ function createFallbackCheckResult(check, stateData) {
   };
 }
 
+/**
+ * Extract the claims array from the different shapes the frontend may send
+ * @param {Object|Array} claimsData - The individual claims data
+ * @return {Array|null} The claims array, or null if none was found
+ */
+function extractClaims(claimsData) {
+  if (!claimsData) return null;
+  if (Array.isArray(claimsData)) return claimsData;
+  if (Array.isArray(claimsData.claims)) return claimsData.claims;
+  if (Array.isArray(claimsData.data)) return claimsData.data;
+  return null;
+}
+
+/**
+ * Find paths where claims from different sources assert different values
+ * @param {Object|Array} claimsData - The individual claims data
+ * @return {Array} Conflict entries from the state aggregator
+ */
+function detectSourceConflicts(claimsData) {
+  const claims = extractClaims(claimsData);
+  if (!claims || claims.length === 0) return [];
+
+  try {
+    // Copy so the aggregator's chronological sort leaves the request body untouched
+    return aggregateState([...claims], {}, { detectConflicts: true }).conflicts;
+  } catch (error) {
+    console.error("Error detecting claim conflicts:", error);
+    return [];
+  }
+}
+
 /**
  * Create comprehensive AI prompt with all PDTF data
  * @param {Object} stateData - The aggregated property state data
  * @param {Object} claimsData - The individual claims data
  * @param {Object} check - The check configuration object
+ * @param {Array} conflicts - Paths where claims from different sources disagree
  * @return {string} The formatted prompt for the AI
  */
-function createComprehensivePrompt(stateData, claimsData, check) {
+function createComprehensivePrompt(stateData, claimsData, check, conflicts = []) {
   // Format the claims data for the AI
   let claimsInfo = "No claims data available";
   if (claimsData) {
     try {
       // Handle different possible structures
-      let claims = null;
-      if (Array.isArray(claimsData)) {
-        claims = claimsData;
-      } else if (claimsData.claims && Array.isArray(claimsData.claims)) {
-        claims = claimsData.claims;
-      } else if (claimsData.data && Array.isArray(claimsData.data)) {
-        claims = claimsData.data;
-      }
+      const claims = extractClaims(claimsData);
 
       if (claims && claims.length > 0) {
         claimsInfo = `PDTF CLAIMS DATA (${claims.length} claims):
@@ -530,6 +620,13 @@ ${JSON.stringify(stateData, null, 2)}`;
     }
   }
 
+  // Title and identity checks depend on which source to believe when claims disagree
+  let conflictsInfo = "";
+  if (conflicts.length > 0 && ["title", "identity"].includes(check.category)) {
+    conflictsInfo = `CONFLICTING CLAIMS (${conflicts.length} paths where different sources disagree; the latest claim currently wins):
+${JSON.stringify(conflicts, null, 2)}`;
+  }
+
   return `PROPERTY TRANSACTION ANALYSIS REQUEST
 
 TRANSACTION OVERVIEW:
@@ -552,6 +649,8 @@ ${stateInfo}
 
 ${claimsInfo}
 
+${conflictsInfo}
+
 ANALYSIS INSTRUCTIONS:
 1. Review both the aggregated state and individual claims
 2. Look for the specific issues mentioned in this check
@@ -628,5 +727,7 @@ function calculateOverallRisk(checkResults) {
 }
 
 module.exports = {
+  DILIGENCE_CHECKS,
   generateDiligenceInsights,
+  runDiligenceChecks,
 };
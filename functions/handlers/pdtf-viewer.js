@@ -1,114 +1,250 @@
 const { onRequest } = require("firebase-functions/v2/https");
 const { logger } = require("firebase-functions");
 const cors = require("cors")({ origin: true });
-const axios = require("axios");
+const { getAdapter, listAdapters } = require("../adapters");
+const { ApiError, toErrorResponse } = require("../scripts/api-errors");
+const { diffTransactions, formatMarkdown } = require("../scripts/transaction-diff");
+const { analyseSchemaCoverage, formatMarkdown: formatCoverageMarkdown } = require("../scripts/schema-coverage");
+const { withAuth } = require("../scripts/request-auth");
+const { applyClaimAccess, buildVisibleState } = require("../scripts/claim-access");
 
-// OAuth token storage
-let oauthToken = null;
-let tokenExpiry = null;
+// Response headers describing what the caller was allowed to see
+const ACCESS_HEADERS = ["X-PDTF-Access-Level", "X-PDTF-Participant-Role", "X-PDTF-Redacted-Claims"];
 
-// LMS NPTN server configuration
-const LMS_NPTN_BASE_URL = process.env.LMS_NPTN_BASE_URL;
-const OAUTH_TOKEN_URL = process.env.LMS_OAUTH_TOKEN_URL;
-const CLIENT_ID = process.env.LMS_NPTN_CLIENT_ID;
-const CLIENT_SECRET = process.env.LMS_NPTN_CLIENT_SECRET;
+/**
+ * Looks up the adapter for a service, sending a 400 listing the valid
+ * services when there is none
+ * @param {string} service - The requested service ID
+ * @param {Object} res - Express response
+ * @return {Object|null} The adapter, or null once the 400 has been sent
+ */
+function resolveAdapter(service, res) {
+  const adapter = getAdapter(service);
+  if (!adapter) {
+    const serviceIds = listAdapters().map((entry) => `'${entry.id}'`);
+    res.status(400).json({
+      error: `Invalid service. Use one of ${serviceIds.join(", ")}`,
+    });
+  }
+  return adapter;
+}
 
 /**
- * Get OAuth token using client credentials flow.
- * @return {Promise<string>} The OAuth token.
+ * Loads the claims of a transaction that the caller may see, resolving their
+ * role from /participants
+ * @param {Object} adapter - The PDTF service adapter
+ * @param {string} transactionId - The transaction ID
+ * @param {Object|null} caller - req.caller, null when anonymous
+ * @return {Promise<Object>} { access, claims, redacted } from applyClaimAccess
+ * @throws {ForbiddenError} When the caller has been removed from the transaction
  */
-async function getOAuthToken() {
-  if (oauthToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return oauthToken;
+async function loadVisibleClaims(adapter, transactionId, caller) {
+  return applyClaimAccess(await adapter.getClaims(transactionId), caller);
+}
+
+/**
+ * Tells the caller what access they were given and how many claims were
+ * withheld from them
+ * @param {Object} res - Express response
+ * @param {Object} visible - Result from loadVisibleClaims
+ */
+function setAccessHeaders(res, visible) {
+  res.set("Access-Control-Expose-Headers", ACCESS_HEADERS.join(", "));
+  res.set("X-PDTF-Access-Level", visible.access.level);
+  if (visible.access.role) {
+    res.set("X-PDTF-Participant-Role", visible.access.role);
   }
+  res.set("X-PDTF-Redacted-Claims", String(visible.redacted));
+}
 
-  try {
-    const response = await axios.post(
-      OAUTH_TOKEN_URL,
-      new URLSearchParams({
-        grant_type: "client_credentials",
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-      }),
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      },
-    );
-
-    oauthToken = response.data.access_token;
-    tokenExpiry = Date.now() + response.data.expires_in * 1000 - 60000;
-    return oauthToken;
-  } catch (error) {
-    logger.error("OAuth token error:", error);
-    throw new Error("Failed to obtain OAuth token");
+/**
+ * Resolves a transaction sent in a request into claims or a state. It may be
+ * a "service:transactionId" string, a { service, transactionId } object, a
+ * claims array or a state object. Claims fetched from a service are limited
+ * to the ones the caller may see.
+ * @param {string|Object|Array} input - The transaction as sent in the request
+ * @param {string} name - The request parameter, for error messages
+ * @param {Object|null} caller - req.caller, null when anonymous
+ * @return {Promise<Array|Object>} Claims array or state object
+ */
+async function resolveTransactionInput(input, name, caller) {
+  let source = input;
+  if (typeof input === "string") {
+    const [service, ...rest] = input.split(":");
+    source = { service, transactionId: rest.join(":") };
   }
+
+  if (source && !Array.isArray(source) && source.service) {
+    const adapter = getAdapter(source.service);
+    if (!adapter || !source.transactionId) {
+      throw new ApiError(`${name} must name a known service and a transaction, e.g. local:HLbVvS2z3LCEVedziZ3kx8`, {
+        code: "INVALID_REQUEST",
+        status: 400,
+      });
+    }
+    return (await loadVisibleClaims(adapter, source.transactionId, caller)).claims;
+  }
+
+  if (!source || typeof source !== "object") {
+    throw new ApiError(`${name} must be service:transactionId, a claims array or a state object`, {
+      code: "INVALID_REQUEST",
+      status: 400,
+    });
+  }
+  return source;
 }
 
-// Public endpoint to get PDTF claims from Moverly or LMS NPTN
-exports.getPDTFClaims = onRequest(
+// Public endpoint to compare two transactions, claim sets or states by JSON Pointer
+exports.diffPDTFTransactions = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({}, async (req, res) => {
     cors(req, res, async () => {
       try {
-        const { service, transactionId } = req.query;
+        const params = { ...req.query, ...(req.body || {}) };
+        const { format = "json" } = params;
 
-        if (!service || !transactionId) {
+        if (!params.before || !params.after) {
           return res.status(400).json({
-            error: "Both service and transactionId parameters are required",
+            error: "Both before and after are required, as service:transactionId, claims or a state",
           });
         }
 
-        if (!["moverly", "lms-nptn"].includes(service)) {
+        if (!["json", "markdown"].includes(format)) {
           return res.status(400).json({
-            error: "Invalid service. Use 'moverly' or 'lms-nptn'",
+            error: "Invalid format. Use 'json' or 'markdown'",
           });
         }
 
-        let claims;
-
-        if (service === "moverly") {
-          // Use Moverly API
-          const moverlyClient = require("../scripts/moverly-api-client");
-          claims = await moverlyClient.fetchMoverlyClaims(transactionId);
-        } else {
-          // Use LMS NPTN API with OAuth
-          const token = await getOAuthToken();
-          const response = await axios.get(
-            `${LMS_NPTN_BASE_URL}/transactions/${transactionId}/claims`,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-                Accept: "application/json",
-              },
-            },
-          );
-          claims = response.data;
+        const [before, after] = await Promise.all([
+          resolveTransactionInput(params.before, "before", req.caller),
+          resolveTransactionInput(params.after, "after", req.caller),
+        ]);
+
+        const diff = diffTransactions(before, after);
+        if (format === "markdown") {
+          const labels = {
+            before: typeof params.before === "string" ? params.before : "before",
+            after: typeof params.after === "string" ? params.after : "after",
+          };
+          return res.type("text/markdown").send(formatMarkdown(diff, labels));
         }
 
-        res.json(claims);
+        res.json({ success: true, ...diff });
       } catch (error) {
-        logger.error("Error in getPDTFClaims:", error);
+        logger.error("Error in diffPDTFTransactions:", error);
+        const { status, body } = toErrorResponse(error, "Failed to diff transactions");
+        res.status(status).json(body);
+      }
+    });
+  }),
+);
+
+// Public endpoint to report how much of the PDTF schema a transaction fills in
+exports.getPDTFSchemaCoverage = onRequest(
+  {
+    cors: true,
+    invoker: "public",
+  },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        const params = { ...req.query, ...(req.body || {}) };
+        const { format = "json" } = params;
+        const transaction = params.transaction ||
+          (params.service && { service: params.service, transactionId: params.transactionId });
+
+        if (!transaction) {
+          return res.status(400).json({
+            error: "Either service and transactionId, or a transaction as service:transactionId, claims or a state, are required",
+          });
+        }
+
+        if (!["json", "markdown"].includes(format)) {
+          return res.status(400).json({
+            error: "Invalid format. Use 'json' or 'markdown'",
+          });
+        }
+
+        const coverage = analyseSchemaCoverage(await resolveTransactionInput(transaction, "transaction", req.caller));
+        if (format === "markdown") {
+          const label = params.transactionId || (typeof params.transaction === "string" ? params.transaction : "transaction");
+          return res.type("text/markdown").send(formatCoverageMarkdown(coverage, { label }));
+        }
+
+        res.json({ success: true, ...coverage });
+      } catch (error) {
+        logger.error("Error in getPDTFSchemaCoverage:", error);
+        const { status, body } = toErrorResponse(error, "Failed to analyse schema coverage");
+        res.status(status).json(body);
+      }
+    });
+  }),
+);
+
+// Public endpoint to list the PDTF services the backend can talk to
+exports.getPDTFServices = onRequest(
+  {
+    cors: true,
+    invoker: "public",
+  },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        res.json({ services: listAdapters() });
+      } catch (error) {
+        logger.error("Error in getPDTFServices:", error);
         res.status(500).json({
-          error: "Failed to fetch claims",
+          error: "Failed to list services",
           message: error.message,
         });
       }
     });
+  }),
+);
+
+// Public endpoint to list the transactions a PDTF service holds
+exports.listPDTFTransactions = onRequest(
+  {
+    cors: true,
+    invoker: "public",
   },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        const { service } = req.query;
+
+        if (!service) {
+          return res.status(400).json({
+            error: "service parameter is required",
+          });
+        }
+
+        const adapter = resolveAdapter(service, res);
+        if (!adapter) {
+          return;
+        }
+
+        res.json({ service, transactions: await adapter.listTransactions() });
+      } catch (error) {
+        logger.error("Error in listPDTFTransactions:", error);
+        const { status, body } = toErrorResponse(error, "Failed to list transactions");
+        res.status(status).json(body);
+      }
+    });
+  }),
 );
 
-// Public endpoint to get PDTF state from Moverly or LMS NPTN
-exports.getPDTFState = onRequest(
+// Public endpoint to get PDTF claims from any registered PDTF service. Restricted
+// claims are only returned to active participants whose role is entitled to them
+exports.getPDTFClaims = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({}, async (req, res) => {
     cors(req, res, async () => {
       try {
         const { service, transactionId } = req.query;
@@ -119,41 +255,54 @@ exports.getPDTFState = onRequest(
           });
         }
 
-        if (!["moverly", "lms-nptn"].includes(service)) {
+        const adapter = resolveAdapter(service, res);
+        if (!adapter) {
+          return;
+        }
+
+        const visible = await loadVisibleClaims(adapter, transactionId, req.caller);
+        setAccessHeaders(res, visible);
+        res.json(visible.claims);
+      } catch (error) {
+        logger.error("Error in getPDTFClaims:", error);
+        const { status, body } = toErrorResponse(error, "Failed to fetch claims");
+        res.status(status).json(body);
+      }
+    });
+  }),
+);
+
+// Public endpoint to get PDTF state from any registered PDTF service. Callers
+// not entitled to restricted claims get the state aggregated from public claims
+exports.getPDTFState = onRequest(
+  {
+    cors: true,
+    invoker: "public",
+  },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        const { service, transactionId } = req.query;
+
+        if (!service || !transactionId) {
           return res.status(400).json({
-            error: "Invalid service. Use 'moverly' or 'lms-nptn'",
+            error: "Both service and transactionId parameters are required",
           });
         }
 
-        let state;
-
-        if (service === "moverly") {
-          // Use Moverly API
-          const moverlyClient = require("../scripts/moverly-api-client");
-          state = await moverlyClient.fetchMoverlyState(transactionId);
-        } else {
-          // Use LMS NPTN API with OAuth
-          const token = await getOAuthToken();
-          const response = await axios.get(
-            `${LMS_NPTN_BASE_URL}/transactions/${transactionId}/state`,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-                Accept: "application/json",
-              },
-            },
-          );
-          state = response.data;
+        const adapter = resolveAdapter(service, res);
+        if (!adapter) {
+          return;
         }
 
-        res.json(state);
+        const visible = await loadVisibleClaims(adapter, transactionId, req.caller);
+        setAccessHeaders(res, visible);
+        res.json(await buildVisibleState(visible, () => adapter.getState(transactionId)));
       } catch (error) {
         logger.error("Error in getPDTFState:", error);
-        res.status(500).json({
-          error: "Failed to fetch state",
-          message: error.message,
-        });
+        const { status, body } = toErrorResponse(error, "Failed to fetch state");
+        res.status(status).json(body);
       }
     });
-  },
+  }),
 );
@@ -3,6 +3,33 @@ const { logger } = require("firebase-functions");
 const cors = require("cors")({ origin: true });
 const path = require("path");
 const fs = require("fs").promises;
+const { z } = require("zod");
+const { validateClaims } = require("../scripts/pdtf-validator");
+const { withAuth } = require("../scripts/request-auth");
+const { toErrorResponse } = require("../scripts/api-errors");
+const { loadPropertyRegistry, listProperties, getClaimsFilePath } = require("../scripts/property-registry");
+
+/**
+ * Looks up a property in the demo property registry
+ * @param {string} propertyId - The property's slug
+ * @return {Object|null} The registry entry, or null for an unknown property
+ */
+function findProperty(propertyId) {
+  return loadPropertyRegistry().bySlug.get(propertyId) || null;
+}
+
+// The same check the aggregate-claims smart data job applies to asAt
+const isoTimestamp = z.string().datetime({ offset: true });
+
+/**
+ * Checks that an asAt value is a full ISO 8601 timestamp with a time zone,
+ * so partial dates such as "2025" are not read as some other moment
+ * @param {*} value - The query parameter
+ * @return {boolean} True for e.g. "2025-09-01T00:00:00Z"
+ */
+function isIsoTimestamp(value) {
+  return isoTimestamp.safeParse(value).success;
+}
 
 // Public endpoint for serving synthetic property pack data
 exports.getPropertyPackData = onRequest(
@@ -10,7 +37,7 @@ exports.getPropertyPackData = onRequest(
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({}, async (req, res) => {
     cors(req, res, async () => {
       try {
         const { propertyId, type } = req.query;
@@ -21,47 +48,27 @@ exports.getPropertyPackData = onRequest(
             .json({ error: "propertyId parameter is required" });
         }
 
-        // Valid property IDs
-        const validProperties = [
-          "59-hawkley-gardens",
-          "101-broadbridge-close-manchester",
-          "107-sunbeam-crescent-910358",
-          "91-south-hill-avenue-142222",
-        ];
-
-        if (!validProperties.includes(propertyId)) {
+        const property = findProperty(propertyId);
+        if (!property) {
           return res.status(404).json({ error: "Property not found" });
         }
 
         const dataType = type || "claims"; // claims, summary, validation
-        let filename;
-
-        switch (dataType) {
-          case "claims":
-            filename = `${propertyId}-claims.json`;
-            break;
-          case "summary":
-            filename = `${propertyId}-summary.json`;
-            break;
-          case "validation":
-            filename = `${propertyId}-validation-report.json`;
-            break;
-          default:
-            return res.status(400).json({
-              error:
-                "Invalid type parameter. Use: claims, summary, or validation",
-            });
-        }
-
-        const filePath = path.join(
-          __dirname,
-          "..",
-          "data",
-          "sandbox-claims-v3",
-          filename,
-        );
+        if (!["claims", "summary", "validation"].includes(dataType)) {
+          return res.status(400).json({
+            error:
+              "Invalid type parameter. Use: claims, summary, or validation",
+          });
+        }
 
         try {
+          // Validation reports are produced on demand from the claims file;
+          // summaries sit next to it
+          const claimsFilePath = getClaimsFilePath(property);
+          const filePath = dataType === "summary" ?
+            path.join(path.dirname(claimsFilePath), `${propertyId}-summary.json`) :
+            claimsFilePath;
+
           const data = await fs.readFile(filePath, "utf8");
           const jsonData = JSON.parse(data);
 
@@ -69,10 +76,12 @@ exports.getPropertyPackData = onRequest(
             success: true,
             propertyId,
             type: dataType,
-            data: jsonData,
+            data: dataType === "validation" ?
+              validateClaims(jsonData, { validateState: true }) :
+              jsonData,
           });
         } catch (fileError) {
-          logger.warn(`File not found: ${filePath}`);
+          logger.warn(`Property pack file not found for ${propertyId}: ${fileError.message}`);
           res.status(404).json({
             error: "Property pack data not found",
             propertyId,
@@ -87,19 +96,24 @@ exports.getPropertyPackData = onRequest(
         });
       }
     });
-  },
+  }),
 );
 
 // Public endpoint for aggregating state from claims using JSON Pointer
+// Pass provenance=true to also receive the path-to-claims index for every leaf,
+// conflicts=true for paths where sources disagree (resolved by policy and/or
+// preferSource), and asAt and/or upToClaimId to reconstruct an earlier state
 exports.getAggregatedState = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({}, async (req, res) => {
     cors(req, res, async () => {
       try {
-        const { propertyId } = req.query;
+        const { propertyId, asAt, upToClaimId } = req.query;
+        const includeProvenance = req.query.provenance === "true";
+        const includeConflicts = req.query.conflicts === "true";
 
         if (!propertyId) {
           return res
@@ -107,56 +121,222 @@ exports.getAggregatedState = onRequest(
             .json({ error: "propertyId parameter is required" });
         }
 
-        // Valid property IDs
-        const validProperties = [
-          "59-hawkley-gardens",
-          "101-broadbridge-close-manchester",
-          "107-sunbeam-crescent-910358",
-          "91-south-hill-avenue-142222",
-        ];
-
-        if (!validProperties.includes(propertyId)) {
+        const property = findProperty(propertyId);
+        if (!property) {
           return res.status(404).json({ error: "Property not found" });
         }
 
-        const claimsFilePath = path.join(
-          __dirname,
-          "..",
-          "data",
-          "sandbox-claims-v3",
-          `${propertyId}-claims.json`,
-        );
+        if (asAt && !isIsoTimestamp(asAt)) {
+          return res
+            .status(400)
+            .json({ error: "asAt must be an ISO 8601 timestamp with a time zone, e.g. 2025-09-01T00:00:00Z" });
+        }
+
+        const stateAggregator = require("../scripts/state-aggregator");
+        const { policy = "latest" } = req.query;
+
+        if (!Object.hasOwn(stateAggregator.RESOLUTION_POLICIES, policy)) {
+          return res.status(400).json({
+            error: `Invalid policy. Use: ${Object.keys(stateAggregator.RESOLUTION_POLICIES).join(", ")}`,
+          });
+        }
 
+        // Named sources to prefer take precedence over the evidence type order
+        const preferSources = [].concat(req.query.preferSource || []);
+        const resolutionPolicy = preferSources.length > 0 ?
+          {
+            ...stateAggregator.RESOLUTION_POLICIES[policy],
+            preferSources,
+          } :
+          policy;
+
+        let claims;
         try {
           // Load claims data
-          const claimsData = await fs.readFile(claimsFilePath, "utf8");
-          const claims = JSON.parse(claimsData);
-
-          // Use our state aggregator to build the state
-          const stateAggregator = require("../scripts/state-aggregator");
-          const aggregatedState = stateAggregator.aggregateState(claims);
+          const claimsData = await fs.readFile(getClaimsFilePath(property), "utf8");
+          claims = JSON.parse(claimsData);
+        } catch (fileError) {
+          logger.warn(`Claims file not found for ${propertyId}: ${fileError.message}`);
+          return res.status(404).json({
+            error: "Claims data not found for property",
+            propertyId,
+          });
+        }
 
-          res.json({
-            success: true,
+        if (upToClaimId && !claims.some((claim) => claim.id === upToClaimId)) {
+          return res.status(404).json({
+            error: "Claim not found for property",
             propertyId,
-            claimsCount: claims.length,
-            aggregatedState,
-            timestamp: new Date().toISOString(),
+            upToClaimId,
           });
+        }
+
+        const hasReport = includeProvenance || includeConflicts;
+        const isPlainRequest =
+          !hasReport && resolutionPolicy === "latest" && !asAt && !upToClaimId;
+
+        // Plain requests resume from the stored snapshot; anything else is a full build
+        let result;
+        let cache;
+        if (isPlainRequest) {
+          const snapshotCache = require("../scripts/state-snapshot-cache");
+          ({ state: result, cache } = await snapshotCache.aggregateStateIncremental(propertyId, claims));
+        } else {
+          result = stateAggregator.aggregateState(claims, {}, {
+            provenance: includeProvenance,
+            detectConflicts: includeConflicts,
+            resolutionPolicy,
+            asAt,
+            upToClaimId,
+          });
+        }
+
+        res.json({
+          success: true,
+          propertyId,
+          claimsCount: claims.length,
+          ...((asAt || upToClaimId) && {
+            asAt: asAt || null,
+            upToClaimId: upToClaimId || null,
+            claimsApplied: stateAggregator.selectClaimsAsAt(claims, { asAt, upToClaimId }).length,
+          }),
+          aggregatedState: hasReport ? result.state : result,
+          ...(includeProvenance && { provenance: result.provenance }),
+          ...(includeConflicts && { policy, conflicts: result.conflicts }),
+          ...(cache && { cache }),
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        logger.error("Error in getAggregatedState:", error);
+        res.status(500).json({
+          error: "Internal server error",
+          message: error.message,
+        });
+      }
+    });
+  }),
+);
+
+// Public endpoint returning the aggregated state at several points in time,
+// with a leaf-level diff between each consecutive pair of snapshots
+exports.getStateHistory = onRequest(
+  {
+    cors: true,
+    invoker: "public",
+  },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        const { propertyId } = req.query;
+
+        if (!propertyId) {
+          return res
+            .status(400)
+            .json({ error: "propertyId parameter is required" });
+        }
+
+        const property = findProperty(propertyId);
+        if (!property) {
+          return res.status(404).json({ error: "Property not found" });
+        }
+
+        // Accept ?asAt=a&asAt=b as well as ?asAt=a,b
+        const timestamps = []
+          .concat(req.query.asAt || [])
+          .flatMap((value) => value.split(","))
+          .map((value) => value.trim())
+          .filter(Boolean);
+
+        if (timestamps.length === 0) {
+          return res.status(400).json({
+            error: "At least one asAt timestamp is required",
+          });
+        }
+
+        const invalidTimestamps = timestamps.filter((value) => !isIsoTimestamp(value));
+        if (invalidTimestamps.length > 0) {
+          return res.status(400).json({
+            error: "asAt values must be ISO 8601 timestamps with a time zone, e.g. 2025-09-01T00:00:00Z",
+            invalid: invalidTimestamps,
+          });
+        }
+
+        let claims;
+        try {
+          claims = JSON.parse(await fs.readFile(getClaimsFilePath(property), "utf8"));
         } catch (fileError) {
-          logger.warn(`Claims file not found: ${claimsFilePath}`);
-          res.status(404).json({
+          logger.warn(`Claims file not found for ${propertyId}: ${fileError.message}`);
+          return res.status(404).json({
             error: "Claims data not found for property",
             propertyId,
           });
         }
+
+        const stateAggregator = require("../scripts/state-aggregator");
+        const sortedTimestamps = [...timestamps].sort((a, b) => new Date(a) - new Date(b));
+
+        const snapshots = sortedTimestamps.map((asAt) => ({
+          asAt,
+          claimsApplied: stateAggregator.selectClaimsAsAt(claims, { asAt }).length,
+          state: stateAggregator.aggregateState(claims, {}, { asAt }),
+        }));
+
+        const diffs = snapshots.slice(1).map((snapshot, index) => ({
+          from: snapshots[index].asAt,
+          to: snapshot.asAt,
+          ...stateAggregator.diffStates(snapshots[index].state, snapshot.state),
+        }));
+
+        res.json({
+          success: true,
+          propertyId,
+          claimsCount: claims.length,
+          snapshots,
+          diffs,
+          timestamp: new Date().toISOString(),
+        });
       } catch (error) {
-        logger.error("Error in getAggregatedState:", error);
+        logger.error("Error in getStateHistory:", error);
         res.status(500).json({
           error: "Internal server error",
           message: error.message,
         });
       }
     });
+  }),
+);
+
+// Public endpoint listing the demo properties in data/property-registry.json,
+// optionally only those with a transaction on one PDTF service
+exports.listProperties = onRequest(
+  {
+    cors: true,
+    invoker: "public",
   },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        const { service = null } = req.query;
+        const { defaults } = loadPropertyRegistry();
+
+        res.json({
+          success: true,
+          defaults,
+          properties: listProperties({ service }).map(({ slug, name, address, uprn, claimsFile, transactions, media }) => ({
+            slug,
+            name,
+            address,
+            uprn,
+            hasPropertyPack: Boolean(claimsFile),
+            transactions,
+            media,
+          })),
+        });
+      } catch (error) {
+        logger.error("Error in listProperties:", error);
+        const { status, body } = toErrorResponse(error, "Failed to list properties");
+        res.status(status).json(body);
+      }
+    });
+  }),
 );
@@ -2,42 +2,63 @@ const { onRequest } = require("firebase-functions/v2/https");
 const { logger } = require("firebase-functions");
 const { defineString } = require("firebase-functions/params");
 const cors = require("cors")({ origin: true });
+const { withAuth } = require("../scripts/request-auth");
+const { toErrorResponse } = require("../scripts/api-errors");
+const { runJob, listJobs } = require("../scripts/smart-data-jobs");
 
 // Define environment parameters
 const smartDataApiKey = defineString("SMART_DATA_CHALLENGE_API_KEY");
 
-// Smart Data Challenge sandbox endpoint - Private access only
+// Runs a data job from the registered catalogue in scripts/smart-data-jobs.js,
+// for signed-in users only. The body is { scriptName, ...params }; each job
+// checks its own access rule on top
 exports.processSmartData = onRequest(
   {
     cors: true,
-    invoker: "private",
+    invoker: "public",
   },
-  async (req, res) => {
+  withAuth({ required: true }, async (req, res) => {
     cors(req, res, async () => {
       try {
-        const { scriptName, ...params } = req.body;
-
-        // Dynamic script loading for different data processing needs
-        const scriptPath = `../scripts/${scriptName}`;
-        const script = require(scriptPath);
+        const { scriptName, ...params } = req.body || {};
 
-        const result = await script.process(params);
+        const result = await runJob(scriptName, params, req.caller);
         res.json(result);
       } catch (error) {
         logger.error("Error processing smart data:", error);
-        res.status(500).json({ error: "Failed to process smart data" });
+        const { status, body } = toErrorResponse(error, "Failed to process smart data");
+        res.status(status).json(body);
       }
     });
+  }),
+);
+
+// List the data jobs processSmartData can run, with their parameters
+exports.listSmartDataJobs = onRequest(
+  {
+    cors: true,
+    invoker: "public",
   },
+  withAuth({}, async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        res.json({ jobs: listJobs(req.caller) });
+      } catch (error) {
+        logger.error("Error listing smart data jobs:", error);
+        const { status, body } = toErrorResponse(error, "Failed to list smart data jobs");
+        res.status(status).json(body);
+      }
+    });
+  }),
 );
 
-// Get sandbox data (joined property records)
+// Get sandbox data (joined property records), for signed-in users only
 exports.getSandboxData = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({ required: true }, async (req, res) => {
     cors(req, res, async () => {
       try {
         const { joinData = true } = req.query;
@@ -53,16 +74,16 @@ exports.getSandboxData = onRequest(
         res.status(500).json({ error: "Failed to fetch sandbox data" });
       }
     });
-  },
+  }),
 );
 
-// Get property-centric data
+// Get property-centric data, for signed-in users only
 exports.getPropertyData = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({ required: true }, async (req, res) => {
     cors(req, res, async () => {
       try {
         const { propertyId = null } = req.query;
@@ -79,5 +100,5 @@ exports.getPropertyData = onRequest(
         res.status(500).json({ error: "Failed to fetch property data" });
       }
     });
-  },
+  }),
 );
@@ -1,62 +1,29 @@
 const { onRequest } = require("firebase-functions/v2/https");
 const { logger } = require("firebase-functions");
 const cors = require("cors")({ origin: true });
-const axios = require("axios");
-
-// OAuth token storage (for LMS NPTN SIT - currently unused)
-// let oauthToken = null;
-// let tokenExpiry = null;
-
-// LMS NPTN server configuration (currently unused)
-// const LMS_NPTN_BASE_URL = process.env.LMS_NPTN_BASE_URL;
-// const OAUTH_TOKEN_URL = process.env.LMS_OAUTH_TOKEN_URL;
-// const CLIENT_ID = process.env.LMS_NPTN_CLIENT_ID;
-// const CLIENT_SECRET = process.env.LMS_NPTN_CLIENT_SECRET;
-
-/**
- * Get OAuth token using client credentials flow (for LMS NPTN SIT - currently unused)
- * @return {Promise<string>} The OAuth token.
- */
-// async function getOAuthToken() {
-//   if (oauthToken && tokenExpiry && Date.now() < tokenExpiry) {
-//     return oauthToken;
-//   }
-
-//   try {
-//     const response = await axios.post(
-//       OAUTH_TOKEN_URL,
-//       new URLSearchParams({
-//         grant_type: "client_credentials",
-//         client_id: CLIENT_ID,
-//         client_secret: CLIENT_SECRET,
-//       }),
-//       {
-//         headers: {
-//           "Content-Type": "application/x-www-form-urlencoded",
-//         },
-//       },
-//     );
-
-//     oauthToken = response.data.access_token;
-//     tokenExpiry = Date.now() + response.data.expires_in * 1000 - 60000;
-//     return oauthToken;
-//   } catch (error) {
-//     logger.error("OAuth token error:", error);
-//     throw new Error("Failed to obtain OAuth token");
-//   }
-// }
-
-
-// Public endpoint to update participant status via Moverly NPTN API
+const { validateOutboundClaims } = require("../scripts/pdtf-validator");
+const { getAdapter } = require("../adapters");
+const { ForbiddenError, toErrorResponse } = require("../scripts/api-errors");
+const { withAuth } = require("../scripts/request-auth");
+const { applyClaimAccess } = require("../scripts/claim-access");
+const { buildCallerEvidence } = require("../scripts/claim-attribution");
+
+// Participant claims go to the Moverly NPTN node unless the request names another service
+const DEFAULT_SERVICE = "moverly-nptn";
+
+// Personas who manage who takes part in a sale: the seller and those acting for them
+const CONSENT_PERSONAS = ["seller", "conveyancer", "agent"];
+
+// Endpoint for CONSENT_PERSONAS to update participant status via a PDTF service (Moverly NPTN by default)
 exports.updateParticipantStatus = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({ personas: CONSENT_PERSONAS }, async (req, res) => {
     cors(req, res, async () => {
       try {
-        const { transactionId, participantIndex, status } = req.body;
+        const { transactionId, participantIndex, status, service = DEFAULT_SERVICE } = req.body;
 
         if (!transactionId || participantIndex === undefined || !status) {
           return res.status(400).json({
@@ -78,16 +45,20 @@ exports.updateParticipantStatus = onRequest(
         };
         const apiStatus = statusMap[status];
 
-        // Use Moverly NPTN API
-        const MOVERLY_NPTN_BASE_URL = "https://www.api-staging.moverly.com/nptnService/transactions";
-        const apiKey = process.env.MOVERLY_NPTN_API_KEY;
-
-        if (!apiKey) {
-          return res.status(500).json({
-            error: "MOVERLY_NPTN_API_KEY environment variable not set",
+        const adapter = getAdapter(service);
+        if (!adapter) {
+          return res.status(400).json({
+            error: `Unknown PDTF service '${service}'`,
           });
         }
 
+        // Only active participants on this transaction may change who takes part;
+        // removed participants are rejected by applyClaimAccess itself
+        const { access } = applyClaimAccess(await adapter.getClaims(transactionId), req.caller);
+        if (access.level !== "full") {
+          throw new ForbiddenError("Only active participants on this transaction can manage its participants");
+        }
+
         // Create a claim with the participant status update using the working array structure
         const claimData = [
           {
@@ -98,58 +69,49 @@ exports.updateParticipantStatus = onRequest(
             verification: {
               trust_framework: "uk_pdtf",
               time: new Date().toISOString(),
-              evidence: [
-                {
-                  type: "vouch",
-                  verification_method: {
-                    type: "auth",
-                  },
-                  attestation: {
-                    type: "digital_attestation",
-                    voucher: {
-                      name: "Diane Hardy",
-                    },
-                  },
-                },
-              ],
+              // Vouched for by the signed-in user making the change
+              evidence: [buildCallerEvidence(req.caller, access)],
             },
           },
         ];
 
-        const response = await axios.post(`${MOVERLY_NPTN_BASE_URL}/${transactionId}/claims`, claimData, {
-          headers: {
-            "Moverly-Api-Key": apiKey,
-            "Content-Type": "application/json",
-            "Accept": "application/json",
-          },
-        });
+        // Reject claims the PDTF schema would not accept before they reach NPTN
+        const preflight = validateOutboundClaims(claimData);
+        if (!preflight.valid) {
+          return res.status(422).json({
+            error: "Claim failed PDTF validation",
+            code: "VALIDATION_FAILED",
+            issues: preflight.issues,
+            summary: preflight.summary,
+          });
+        }
+
+        const response = await adapter.postClaims(transactionId, claimData);
 
         res.json({
           success: true,
-          processedClaims: response.data.processedClaims,
-          message: response.data.message || `Participant ${participantIndex} status updated to ${status}`,
+          processedClaims: response.processedClaims,
+          message: response.message || `Participant ${participantIndex} status updated to ${status}`,
         });
       } catch (error) {
         logger.error("Error in updateParticipantStatus:", error);
-        res.status(500).json({
-          error: "Failed to update participant status",
-          message: error.message,
-        });
+        const { status, body } = toErrorResponse(error, "Failed to update participant status");
+        res.status(status).json(body);
       }
     });
-  },
+  }),
 );
 
-// Public endpoint to invite a new participant via Moverly NPTN API
+// Endpoint for CONSENT_PERSONAS to invite a new participant via a PDTF service (Moverly NPTN by default)
 exports.inviteParticipant = onRequest(
   {
     cors: true,
     invoker: "public",
   },
-  async (req, res) => {
+  withAuth({ personas: CONSENT_PERSONAS }, async (req, res) => {
     cors(req, res, async () => {
       try {
-        const { transactionId, firstName, lastName, email, role } = req.body;
+        const { transactionId, firstName, lastName, email, role, service = DEFAULT_SERVICE } = req.body;
 
         if (!transactionId || !firstName || !lastName || !email || !role) {
           return res.status(400).json({
@@ -157,16 +119,20 @@ exports.inviteParticipant = onRequest(
           });
         }
 
-        // Use Moverly NPTN API
-        const MOVERLY_NPTN_BASE_URL = "https://www.api-staging.moverly.com/nptnService/transactions";
-        const apiKey = process.env.MOVERLY_NPTN_API_KEY;
-
-        if (!apiKey) {
-          return res.status(500).json({
-            error: "MOVERLY_NPTN_API_KEY environment variable not set",
+        const adapter = getAdapter(service);
+        if (!adapter) {
+          return res.status(400).json({
+            error: `Unknown PDTF service '${service}'`,
           });
         }
 
+        // Only active participants on this transaction may change who takes part;
+        // removed participants are rejected by applyClaimAccess itself
+        const { access } = applyClaimAccess(await adapter.getClaims(transactionId), req.caller);
+        if (access.level !== "full") {
+          throw new ForbiddenError("Only active participants on this transaction can manage its participants");
+        }
+
         // Create a claim to add a new participant using the /participants/- path
         const claimData = [
           {
@@ -185,44 +151,35 @@ exports.inviteParticipant = onRequest(
             verification: {
               trust_framework: "uk_pdtf",
               time: new Date().toISOString(),
-              evidence: [
-                {
-                  type: "vouch",
-                  verification_method: {
-                    type: "auth",
-                  },
-                  attestation: {
-                    type: "digital_attestation",
-                    voucher: {
-                      name: "Diane Hardy",
-                    },
-                  },
-                },
-              ],
+              // Vouched for by the signed-in user making the change
+              evidence: [buildCallerEvidence(req.caller, access)],
             },
           },
         ];
 
-        const response = await axios.post(`${MOVERLY_NPTN_BASE_URL}/${transactionId}/claims`, claimData, {
-          headers: {
-            "Moverly-Api-Key": apiKey,
-            "Content-Type": "application/json",
-            "Accept": "application/json",
-          },
-        });
+        // Reject claims the PDTF schema would not accept before they reach NPTN
+        const preflight = validateOutboundClaims(claimData);
+        if (!preflight.valid) {
+          return res.status(422).json({
+            error: "Claim failed PDTF validation",
+            code: "VALIDATION_FAILED",
+            issues: preflight.issues,
+            summary: preflight.summary,
+          });
+        }
+
+        const response = await adapter.postClaims(transactionId, claimData);
 
         res.json({
           success: true,
-          processedClaims: response.data.processedClaims,
-          message: response.data.message || `Participant ${firstName} ${lastName} invited as ${role}`,
+          processedClaims: response.processedClaims,
+          message: response.message || `Participant ${firstName} ${lastName} invited as ${role}`,
         });
       } catch (error) {
         logger.error("Error in inviteParticipant:", error);
-        res.status(500).json({
-          error: "Failed to invite participant",
-          message: error.message,
-        });
+        const { status, body } = toErrorResponse(error, "Failed to invite participant");
+        res.status(status).json(body);
       }
     });
-  },
+  }),
 );
@@ -14,16 +14,23 @@ const diligenceInsightsHandlers = require("./handlers/diligence-insights");
 
 // Sandbox Data & Property Explorer use case
 exports.processSmartData = sandboxDataHandlers.processSmartData;
+exports.listSmartDataJobs = sandboxDataHandlers.listSmartDataJobs;
 exports.getSandboxData = sandboxDataHandlers.getSandboxData;
 exports.getPropertyData = sandboxDataHandlers.getPropertyData;
 
 // Property Pack & Buyer use case
 exports.getPropertyPackData = propertyPackHandlers.getPropertyPackData;
 exports.getAggregatedState = propertyPackHandlers.getAggregatedState;
+exports.getStateHistory = propertyPackHandlers.getStateHistory;
+exports.listProperties = propertyPackHandlers.listProperties;
 
 // PDTF Viewer use case
 exports.getPDTFClaims = pdtfViewerHandlers.getPDTFClaims;
 exports.getPDTFState = pdtfViewerHandlers.getPDTFState;
+exports.getPDTFServices = pdtfViewerHandlers.getPDTFServices;
+exports.listPDTFTransactions = pdtfViewerHandlers.listPDTFTransactions;
+exports.diffPDTFTransactions = pdtfViewerHandlers.diffPDTFTransactions;
+exports.getPDTFSchemaCoverage = pdtfViewerHandlers.getPDTFSchemaCoverage;
 
 // Seller Consent Management use case
 exports.updateParticipantStatus = sellerConsentHandlers.updateParticipantStatus;
@@ -0,0 +1,131 @@
+/**
+ * Base error for calls to PDTF services. Carries a stable code and the HTTP
+ * status our own endpoints should answer with, so handlers can pass the
+ * failure on without inspecting messages.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - Error details
+   * @param {string} options.code - Stable error code, e.g. "NOT_FOUND"
+   * @param {number} options.status - HTTP status to respond with
+   * @param {number} options.upstreamStatus - Status the remote service returned, if any
+   * @param {any} options.details - Response body or other context from the remote service
+   */
+  constructor(message, { code = "UPSTREAM_ERROR", status = 502, upstreamStatus = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "NOT_FOUND", status: 404 });
+  }
+}
+
+// A PDTF service rejected our credentials (401 or 403 upstream). That is a fault
+// in our configuration rather than the caller's, so we answer 502 Bad Gateway
+class UnauthorizedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "UPSTREAM_UNAUTHORIZED", status: 502 });
+  }
+}
+
+// Our own caller has not signed in, unlike UnauthorizedError where a PDTF service rejects us
+class UnauthenticatedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "UNAUTHENTICATED", status: 401 });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "FORBIDDEN", status: 403 });
+  }
+}
+
+class RateLimitedError extends ApiError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - As ApiError, plus retryAfter in seconds when known
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "RATE_LIMITED", status: 429 });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - As ApiError, plus validation for a pdtf-validator result
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "VALIDATION_FAILED", status: 422 });
+    this.validation = options.validation ?? null;
+  }
+}
+
+// Our own bundled configuration, such as the property registry, is broken.
+// Neither the caller nor a PDTF service is at fault, so we answer 500
+class ConfigurationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "CONFIGURATION_INVALID", status: 500 });
+  }
+}
+
+class NotSupportedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "NOT_SUPPORTED", status: 501 });
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "TIMEOUT", status: 504 });
+  }
+}
+
+/**
+ * Builds the JSON body and status a handler should send for an error. Only
+ * ApiError codes are passed on; anything else, such as a Node ENOENT, is
+ * reported as INTERNAL
+ * @param {Error} error - The caught error
+ * @param {string} summary - Handler-specific summary, e.g. "Failed to fetch claims"
+ * @return {Object} { status, body } where body is { error, message, code, ... }
+ */
+function toErrorResponse(error, summary) {
+  const isApiError = error instanceof ApiError;
+  const body = {
+    error: summary,
+    message: error.message,
+    code: isApiError ? error.code : "INTERNAL",
+  };
+  if (error.retryAfter) {
+    body.retryAfter = error.retryAfter;
+  }
+  if (error.validation) {
+    body.issues = error.validation.issues;
+    body.summary = error.validation.summary;
+  }
+  return { status: isApiError ? error.status : 500, body };
+}
+
+module.exports = {
+  ApiError,
+  NotFoundError,
+  UnauthorizedError,
+  UnauthenticatedError,
+  ForbiddenError,
+  RateLimitedError,
+  ValidationError,
+  ConfigurationError,
+  NotSupportedError,
+  TimeoutError,
+  toErrorResponse,
+};
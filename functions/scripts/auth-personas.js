@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const { PERSONAS } = require("./request-auth");
+
+// Load environment variables from .env file
+require("dotenv").config({
+  path: path.join(__dirname, "../.env"),
+  quiet: true,
+});
+
+const DEFAULT_PROJECT_ID = "moverly-smart-data-challenge";
+
+// Password for the demo users created in the Auth emulator
+const DEMO_PASSWORD = "pdtf-demo";
+
+// One demo user per persona. The seller and agent use the addresses of the
+// participants on the local transaction HLbVvS2z3LCEVedziZ3kx8, so signing in
+// as them shows its restricted claims.
+const DEMO_USERS = [
+  { persona: "seller", email: "ed+dianelaurel@moverly.com", displayName: "Diane Hardy" },
+  { persona: "agent", email: "ed+nptn@moverly.com", displayName: "Ed Molyneux" },
+  { persona: "buyer", email: "buyer@example.com", displayName: "Bella Buyer" },
+  { persona: "conveyancer", email: "conveyancer@example.com", displayName: "Colin Conveyancer" },
+  { persona: "lender", email: "lender@example.com", displayName: "Lena Lender" },
+];
+
+/**
+ * Gets firebase-admin's Auth client, initialising the app for this project
+ * @return {Object} firebase-admin Auth
+ */
+function getAuth() {
+  const admin = require("firebase-admin");
+  if (admin.apps.length === 0) {
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || DEFAULT_PROJECT_ID });
+  }
+  return admin.auth();
+}
+
+/**
+ * Gives a user a persona, keeping their other custom claims
+ * @param {Object} auth - firebase-admin Auth
+ * @param {string} email - The user's email address
+ * @param {string|null} persona - One of PERSONAS, or null to remove it
+ * @return {Promise<Object>} { uid, email, previousPersona }
+ */
+async function setPersona(auth, email, persona) {
+  if (persona !== null && !PERSONAS.includes(persona)) {
+    throw new Error(`Unknown persona '${persona}'. Use one of ${PERSONAS.join(", ")}`);
+  }
+  const user = await auth.getUserByEmail(email);
+  const { persona: previous, ...claims } = user.customClaims || {};
+  await auth.setCustomUserClaims(user.uid, persona ? { ...claims, persona } : claims);
+  return { uid: user.uid, email: user.email, previousPersona: previous || null };
+}
+
+/**
+ * Creates (or updates) a verified demo user for each persona. Only runs
+ * against the Auth emulator, as the users share a known password.
+ * @param {Object} auth - firebase-admin Auth
+ * @return {Promise<Array>} { email, persona, created } for each demo user
+ */
+async function seedDemoUsers(auth) {
+  if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    throw new Error("Demo users are only created in the Auth emulator. Set FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099");
+  }
+
+  const results = [];
+  for (const { persona, email, displayName } of DEMO_USERS) {
+    let user;
+    let created = false;
+    try {
+      user = await auth.getUserByEmail(email);
+      await auth.updateUser(user.uid, { displayName, emailVerified: true, password: DEMO_PASSWORD });
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
+      user = await auth.createUser({ email, displayName, emailVerified: true, password: DEMO_PASSWORD });
+      created = true;
+    }
+    await auth.setCustomUserClaims(user.uid, { ...(user.customClaims || {}), persona });
+    results.push({ email, persona, created });
+  }
+  return results;
+}
+
+// CLI usage
+async function main() {
+  const [command, email, persona] = process.argv.slice(2);
+
+  switch (command) {
+    case "seed": {
+      const results = await seedDemoUsers(getAuth());
+      results.forEach((result) => console.log(`${result.created ? "✅ Created" : "🔄 Updated"} ${result.email} as ${result.persona}`));
+      console.log(`🔑 Password for every demo user: ${DEMO_PASSWORD}`);
+      break;
+    }
+    case "set": {
+      if (!email || !persona) {
+        throw new Error("Usage: node auth-personas.js set <email> <persona|none>");
+      }
+      const user = await setPersona(getAuth(), email, persona === "none" ? null : persona);
+      console.log(`✅ ${user.email}: ${user.previousPersona || "no persona"} → ${persona}`);
+      console.log("The user needs to sign in again, or refresh their ID token, to pick up the change");
+      break;
+    }
+    case "list": {
+      const { users } = await getAuth().listUsers(1000);
+      users.forEach((user) => console.log(`${(user.customClaims?.persona || "-").padEnd(12)} ${user.email || user.uid}${user.displayName ? ` (${user.displayName})` : ""}`));
+      console.log(`📋 ${users.length} users`);
+      break;
+    }
+    default:
+      console.error("❌ Usage: node auth-personas.js <seed|set|list> [email] [persona]");
+      console.error(`Personas: ${PERSONAS.join(", ")}`);
+      console.error("Examples:");
+      console.error("  FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 node auth-personas.js seed");
+      console.error("  node auth-personas.js set jane@example.com conveyancer");
+      console.error("  node auth-personas.js list");
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Persona update failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEMO_USERS,
+  DEMO_PASSWORD,
+  setPersona,
+  seedDemoUsers,
+};
@@ -0,0 +1,208 @@
+const { aggregateState } = require("./state-aggregator");
+const { ForbiddenError } = require("./api-errors");
+
+// Claims without terms_of_use are treated as public, as the sandbox claims have none
+const DEFAULT_CONFIDENTIALITY_LEVEL = "public";
+
+// Participant roles that may see restricted claims: the parties to the sale and
+// the professionals acting for them. Prospective buyers, surveyors, brokers and
+// the rest see public claims only.
+const RESTRICTED_CLAIM_ROLES = [
+  "Seller",
+  "Seller's Conveyancer",
+  "Buyer",
+  "Buyer's Conveyancer",
+  "Estate Agent",
+  "Lender",
+];
+
+// Participant statuses that give a participant their role's access. Invited and
+// proposed participants have not joined yet; no status means active, as in the
+// consent dashboard.
+const ACTIVE_STATUSES = ["Active", undefined];
+
+/**
+ * Reads a claim's confidentiality level
+ * @param {Object} claim - A verified claim
+ * @return {string} e.g. "public" or "restricted"
+ */
+function getConfidentialityLevel(claim) {
+  return claim.terms_of_use?.confidentiality_level || DEFAULT_CONFIDENTIALITY_LEVEL;
+}
+
+/**
+ * Finds the participants a caller is, by their user ID in externalIds or by
+ * their email address. Email only counts once the sign-in provider has
+ * verified it, so nobody can claim a participant by registering their address.
+ * @param {Array} participants - The transaction's /participants
+ * @param {Object} caller - From authenticateRequest
+ * @return {Array} { index, participant } for each match
+ */
+function findCallerParticipants(participants = [], caller) {
+  const email = caller.emailVerified && caller.email ? caller.email.toLowerCase() : null;
+  return participants
+    .map((participant, index) => ({ index, participant }))
+    .filter(({ participant }) => participant && (
+      Object.values(participant.externalIds || {}).includes(caller.uid) ||
+      (email && participant.email?.toLowerCase() === email)
+    ));
+}
+
+/**
+ * Works out what a caller may see of a transaction. Anonymous callers and
+ * callers who are not participants see public claims; active participants in
+ * RESTRICTED_CLAIM_ROLES see everything. A caller whose every participant
+ * entry has been removed gets no access at all.
+ * @param {Array} participants - The transaction's /participants
+ * @param {Object|null} caller - From authenticateRequest, null when anonymous
+ * @return {Object} { level, role, participantIndex, status } where level is
+ *   "full", "public" or "none"
+ */
+function resolveClaimAccess(participants, caller) {
+  const access = { level: "public", role: null, participantIndex: null, status: null };
+  if (!caller) {
+    return access;
+  }
+
+  const matches = findCallerParticipants(participants, caller);
+  if (matches.length === 0) {
+    return access;
+  }
+
+  const current = matches.filter(({ participant }) => participant.participantStatus !== "Removed");
+  if (current.length === 0) {
+    const [{ index, participant }] = matches;
+    return { level: "none", role: participant.role || null, participantIndex: index, status: "Removed" };
+  }
+
+  // A caller on the transaction twice gets the access of their best entry
+  const rank = ({ participant }) => (ACTIVE_STATUSES.includes(participant.participantStatus) ? 0 : 1) +
+    (RESTRICTED_CLAIM_ROLES.includes(participant.role) ? 0 : 2);
+  const [{ index, participant }] = [...current].sort((a, b) => rank(a) - rank(b));
+  const entitled = ACTIVE_STATUSES.includes(participant.participantStatus) && RESTRICTED_CLAIM_ROLES.includes(participant.role);
+  return {
+    level: entitled ? "full" : "public",
+    role: participant.role || null,
+    participantIndex: index,
+    status: participant.participantStatus || "Active",
+  };
+}
+
+/**
+ * Checks whether a claim is visible at an access level. Any level other than
+ * public, including ones this code does not know, needs full access.
+ * @param {Object} claim - A verified claim
+ * @param {Object} access - From resolveClaimAccess
+ * @return {boolean} True if the caller may see the claim
+ */
+function isClaimVisible(claim, access) {
+  if (access.level === "full") {
+    return true;
+  }
+  return access.level === "public" && getConfidentialityLevel(claim) === "public";
+}
+
+/**
+ * Resolves a caller's access to a transaction from its claims, and removes
+ * the claims they may not see. Participants are read from every claim, so a
+ * restricted participant claim still counts towards the caller's role.
+ * @param {Array} claims - All of the transaction's claims
+ * @param {Object|null} caller - From authenticateRequest, null when anonymous
+ * @return {Object} { access, claims, hidden, redacted } with the visible
+ *   claims, the removed claims and the number removed
+ * @throws {ForbiddenError} When the caller has been removed from the transaction
+ */
+function applyClaimAccess(claims, caller) {
+  const state = aggregateState(structuredClone(claims));
+  const access = resolveClaimAccess(state.participants, caller);
+  if (access.level === "none") {
+    throw new ForbiddenError("You have been removed from this transaction");
+  }
+
+  const visible = claims.filter((claim) => isClaimVisible(claim, access));
+  const hidden = claims.filter((claim) => !isClaimVisible(claim, access));
+  return { access, claims: visible, hidden, redacted: hidden.length };
+}
+
+/**
+ * Keys a claim the way the provenance index refers to it
+ * @param {string|null} claimId - The claim ID
+ * @param {string|null} time - The claim's verification time
+ * @return {string} The key
+ */
+function provenanceKey(claimId, time) {
+  return JSON.stringify([claimId || null, time || null]);
+}
+
+/**
+ * Removes a leaf from a state, along with any object or array it leaves empty
+ * @param {Object} state - The state object, modified in place
+ * @param {string} leafPath - JSON Pointer of the leaf
+ */
+function removeLeaf(state, leafPath) {
+  const tokens = leafPath
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+  const containers = [state];
+  for (const token of tokens.slice(0, -1)) {
+    const next = containers[containers.length - 1][token];
+    if (next === null || typeof next !== "object") {
+      return;
+    }
+    containers.push(next);
+  }
+
+  for (let depth = tokens.length - 1; depth >= 0; depth--) {
+    const container = containers[depth];
+    if (Array.isArray(container)) {
+      container.splice(Number(tokens[depth]), 1);
+    } else {
+      delete container[tokens[depth]];
+    }
+    if (Object.keys(container).length > 0) {
+      return;
+    }
+  }
+}
+
+/**
+ * Builds the state a caller may see. With full access the service's own state
+ * is used. Otherwise the state is aggregated from every claim and each value
+ * last set by a claim the caller may not see is removed, so neither a
+ * restricted value nor the public value it replaced shows through.
+ * @param {Object} visible - Result from applyClaimAccess
+ * @param {Function} getFullState - Loads the unredacted state
+ * @return {Promise<Object>} The state
+ */
+async function buildVisibleState(visible, getFullState) {
+  if (visible.access.level === "full") {
+    return getFullState();
+  }
+
+  // aggregateState sorts its input in place and may share claim values
+  const { state, provenance } = aggregateState(
+    structuredClone([...visible.claims, ...visible.hidden]),
+    {},
+    { provenance: true },
+  );
+  const hiddenKeys = new Set(visible.hidden.map((claim) =>
+    provenanceKey(claim.id, claim.verification?.time || claim.timestamp)));
+
+  // Later array elements go first, so removing one does not renumber the rest
+  Object.keys(provenance)
+    .filter((leafPath) => hiddenKeys.has(provenanceKey(provenance[leafPath].claimId, provenance[leafPath].time)))
+    .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+    .forEach((leafPath) => removeLeaf(state, leafPath));
+  return state;
+}
+
+module.exports = {
+  RESTRICTED_CLAIM_ROLES,
+  getConfidentialityLevel,
+  findCallerParticipants,
+  resolveClaimAccess,
+  isClaimVisible,
+  applyClaimAccess,
+  buildVisibleState,
+};
@@ -0,0 +1,42 @@
+// How a persona is described when the caller is not a participant in the transaction
+const PERSONA_ROLES = {
+  seller: "Seller",
+  buyer: "Buyer",
+  conveyancer: "Conveyancer",
+  lender: "Lender",
+  agent: "Estate Agent",
+};
+
+/**
+ * Builds the vouch evidence for a claim made through the app, so the claim
+ * records who made it rather than a fixed voucher. The voucher's role is
+ * their participant role on the transaction where they have one, otherwise
+ * their persona.
+ * @param {Object} caller - From authenticateRequest
+ * @param {Object} access - From resolveClaimAccess, for the caller's participant role
+ * @return {Object} A vouch evidence item
+ */
+function buildCallerEvidence(caller, access = {}) {
+  const role = access.role || PERSONA_ROLES[caller.persona] || null;
+  return {
+    type: "vouch",
+    verification_method: {
+      type: "auth",
+      ...(caller.signInProvider && { provider: caller.signInProvider }),
+      user_id: caller.uid,
+    },
+    attestation: {
+      type: "digital_attestation",
+      voucher: {
+        name: caller.name || caller.email || caller.uid,
+        ...(caller.email && { email: caller.email }),
+        ...(role && { role }),
+      },
+    },
+  };
+}
+
+module.exports = {
+  PERSONA_ROLES,
+  buildCallerEvidence,
+};
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+/**
+ * Serialises a value with object keys sorted, so equal values hash equally
+ * @param {any} value - Any JSON value
+ * @return {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes a content-addressed identity for a claim from its transaction,
+ * the paths and values it asserts (including any patch operations) and its
+ * evidence. Claim IDs and verification times are left out, so the same claim
+ * built or pushed twice gets the same identity even when it was made at
+ * another time.
+ * @param {Object} claim - The claim
+ * @param {Object} options - Options
+ * @param {string} options.transactionId - Transaction to hash in place of the claim's own,
+ *   for claims that are stamped with their target transaction when pushed
+ * @return {string} Hex sha256 digest
+ */
+function claimIdentity(claim, { transactionId } = {}) {
+  return crypto.createHash("sha256").update(canonicalJson({
+    transactionId: transactionId || claim.transactionId || null,
+    claims: claim.claims || {},
+    operations: claim.operations || [],
+    evidence: claim.verification?.evidence || [],
+  })).digest("hex");
+}
+
+/**
+ * Decides whether a claim whose identity was seen before changes nothing,
+ * because every value it sets already holds. A claim re-asserting an earlier
+ * value after another claim replaced it (Active, Removed, then Active again)
+ * does change the state, so it is not redundant. Appends and patch
+ * operations would apply a second time, so a repeat of those always is.
+ * @param {Object} claim - The claim
+ * @param {Function} valueAt - (path) => the value currently in force at a JSON Pointer
+ * @return {boolean} True if applying the claim again would change nothing
+ */
+function restatesValuesInForce(claim, valueAt) {
+  if (Array.isArray(claim.operations) && claim.operations.length > 0) {
+    return true;
+  }
+  return Object.entries(claim.claims || {}).every(([claimPath, value]) =>
+    claimPath.endsWith("/-") || canonicalJson(valueAt(claimPath)) === canonicalJson(value));
+}
+
+/**
+ * Splits claims into those that count and the redundant repeats among them:
+ * claims with the identity of an earlier claim that set no value other than
+ * the one already in force. Claims are considered in time order, as
+ * aggregation applies them.
+ * @param {Array} claims - Claims; not modified
+ * @return {Object} { unique, duplicates } where unique keeps the input order and each
+ *   duplicate is { claim, identity, duplicateOf } with duplicateOf the kept claim's ID
+ */
+function dedupeClaims(claims) {
+  // Required here: the aggregator uses claimIdentity from this module
+  const { aggregateState } = require("./state-aggregator");
+  const skipped = [];
+  const copies = structuredClone(claims);
+  const originals = new Map(copies.map((copy, index) => [copy, claims[index]]));
+  aggregateState([...copies], {}, { onDuplicate: (copy) => skipped.push(originals.get(copy)) });
+
+  const skippedSet = new Set(skipped);
+  const kept = new Map();
+  const unique = [];
+  const duplicates = [];
+  for (const claim of claims) {
+    const identity = claimIdentity(claim);
+    if (skippedSet.has(claim)) {
+      duplicates.push({ claim, identity, duplicateOf: kept.get(identity)?.id || null });
+    } else {
+      if (!kept.has(identity)) {
+        kept.set(identity, claim);
+      }
+      unique.push(claim);
+    }
+  }
+  return { unique, duplicates };
+}
+
+/**
+ * Keys each claim by its identity and how many claims with that identity came
+ * before it, so a claim asserted twice on purpose is matched against the
+ * second copy on the other side rather than the first
+ * @param {Array} claims - Claims
+ * @param {Object} options - As claimIdentity
+ * @return {Array<string>} One "identity:occurrence" key per claim, in input order
+ */
+function occurrenceKeys(claims, options = {}) {
+  const counts = new Map();
+  return claims.map((claim) => {
+    const identity = claimIdentity(claim, options);
+    const occurrence = (counts.get(identity) || 0) + 1;
+    counts.set(identity, occurrence);
+    return `${identity}:${occurrence}`;
+  });
+}
+
+/**
+ * Finds the local claims a remote transaction does not hold yet. Redundant
+ * repeats among the local claims (see dedupeClaims) count as present; each
+ * other local claim is matched to a remote claim with the same identity, one
+ * to one.
+ * @param {Array} localClaims - Claims intended for the transaction
+ * @param {Array} remoteClaims - Claims the service returned for it
+ * @param {string} transactionId - The transaction both sets are compared for
+ * @return {Object} { missing, present } arrays of local claims
+ */
+function findUnpushedClaims(localClaims, remoteClaims, transactionId) {
+  const remote = new Set(occurrenceKeys(remoteClaims, { transactionId }));
+  const { unique, duplicates } = dedupeClaims(localClaims);
+  const keys = occurrenceKeys(unique, { transactionId });
+  const missing = [];
+  const present = duplicates.map(({ claim }) => claim);
+  unique.forEach((claim, index) => (remote.has(keys[index]) ? present : missing).push(claim));
+  return { missing, present };
+}
+
+module.exports = {
+  canonicalJson,
+  claimIdentity,
+  dedupeClaims,
+  findUnpushedClaims,
+  occurrenceKeys,
+  restatesValuesInForce,
+};
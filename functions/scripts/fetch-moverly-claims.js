@@ -5,6 +5,8 @@ const fs = require("fs").promises;
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
 
 const moverlyClient = require("./moverly-api-client");
+const { UnauthorizedError } = require("./api-errors");
+const { findUnpushedClaims } = require("./claim-identity");
 
 /**
  * Sanitize filename by removing invalid characters
@@ -42,7 +44,7 @@ async function fetchAndSaveMoverlyClaims(transactionId, useMainApiKey = false, c
         moverlyClient.fetchMoverlyClaims(transactionId, useMainApiKey),
       ]);
     } catch (error) {
-      if (error.message.includes("401") || error.message.includes("Unauthorized")) {
+      if (error instanceof UnauthorizedError) {
         // Try the other API key
         const fallbackKey = !useMainApiKey;
         keyUsed = fallbackKey ? "MOVERLY_API_KEY" : "MOVERLY_NPTN_API_KEY";
@@ -88,23 +90,53 @@ async function fetchAndSaveMoverlyClaims(transactionId, useMainApiKey = false, c
   }
 }
 
+/**
+ * Reports which local claims the fetched transaction does not hold yet,
+ * matching claims by content-addressed identity rather than ID or time
+ * @param {Array} remoteClaims - Claims fetched for the transaction
+ * @param {string} transactionId - The transaction ID
+ * @param {string} comparePath - Local claims file or directory
+ * @return {Promise<Array>} { file, missing, present } for each local file
+ */
+async function reportUnpushedClaims(remoteClaims, transactionId, comparePath) {
+  const { loadClaimFiles } = require("./push-claims");
+  const results = [];
+
+  console.log(`\nComparing local claims in ${comparePath} with the remote transaction...`);
+  for (const { file, claims } of await loadClaimFiles(comparePath)) {
+    const { missing, present } = findUnpushedClaims(claims, remoteClaims, transactionId);
+    results.push({ file: path.basename(file), missing, present });
+
+    console.log(`${missing.length === 0 ? "✓" : "✗"} ${path.basename(file)}: ${present.length} already remote, ${missing.length} not yet remote`);
+    missing.forEach((claim) => {
+      console.log(`  - ${Object.keys(claim.claims || {}).join(", ") || "(operations only)"}`);
+    });
+  }
+  return results;
+}
+
 // Run if executed directly
 if (require.main === module) {
   const transactionId = process.argv[2];
   const useMainApiKey = process.argv.includes("--main-key");
   const customFilenameIndex = process.argv.indexOf("--filename");
   const customFilename = customFilenameIndex !== -1 ? process.argv[customFilenameIndex + 1] : null;
+  const compareIndex = process.argv.indexOf("--compare");
+  const comparePath = compareIndex !== -1 ? process.argv[compareIndex + 1] : null;
 
   if (!transactionId) {
     console.error(
-      "Usage: node fetch-moverly-claims.js <transactionId> [--main-key] [--filename <custom-filename>]",
+      "Usage: node fetch-moverly-claims.js <transactionId> [--main-key] [--filename <custom-filename>] [--compare <local-claims-file-or-dir>]",
     );
     process.exit(1);
   }
 
   fetchAndSaveMoverlyClaims(transactionId, useMainApiKey, customFilename)
-    .then(({ filename, addressLine1 }) => {
+    .then(async ({ claims, filename, addressLine1 }) => {
       console.log(`\nClaims for "${addressLine1}" saved as ${filename}`);
+      if (comparePath) {
+        await reportUnpushedClaims(claims, transactionId, comparePath);
+      }
     })
     .catch((err) => {
       console.error("Failed:", err);
@@ -112,4 +144,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchAndSaveMoverlyClaims };
+module.exports = { fetchAndSaveMoverlyClaims, reportUnpushedClaims };
@@ -1,7 +1,39 @@
 const axios = require("axios");
+const { assertValidOutboundClaims } = require("./pdtf-validator");
+const {
+  ApiError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  ValidationError,
+  TimeoutError,
+} = require("./api-errors");
 
 // Moverly API configuration
 const MOVERLY_BASE_URL = "https://www.api-staging.moverly.com/pdtfService/transactions";
+const MOVERLY_NPTN_BASE_URL = "https://www.api-staging.moverly.com/nptnService/transactions";
+
+// Timeout and retry behaviour, overridable per environment or with configureMoverlyClient
+const clientOptions = {
+  timeoutMs: Number(process.env.MOVERLY_TIMEOUT_MS) || 15000,
+  maxRetries: process.env.MOVERLY_MAX_RETRIES !== undefined ? Number(process.env.MOVERLY_MAX_RETRIES) : 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+// Statuses worth retrying; POSTs only retry those that mean the claim was not accepted
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_POST_STATUSES = [429, 503];
+
+/**
+ * Overrides the client's timeout and retry options
+ * @param {Object} overrides - Any of timeoutMs, maxRetries, baseDelayMs, maxDelayMs
+ * @return {Object} The options now in effect
+ */
+function configureMoverlyClient(overrides = {}) {
+  Object.assign(clientOptions, overrides);
+  return { ...clientOptions };
+}
 
 /**
  * Get the appropriate Moverly API key from environment
@@ -12,83 +44,209 @@ function getApiKey(useMainKey = false) {
   const keyName = useMainKey ? "MOVERLY_API_KEY" : "MOVERLY_NPTN_API_KEY";
   const apiKey = process.env[keyName];
   if (!apiKey) {
-    throw new Error(`${keyName} environment variable not set`);
+    throw new ApiError(`${keyName} environment variable not set`, { code: "NOT_CONFIGURED", status: 500 });
   }
   return apiKey;
 }
 
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string} header - The header value
+ * @return {number|null} Milliseconds to wait, or null if absent or unreadable
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === "") {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turns an axios failure into a typed ApiError
+ * @param {Error} error - The axios error
+ * @param {string} action - What was being done, for the message
+ * @param {string} serviceName - The service called, for the message
+ * @return {ApiError} The typed error
+ */
+function toApiError(error, action, serviceName = "Moverly API") {
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const message = `${serviceName} error: ${status} - ${JSON.stringify(data)}`;
+    const options = { upstreamStatus: status, details: data };
+
+    if (status === 401 || status === 403) {
+      return new UnauthorizedError(message, options);
+    }
+    if (status === 404) {
+      return new NotFoundError(message, options);
+    }
+    if (status === 429) {
+      const retryAfterMs = parseRetryAfter(headers?.["retry-after"]);
+      return new RateLimitedError(message, {
+        ...options,
+        retryAfter: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+      });
+    }
+    if (status === 400 || status === 422) {
+      return new ValidationError(message, options);
+    }
+    return new ApiError(message, options);
+  }
+
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new TimeoutError(`${serviceName} timed out after ${clientOptions.timeoutMs}ms while ${action}`);
+  }
+  return new ApiError(`${serviceName} unreachable while ${action}: ${error.message}`, {
+    code: "UPSTREAM_UNAVAILABLE",
+    status: 503,
+  });
+}
+
+/**
+ * Decides whether a failed request may be tried again. Reads can be retried
+ * after any server or network failure; a POST only when the claim cannot
+ * have been stored, so retries never duplicate claims.
+ * @param {Error} error - The axios error
+ * @param {boolean} idempotent - Whether repeating the request is harmless
+ * @return {boolean} True if the request should be retried
+ */
+function isRetryable(error, idempotent) {
+  if (error.response) {
+    const statuses = idempotent ? RETRYABLE_STATUSES : RETRYABLE_POST_STATUSES;
+    return statuses.includes(error.response.status);
+  }
+  return idempotent || error.code === "ECONNREFUSED";
+}
+
+/**
+ * Works out how long to wait before the next attempt: the server's
+ * Retry-After when given, otherwise exponential backoff with jitter
+ * @param {Error} error - The axios error
+ * @param {number} attempt - Zero-based number of the attempt that failed
+ * @return {number} Milliseconds to wait
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const backoff = clientOptions.baseDelayMs * 2 ** attempt;
+  return Math.min(clientOptions.maxDelayMs, backoff + Math.random() * backoff * 0.2);
+}
+
+/**
+ * Calls a PDTF service API with the client's timeout, retrying transient
+ * failures and turning the final failure into a typed ApiError
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL
+ * @param {Object} request.data - Request body, if any
+ * @param {Object} request.headers - Headers such as credentials, on top of Accept and Content-Type
+ * @param {string} request.serviceName - The service called, for log and error messages
+ * @param {string} request.action - What is being done, for log and error messages
+ * @return {Promise<any>} The response body
+ */
+async function requestPdtfApi({ method, url, data, headers = {}, serviceName = "Moverly API", action }) {
+  const idempotent = method.toLowerCase() === "get";
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({
+        method,
+        url,
+        data,
+        timeout: clientOptions.timeoutMs,
+        headers: {
+          "Accept": "application/json",
+          ...(data !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+      });
+      return response.data;
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt);
+      const canRetry = attempt < clientOptions.maxRetries &&
+        isRetryable(error, idempotent) &&
+        delay <= clientOptions.maxDelayMs;
+
+      if (!canRetry) {
+        const apiError = toApiError(error, action, serviceName);
+        console.error(`Error ${action}:`, apiError.message);
+        throw apiError;
+      }
+
+      const reason = error.response ? `status ${error.response.status}` : error.code || error.message;
+      console.warn(`${serviceName} ${reason} while ${action}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${clientOptions.maxRetries})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Calls the Moverly API with its API key
+ * @param {Object} request - As requestPdtfApi, with apiKey in place of headers
+ * @return {Promise<any>} The response body
+ */
+function requestMoverly({ apiKey, ...request }) {
+  return requestPdtfApi({ ...request, headers: { "Moverly-Api-Key": apiKey } });
+}
+
 /**
  * Fetch state data from Moverly staging API
  * @param {string} transactionId - The transaction ID
  * @param {boolean} useMainKey - Whether to use MOVERLY_API_KEY instead of MOVERLY_NPTN_API_KEY
+ * @param {string} baseUrl - Transactions endpoint, e.g. MOVERLY_NPTN_BASE_URL
  * @return {Promise<Object>} The state data
  */
-async function fetchMoverlyState(transactionId, useMainKey = false) {
+async function fetchMoverlyState(transactionId, useMainKey = false, baseUrl = MOVERLY_BASE_URL) {
   if (!transactionId) {
     throw new Error("transactionId is required");
   }
 
-  const apiKey = getApiKey(useMainKey);
-
-  try {
-    const response = await axios.get(`${MOVERLY_BASE_URL}/${transactionId}/state`, {
-      headers: {
-        "Moverly-Api-Key": apiKey,
-        "Accept": "application/json",
-      },
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      console.error(`Moverly API error: ${error.response.status}`);
-      throw new Error(`Moverly API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-    }
-    console.error("Error fetching Moverly state:", error.message);
-    throw error;
-  }
+  return requestMoverly({
+    method: "get",
+    url: `${baseUrl}/${transactionId}/state`,
+    apiKey: getApiKey(useMainKey),
+    action: "fetching Moverly state",
+  });
 }
 
 /**
  * Fetch claims data from Moverly staging API
  * @param {string} transactionId - The transaction ID
  * @param {boolean} useMainKey - Whether to use MOVERLY_API_KEY instead of MOVERLY_NPTN_API_KEY
+ * @param {string} baseUrl - Transactions endpoint, e.g. MOVERLY_NPTN_BASE_URL
  * @return {Promise<Array>} The claims data
  */
-async function fetchMoverlyClaims(transactionId, useMainKey = false) {
+async function fetchMoverlyClaims(transactionId, useMainKey = false, baseUrl = MOVERLY_BASE_URL) {
   if (!transactionId) {
     throw new Error("transactionId is required");
   }
 
-  const apiKey = getApiKey(useMainKey);
-
-  try {
-    const response = await axios.get(`${MOVERLY_BASE_URL}/${transactionId}/claims`, {
-      headers: {
-        "Moverly-Api-Key": apiKey,
-        "Accept": "application/json",
-      },
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      console.error(`Moverly API error: ${error.response.status}`);
-      throw new Error(`Moverly API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-    }
-    console.error("Error fetching Moverly claims:", error.message);
-    throw error;
-  }
+  return requestMoverly({
+    method: "get",
+    url: `${baseUrl}/${transactionId}/claims`,
+    apiKey: getApiKey(useMainKey),
+    action: "fetching Moverly claims",
+  });
 }
 
 /**
  * Fetch both state and claims data for a transaction
  * @param {string} transactionId - The transaction ID
  * @param {boolean} useMainKey - Whether to use MOVERLY_API_KEY instead of MOVERLY_NPTN_API_KEY
+ * @param {string} baseUrl - Transactions endpoint, e.g. MOVERLY_NPTN_BASE_URL
  * @return {Promise<Object>} Combined state and claims data
  */
-async function fetchMoverlyTransaction(transactionId, useMainKey = false) {
+async function fetchMoverlyTransaction(transactionId, useMainKey = false, baseUrl = MOVERLY_BASE_URL) {
   const [state, claims] = await Promise.all([
-    fetchMoverlyState(transactionId, useMainKey),
-    fetchMoverlyClaims(transactionId, useMainKey),
+    fetchMoverlyState(transactionId, useMainKey, baseUrl),
+    fetchMoverlyClaims(transactionId, useMainKey, baseUrl),
   ]);
 
   return {
@@ -103,9 +261,12 @@ async function fetchMoverlyTransaction(transactionId, useMainKey = false) {
  * @param {string} transactionId - The transaction ID
  * @param {Object} claimData - The claim data to post
  * @param {boolean} useMainKey - Whether to use MOVERLY_API_KEY instead of MOVERLY_NPTN_API_KEY
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Post even if the claims fail pre-flight validation
+ * @param {string} options.baseUrl - Transactions endpoint, e.g. MOVERLY_NPTN_BASE_URL
  * @return {Promise<Object>} The created claim response
  */
-async function createMoverlyClaim(transactionId, claimData, useMainKey = false) {
+async function createMoverlyClaim(transactionId, claimData, useMainKey = false, { force = false, baseUrl = MOVERLY_BASE_URL } = {}) {
   if (!transactionId) {
     throw new Error("transactionId is required");
   }
@@ -113,25 +274,16 @@ async function createMoverlyClaim(transactionId, claimData, useMainKey = false)
     throw new Error("claimData is required");
   }
 
-  const apiKey = getApiKey(useMainKey);
-
-  try {
-    const response = await axios.post(`${MOVERLY_BASE_URL}/${transactionId}/claims`, claimData, {
-      headers: {
-        "Moverly-Api-Key": apiKey,
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-      },
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      console.error(`Moverly API error: ${error.response.status}`);
-      throw new Error(`Moverly API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-    }
-    console.error("Error creating Moverly claim:", error.message);
-    throw error;
-  }
+  // Throws a ValidationError with the validation result attached as error.validation
+  assertValidOutboundClaims(claimData, { force });
+
+  return requestMoverly({
+    method: "post",
+    url: `${baseUrl}/${transactionId}/claims`,
+    data: claimData,
+    apiKey: getApiKey(useMainKey),
+    action: "creating Moverly claim",
+  });
 }
 
 /**
@@ -160,9 +312,13 @@ async function processRequest(params = {}) {
 }
 
 module.exports = {
+  MOVERLY_BASE_URL,
+  MOVERLY_NPTN_BASE_URL,
   fetchMoverlyState,
   fetchMoverlyClaims,
   fetchMoverlyTransaction,
   createMoverlyClaim,
+  configureMoverlyClient,
+  requestPdtfApi,
   process: processRequest,
 };
@@ -0,0 +1,727 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const {
+  aggregateState,
+  validatePatchOperation,
+  isValidJsonPointer,
+  listLeaves,
+  escapePointerToken,
+} = require("./state-aggregator");
+const { ValidationError } = require("./api-errors");
+
+const SCHEMA_PATH = path.join(__dirname, "../data/schemas/pdtf-transaction-v3.json");
+
+/**
+ * Rule codes reported by the validator, with their default severity.
+ *
+ * Every validate* function returns the same result format:
+ *   {
+ *     valid: boolean,          // true when there are no "error" issues
+ *     issues: [{
+ *       code: string,          // one of the RULES keys
+ *       severity: string,      // "error" | "warning"
+ *       message: string,
+ *       path?: string,         // JSON Pointer the issue is about
+ *       claimIndex?: number,   // position of the claim in the input
+ *       claimId?: string,
+ *       value?: *,             // the offending value, where useful
+ *       details?: Object,      // rule-specific extras (e.g. AJV errors)
+ *     }],
+ *     summary: { errors: number, warnings: number, byCode: { [code]: number } },
+ *   }
+ * validateClaims adds totalClaims, validClaims, invalidClaims and, when
+ * requested, the state result under `state`.
+ */
+const RULES = {
+  CLAIM_NOT_OBJECT: "error",
+  CLAIM_MISSING_FIELD: "error",
+  CLAIM_NO_CONTENT: "error",
+  CLAIMS_NOT_OBJECT: "error",
+  PATH_NOT_POINTER: "error",
+  PATH_NOT_IN_SCHEMA: "warning",
+  VALUE_SCHEMA_MISMATCH: "error",
+  OPERATION_INVALID: "error",
+  VERIFICATION_MISSING: "error",
+  VERIFICATION_TRUST_FRAMEWORK: "error",
+  VERIFICATION_TIME: "error",
+  VERIFICATION_NO_EVIDENCE: "error",
+  EVIDENCE_INVALID_TYPE: "error",
+  VOUCH_MISSING_VOUCHER: "error",
+  VOUCH_MISSING_METHOD: "error",
+  RECORD_MISSING_SOURCE: "error",
+  DOCUMENT_MISSING_DETAILS: "error",
+  DIGEST_UNKNOWN_ALG: "error",
+  DIGEST_INVALID_VALUE: "error",
+  EVIDENCE_IMPLAUSIBLE_FOR_PATH: "warning",
+  STATE_SCHEMA_MISMATCH: "error",
+};
+
+// OIDC4IA evidence types a PDTF claim can carry
+const EVIDENCE_TYPES = ["vouch", "electronic_record", "document", "electronic_signature"];
+
+// Attachment digest algorithms (IANA hash names) and their digest sizes in bytes
+const DIGEST_ALGORITHMS = {
+  "md5": 16,
+  "sha-1": 20,
+  "sha-256": 32,
+  "sha-384": 48,
+  "sha-512": 64,
+};
+
+// Paths whose values only come from one kind of source, so other evidence is implausible
+const EVIDENCE_PLAUSIBILITY = [
+  {
+    pattern: /^\/propertyPack\/titlesToBeSold\/[^/]+\/(registerExtract|titleExtents)(\/|$)/,
+    evidenceTypes: ["electronic_record", "document"],
+    source: "the HMLR register",
+  },
+  {
+    pattern: /^\/propertyPack\/energyEfficiency\/certificate(\/|$)/,
+    evidenceTypes: ["electronic_record", "document"],
+    source: "the EPC register",
+  },
+  {
+    pattern: /^\/propertyPack\/environmentalIssues\/flooding\/floodRisk(\/|$)/,
+    evidenceTypes: ["electronic_record", "document"],
+    source: "the Environment Agency",
+  },
+  {
+    pattern: /^\/propertyPack\/(localSearches|searches)(\/|$)/,
+    evidenceTypes: ["electronic_record", "document"],
+    source: "a search provider",
+  },
+  {
+    pattern: /^\/propertyPack\/confirmationOfAccuracyByOwners(\/|$)/,
+    evidenceTypes: ["vouch", "electronic_signature"],
+    source: "the owners themselves",
+  },
+];
+
+let transactionSchema = null;
+let ajv = null;
+let stateValidator = null;
+const pathValidators = new Map();
+let schemaLeaves = null;
+
+/**
+ * Loads the bundled PDTF v3 transaction schema, once
+ * @return {Object} The transaction JSON schema
+ */
+function getTransactionSchema() {
+  if (!transactionSchema) {
+    transactionSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+  }
+  return transactionSchema;
+}
+
+/**
+ * Gets the shared AJV instance
+ * @return {Object} AJV configured for the PDTF schema
+ */
+function getAjv() {
+  if (!ajv) {
+    // The schema carries descriptive keywords (ta6Description etc) that strict mode rejects
+    ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+  }
+  return ajv;
+}
+
+/**
+ * Finds the schemas that describe the value at a JSON Pointer. Discriminated
+ * oneOf branches can each define the same property, so several may match.
+ * @param {string} jsonPointerPath - Claim path, with array indices or "-"
+ * @return {Array} Candidate subschemas, empty if the path is not in the schema
+ */
+function getSchemasForPath(jsonPointerPath) {
+  let candidates = [getTransactionSchema()];
+  const parts = jsonPointerPath
+    .split("/")
+    .slice(1)
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  for (const part of parts) {
+    const next = [];
+    for (const schema of candidates) {
+      if (schema.items && (part === "-" || /^\d+$/.test(part))) {
+        next.push(schema.items);
+      } else if (schema.properties && schema.properties[part]) {
+        next.push(schema.properties[part]);
+      } else if (schema.oneOf) {
+        schema.oneOf
+          .filter((branch) => branch.properties && branch.properties[part])
+          .forEach((branch) => next.push(branch.properties[part]));
+      } else if (schema.type === "object" && !schema.properties) {
+        // Free-form objects such as externalIds accept any member
+        next.push({});
+      }
+    }
+    if (next.length === 0) {
+      return [];
+    }
+    candidates = next;
+  }
+
+  return candidates;
+}
+
+/**
+ * Lists the leaf fields of the transaction schema as JSON Pointers, with "-"
+ * for array items. Fields that several oneOf branches define are listed once.
+ * @return {Array<string>} Leaf paths, in schema order
+ */
+function listSchemaLeaves() {
+  if (!schemaLeaves) {
+    const leaves = new Set();
+    const walk = (schema, pointer) => {
+      if (schema.items) {
+        walk(schema.items, `${pointer}/-`);
+        return;
+      }
+      const branches = [schema, ...(schema.oneOf || [])].filter((branch) => branch.properties);
+      if (branches.length === 0) {
+        leaves.add(pointer);
+        return;
+      }
+      branches.forEach((branch) => Object.entries(branch.properties).forEach(([key, child]) =>
+        walk(child, `${pointer}/${escapePointerToken(key)}`)));
+    };
+    walk(getTransactionSchema(), "");
+    schemaLeaves = [...leaves];
+  }
+  return schemaLeaves;
+}
+
+/**
+ * Gets a compiled validator for the value at a JSON Pointer
+ * @param {string} jsonPointerPath - Claim path
+ * @return {Function|null} AJV validate function, or null if the path is not in the schema
+ */
+function getValidatorForPath(jsonPointerPath) {
+  // Array positions share a schema, so cache by the path with indices normalised
+  const cacheKey = jsonPointerPath.replace(/\/(\d+|-)(?=\/|$)/g, "/-");
+  if (!pathValidators.has(cacheKey)) {
+    const schemas = getSchemasForPath(jsonPointerPath);
+    const validator = schemas.length === 0 ? null :
+      getAjv().compile(schemas.length === 1 ? schemas[0] : { anyOf: schemas });
+    pathValidators.set(cacheKey, validator);
+  }
+  return pathValidators.get(cacheKey);
+}
+
+/**
+ * Builds an issue with the rule's default severity
+ * @param {string} code - Rule code from RULES
+ * @param {string} message - Human readable description
+ * @param {Object} fields - Extra fields (path, claimIndex, claimId, value, details)
+ * @return {Object} The issue
+ */
+function createIssue(code, message, fields = {}) {
+  return { code, severity: RULES[code], message, ...fields };
+}
+
+/**
+ * Wraps a list of issues in the standard result format
+ * @param {Array} issues - Issues found
+ * @return {Object} { valid, issues, summary }
+ */
+function buildResult(issues) {
+  const byCode = {};
+  issues.forEach((issue) => {
+    byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+  });
+
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  return {
+    valid: errors === 0,
+    issues,
+    summary: { errors, warnings: issues.length - errors, byCode },
+  };
+}
+
+/**
+ * Checks a value against the schema at a claim path
+ * @param {string} claimPath - JSON Pointer the value is written to
+ * @param {*} value - The value
+ * @param {Object} context - claimIndex and claimId for reporting
+ * @return {Array} Issues found
+ */
+function validatePathValue(claimPath, value, context) {
+  if (typeof claimPath !== "string" || claimPath === "" || !isValidJsonPointer(claimPath)) {
+    return [createIssue("PATH_NOT_POINTER", `Claim path must be a JSON Pointer starting with "/": ${claimPath}`, {
+      ...context,
+      path: claimPath,
+    })];
+  }
+
+  const validator = getValidatorForPath(claimPath);
+  if (!validator) {
+    return [createIssue("PATH_NOT_IN_SCHEMA", `Path is not defined in the PDTF schema: ${claimPath}`, {
+      ...context,
+      path: claimPath,
+    })];
+  }
+
+  if (validator(value)) {
+    return [];
+  }
+
+  return validator.errors.map((error) =>
+    createIssue("VALUE_SCHEMA_MISMATCH", `${claimPath}${error.instancePath}: ${error.message}`, {
+      ...context,
+      path: claimPath,
+      value,
+      details: { schemaPath: error.schemaPath, params: error.params },
+    }),
+  );
+}
+
+/**
+ * Checks a claim's verification block
+ * @param {Object} verification - The claim's verification
+ * @param {Object} context - claimIndex and claimId for reporting
+ * @return {Array} Issues found
+ */
+function validateVerification(verification, context) {
+  if (!verification || typeof verification !== "object") {
+    return [createIssue("VERIFICATION_MISSING", "Claim must have a verification object", context)];
+  }
+
+  const issues = [];
+  if (verification.trust_framework !== "uk_pdtf") {
+    issues.push(createIssue("VERIFICATION_TRUST_FRAMEWORK", "Verification trust_framework must be \"uk_pdtf\"", {
+      ...context,
+      value: verification.trust_framework,
+    }));
+  }
+
+  const iso8601 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+  if (!iso8601.test(verification.time || "") || isNaN(Date.parse(verification.time))) {
+    issues.push(createIssue("VERIFICATION_TIME", "Verification time must be an ISO 8601 timestamp", {
+      ...context,
+      value: verification.time,
+    }));
+  }
+
+  if (!Array.isArray(verification.evidence) || verification.evidence.length === 0) {
+    issues.push(createIssue("VERIFICATION_NO_EVIDENCE", "Verification must have at least one evidence item", context));
+  } else {
+    verification.evidence.forEach((evidence, evidenceIndex) => {
+      issues.push(...validateEvidence(evidence, { ...context, evidenceIndex }));
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Checks one OIDC4IA-style evidence item: the fields its type needs and the
+ * digests of any attachments
+ * @param {Object} evidence - The evidence item
+ * @param {Object} context - claimIndex, claimId and evidenceIndex for reporting
+ * @return {Array} Issues found
+ */
+function validateEvidence(evidence, context) {
+  const { evidenceIndex, ...fields } = context;
+  const at = `Evidence ${evidenceIndex}`;
+  const issueFields = { ...fields, details: { evidenceIndex } };
+
+  if (!evidence || typeof evidence !== "object" || !EVIDENCE_TYPES.includes(evidence.type)) {
+    return [createIssue("EVIDENCE_INVALID_TYPE", `${at}: type must be one of ${EVIDENCE_TYPES.join(", ")}`, {
+      ...issueFields,
+      value: evidence?.type,
+    })];
+  }
+
+  const issues = [];
+  if (evidence.type === "vouch") {
+    const voucher = evidence.attestation?.voucher;
+    if (!voucher || !(voucher.name || voucher.organization)) {
+      issues.push(createIssue("VOUCH_MISSING_VOUCHER", `${at}: vouch must name its voucher in attestation.voucher`, issueFields));
+    }
+    if (!evidence.verification_method?.type) {
+      issues.push(createIssue("VOUCH_MISSING_METHOD", `${at}: vouch must have a verification_method with a type`, issueFields));
+    }
+  }
+
+  if (evidence.type === "electronic_record" && !evidence.record?.source?.name) {
+    issues.push(createIssue("RECORD_MISSING_SOURCE", `${at}: electronic_record must name its record.source`, issueFields));
+  }
+
+  if (evidence.type === "document" && !(evidence.document?.type || evidence.document_details?.type)) {
+    issues.push(createIssue("DOCUMENT_MISSING_DETAILS", `${at}: document evidence must give the document type`, issueFields));
+  }
+
+  (Array.isArray(evidence.attachments) ? evidence.attachments : []).forEach((attachment, attachmentIndex) => {
+    if (!attachment?.digest) {
+      return;
+    }
+    const { alg, value } = attachment.digest;
+    const attachmentFields = { ...fields, details: { evidenceIndex, attachmentIndex } };
+
+    if (!Object.hasOwn(DIGEST_ALGORITHMS, alg)) {
+      issues.push(createIssue("DIGEST_UNKNOWN_ALG",
+        `${at}, attachment ${attachmentIndex}: digest alg must be one of ${Object.keys(DIGEST_ALGORITHMS).join(", ")}`,
+        { ...attachmentFields, value: alg }));
+    } else if (!isBase64Digest(value, DIGEST_ALGORITHMS[alg])) {
+      issues.push(createIssue("DIGEST_INVALID_VALUE",
+        `${at}, attachment ${attachmentIndex}: digest value must be the base64 encoding of a ${alg} digest`,
+        { ...attachmentFields, value }));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Checks that a digest value is base64 (standard or URL-safe) of the right size
+ * @param {string} value - The encoded digest
+ * @param {number} byteLength - Expected digest size in bytes
+ * @return {boolean} True if the value decodes to a digest of that size
+ */
+function isBase64Digest(value, byteLength) {
+  if (typeof value !== "string") {
+    return false;
+  }
+  const isBase64 = /^[A-Za-z0-9+/]+={0,2}$/.test(value) || /^[A-Za-z0-9_-]+$/.test(value);
+  return isBase64 && Buffer.from(value, "base64").length === byteLength;
+}
+
+/**
+ * Flags claims whose evidence type could not plausibly back the paths they
+ * write, such as a seller's vouch for a register extract
+ * @param {Object} claim - The claim
+ * @param {Object} context - claimIndex and claimId for reporting
+ * @return {Array} Issues found
+ */
+function validateEvidencePlausibility(claim, context) {
+  const evidenceTypes = (claim.verification?.evidence || []).map((evidence) => evidence?.type);
+  if (evidenceTypes.length === 0) {
+    return [];
+  }
+
+  // Include leaves so a whole-object claim is checked against the paths inside it
+  const writes = [
+    ...Object.entries(claim.claims && typeof claim.claims === "object" ? claim.claims : {}),
+    ...(Array.isArray(claim.operations) ? claim.operations : [])
+      .filter((operation) => ["add", "replace"].includes(operation?.op))
+      .map((operation) => [operation.path, operation.value]),
+  ];
+  const leafPaths = writes.flatMap(([claimPath, value]) => [
+    claimPath,
+    ...listLeaves(claimPath, value).map(([leafPath]) => leafPath),
+  ]);
+
+  const issues = [];
+  for (const rule of EVIDENCE_PLAUSIBILITY) {
+    const matchedPath = leafPaths.find((leafPath) => rule.pattern.test(leafPath.replace(/\/-(?=\/|$)/g, "/0")));
+    if (matchedPath && !evidenceTypes.some((type) => rule.evidenceTypes.includes(type))) {
+      issues.push(createIssue("EVIDENCE_IMPLAUSIBLE_FOR_PATH",
+        `${evidenceTypes.join(", ")} evidence is implausible for ${matchedPath}, which comes from ${rule.source}`,
+        { ...context, path: matchedPath, details: { expectedEvidenceTypes: rule.evidenceTypes } }));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validates a single claim: structure, every claimed path and value, JSON
+ * Patch operations and the verification block
+ * @param {Object} claim - The claim to validate
+ * @param {Object} options - Options
+ * @param {number} options.claimIndex - Position of the claim, for reporting
+ * @param {boolean} options.requireId - Whether the claim must have an id (default true)
+ * @return {Object} Validation result (see RULES)
+ */
+function validateClaim(claim, options = {}) {
+  const context = { claimIndex: options.claimIndex ?? 0 };
+  const requiredFields = options.requireId === false ?
+    ["transactionId", "verification"] :
+    ["id", "transactionId", "verification"];
+
+  if (!claim || typeof claim !== "object" || Array.isArray(claim)) {
+    return buildResult([createIssue("CLAIM_NOT_OBJECT", "Claim must be an object", context)]);
+  }
+
+  context.claimId = claim.id;
+  const issues = [];
+
+  for (const field of requiredFields) {
+    if (!claim[field]) {
+      issues.push(createIssue("CLAIM_MISSING_FIELD", `Missing required field: ${field}`, { ...context, details: { field } }));
+    }
+  }
+
+  if (claim.claims === undefined && claim.operations === undefined) {
+    issues.push(createIssue("CLAIM_NO_CONTENT", "Claim must have a claims map or an operations array", context));
+  }
+
+  if (claim.claims !== undefined) {
+    if (!claim.claims || typeof claim.claims !== "object" || Array.isArray(claim.claims)) {
+      issues.push(createIssue("CLAIMS_NOT_OBJECT", "Claims field must be an object of path to value", context));
+    } else {
+      for (const [claimPath, claimValue] of Object.entries(claim.claims)) {
+        issues.push(...validatePathValue(claimPath, claimValue, context));
+      }
+    }
+  }
+
+  if (claim.operations !== undefined) {
+    if (!Array.isArray(claim.operations) || claim.operations.length === 0) {
+      issues.push(createIssue("OPERATION_INVALID", "Operations field must be a non-empty array of JSON Patch operations", context));
+    } else {
+      claim.operations.forEach((operation, operationIndex) => {
+        const problems = validatePatchOperation(operation);
+        problems.forEach((problem) => {
+          issues.push(createIssue("OPERATION_INVALID", `Operation ${operationIndex}: ${problem}`, {
+            ...context,
+            path: operation?.path,
+            details: { operationIndex },
+          }));
+        });
+
+        // Values written by add and replace must fit the schema like claimed values
+        if (problems.length === 0 && ["add", "replace"].includes(operation.op)) {
+          issues.push(...validatePathValue(operation.path, operation.value, context));
+        }
+      });
+    }
+  }
+
+  issues.push(...validateVerification(claim.verification, context));
+  issues.push(...validateEvidencePlausibility(claim, context));
+
+  return buildResult(issues);
+}
+
+/**
+ * Validates an aggregated transaction state against the full PDTF schema
+ * @param {Object} state - The transaction state
+ * @return {Object} Validation result (see RULES)
+ */
+function validateState(state) {
+  if (!stateValidator) {
+    stateValidator = getAjv().compile(getTransactionSchema());
+  }
+
+  if (stateValidator(state)) {
+    return buildResult([]);
+  }
+
+  return buildResult(stateValidator.errors.map((error) =>
+    createIssue("STATE_SCHEMA_MISMATCH", `${error.instancePath || "/"}: ${error.message}`, {
+      path: error.instancePath,
+      details: { schemaPath: error.schemaPath, params: error.params },
+    }),
+  ));
+}
+
+/**
+ * Validates a list of claims, and optionally the state they aggregate to
+ * @param {Array} claims - The claims to validate
+ * @param {Object} options - Options
+ * @param {boolean} options.validateState - Also validate the aggregated state
+ * @param {boolean} options.requireId - Whether each claim must have an id (default true)
+ * @return {Object} Validation result (see RULES) with per-claim counts
+ */
+function validateClaims(claims, options = {}) {
+  if (!Array.isArray(claims)) {
+    return {
+      ...buildResult([createIssue("CLAIMS_NOT_OBJECT", "Claims must be an array of claims")]),
+      totalClaims: 0,
+      validClaims: 0,
+      invalidClaims: 0,
+    };
+  }
+
+  const issues = [];
+  let validClaims = 0;
+  claims.forEach((claim, claimIndex) => {
+    const result = validateClaim(claim, { claimIndex, requireId: options.requireId });
+    issues.push(...result.issues);
+    if (result.valid) {
+      validClaims++;
+    }
+  });
+
+  const result = {
+    ...buildResult(issues),
+    totalClaims: claims.length,
+    validClaims,
+    invalidClaims: claims.length - validClaims,
+  };
+
+  if (options.validateState) {
+    // Copy so aggregation neither reorders nor aliases the caller's claims
+    result.state = validateState(aggregateState(JSON.parse(JSON.stringify(claims)), {
+      $schema: "https://trust.propdata.org.uk/schemas/v3/pdtf-transaction.json",
+      transactionId: claims[0]?.transactionId || "unknown",
+    }));
+    result.valid = result.valid && result.state.valid;
+  }
+
+  return result;
+}
+
+/**
+ * Pre-flight check for claims about to be posted to Moverly/NPTN. Outbound
+ * claims have no id yet, since the API assigns one on receipt.
+ * @param {Object|Array} claimData - A claim or array of claims
+ * @return {Object} Validation result (see RULES) with per-claim counts
+ */
+function validateOutboundClaims(claimData) {
+  return validateClaims([].concat(claimData), { requireId: false });
+}
+
+/**
+ * Runs the pre-flight check and throws a ValidationError unless the claims
+ * pass or force is set
+ * @param {Object|Array} claimData - A claim or array of claims
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Return the failing result instead of throwing
+ * @return {Object} Validation result (see RULES)
+ */
+function assertValidOutboundClaims(claimData, { force = false } = {}) {
+  const result = validateOutboundClaims(claimData);
+  if (!result.valid && !force) {
+    throw new ValidationError(
+      `Claims failed PDTF validation: ${result.summary.errors} errors in ${result.invalidClaims} claims`,
+      { validation: result },
+    );
+  }
+  return result;
+}
+
+/**
+ * Prints a validation result for one claims file
+ * @param {string} filePath - The validated file
+ * @param {Object} result - Result from validateClaims
+ */
+function printValidationReport(filePath, result) {
+  const filename = path.basename(filePath);
+  const { errors, warnings, byCode } = result.summary;
+
+  if (result.valid) {
+    console.log(`✅ ${filename}: all ${result.totalClaims} claims are valid`);
+  } else {
+    console.log(`❌ ${filename}: ${result.invalidClaims}/${result.totalClaims} claims invalid, ${errors} errors`);
+  }
+  if (warnings > 0) {
+    console.log(`⚠️  ${warnings} warnings`);
+  }
+
+  const errorIssues = result.issues.filter((issue) => issue.severity === "error");
+  if (errorIssues.length > 0) {
+    console.log("\n🚨 ERRORS:");
+    errorIssues.slice(0, 10).forEach((issue, index) => {
+      console.log(`  ${index + 1}. [${issue.code}] ${issue.message}`);
+      if (issue.claimId) console.log(`     Claim: ${issue.claimId}`);
+    });
+    if (errorIssues.length > 10) {
+      console.log(`     ... and ${errorIssues.length - 10} more errors`);
+    }
+  }
+
+  if (result.state) {
+    console.log(`\n🏠 Aggregated state: ${result.state.valid ? "valid" : `${result.state.summary.errors} schema errors`}`);
+    result.state.issues.slice(0, 5).forEach((issue) => console.log(`  - ${issue.message}`));
+  }
+
+  if (Object.keys(byCode).length > 0) {
+    console.log(`\n📊 Summary: ${Object.entries(byCode).map(([code, count]) => `${count} ${code}`).join(", ")}`);
+  }
+  console.log("");
+}
+
+/**
+ * Validates a claims file and prints the report
+ * @param {string} filePath - Path to a JSON file holding an array of claims
+ * @return {Object} Validation result from validateClaims
+ */
+function validateClaimsFile(filePath) {
+  let claims;
+  try {
+    claims = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`❌ Could not read or parse ${filePath}: ${error.message}`);
+    return { ...buildResult([createIssue("CLAIMS_NOT_OBJECT", `Could not read claims file: ${error.message}`)]) };
+  }
+
+  const result = validateClaims(claims, { validateState: true });
+  printValidationReport(filePath, result);
+  return result;
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Parameters object
+ * @param {Array} params.claims - Claims to validate
+ * @param {Object} params.state - State to validate instead of claims
+ * @param {boolean} params.validateState - Also validate the state the claims aggregate to
+ * @return {Promise<Object>} Validation result
+ */
+async function processRequest(params = {}) {
+  if (params.state) {
+    return validateState(params.state);
+  }
+  return validateClaims(params.claims, { validateState: params.validateState });
+}
+
+// CLI usage
+function main() {
+  const target = process.argv[2];
+  const reportFile = process.argv[3];
+
+  if (!target) {
+    console.error("❌ Usage: node pdtf-validator.js <claims-file-or-directory> [report-file]");
+    console.error("Examples:");
+    console.error("  node pdtf-validator.js ../data/sandbox-claims-v3/59-hawkley-gardens-claims.json");
+    console.error("  node pdtf-validator.js ../data/sandbox-claims-v3/ report.json");
+    process.exit(1);
+  }
+
+  const files = fs.statSync(target).isDirectory() ?
+    fs.readdirSync(target).filter((file) => file.endsWith("-claims.json")).map((file) => path.join(target, file)) :
+    [target];
+
+  console.log(`🔍 Validating ${files.length} claim file(s) against the PDTF v3 schema\n`);
+  const results = files.map((file) => ({ file, result: validateClaimsFile(file) }));
+
+  if (files.length > 1) {
+    const validFiles = results.filter((entry) => entry.result.valid).length;
+    console.log(`📋 OVERALL: ${validFiles}/${results.length} files passed validation`);
+  }
+
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(results, null, 2));
+    console.log(`💾 Report saved to ${reportFile}`);
+  }
+
+  if (results.some((entry) => !entry.result.valid)) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RULES,
+  validateClaim,
+  validateClaims,
+  validateState,
+  validateOutboundClaims,
+  assertValidOutboundClaims,
+  validateClaimsFile,
+  printValidationReport,
+  getTransactionSchema,
+  getSchemasForPath,
+  listSchemaLeaves,
+  validatePathValue,
+  process: processRequest,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const { ConfigurationError, NotFoundError } = require("./api-errors");
+
+const DATA_DIR = path.join(__dirname, "../data");
+const REGISTRY_FILE = path.join(DATA_DIR, "property-registry.json");
+
+// Slugs double as property IDs in URLs and snapshot cache keys
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+let cachedRegistry = null;
+
+/**
+ * Loads the demo property registry and checks each entry. The file is read
+ * once per process; pass a file to read another registry, e.g. in scripts.
+ * @param {Object} options - Load options
+ * @param {string} options.file - Registry file
+ * @return {Object} { defaults, properties, bySlug }
+ * @throws {ConfigurationError} If the file cannot be read or an entry is malformed
+ */
+function loadPropertyRegistry({ file = REGISTRY_FILE } = {}) {
+  if (file === REGISTRY_FILE && cachedRegistry) {
+    return cachedRegistry;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read property registry ${path.basename(file)}: ${error.message}`, { details: { file } });
+  }
+
+  const errors = [];
+  const bySlug = new Map();
+  (manifest.properties || []).forEach((property, index) => {
+    const report = (message) => errors.push(`property ${index + 1}${property?.slug ? ` (${property.slug})` : ""}: ${message}`);
+    if (!SLUG_PATTERN.test(property?.slug || "")) {
+      report("slug must be lower-case words joined by hyphens");
+      return;
+    }
+    if (bySlug.has(property.slug)) {
+      report("duplicate slug");
+    }
+    if (!property.transactions || typeof property.transactions !== "object") {
+      report("needs a transactions object, keyed by PDTF service ID");
+    }
+    if (property.claimsFile && path.isAbsolute(property.claimsFile)) {
+      report("claimsFile must be relative to functions/data");
+    }
+    bySlug.set(property.slug, {
+      name: property.slug,
+      address: null,
+      uprn: null,
+      claimsFile: null,
+      ...property,
+      transactions: property.transactions || {},
+      media: { images: [], ...property.media },
+    });
+  });
+  Object.entries(manifest.defaults || {}).forEach(([useCase, slug]) => {
+    if (!bySlug.has(slug)) {
+      errors.push(`default for ${useCase}: unknown property "${slug}"`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new ConfigurationError(`Property registry has ${errors.length} error(s): ${errors.join("; ")}`, { details: { file, errors } });
+  }
+
+  const registry = {
+    defaults: manifest.defaults || {},
+    properties: [...bySlug.values()],
+    bySlug,
+  };
+  if (file === REGISTRY_FILE) {
+    cachedRegistry = registry;
+  }
+  return registry;
+}
+
+/**
+ * Lists the registered properties, optionally only those on a PDTF service
+ * @param {Object} options - Filters
+ * @param {string} options.service - Only properties with a transaction on this service
+ * @return {Array} Property entries
+ */
+function listProperties({ service = null } = {}) {
+  const { properties } = loadPropertyRegistry();
+  return service ? properties.filter((property) => property.transactions[service]) : properties;
+}
+
+/**
+ * Looks up a property by slug
+ * @param {string} slug - The property's slug
+ * @return {Object} The property entry
+ * @throws {NotFoundError} When no property has the slug
+ */
+function getProperty(slug) {
+  const property = loadPropertyRegistry().bySlug.get(slug);
+  if (!property) {
+    throw new NotFoundError(`Property ${slug} not found`);
+  }
+  return property;
+}
+
+/**
+ * Finds the property a transaction on a PDTF service belongs to
+ * @param {string} service - PDTF service ID, e.g. "moverly"
+ * @param {string} transactionId - The transaction ID
+ * @return {Object|null} The property entry, or null if none is registered
+ */
+function findPropertyByTransaction(service, transactionId) {
+  return listProperties({ service }).find((property) => property.transactions[service] === transactionId) || null;
+}
+
+/**
+ * Resolves the path of a property's bundled claims file
+ * @param {Object} property - A property entry
+ * @return {string} Absolute path inside functions/data
+ * @throws {NotFoundError} When the property has no claims file
+ */
+function getClaimsFilePath(property) {
+  if (!property.claimsFile) {
+    throw new NotFoundError(`Property ${property.slug} has no bundled claims`);
+  }
+  const filePath = path.resolve(DATA_DIR, property.claimsFile);
+  if (!filePath.startsWith(DATA_DIR + path.sep)) {
+    throw new NotFoundError(`Property ${property.slug} has no bundled claims`);
+  }
+  return filePath;
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  loadPropertyRegistry,
+  listProperties,
+  getProperty,
+  findPropertyByTransaction,
+  getClaimsFilePath,
+};
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs").promises;
+const { validateOutboundClaims, printValidationReport } = require("./pdtf-validator");
+const { dedupeClaims, occurrenceKeys } = require("./claim-identity");
+
+// Load environment variables from .env file
+require("dotenv").config({
+  path: path.join(__dirname, "../.env"),
+  quiet: true,
+});
+
+const { getAdapter, listAdapters } = require("../adapters");
+
+const DEFAULT_SERVICE = "moverly-nptn";
+const DEFAULT_BATCH_SIZE = 5;
+const DEFAULT_DELAY_MS = 1000;
+const CHECKPOINT_DIR = path.join(os.tmpdir(), "pdtf-push-checkpoints");
+
+/**
+ * Reads claims from a file, or from every JSON file in a directory
+ * @param {string} target - Claims file or directory
+ * @return {Promise<Array>} { file, claims } for each file, in name order
+ */
+async function loadClaimFiles(target) {
+  const stats = await fs.stat(target);
+  const files = stats.isDirectory() ?
+    (await fs.readdir(target)).filter((file) => file.endsWith(".json")).sort().map((file) => path.join(target, file)) :
+    [target];
+
+  const loaded = [];
+  for (const file of files) {
+    const claims = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!Array.isArray(claims)) {
+      throw new Error(`${file} does not contain an array of claims`);
+    }
+    loaded.push({ file, claims });
+  }
+  return loaded;
+}
+
+/**
+ * Reads the checkpoint left by an earlier, interrupted push
+ * @param {string} checkpointPath - Checkpoint file
+ * @return {Promise<Set<string>>} Occurrence keys (see occurrenceKeys) of claims already pushed
+ */
+async function readCheckpoint(checkpointPath) {
+  try {
+    const checkpoint = JSON.parse(await fs.readFile(checkpointPath, "utf8"));
+    return new Set(checkpoint.pushed || []);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return new Set();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves the identities of claims pushed so far
+ * @param {string} checkpointPath - Checkpoint file
+ * @param {Object} checkpoint - { service, transactionId, pushed }
+ * @return {Promise<void>}
+ */
+async function writeCheckpoint(checkpointPath, { service, transactionId, pushed }) {
+  await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+  await fs.writeFile(checkpointPath, JSON.stringify({
+    service,
+    transactionId,
+    pushed: [...pushed],
+    updatedAt: new Date().toISOString(),
+  }, null, 2));
+}
+
+/**
+ * Fetches the occurrence keys of the claims the service already holds. Services
+ * that cannot list claims, and transactions that do not exist yet, count
+ * as holding none.
+ * @param {Object} adapter - PDTF service adapter
+ * @param {string} transactionId - The transaction ID
+ * @return {Promise<Set<string>>} Occurrence keys of remote claims
+ */
+async function fetchRemoteKeys(adapter, transactionId) {
+  try {
+    const remoteClaims = await adapter.getClaims(transactionId);
+    return new Set(occurrenceKeys(Array.isArray(remoteClaims) ? remoteClaims : [], { transactionId }));
+  } catch (error) {
+    if (error.code === "NOT_SUPPORTED" || error.code === "NOT_FOUND") {
+      console.log(`ℹ️  ${error.message}; duplicate check only uses the checkpoint`);
+      return new Set();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pushes claims to a PDTF service in batches. Claims are matched by their
+ * content-addressed identity, which leaves out IDs and times, so ones the
+ * service already holds or that an earlier interrupted run pushed (per the
+ * checkpoint) are skipped, as are repeats in the input that set no value
+ * other than the one in force. A claim that re-asserts an earlier value after
+ * another claim replaced it is pushed. The push stops
+ * at the first failed batch; running it again resumes after the last batch
+ * that succeeded. The checkpoint is removed once every claim has been pushed.
+ * @param {Object} options - Push options
+ * @param {string} options.target - Claims file or directory of claims files
+ * @param {string} options.service - Adapter ID of the target service
+ * @param {string} options.transactionId - Target transaction; stamped onto every claim
+ * @param {boolean} options.dryRun - Report what would be pushed without pushing
+ * @param {number} options.batchSize - Claims per request
+ * @param {number} options.delayMs - Pause between batches
+ * @param {boolean} options.force - Push even if the claims fail pre-flight validation
+ * @param {string} options.checkpointPath - Checkpoint file, defaults to one per service and transaction
+ * @return {Promise<Object>} Summary report
+ */
+async function pushClaims({
+  target,
+  service = DEFAULT_SERVICE,
+  transactionId,
+  dryRun = false,
+  batchSize = DEFAULT_BATCH_SIZE,
+  delayMs = DEFAULT_DELAY_MS,
+  force = false,
+  checkpointPath,
+}) {
+  if (!target) {
+    throw new Error("target is required");
+  }
+  if (!transactionId) {
+    throw new Error("transactionId is required");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batchSize must be a positive integer");
+  }
+
+  const adapter = getAdapter(service);
+  if (!adapter) {
+    throw new Error(`Unknown service '${service}'. Use one of: ${listAdapters().map((entry) => entry.id).join(", ")}`);
+  }
+
+  const checkpointFile = checkpointPath ||
+    path.join(CHECKPOINT_DIR, `${encodeURIComponent(service)}-${encodeURIComponent(transactionId)}.json`);
+
+  console.log(`🚚 ${dryRun ? "Dry run: " : ""}pushing claims to ${adapter.name} (${service})`);
+  console.log(`📋 Transaction ID: ${transactionId}`);
+  console.log("");
+
+  const report = {
+    service,
+    transactionId,
+    dryRun,
+    files: [],
+    totals: { claims: 0, repeated: 0, alreadyRemote: 0, alreadyPushed: 0, pushed: 0, failed: 0, batches: 0 },
+    checkpoint: checkpointFile,
+    complete: false,
+  };
+
+  // Check every claim against the PDTF schema before anything is sent
+  const claimFiles = await loadClaimFiles(target);
+  for (const { file, claims } of claimFiles) {
+    const preflight = validateOutboundClaims(claims);
+    if (!preflight.valid) {
+      printValidationReport(file, preflight);
+      if (!force) {
+        throw new Error(`Claims in ${path.basename(file)} failed pre-flight validation. Fix them or rerun with --force`);
+      }
+      console.log("⚠️  --force given, pushing claims despite validation errors");
+      console.log("");
+    }
+  }
+
+  const remote = await fetchRemoteKeys(adapter, transactionId);
+  const pushed = await readCheckpoint(checkpointFile);
+  if (pushed.size > 0) {
+    console.log(`⏯️  Resuming: checkpoint records ${pushed.size} claims already pushed`);
+  }
+
+  // Work out what still needs pushing, file by file. Repeats that change
+  // nothing are dropped; every other claim is matched one to one with the
+  // claims on the service and in the checkpoint
+  const allClaims = claimFiles.flatMap(({ claims }) => claims);
+  const repeats = new Set(dedupeClaims(allClaims).duplicates.map(({ claim }) => claim));
+  const kept = allClaims.filter((claim) => !repeats.has(claim));
+  const keys = new Map(occurrenceKeys(kept, { transactionId }).map((key, index) => [kept[index], key]));
+
+  const pending = [];
+  for (const { file, claims } of claimFiles) {
+    const fileReport = { file: path.basename(file), claims: claims.length, repeated: 0, alreadyRemote: 0, alreadyPushed: 0, queued: 0 };
+    for (const claim of claims) {
+      const key = keys.get(claim);
+      if (repeats.has(claim)) {
+        fileReport.repeated++;
+      } else if (remote.has(key)) {
+        fileReport.alreadyRemote++;
+      } else if (pushed.has(key)) {
+        fileReport.alreadyPushed++;
+      } else {
+        pending.push({ key, claim: { ...claim, transactionId } });
+        fileReport.queued++;
+      }
+    }
+    report.files.push(fileReport);
+    report.totals.claims += fileReport.claims;
+    report.totals.repeated += fileReport.repeated;
+    report.totals.alreadyRemote += fileReport.alreadyRemote;
+    report.totals.alreadyPushed += fileReport.alreadyPushed;
+  }
+
+  const totalBatches = Math.ceil(pending.length / batchSize);
+  console.log(`📊 ${report.totals.claims} claims, ${pending.length} to push in ${totalBatches} batches of up to ${batchSize}`);
+  console.log("");
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const batchNum = i / batchSize + 1;
+
+    if (dryRun) {
+      const paths = batch.flatMap(({ claim }) => Object.keys(claim.claims || {}));
+      console.log(`📦 Batch ${batchNum}/${totalBatches} would push ${batch.length} claims: ${paths.join(", ")}`);
+      report.totals.batches++;
+      continue;
+    }
+
+    console.log(`📦 Pushing batch ${batchNum}/${totalBatches} (${batch.length} claims)`);
+    try {
+      await adapter.postClaims(transactionId, batch.map(({ claim }) => claim), { force });
+    } catch (error) {
+      report.totals.failed += pending.length - i;
+      console.log(`❌ Batch ${batchNum} failed: ${error.message}`);
+      console.log("   Rerun the same command to resume from this batch");
+      break;
+    }
+
+    batch.forEach(({ key }) => pushed.add(key));
+    await writeCheckpoint(checkpointFile, { service, transactionId, pushed });
+    report.totals.pushed += batch.length;
+    report.totals.batches++;
+    console.log(`✅ Batch ${batchNum} pushed`);
+
+    // Add delay between batches to be respectful to the API
+    if (i + batchSize < pending.length && delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+
+  report.complete = report.totals.failed === 0;
+  if (report.complete && !dryRun) {
+    await fs.rm(checkpointFile, { force: true });
+  }
+  return report;
+}
+
+/**
+ * Prints the summary report of a push
+ * @param {Object} report - Report from pushClaims
+ */
+function printPushReport(report) {
+  const { totals } = report;
+
+  console.log("");
+  console.log(`📋 ${report.dryRun ? "DRY RUN " : ""}SUMMARY`);
+  console.log("==================");
+  report.files.forEach((file) => {
+    console.log(`📄 ${file.file}: ${file.claims} claims, ${file.repeated} repeats, ${file.alreadyRemote} already on service, ${file.alreadyPushed} already pushed, ${file.queued} queued`);
+  });
+  console.log("");
+  console.log(`📊 Total claims: ${totals.claims}`);
+  console.log(`⏭️  Skipped, repeating a value already in force: ${totals.repeated}`);
+  console.log(`⏭️  Skipped, already on service: ${totals.alreadyRemote}`);
+  console.log(`⏭️  Skipped, pushed by an earlier run: ${totals.alreadyPushed}`);
+  if (report.dryRun) {
+    console.log(`📦 Would push: ${report.files.reduce((sum, file) => sum + file.queued, 0)} claims in ${totals.batches} batches`);
+  } else {
+    console.log(`✅ Pushed: ${totals.pushed} claims in ${totals.batches} batches`);
+    console.log(`❌ Not pushed: ${totals.failed} claims`);
+    if (!report.complete) {
+      console.log(`⏯️  Checkpoint kept at ${report.checkpoint}`);
+    }
+  }
+}
+
+/**
+ * Reads command line flags into pushClaims options
+ * @param {Array<string>} args - Arguments after the script name
+ * @return {Object} Options for pushClaims
+ */
+function parseArgs(args) {
+  const options = {};
+  const valueOf = (index, flag) => {
+    if (args[index + 1] === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return args[index + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case "--service":
+        options.service = valueOf(i++, arg);
+        break;
+      case "--transaction":
+        options.transactionId = valueOf(i++, arg);
+        break;
+      case "--batch-size":
+        options.batchSize = Number(valueOf(i++, arg));
+        break;
+      case "--delay":
+        options.delayMs = Number(valueOf(i++, arg));
+        break;
+      case "--checkpoint":
+        options.checkpointPath = valueOf(i++, arg);
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--force":
+        options.force = true;
+        break;
+      default:
+        if (arg.startsWith("--")) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        options.target = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Options for pushClaims
+ * @return {Promise<Object>} Summary report
+ */
+async function processRequest(params = {}) {
+  return pushClaims(params);
+}
+
+// CLI usage
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!options.target || !options.transactionId) {
+    console.error("❌ Usage: node push-claims.js <claims-file-or-directory> --transaction <id> [options]");
+    console.error("Options:");
+    console.error(`  --service <id>       Target PDTF service (default ${DEFAULT_SERVICE}; one of ${listAdapters().map((entry) => entry.id).join(", ")})`);
+    console.error(`  --batch-size <n>     Claims per request (default ${DEFAULT_BATCH_SIZE})`);
+    console.error(`  --delay <ms>         Pause between batches (default ${DEFAULT_DELAY_MS})`);
+    console.error("  --checkpoint <file>  Checkpoint file used to resume an interrupted push");
+    console.error("  --dry-run            Report what would be pushed without pushing");
+    console.error("  --force              Push even if claims fail pre-flight validation");
+    console.error("Examples:");
+    console.error("  node push-claims.js \"../data/moverly-properties/101 Broadbridge.json\" --transaction 8HjwFCAy3EY4UmtpfEyAVo");
+    console.error("  node push-claims.js \"../data/moverly-properties/107 Sunbeam Crescent.json\" --transaction MQhUGTBjv2wuqrJmA34Yue");
+    console.error("  node push-claims.js ../data/moverly-properties/valuation.json --transaction HLbVvS2z3LCEVedziZ3kx8 --dry-run");
+    process.exit(1);
+  }
+
+  const report = await pushClaims(options);
+  printPushReport(report);
+  process.exit(report.complete ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("");
+    console.error("💥 Claims push failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  pushClaims,
+  loadClaimFiles,
+  printPushReport,
+  process: processRequest,
+};
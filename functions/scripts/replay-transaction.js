@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const fs = require("fs").promises;
+const { pushClaims, printPushReport } = require("./push-claims");
+
+const DEFAULT_SERVICE = "local";
+const DEFAULT_INTERVAL_MS = 5000;
+
+/**
+ * Lists the phase files in a directory written by the claims builder's
+ * --phases option, in the order they should be replayed
+ * @param {string} phasesDir - Directory of NN-<phase>.json claims files
+ * @return {Promise<Array>} { phase, file } for each phase file
+ */
+async function listPhaseFiles(phasesDir) {
+  const files = (await fs.readdir(phasesDir)).filter((file) => /^\d+-.+\.json$/.test(file)).sort();
+  if (files.length === 0) {
+    throw new Error(`No phase files (e.g. 01-initial-mi.json) found in ${phasesDir}`);
+  }
+  return files.map((file) => ({
+    phase: file.replace(/^\d+-/, "").replace(/\.json$/, ""),
+    file: path.join(phasesDir, file),
+  }));
+}
+
+/**
+ * Pushes a transaction's phases to a PDTF service one after another, pausing
+ * between them, so viewers of the transaction see it progress. Each phase is
+ * pushed with pushClaims, so claims the service already holds are skipped and
+ * rerunning with a later --until carries on where the last run stopped.
+ * @param {Object} options - Replay options
+ * @param {string} options.phasesDir - Directory of phase files
+ * @param {string} options.service - Adapter ID of the target service
+ * @param {string} options.transactionId - Target transaction
+ * @param {number} options.intervalMs - Pause between phases
+ * @param {string} options.until - Last phase to replay, e.g. "forms"
+ * @param {boolean} options.dryRun - Report what would be pushed without pushing
+ * @param {boolean} options.force - Push even if claims fail pre-flight validation
+ * @return {Promise<Object>} { service, transactionId, phases, complete } where phases
+ *   are the pushClaims reports keyed by phase
+ */
+async function replayTransaction({
+  phasesDir,
+  service = DEFAULT_SERVICE,
+  transactionId,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  until,
+  dryRun = false,
+  force = false,
+}) {
+  if (!phasesDir) {
+    throw new Error("phasesDir is required");
+  }
+  if (!transactionId) {
+    throw new Error("transactionId is required");
+  }
+
+  let phaseFiles = await listPhaseFiles(phasesDir);
+  if (until) {
+    const lastIndex = phaseFiles.findIndex((entry) => entry.phase === until);
+    if (lastIndex === -1) {
+      throw new Error(`Unknown phase '${until}'. Use one of: ${phaseFiles.map((entry) => entry.phase).join(", ")}`);
+    }
+    phaseFiles = phaseFiles.slice(0, lastIndex + 1);
+  }
+
+  const result = { service, transactionId, phases: [], complete: false };
+  for (const [index, { phase, file }] of phaseFiles.entries()) {
+    console.log(`🎬 Phase ${index + 1}/${phaseFiles.length}: ${phase}`);
+    const report = await pushClaims({ target: file, service, transactionId, dryRun, force, delayMs: 0 });
+    result.phases.push({ phase, report });
+
+    if (!report.complete) {
+      printPushReport(report);
+      console.log(`⏸️  Stopped at phase ${phase}; rerun to resume`);
+      return result;
+    }
+    console.log(`✅ Phase ${phase}: ${report.totals.pushed} pushed, ${report.totals.alreadyRemote} already on service`);
+    console.log("");
+
+    if (index < phaseFiles.length - 1 && intervalMs > 0 && !dryRun) {
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  result.complete = true;
+  return result;
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Options for replayTransaction
+ * @return {Promise<Object>} Replay result
+ */
+async function processRequest(params = {}) {
+  return replayTransaction(params);
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const optionValue = (flag, fallback) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : fallback);
+  const [phasesDir] = args.filter((arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--"));
+  const transactionId = optionValue("--transaction");
+
+  if (!phasesDir || !transactionId) {
+    console.error("❌ Usage: node replay-transaction.js <phases-dir> --transaction <id> [options]");
+    console.error("Options:");
+    console.error(`  --service <id>     Target PDTF service (default ${DEFAULT_SERVICE})`);
+    console.error(`  --interval <ms>    Pause between phases (default ${DEFAULT_INTERVAL_MS})`);
+    console.error("  --until <phase>    Stop after this phase, e.g. forms");
+    console.error("  --dry-run          Report what would be pushed without pushing");
+    console.error("  --force            Push even if claims fail pre-flight validation");
+    console.error("Phase files come from: node sandbox-claims-builder-v3.js \"<address>\" --phases");
+    console.error("Examples:");
+    console.error("  node replay-transaction.js ../data/sandbox-claims-phases/91-south-hill-avenue-142222 --transaction demo-91-south-hill");
+    console.error("  node replay-transaction.js ../data/sandbox-claims-phases/91-south-hill-avenue-142222 --transaction HLbVvS2z3LCEVedziZ3kx8 --service moverly-nptn --until complete-mi");
+    process.exit(1);
+  }
+
+  const result = await replayTransaction({
+    phasesDir,
+    transactionId,
+    service: optionValue("--service", DEFAULT_SERVICE),
+    intervalMs: Number(optionValue("--interval", DEFAULT_INTERVAL_MS)),
+    until: optionValue("--until"),
+    dryRun: args.includes("--dry-run"),
+    force: args.includes("--force"),
+  });
+
+  console.log(`📋 ${result.complete ? "Replayed" : "Partly replayed"} ${result.phases.length} phases to ${result.service} for transaction ${result.transactionId}`);
+  process.exit(result.complete ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("");
+    console.error("💥 Replay failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  listPhaseFiles,
+  replayTransaction,
+  process: processRequest,
+};
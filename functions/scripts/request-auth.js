@@ -0,0 +1,108 @@
+const { logger } = require("firebase-functions");
+const { UnauthenticatedError, ForbiddenError, toErrorResponse } = require("./api-errors");
+
+// Personas a user can be given through the "persona" custom claim on their account
+const PERSONAS = ["seller", "buyer", "conveyancer", "lender", "agent"];
+
+/**
+ * Reads the bearer token from a request's Authorization header
+ * @param {Object} req - Express request
+ * @return {string|null} The token, or null if the header is missing
+ */
+function getBearerToken(req) {
+  const header = req.get ? req.get("Authorization") : req.headers?.authorization;
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Identifies the caller of a request from a Firebase ID token sent as
+ * "Authorization: Bearer <token>". Requests without a token are anonymous;
+ * a token that fails verification is rejected rather than treated as
+ * anonymous, so a client never silently loses access it expects. Under the
+ * emulator the Auth emulator's tokens are accepted when
+ * FIREBASE_AUTH_EMULATOR_HOST is set.
+ * @param {Object} req - Express request
+ * @param {Object} options - Options
+ * @param {Function} options.verifyIdToken - Token verifier, defaults to firebase-admin's
+ * @return {Promise<Object|null>} { uid, email, emailVerified, name, persona,
+ *   signInProvider } or null when anonymous; persona is null unless the
+ *   account has one of PERSONAS
+ * @throws {UnauthenticatedError} When a token is sent but is invalid or expired
+ */
+async function authenticateRequest(req, { verifyIdToken = null } = {}) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const verify = verifyIdToken || ((idToken) => require("firebase-admin").auth().verifyIdToken(idToken));
+  let decoded;
+  try {
+    decoded = await verify(token);
+  } catch (error) {
+    throw new UnauthenticatedError(`Invalid ID token: ${error.message}`);
+  }
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    emailVerified: Boolean(decoded.email_verified),
+    name: decoded.name || null,
+    persona: PERSONAS.includes(decoded.persona) ? decoded.persona : null,
+    signInProvider: decoded.firebase?.sign_in_provider || null,
+  };
+}
+
+/**
+ * Checks a caller against an access rule, as used by withAuth and by the
+ * smart data job registry
+ * @param {Object|null} caller - From authenticateRequest, null when anonymous
+ * @param {Object} rule - Who is allowed
+ * @param {boolean} rule.required - Reject anonymous callers
+ * @param {Array<string>} rule.personas - Only allow callers with one of these PERSONAS
+ * @throws {UnauthenticatedError} When the rule needs a signed-in caller and there is none
+ * @throws {ForbiddenError} When the caller's persona is not allowed
+ */
+function authorizeCaller(caller, { required = false, personas = null } = {}) {
+  if (!caller && (required || personas)) {
+    throw new UnauthenticatedError("Sign in to use this endpoint");
+  }
+  if (personas && !personas.includes(caller.persona)) {
+    throw new ForbiddenError(`Only ${personas.join(" or ")} users can use this endpoint`);
+  }
+}
+
+/**
+ * Wraps an HTTP handler so it only runs for callers the options allow. The
+ * caller, or null for an anonymous request, is set as req.caller. Every
+ * handler goes through this, so a bad token is rejected the same way
+ * everywhere; CORS preflights are answered by onRequest's cors option first.
+ * @param {Object} options - Who may call the handler
+ * @param {boolean} options.required - Reject anonymous callers with a 401
+ * @param {Array<string>} options.personas - Only let callers with one of these
+ *   PERSONAS through, with a 403 for the rest
+ * @param {Function} handler - async (req, res) handler
+ * @return {Function} The wrapped handler
+ */
+function withAuth(options = {}, handler) {
+  return async (req, res) => {
+    try {
+      req.caller = await authenticateRequest(req);
+      authorizeCaller(req.caller, options);
+    } catch (error) {
+      logger.warn("Request rejected by withAuth:", error.message);
+      const { status, body } = toErrorResponse(error, "Authentication failed");
+      return res.status(status).json(body);
+    }
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  PERSONAS,
+  getBearerToken,
+  authenticateRequest,
+  authorizeCaller,
+  withAuth,
+};
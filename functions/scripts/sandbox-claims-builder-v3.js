@@ -2,24 +2,135 @@
 
 const path = require("path");
 const fs = require("fs").promises;
-const crypto = require("crypto");
+const { createRandomSource } = require("./seeded-random");
+const { applyScenarios } = require("./sandbox-scenarios");
+const { createMappingScope, evaluate, isMappingActive, loadSandboxMappings, resolveEvidence } = require("./sandbox-mappings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unseeded source used when no build context is supplied
+const defaultRandom = createRandomSource();
+
+// Template giving the Moverly claim paths and their order
+const MOVERLY_TEMPLATE_PATH = path.join(__dirname, "../data/moverly-properties/14 Pinfold Place.json");
+
+// Golden files are built from each sandbox property's file name as seed and
+// this base time, so regenerating them reproduces the committed files exactly
+const GOLDEN_BASE_TIME = "2025-09-01T00:00:00.000Z";
+
+// Lifecycle phases of a transaction, days after it starts
+const CLAIM_PHASES = [
+  { id: "initial-mi", label: "Initial material information", startDay: 0 },
+  { id: "complete-mi", label: "Complete material information", startDay: 3 },
+  { id: "forms", label: "Seller property forms", startDay: 10 },
+  { id: "searches", label: "Searches", startDay: 24 },
+  { id: "oc2", label: "Official copies (OC2)", startDay: 31 },
+];
+
+// Milestones each phase moves on, as [milestone, field, when] where when is
+// the "start" or "end" of the phase or a number of days after its end
+const PHASE_MILESTONES = {
+  "initial-mi": [["listed", "completed", "end"]],
+  "complete-mi": [["legalForms", "started", "start"]],
+  "forms": [
+    ["legalForms", "completed", "end"],
+    ["soldSubjectToContract", "completed", "end"],
+    ["searches", "started", "end"],
+  ],
+  "searches": [["searches", "completed", "end"], ["enquiries", "started", "end"]],
+  "oc2": [["exchangeOfContracts", "expected", 14], ["completion", "expected", 28]],
+};
 
 // Generate a unique ID like Moverly's format
-function generateClaimId() {
-  return crypto.randomBytes(10).toString("base64")
+function generateClaimId(random = defaultRandom) {
+  return random.bytes(10).toString("base64")
     .replace(/[+/=]/g, "")
     .substring(0, 20);
 }
 
-// Generate ISO timestamp
-function generateTimestamp() {
-  return new Date().toISOString();
+/**
+ * Works out which lifecycle phase a claim belongs to
+ * @param {string} claimPath - JSON Pointer the claim sets
+ * @param {Object} evidence - The claim's evidence
+ * @return {string} A CLAIM_PHASES id
+ */
+function getClaimPhase(claimPath, evidence) {
+  if (/registerExtract|additionalDocuments|insights|^\/propertyPack\/documents/i.test(claimPath)) {
+    return "oc2";
+  }
+  if (/^\/propertyPack\/(localSearches|searches)|^\/externalIds\/TMGroup/.test(claimPath) ||
+      (claimPath.startsWith("/propertyPack/environmentalIssues") && evidence?.type !== "vouch")) {
+    return "searches";
+  }
+  if (/^\/(status|participants|externalIds)|^\/propertyPack\/(uprn|priceInformation|address|location|energyEfficiency|councilTax|localAuthority|connectivity)/.test(claimPath)) {
+    return "initial-mi";
+  }
+  return evidence?.type === "vouch" ? "forms" : "complete-mi";
+}
+
+/**
+ * Creates the state a build draws its IDs, random choices and timestamps from.
+ * A seed makes the output reproducible: seeded builds start at
+ * GOLDEN_BASE_TIME unless given another base time.
+ * @param {Object} options - Build options
+ * @param {string|number} options.seed - Seed for IDs, digests and random choices
+ * @param {string|Date} options.baseTime - When the transaction started; defaults to
+ *   GOLDEN_BASE_TIME with a seed, and otherwise to far enough back that every
+ *   phase is in the past
+ * @return {Object} { random, baseTime, claimId(), phaseStart(phaseId), nextTime(phaseId) }
+ */
+function createBuildContext({ seed, baseTime } = {}) {
+  const random = createRandomSource(seed);
+  const lastPhase = CLAIM_PHASES[CLAIM_PHASES.length - 1];
+  let start;
+  if (baseTime) {
+    start = new Date(baseTime);
+  } else if (random.seeded) {
+    start = new Date(GOLDEN_BASE_TIME);
+  } else {
+    start = new Date(Date.now() - (lastPhase.startDay + 1) * DAY_MS);
+  }
+  if (Number.isNaN(start.getTime())) {
+    throw new Error(`Invalid base time '${baseTime}'`);
+  }
+
+  const cursors = new Map();
+  const phaseStart = (phaseId) => {
+    const phase = CLAIM_PHASES.find((entry) => entry.id === phaseId) || CLAIM_PHASES[0];
+    return new Date(start.getTime() + phase.startDay * DAY_MS);
+  };
+
+  return {
+    random,
+    baseTime: start,
+    claimId: () => generateClaimId(random),
+    phaseStart,
+    // Claims in a phase land in one working session a few seconds apart
+    nextTime: (phaseId) => {
+      const previous = cursors.get(phaseId);
+      const next = previous === undefined ?
+        phaseStart(phaseId).getTime() + random.integer(9 * 3600, 16 * 3600) * 1000 :
+        previous + random.integer(1000, 45000);
+      cursors.set(phaseId, next);
+      return new Date(next).toISOString();
+    },
+  };
+}
+
+/**
+ * Formats the date a number of days before another as YYYY-MM-DD
+ * @param {Date} date - Reference date
+ * @param {number} days - Days before it
+ * @return {string} ISO date
+ */
+function daysBefore(date, days) {
+  return new Date(date.getTime() - days * DAY_MS).toISOString().split("T")[0];
 }
 
-// Create a claim with exact Moverly structure
-function createClaim(claimPath, claimValue, evidence, transactionId) {
+// Create a claim with exact Moverly structure, timed within its lifecycle phase
+function createClaim(claimPath, claimValue, evidence, transactionId, context, phaseId = getClaimPhase(claimPath, evidence)) {
   return {
-    id: generateClaimId(),
+    id: context.claimId(),
     claims: {
       [claimPath]: claimValue,
     },
@@ -27,13 +138,13 @@ function createClaim(claimPath, claimValue, evidence, transactionId) {
     verification: {
       evidence: [evidence],
       trust_framework: "uk_pdtf",
-      time: generateTimestamp(),
+      time: context.nextTime(phaseId),
     },
   };
 }
 
 // Calculate realistic asking prices based on property characteristics
-function calculateRealisticPrice(residence, conveyancing) {
+function calculateRealisticPrice(residence, conveyancing, random = defaultRandom) {
   // Base prices per square meter by location (rough estimates based on UK property markets)
   const basePricePerSqm = {
     MANCHESTER: 2800, // Manchester average
@@ -116,717 +227,161 @@ function calculateRealisticPrice(residence, conveyancing) {
   estimatedPrice *= (councilTaxAdjustments[residence.CouncilTaxBand] || 1.0);
 
   // Add market variability (±10% randomness)
-  const marketVariation = 0.9 + (Math.random() * 0.2);
+  const marketVariation = 0.9 + (random.random() * 0.2);
   estimatedPrice *= marketVariation;
 
   // Round to nearest £1000 for realistic asking prices
   return Math.round(estimatedPrice / 1000) * 1000;
 }
 
-// Enhanced comprehensive claims builder matching all 135 Moverly paths
-async function buildClaimsFromSandboxPropertyV3(sandboxData, transactionId) {
-  const claims = [];
-  const { residence, people, conveyancing } = sandboxData;
-  const moverlyClaimsPath = path.join(__dirname, "../data/moverly-sample/claims.json");
+// Sandbox property types that are flats, and the PDTF property type for each
+const FLAT_PROPERTY_TYPES = {
+  Flat: "Flat",
+  Apartment: "Flat",
+  Maisonette: "Maisonette",
+};
+
+// Storeys at which a block is taken to be over 11m, so the Building Safety
+// Act 2022 leaseholder protections apply, and over 18m, a higher-risk building
+const RELEVANT_BUILDING_FLOORS = 5;
+const HIGHER_RISK_BUILDING_FLOORS = 7;
+
+/**
+ * Works out a sandbox property's tenure from its PropertyType, and from the
+ * Land Registry record where there is one, with the lease and block details
+ * the leasehold claims are built from. Flats are always leasehold.
+ * @param {Object} sandboxData - Sandbox property with residence, conveyancing and land_registry
+ * @param {Object} context - Build context, for the transaction date and random choices
+ * @return {Object} { leasehold, propertyType, lease, block } where lease is null for
+ *   freeholds and block is null for houses
+ */
+function describeTenure(sandboxData, context) {
+  const { residence, conveyancing, land_registry: landRegistry } = sandboxData;
+  const flatType = FLAT_PROPERTY_TYPES[residence.PropertyType];
+  const leasehold = Boolean(flatType) || landRegistry?.Tenure === "Leasehold";
+  const tenure = { leasehold, propertyType: flatType || "House", lease: null, block: null };
+  if (!leasehold) {
+    return tenure;
+  }
 
-  // Load Moverly claims as template
-  const moverlyClaims = JSON.parse(await fs.readFile(moverlyClaimsPath, "utf8"));
-
-  // Enhanced mapping with ALL Moverly paths - 135 total paths
-  const pathMappings = {
-    // === CORE IDENTIFIERS ===
-    "/propertyPack/uprn": () => parseInt(residence.UPRN),
-    "/status": () => "For sale",
-    "/externalIds": () => ({
-      Sandbox: {
-        residenceId: residence.ResidenceId,
-        uprn: residence.UPRN,
-      },
-      Matchmaker: {
-        matchmakerId: `MM${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
-      },
-    }),
-    "/externalIds/LMS": () => ({
-      workspaceId: `workspace-${crypto.randomBytes(8).toString("hex")}`,
-    }),
-    "/externalIds/TMGroup": () => ({
-      projectId: parseInt(`${residence.UPRN.substring(0, 8)}`),
-    }),
-
-    // === PRICE INFORMATION ===
-    "/propertyPack/priceInformation": () => {
-      // Generate realistic asking prices based on property characteristics
-      const basePrice = calculateRealisticPrice(residence, conveyancing);
-
-      // Different property types and locations have different pricing strategies
-      let selectedQualifier = "Fixed price"; // Default
-      if (residence.PropertyType === "Detached") {
-        selectedQualifier = Math.random() > 0.5 ? "Offers in excess of" : "Guide price";
-      } else if (residence.PropertyType === "Terraced") {
-        selectedQualifier = Math.random() > 0.7 ? "Fixed price" : "Offers in region of";
-      }
-
-      return {
-        price: basePrice,
-        priceQualifier: selectedQualifier,
-      };
-    },
+  const { random } = context;
+  const startYear = conveyancing?.ConstructionYear || random.integer(1965, 2015);
+  const elapsedYears = context.baseTime.getUTCFullYear() - startYear;
+  // The register's remaining years fix the term; otherwise pick a common one
+  const lengthOfLeaseInYears = landRegistry?.GroundRentYearsRemain ?
+    landRegistry.GroundRentYearsRemain + elapsedYears :
+    random.pick([99, 125, 999]);
+  // New long leases have carried a peppercorn rent since the Leasehold Reform (Ground Rent) Act 2022
+  const annualGroundRent = landRegistry?.GroundRentAmount ??
+    (startYear >= 2022 ? 0 : random.pick([50, 150, 250, 350]));
+  const reviewFrequency = landRegistry?.GroundRentRevisionFrequency ||
+    (annualGroundRent > 0 ? random.pick([null, "25 years"]) : null);
+
+  tenure.lease = {
+    startYear,
+    lengthOfLeaseInYears,
+    yearsRemaining: lengthOfLeaseInYears - elapsedYears,
+    annualGroundRent,
+    reviewFrequency,
+    reviewDate: landRegistry?.GroundRentRevisionDate || null,
+  };
 
-    // === PARTICIPANTS ===
-    "/participants/-": () => {
-      const participants = [];
-
-      // Estate agent first (matching Moverly format)
-      participants.push({
-        role: "Estate Agent",
-        name: {
-          firstName: "Sarah",
-          lastName: "Mitchell",
-          title: "Ms",
-        },
-        email: "sarah.mitchell@property-partners.co.uk",
-        organisation: "Property Partners",
-        externalIds: {
-          propertyPartnersId: "EA2024001",
-        },
-      });
+  if (flatType) {
+    const numberOfFloors = conveyancing?.FloorsInBlock || random.integer(3, 12);
+    tenure.block = {
+      numberOfFloors,
+      entranceFloor: conveyancing?.FloorLocated ?? random.integer(0, numberOfFloors - 1),
+      hasLift: conveyancing?.LiftProvided ?? numberOfFloors >= RELEVANT_BUILDING_FLOORS,
+      annualServiceCharge: conveyancing?.ServiceChargeAmount || random.integer(12, 36) * 100,
+      relevantBuilding: numberOfFloors >= RELEVANT_BUILDING_FLOORS,
+      higherRisk: numberOfFloors >= HIGHER_RISK_BUILDING_FLOORS,
+    };
+  }
+  return tenure;
+}
 
-      // Add people from sandbox data as sellers
-      people.forEach((person) => {
-        participants.push({
-          role: "Seller",
-          name: {
-            firstName: person.FirstName,
-            lastName: person.LastName,
-            title: person.Title,
-          },
-          dateOfBirth: person.DateOfBirth,
-          email: person.PersonalEmail || `${person.FirstName.toLowerCase()}.${person.LastName.toLowerCase()}@example.com`,
-          phone: person.MobileNumber ? `+44${person.MobileNumber.toString().substring(2)}` : "+447700900000",
-          address: {
-            line1: residence.AddressLine1,
-            town: residence.AddressTown,
-            postcode: residence.Postcode,
-          },
-          externalIds: {
-            sandboxPersonId: person.AgentId,
-          },
-        });
-      });
-      return participants;
-    },
+/**
+ * Generators the mapping files call with $generator, for values that need
+ * more than an expression. Each gets the mapping scope and { random }.
+ */
+const MAPPING_GENERATORS = {
+  // Asking price from the property's characteristics, with the qualifier agents use for its type
+  priceInformation: ({ residence, conveyancing }, { random }) => {
+    const basePrice = calculateRealisticPrice(residence, conveyancing, random);
+
+    let selectedQualifier = "Fixed price";
+    if (residence.PropertyType === "Detached") {
+      selectedQualifier = random.random() > 0.5 ? "Offers in excess of" : "Guide price";
+    } else if (residence.PropertyType === "Terraced") {
+      selectedQualifier = random.random() > 0.7 ? "Fixed price" : "Offers in region of";
+    }
 
-    // === PROPERTY PACK - ADDRESS & LOCATION ===
-    "/propertyPack/address": () => ({
-      line1: residence.AddressLine1,
-      line2: "",
-      town: residence.AddressTown,
-      county: residence.AddressTown === "MANCHESTER" ? "Greater Manchester" : "Cheshire",
-      postcode: residence.Postcode,
-    }),
-    "/propertyPack/location": () => ({
-      latitude: residence.AddressTown === "MANCHESTER" ? 53.4808 : 53.286316,
-      longitude: residence.AddressTown === "MANCHESTER" ? -2.2426 : -2.396151,
-    }),
-
-    // === ENERGY EFFICIENCY (COMPREHENSIVE) ===
-    "/propertyPack/energyEfficiency/certificateIsSupplied": () => "Attached",
-    "/propertyPack/energyEfficiency/certificate": () => ({
-      certificateNumber: `${residence.UPRN.substring(0, 4)}-${residence.UPRN.substring(4, 8)}-${residence.UPRN.substring(8, 12)}-${Date.now().toString().substring(-4)}`,
-      currentEnergyRating: residence.EPCCurrentClass,
-      currentEnergyEfficiency: residence.EPCCurrentScore,
-      potentialEnergyRating: conveyancing?.EPCPotentialClass || "B",
-      potentialEnergyEfficiency: conveyancing?.EPCPotentialScore || 84,
-      environmentImpactCurrent: residence.ImpactCurrentScore,
-      environmentImpactPotential: conveyancing?.ImpactPotentialScore || 68,
-      co2EmissionsCurrent: residence.CarbonEmissions,
-      co2EmissionsPotential: Math.max(1.2, residence.CarbonEmissions * 0.6),
-      totalFloorArea: residence.TotalArea,
-      propertyType: residence.PropertyType,
-      builtForm: residence.PropertyType,
-      numberHabitableRooms: residence.NumberOfBedrooms + residence.NumberOfLivingRooms,
-      numberHeatedRooms: residence.NumberOfBedrooms + residence.NumberOfLivingRooms,
-      mainFuel: residence.MainHeatingFuel === "Gas" ? "mains gas (not community)" : residence.MainHeatingFuel,
-      mainsGasFlag: residence.HasGas ? "Y" : "N",
-      energyConsumptionCurrent: Math.round(residence.EstimatedAnnualElectricityConsumption),
-      energyConsumptionPotential: Math.round(residence.EstimatedAnnualElectricityConsumption * 0.8),
-      heatingCostCurrent: Math.round(residence.EstimatedAnnualGasConsumption * 0.04),
-      heatingCostPotential: Math.round(residence.EstimatedAnnualGasConsumption * 0.025),
-      inspectionDate: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split("T")[0],
-    }),
-    "/propertyPack/energyEfficiency/greenDealLoan/hasGreenDealLoan/yesNo": () => "No",
-
-    // === BUILDING INFORMATION ===
-    "/propertyPack/buildInformation/internalArea": () => ({
-      area: residence.TotalArea,
-      unit: "square metres",
-    }),
-    "/propertyPack/buildInformation/building/propertyType": () => "House",
-    "/propertyPack/buildInformation/building/builtForm": () => residence.PropertyType,
-    "/propertyPack/buildInformation/roomDimensions": () => ({
-      attachments: "With agent",
-      hasFloorplan: true,
-    }),
-
-    // === HEATING SYSTEM ===
-    "/propertyPack/heating/heatingSystem/heatingType": () =>
-      residence.HasCentralHeating || residence.HasGas ? "Central heating" : "Electric heating",
-    "/propertyPack/heating/heatingSystem/centralHeatingDetails/centralHeatingFuel/centralHeatingFuelType": () => {
-      if (residence.MainHeatingFuel === "Gas") return "Mains gas";
-      if (residence.HasOil) return "Oil";
-      if (residence.HasLPG) return "LPG";
-      return residence.MainHeatingFuel;
-    },
-    "/propertyPack/heating/otherHeatingFeatures": () => {
-      const features = [];
-      if (residence.HasHeatPump) features.push("Heat pump");
-      if (residence.HasSolarPanels) features.push("Solar panels");
-      return features.length > 0 ? features : ["None"];
-    },
+    return {
+      price: basePrice,
+      priceQualifier: selectedQualifier,
+    };
+  },
+};
+
+let defaultMappings = null;
+
+/**
+ * Loads the mapping files in data/sandbox-mappings, once
+ * @return {Object} Result of loadSandboxMappings
+ */
+function getDefaultMappings() {
+  if (!defaultMappings) {
+    defaultMappings = loadSandboxMappings({ generators: Object.keys(MAPPING_GENERATORS) });
+  }
+  return defaultMappings;
+}
 
-    // === CONNECTIVITY ===
-    "/propertyPack/connectivity/broadband": () => ({
-      yesNo: residence.HasBroadband ? "Yes" : "No",
-      typeOfConnection: residence.HasBroadband ? "FTTP (Fibre to the Premises)" : undefined,
-    }),
-    "/propertyPack/connectivity/mobilePhone/predictedCoverage": () => ({
-      eeDataOutdoor: 4,
-      eeVoiceOutdoor: 4,
-      voDataOutdoor: 4,
-      voVoiceOutdoor: 4,
-      h3DataOutdoor: 4,
-      h3VoiceOutdoor: 4,
-      tfDataOutdoor: 4,
-      tfVoiceOutdoor: 4,
-    }),
-    "/propertyPack/connectivity/telephone": () => ({
-      yesNo: residence.HasTelephone ? "Yes" : "No",
-    }),
-    "/propertyPack/connectivity/cableSatelliteTV": () => ({
-      yesNo: residence.HasCableSatellite ? "Yes" : "No",
-    }),
-
-    // === LOCAL AUTHORITY & COUNCIL TAX ===
-    "/propertyPack/localAuthority/localAuthorityName": () => {
-      if (residence.AddressTown === "MANCHESTER") return "Manchester City Council";
-      if (residence.AddressTown === "ALTRINCHAM") return "Trafford Borough Council";
-      return "Local Authority";
-    },
-    "/propertyPack/localAuthority/countyCouncil": () => {
-      if (residence.AddressTown === "MANCHESTER") return "Greater Manchester Combined Authority";
-      return "Cheshire County Council";
-    },
-    "/propertyPack/localAuthority/districtCouncil": () => {
-      if (residence.AddressTown === "MANCHESTER") return "Manchester City Council";
-      return "Trafford Borough Council";
-    },
-    "/propertyPack/localAuthority/regulatedSearchTurnaroundTimeInWorkingDays": () => 10,
-    "/propertyPack/councilTax": () => ({
-      councilTaxBand: residence.CouncilTaxBand,
-      councilTaxAnnualCharge: residence.CouncilTaxBand === "F" ? 2135.86 :
-                              residence.CouncilTaxBand === "E" ? 1845.45 :
-                              residence.CouncilTaxBand === "D" ? 1555.04 : 1845.45,
-      councilTaxAnnualChargeTaxYear: "2024-2025",
-      councilTaxAffectingAlterations: { yesNo: "No" },
-    }),
-
-    // === ENVIRONMENTAL ISSUES (COMPREHENSIVE) ===
-    "/propertyPack/environmentalIssues/coalMining": () => ({
-      result: conveyancing?.IsMiningArea ? "Identified" : "Not identified",
-      summary: conveyancing?.IsMiningArea ? "Coal mining risk identified in area." : "No coal mining risk has been identified.",
-      riskIndicator: conveyancing?.IsMiningArea ? "Yes" : "No",
-      datasetAttribution: "Smart Data Challenge Sandbox Assessment",
-    }),
-    "/propertyPack/environmentalIssues/nonCoalMining": () => ({
-      result: "Not identified",
-      summary: "No non-coal mining risk has been identified.",
-      riskIndicator: "No",
-      datasetAttribution: "Smart Data Challenge Sandbox Assessment",
-    }),
-    "/propertyPack/environmentalIssues/coastalErosion": () => ({
-      result: "Not close to an area potentially affected by future coastal erosion.",
-      summary: "The property is not close to any area potentially impacted by coastal erosion.",
-      riskIndicator: "No",
-      actionAlertRating: 1,
-      datasetAttribution: "Smart Data Challenge Sandbox Assessment",
-    }),
-    "/propertyPack/environmentalIssues/flooding/floodRisk": () => ({
-      summary: "Flooding from rivers: Very low risk; Flooding from the sea: Very low risk",
-      riskSubcategories: [
-        {
-          result: conveyancing?.HadPreviousFlood ? "Medium risk" : "Very low risk",
-          summary: conveyancing?.HadPreviousFlood ? "Risk between 1% and 3.3% chance each year" : "Risk less than 0.1% chance each year",
-          subCategory: "Flooding from rivers",
-          actionAlertRating: conveyancing?.HadPreviousFlood ? 2 : 1,
-        },
-        {
-          result: "Very low risk",
-          summary: "Risk less than 0.1% chance each year",
-          subCategory: "Flooding from the sea",
-          actionAlertRating: 1,
-        },
-      ],
-      riskIndicator: conveyancing?.HadPreviousFlood ? "Yes" : "No",
-      actionAlertRating: conveyancing?.HadPreviousFlood ? 2 : 1,
-      datasetAttribution: "Smart Data Challenge Sandbox Assessment",
-    }),
-    "/propertyPack/environmentalIssues/flooding/historicalFlooding/hasBeenFlooded": () =>
-      conveyancing?.HadPreviousFlood ? "Yes" : "No",
-    "/propertyPack/environmentalIssues/radon/radonTest": () => ({
-      yesNo: "No",
-    }),
-    "/propertyPack/environmentalIssues/radon/remedialMeasuresOnConstruction": () => ({
-      yesNo: "No",
-    }),
-
-    // === TITLES & OWNERSHIP (COMPREHENSIVE) ===
-    "/propertyPack/titlesToBeSold": () => [{
-      titleNumber: `TF${residence.UPRN.substring(0, 6)}`,
-      titleIncludedInSale: true,
-    }],
-    "/propertyPack/titlesToBeSold/0/titleExtents": () => {
-      // Generate realistic GeoJSON polygon based on location
-      const baseLon = residence.AddressTown === "MANCHESTER" ? -2.2426 : -2.396151;
-      const baseLat = residence.AddressTown === "MANCHESTER" ? 53.4808 : 53.286316;
-      const offset = 0.0001;
-      return JSON.stringify({
-        type: "Polygon",
-        coordinates: [[
-          [baseLon - offset, baseLat - offset],
-          [baseLon + offset, baseLat - offset],
-          [baseLon + offset, baseLat + offset],
-          [baseLon - offset, baseLat + offset],
-          [baseLon - offset, baseLat - offset],
-        ]],
-      });
-    },
-    "/propertyPack/marketingTenure": () => "Freehold",
-    "/propertyPack/ownership/numberOfSellers": () => people.length,
-    "/propertyPack/ownership/ownershipsToBeTransferred/-": () => ({
-      ownershipType: "Freehold",
-      titleNumber: `TF${residence.UPRN.substring(0, 6)}`,
-      percentageOwned: 100,
-      owner: people.map((p) => ({
-        firstName: p.FirstName,
-        lastName: p.LastName,
-      })),
-    }),
-    "/propertyPack/legalOwners/namesOfLegalOwners": () =>
-      people.map((person) => ({
-        ownerType: "Private individual",
-        firstName: person.FirstName,
-        middleNames: person.SecondName || "",
-        lastName: person.LastName,
-      })),
-
-    // === DETAILED TITLE INFORMATION ===
-    "/propertyPack/titlesToBeSold/0/registerExtract": () => ({
-      ocSummaryData: {
-        documentDetails: {
-          document: [{
-            documentDate: conveyancing?.OwnerSince || "2019-01-01",
-            documentType: "60",
-            planOnlyIndicator: "false",
-            entryNumber: ["A1", "B1"],
-            registerDescription: "Transfer",
-          }],
-        },
-        officialCopyDateTime: new Date().toISOString(),
-        proprietorship: {
-          currentProprietorshipDate: conveyancing?.OwnerSince || "2019-01-01",
-          registeredProprietorParty: people.map((person) => ({
-            privateIndividual: {
-              name: {
-                forenamesName: person.FirstName,
-                surnameName: person.LastName,
-              },
-            },
-            address: {
-              postcodeZone: { postcode: residence.Postcode },
-              addressLine: { line: [residence.AddressLine1, residence.AddressTown] },
-            },
-          })),
-        },
-        propertyAddress: {
-          postcodeZone: { postcode: residence.Postcode },
-          addressLine: { line: [residence.AddressLine1, residence.AddressTown] },
-        },
-        editionDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split("T")[0],
-        title: {
-          titleNumber: `TF${residence.UPRN.substring(0, 6)}`,
-          commonholdIndicator: false,
-          classOfTitleCode: "10",
-          titleRegistrationDetails: {
-            postcodeZone: { postcode: residence.Postcode },
-            districtName: residence.AddressTown,
-            registrationDate: conveyancing?.OwnerSince || "2019-01-01",
-            administrativeArea: residence.AddressTown,
-            landRegistryOfficeName: residence.AddressTown === "MANCHESTER" ? "Manchester Office" : "Birkenhead Office",
-            latestEditionDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split("T")[0],
-          },
-        },
-        registerEntryIndicators: {
-          multipleChargeIndicator: false,
-          chargeeIndicator: false,
-          homeRightsIndicator: false,
-          leaseHoldTitleIndicator: false,
-          pricePaidIndicator: true,
-        },
-        pricePaidEntry: {
-          entryDetails: {
-            entryText: `The price stated to have been paid on ${conveyancing?.OwnerSince || "2019-01-01"} was £325000.`,
-            registrationDate: conveyancing?.OwnerSince || "2019-01-01",
-            infills: {
-              date: conveyancing?.OwnerSince || "2019-01-01",
-              amount: "£325000",
-            },
-            entryNumber: "1",
-            subRegisterCode: "B",
-          },
-        },
-      },
-      ocRegisterData: {
-        proprietorshipRegister: {
-          registerEntry: [{
-            entryType: "Proprietor",
-            entryText: `PROPRIETOR: ${people.map((p) => `${p.FirstName.toUpperCase()} ${p.LastName.toUpperCase()}`).join(" and ")} of ${residence.AddressLine1}, ${residence.AddressTown}, ${residence.Postcode}.`,
-            entryDate: conveyancing?.OwnerSince || "2019-01-01",
-            entryNumber: "1",
-          }],
-        },
-        propertyRegister: {
-          registerEntry: [{
-            entryType: "Property Description",
-            entryText: `The Freehold land shown edged with red on the plan of the above title filed at the Registry and being ${residence.AddressLine1}, ${residence.AddressTown} (${residence.Postcode}).`,
-            entryDate: conveyancing?.OwnerSince || "2019-01-01",
-            entryNumber: "1",
-          }],
-          districtDetails: {
-            entryText: residence.AddressTown,
-          },
-        },
-      },
-    }),
-    "/propertyPack/titlesToBeSold/0/documentAvailability": () => ({
-      titlePlan: {
-        availabilityCode: "IMMEDIATE",
-        availability: "available for immediate download",
-        type: "plan",
-        backdated: false,
-        typeCode: "TITLEPLAN",
-      },
-      titleStatus: "Title number is valid.",
-      titleNumber: `TF${residence.UPRN.substring(0, 6)}`,
-      applicationsPending: false,
-      titleStatusCode: "VALID",
-      referredToDocuments: [{
-        date: conveyancing?.OwnerSince || "2019-01-01",
-        availabilityCode: "IMMEDIATE",
-        availability: "available for immediate download",
-        type: "Transfer",
-        entryNumbers: ["A1", "B1"],
-        filedUnder: `TF${residence.UPRN.substring(0, 6)}`,
-        typeCode: "Transfer",
-      }],
-      register: {
-        availabilityCode: "IMMEDIATE",
-        availability: "available for immediate download",
-        type: "register",
-        backdated: false,
-        typeCode: "REGISTER",
-      },
-    }),
-    "/propertyPack/titlesToBeSold/0/keyFacts": () => ({
-      chargesAndFinancialBurdens: [],
-      relatedDocuments: [
-        `A transfer dated ${conveyancing?.OwnerSince || "2019-01-01"} showing the transfer of property ownership.`,
-      ],
-      legalOwners: people.map((p) => `${p.FirstName} ${p.LastName}`),
-      rightsOrEasements: [
-        "Standard property rights as detailed in the title register.",
-      ],
-      beneficialOwners: people.map((p) => `${p.FirstName} ${p.LastName}`),
-      restrictionsOrRestrictiveCovenants: [],
-      propertyAndLandDescription: `The property is the freehold (full ownership) of the land located at ${residence.AddressLine1}, ${residence.AddressTown}, with postcode ${residence.Postcode}. This means the owners own the land and property outright.`,
-      complexityScore: 1,
-    }),
-    "/propertyPack/titlesToBeSold/0/insights/restrictiveCovenants": () => ({
-      summary: "No significant restrictive covenants identified",
-      items: [],
-      riskLevel: "Low",
-    }),
-
-    // === ADDITIONAL DOCUMENTS ===
-    "/propertyPack/titlesToBeSold/0/additionalDocuments/-": () => [{
-      documentType: "Transfer",
-      documentDate: conveyancing?.OwnerSince || "2019-01-01",
-      documentReference: `TR-${residence.UPRN.substring(0, 8)}`,
-    }],
-
-    // === TYPE OF CONSTRUCTION ===
-    "/propertyPack/typeOfConstruction/isStandardForm": () => ({ yesNo: "Yes" }),
-    "/propertyPack/typeOfConstruction/buildingSafety": () => ({ yesNo: "No" }),
-    "/propertyPack/typeOfConstruction/accessibilityAndAdaptations": () => [],
-
-    // === UTILITIES - ELECTRICITY ===
-    "/propertyPack/electricity/mainsElectricity": () => ({
-      yesNo: residence.HasElectricity ? "Yes" : "No",
-      supplier: "British Gas",
-      electricityMeter: {
-        type: residence.HasSmartMeter ? "Smart meter" : "Standard meter",
-        location: "External meter box",
-      },
-    }),
-    "/propertyPack/electricity/mainsElectricity/supplier": () => "British Gas",
-    "/propertyPack/electricity/mainsElectricity/electricityMeter": () => ({
-      type: residence.HasSmartMeter ? "Smart meter" : "Standard meter",
-      location: "External meter box",
-    }),
-    "/propertyPack/electricity/solarPanels": () => ({
-      yesNo: residence.HasSolarPanels ? "Yes" : "No",
-    }),
-    "/propertyPack/electricity/heatPump": () => ({
-      yesNo: residence.HasHeatPump ? "Yes" : "No",
-    }),
-    "/propertyPack/electricity/otherSources": () => ({
-      yesNo: residence.HasLPG || residence.HasOil ? "Yes" : "No",
-    }),
-
-    // === UTILITIES - WATER & DRAINAGE ===
-    "/propertyPack/waterAndDrainage/water": () => ({
-      mainsWater: {
-        yesNo: conveyancing?.HasMainsWater ? "Yes" : "No",
-        supplier: "United Utilities",
-        waterMeter: {
-          isSupplyMetered: residence.HasSmartMeter ? "Yes" : "No",
-          location: "Front garden",
-        },
-        stopcock: {
-          location: "Under kitchen sink",
-        },
-      },
-    }),
-    "/propertyPack/waterAndDrainage/water/mainsWater/waterMeter": () => ({
-      isSupplyMetered: residence.HasSmartMeter ? "Yes" : "No",
-      location: "Front garden",
-    }),
-    "/propertyPack/waterAndDrainage/water/mainsWater/waterMeter/location": () => "Front garden",
-    "/propertyPack/waterAndDrainage/water/mainsWater/supplier": () => "United Utilities",
-    "/propertyPack/waterAndDrainage/water/mainsWater/stopcock": () => ({
-      location: "Under kitchen sink",
-    }),
-    "/propertyPack/waterAndDrainage/drainage": () => ({
-      mainsSurfaceWaterDrainage: { yesNo: conveyancing?.HasDrainage ? "Yes" : "No" },
-      mainsFoulDrainage: {
-        yesNo: conveyancing?.HasFoulDrainage ? "Yes" : "No",
-        supplier: "United Utilities",
-      },
-    }),
-    "/propertyPack/waterAndDrainage/drainage/mainsSurfaceWaterDrainage/yesNo": () =>
-      conveyancing?.HasDrainage ? "Yes" : "No",
-    "/propertyPack/waterAndDrainage/drainage/mainsFoulDrainage": () => ({
-      yesNo: conveyancing?.HasFoulDrainage ? "Yes" : "No",
-      nonMainsFoulDrainage: conveyancing?.HasSepticTank ? "Septic tank" : undefined,
-    }),
-    "/propertyPack/waterAndDrainage/drainage/mainsFoulDrainage/supplier": () => "United Utilities",
-
-    // === PARKING ===
-    "/propertyPack/parking/parkingArrangements": () => {
-      if (residence.PropertyType === "Detached") return ["Driveway", "Garage"];
-      if (conveyancing?.ControlledParking) return ["Residents permit"];
-      return ["On-street"];
+/**
+ * Builds PDTF claims for a sandbox property from the mapping files. Paths
+ * are built in the order of the Moverly template, with the essential ones
+ * first; mapped paths the template doesn't have follow in mapping file order.
+ * @param {Object} sandboxData - Sandbox property with residence, people and conveyancing
+ * @param {string} transactionId - Transaction the claims belong to
+ * @param {Object} options - Build options
+ * @param {string|number} options.seed - Seed for IDs, digests and price variation
+ * @param {string|Date} options.baseTime - When the transaction started; claim times are
+ *   spread across CLAIM_PHASES from here
+ * @param {Object} options.context - Build context to share with other builds, instead of seed and baseTime
+ * @param {Object} options.mappings - Loaded mappings to use instead of data/sandbox-mappings
+ * @return {Promise<Array>} Claims in Moverly's structure
+ */
+async function buildClaimsFromSandboxPropertyV3(sandboxData, transactionId, options = {}) {
+  const claims = [];
+  const { residence, people, conveyancing, land_registry: landRegistry } = sandboxData;
+  const context = options.context || createBuildContext(options);
+  const mappings = options.mappings || getDefaultMappings();
+  const tenure = describeTenure(sandboxData, context);
+  // The register was pulled on the morning of the OC2 phase
+  const officialCopyDateTime = new Date(context.phaseStart("oc2").getTime() + 8 * 60 * 60 * 1000);
+
+  const scope = createMappingScope(mappings, {
+    residence,
+    people,
+    conveyancing,
+    landRegistry,
+    tenure,
+    lease: tenure.lease,
+    block: tenure.block,
+    firstSeller: people[0],
+    dates: {
+      baseTimeMs: context.baseTime.getTime(),
+      inspection: daysBefore(context.baseTime, 90),
+      officialCopy: officialCopyDateTime.toISOString(),
+      edition: daysBefore(officialCopyDateTime, 30),
+      demandFrom: daysBefore(context.baseTime, 365),
+      demandTo: daysBefore(context.baseTime, 1),
+      twoYearsAgo: daysBefore(context.baseTime, 2 * 365),
     },
-    "/propertyPack/parking/disabledParking": () => ({ yesNo: "No" }),
-    "/propertyPack/parking/controlledParking": () => ({
-      yesNo: conveyancing?.ControlledParking ? "Yes" : "No",
-    }),
-    "/propertyPack/parking/electricVehicleChargingPoint": () => ({ yesNo: "No" }),
-
-    // === LISTING & CONSERVATION ===
-    "/propertyPack/listingAndConservation/isListed": () => ({
-      yesNo: conveyancing?.ListedBuilding ? "Yes" : "No",
-    }),
-    "/propertyPack/listingAndConservation/isConservationArea": () => ({
-      yesNo: conveyancing?.ConservationArea ? "Yes" : "No",
-    }),
-    "/propertyPack/listingAndConservation/hasTreePreservationOrder": () => ({
-      yesNo: conveyancing?.TreesProtected ? "Yes" : "No",
-    }),
-
-    // === RIGHTS & ARRANGEMENTS (COMPREHENSIVE) ===
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements": () => ({
-      publicRightOfWay: { yesNo: "No" },
-      rightsOfLight: { yesNo: "No" },
-      rightsOfSupport: { yesNo: "No" },
-      rightsCreatedThroughCustom: { yesNo: "No" },
-      rightsToTakeFromLand: { yesNo: "No" },
-      minesAndMinerals: { yesNo: "No" },
-      churchChancel: { yesNo: "No" },
-      otherRights: { yesNo: "No" },
-    }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/rightsOfLight": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/rightsOfSupport": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/rightsCreatedThroughCustom": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/rightsToTakeFromLand": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/minesAndMinerals": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/churchChancel": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/rightsOrArrangements/otherRights": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/sharedContributions": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/neighbouringLandRights": () => ({ yesNo: "No" }),
-    "/propertyPack/rightsAndInformalArrangements/accessRestrictionAttempts": () => ({ yesNo: "No" }),
-
-    // === SERVICES CROSSING ===
-    "/propertyPack/servicesCrossing/pipesWiresCablesDrainsToProperty": () => ({ yesNo: "Yes" }),
-    "/propertyPack/servicesCrossing/pipesWiresCablesDrainsFromProperty": () => ({ yesNo: "No" }),
-    "/propertyPack/servicesCrossing/formalOrInformalAgreements": () => ({ yesNo: "No" }),
-
-    // === NOTICES (COMPREHENSIVE) ===
-    "/propertyPack/notices/planningApplication/yesNo": () => "No",
-    "/propertyPack/notices/neighbourDevelopment": () => ({ yesNo: "No" }),
-    "/propertyPack/notices/requiredMaintenance": () => ({ yesNo: "No" }),
-    "/propertyPack/notices/listedBuildingApplication": () => ({ yesNo: "No" }),
-    "/propertyPack/notices/infrastructureProject": () => ({ yesNo: "No" }),
-    "/propertyPack/notices/partyWallAct": () => ({ yesNo: "No" }),
-    "/propertyPack/notices/otherNotices": () => ({ yesNo: "No" }),
-
-    // === LEGAL BOUNDARIES ===
-    "/propertyPack/legalBoundaries/ownership": () => ({
-      areBoundariesUniform: "Yes",
-      uniformBoundaries: {
-        rear: "Shared",
-        left: "Seller",
-        right: "Shared",
-        front: "Highway",
-      },
-    }),
-    "/propertyPack/legalBoundaries/haveBoundaryFeaturesMoved": () => ({ yesNo: "No" }),
-    "/propertyPack/legalBoundaries/adjacentLandIncluded": () => ({ yesNo: "No" }),
-    "/propertyPack/legalBoundaries/flyingFreehold": () => ({ yesNo: "No" }),
-
-    // === DISPUTES & COMPLAINTS ===
-    "/propertyPack/disputesAndComplaints/hasDisputesAndComplaints": () => ({
-      yesNo: conveyancing?.HasDispute ? "Yes" : "No",
-    }),
-    "/propertyPack/disputesAndComplaints/leadingToDisputesAndComplaints": () => ({ yesNo: "No" }),
-
-    // === ALTERATIONS & CHANGES (COMPREHENSIVE) ===
-    "/propertyPack/alterationsAndChanges/hasStructuralAlterations": () => ({
-      yesNo: conveyancing?.HasAlteration ? "Yes" : "No",
-      buildingRegApproval: conveyancing?.HasAlteration ? "BR-2024-001" : "N/A",
-      details: conveyancing?.HasAlteration ? "Minor internal modifications to kitchen layout" : "No structural alterations",
-      planningPermission: conveyancing?.HasAlteration ? "PP-2024-001" : "Not required",
-    }),
-    "/propertyPack/alterationsAndChanges/changeOfUse": () => ({ yesNo: "No" }),
-    "/propertyPack/alterationsAndChanges/windowReplacementsSince2002": () => ({ yesNo: conveyancing?.Windows > 1 ? "Yes" : "No" }),
-    "/propertyPack/alterationsAndChanges/hasAddedConservatory": () => ({ yesNo: conveyancing?.Conservatories > 1 ? "Yes" : "No" }),
-    "/propertyPack/alterationsAndChanges/worksUnfinished": () => ({ yesNo: "No" }),
-    "/propertyPack/alterationsAndChanges/planningPermissionBreaches": () => ({ yesNo: "No" }),
-    "/propertyPack/alterationsAndChanges/unresolvedPlanningIssues": () => ({ yesNo: "No" }),
-
-    // === GUARANTEES & WARRANTIES (COMPREHENSIVE) ===
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/hasValidGuaranteesOrWarranties": () =>
-      conveyancing && (conveyancing.ConstructionYear > 2010) ? "Yes" : "No",
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/newHomeWarranty": () => ({
-      yesNo: conveyancing?.IsNewBuild ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/roofingWork": () => ({ yesNo: conveyancing?.Roofing > 1 ? "Yes" : "No" }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/dampProofingTreatment": () => ({
-      yesNo: conveyancing?.Dampness ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/timberRotOrInfestationTreatment": () => ({ yesNo: "No" }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/centralHeatingAndorPlumbing": () => ({
-      yesNo: conveyancing?.HeatingHotWater > 1 ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/doubleGlazing": () => ({
-      yesNo: conveyancing?.Windows > 1 ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/electricalRepairOrInstallation": () => ({
-      yesNo: conveyancing?.Electricity > 1 ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/subsidenceWork": () => ({
-      yesNo: conveyancing?.StructuralMovement > 1 ? "Yes" : "No",
-    }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/otherGuarantees": () => ({ yesNo: "No" }),
-    "/propertyPack/guaranteesWarrantiesAndIndemnityInsurances/outstandingClaimsOrApplications": () => ({ yesNo: "No" }),
-
-    // === INSURANCE ===
-    "/propertyPack/insurance/isInsured": () => "Yes",
-    "/propertyPack/insurance/insuranceClaims": () => ({ yesNo: "No" }),
-    "/propertyPack/insurance/difficultiesObtainingInsurance": () => ({ yesNo: "No" }),
-
-    // === SPECIALIST ISSUES ===
-    "/propertyPack/specialistIssues/japaneseKnotweed/yesNo": () =>
-      conveyancing?.HasJapaneseKnotweed ? "Yes" : "No",
-    "/propertyPack/specialistIssues/asbestos/yesNo": () =>
-      conveyancing?.HasAsbestos ? "Yes" : "No",
-    "/propertyPack/specialistIssues/dryRot/yesNo": () =>
-      conveyancing?.HasDryRotPrevention ? "Yes" : "No",
-
-    // === ELECTRICAL WORKS ===
-    "/propertyPack/electricalWorks/testedByQualifiedElectrician": () => ({ yesNo: "Yes" }),
-    "/propertyPack/electricalWorks/electricalWorkSince2005": () => ({
-      yesNo: conveyancing?.Electricity > 1 ? "Yes" : "No",
-    }),
-
-    // === LOCAL SEARCHES ===
-    "/propertyPack/localSearches/localAuthoritySearches/planningAndBuildingRegulations/decisionsAndPendingApplications/planningPermission": () => [],
-
-    // === ADDITIONAL INFORMATION ===
-    "/propertyPack/additionalInformation/otherCharges/yesNo": () => "No",
-
-    // === OCCUPIERS ===
-    "/propertyPack/occupiers/sellerLivesAtProperty": () => ({
-      yesNo: conveyancing?.IsOccupied ? "Yes" : "No",
-    }),
-    "/propertyPack/occupiers/othersAged17OrOver": () => ({ yesNo: "No" }),
-
-    // === COMPLETION & MOVING ===
-    "/propertyPack/completionAndMoving/sellerWillEnsure": () => ({
-      clearOfPersonalItems: true,
-      clearOfDebris: true,
-      reasonableDecorative: true,
-    }),
-    "/propertyPack/completionAndMoving/otherPropertyInChain": () => ({ yesNo: "No" }),
-    "/propertyPack/completionAndMoving/moveRestrictionDates": () => ({ yesNo: "No" }),
-    "/propertyPack/completionAndMoving/sufficientToRepayAllMortgages": () => ({ yesNo: "Yes" }),
-
-    // === DOCUMENTS ===
-    "/propertyPack/documents/-": () => [{
-      documentType: "Floorplan",
-      documentId: `FP-${residence.ResidenceId}`,
-    }, {
-      documentType: "Brochure",
-      documentId: `BR-${residence.ResidenceId}`,
-    }],
-    "/propertyPack/documents/0/documentType": () => "Floorplan",
-    "/propertyPack/documents/1/documentType": () => "Brochure",
-    "/propertyPack/documents/0/alterationsInsights": () => ({
-      hasAlterations: conveyancing?.HasAlteration || false,
-      summary: "No significant alterations identified",
-    }),
-    "/propertyPack/documents/1/alterationsInsights": () => [],
-    "/propertyPack/documents/0/transcription": () => ({
-      rawText: `Property: ${residence.AddressLine1}, ${residence.AddressTown}\nFloor Plan - ${residence.PropertyType} property with ${residence.NumberOfBedrooms} bedrooms`,
-      processedText: "Standard floor plan layout",
-    }),
-
-    // === TITLE DOCUMENTS TRANSCRIPTION ===
-    "/propertyPack/titlesToBeSold/0/additionalDocuments/0/transcription": () => ({
-      rawText: `Transfer dated ${conveyancing?.OwnerSince || "2019-01-01"}`,
-      processedText: "Standard property transfer document",
-    }),
-    "/propertyPack/titlesToBeSold/0/additionalDocuments/1/transcription": () => ({
-      rawText: "Property register extract",
-      processedText: "Standard register entry",
-    }),
-    "/propertyPack/titlesToBeSold/0/additionalDocuments/2/transcription": () => ({
-      rawText: "Title plan",
-      processedText: "Standard title plan showing property boundaries",
-    }),
-
-    // === FINAL CONFIRMATIONS ===
-    "/propertyPack/confirmationOfAccuracyByOwners/confirmInformationIsAccurate": () => true,
-  };
+  });
+  const helpers = { random: context.random, generators: MAPPING_GENERATORS };
+
+  // Load Moverly claims as template
+  const moverlyClaims = JSON.parse(await fs.readFile(MOVERLY_TEMPLATE_PATH, "utf8"));
 
   // Add essential claims that should appear early, regardless of Moverly template
   const essentialPaths = [
@@ -834,298 +389,213 @@ async function buildClaimsFromSandboxPropertyV3(sandboxData, transactionId) {
     "/propertyPack/uprn",
     "/status",
   ];
+  const templatePaths = moverlyClaims.flatMap((moverlyClaim) => Object.keys(moverlyClaim.claims));
+  const orderedPaths = [...new Set([...essentialPaths, ...templatePaths, ...mappings.byPath.keys()])];
 
-  const processedPaths = new Set();
-
-  // Process essential paths first
-  for (const essentialPath of essentialPaths) {
-    if (pathMappings[essentialPath]) {
-      try {
-        const sandboxValue = pathMappings[essentialPath]();
-        const evidence = generateEvidenceForPath(essentialPath, people);
-
-        claims.push(createClaim(essentialPath, sandboxValue, evidence, transactionId));
-        processedPaths.add(essentialPath);
-      } catch (error) {
-        console.error(`Error processing essential path ${essentialPath}:`, error.message);
-      }
-    }
-  }
-
-  // Process all claims using the comprehensive mappings
-  for (const moverlyClaim of moverlyClaims) {
-    const claimPaths = Object.keys(moverlyClaim.claims);
-
-    for (const claimPath of claimPaths) {
-      // Skip if already processed
-      if (processedPaths.has(claimPath)) continue;
+  for (const claimPath of orderedPaths) {
+    const mapping = mappings.byPath.get(claimPath);
+    if (!mapping || !isMappingActive(mappings, mapping, scope)) continue;
 
-      // Check if we have a mapping for this path
-      if (pathMappings[claimPath]) {
-        try {
-          const sandboxValue = pathMappings[claimPath]();
-
-          // Determine evidence type based on claim path
-          const evidence = generateEvidenceForPath(claimPath, people);
-
-          // Handle array paths (ending with -)
-          if (claimPath.endsWith("-")) {
-            const values = Array.isArray(sandboxValue) ? sandboxValue : [sandboxValue];
-            values.forEach((value) => {
-              const valueEvidence = claimPath.includes("participants") ?
-                generateParticipantEvidence(value, people) : evidence;
-              claims.push(createClaim(claimPath, value, valueEvidence, transactionId));
-            });
-          } else {
-            claims.push(createClaim(claimPath, sandboxValue, evidence, transactionId));
-          }
+    try {
+      const sandboxValue = evaluate(mapping.value, scope, helpers);
 
-          processedPaths.add(claimPath);
-        } catch (error) {
-          console.error(`Error processing path ${claimPath}:`, error.message);
-        }
-      }
+      // Array paths (ending with -) take one claim per item
+      const values = claimPath.endsWith("-") && Array.isArray(sandboxValue) ? sandboxValue : [sandboxValue];
+      values.forEach((value) => {
+        const evidence = resolveEvidence(mappings, claimPath, value, scope, helpers);
+        claims.push(createClaim(claimPath, value, evidence, transactionId, context));
+      });
+    } catch (error) {
+      console.error(`Error processing path ${claimPath} (${mapping.file}):`, error.message);
     }
   }
 
   return claims;
 }
 
-// Generate appropriate evidence based on claim path
-function generateEvidenceForPath(claimPath, people) {
-  if (claimPath.includes("energyEfficiency/certificate")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Energy Performance Certificate obtained from https://find-energy-certificate.service.gov.uk/",
-        },
-      },
-      attachments: [{
-        digest: {
-          alg: "md5",
-          value: crypto.randomBytes(16).toString("base64"),
-        },
-        url: "https://find-energy-certificate.service.gov.uk/energy-certificate/synthetic-cert",
-        desc: "Energy Performance Certificate from GOV.UK",
-      }],
-    };
-  }
+const SANDBOX_DIR = path.join(__dirname, "../data/sandbox-properties");
+const OUTPUT_DIR = path.join(__dirname, "../data/sandbox-claims-v3");
+const GOLDEN_DIR = path.join(__dirname, "../data/sandbox-claims-golden");
+const PHASES_DIR = path.join(__dirname, "../data/sandbox-claims-phases");
+// Kept apart from OUTPUT_DIR, which the local adapter serves: a seeded
+// scenario build shares its claim IDs with the unpatched build
+const SCENARIOS_DIR = path.join(__dirname, "../data/sandbox-claims-scenarios");
+
+/**
+ * Names the output of a build, adding any scenarios to the property slug
+ * @param {string} filename - Sandbox property file name
+ * @param {Array<string>} scenarios - Scenario IDs applied, if any
+ * @return {string} e.g. "59-hawkley-gardens" or "59-hawkley-gardens+second-charge"
+ */
+function outputSlug(filename, scenarios = []) {
+  return [filename.replace(".json", ""), ...scenarios].join("+");
+}
 
-  if (claimPath.includes("councilTax")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Council Tax information obtained from the Valuation Office Agency",
-        },
-      },
-      attachments: [{
-        digest: {
-          alg: "md5",
-          value: crypto.randomBytes(16).toString("base64"),
-        },
-        url: "https://www.tax.service.gov.uk/check-council-tax-band/property/synthetic",
-        desc: "Council Tax band on GOV.UK",
-      }],
-    };
+/**
+ * Loads a sandbox property and builds a transaction's claims for it, taking
+ * the transaction ID from the same build context as the claims
+ * @param {string} propertyAddress - Address or file name slug, e.g. "59 Hawkley Gardens"
+ * @param {Object} options - { seed, baseTime } as for buildClaimsFromSandboxPropertyV3, and
+ *   scenarios, a list of sandbox-scenarios IDs to plant in the claims
+ * @return {Promise<Object>} { filename, sandboxData, transactionId, claims, context, manifest }
+ *   where manifest lists the planted scenarios and is null when there are none
+ */
+async function buildSandboxTransaction(propertyAddress, options = {}) {
+  const filename = propertyAddress.toLowerCase().replace(/[^a-z0-9]+/g, "-") + ".json";
+  const sandboxData = JSON.parse(await fs.readFile(path.join(SANDBOX_DIR, filename), "utf8"));
+  const context = createBuildContext(options);
+  const transactionId = context.claimId();
+  const built = await buildClaimsFromSandboxPropertyV3(sandboxData, transactionId, { context });
+  if (!options.scenarios?.length) {
+    return { filename, sandboxData, transactionId, claims: built, context, manifest: null };
   }
+  const { claims, manifest } = applyScenarios(built, options.scenarios);
+  return { filename, sandboxData, transactionId, claims, context, manifest };
+}
 
-  if (claimPath.includes("connectivity/")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Coverage retrieved from Ofcom Connected Nations APIs",
-        },
+/**
+ * Splits a transaction's claims into CLAIM_PHASES, closing each phase with a
+ * /milestones claim that carries every milestone reached so far, so pushing
+ * the phases in order shows the transaction progressing
+ * @param {Array} claims - Claims from buildClaimsFromSandboxPropertyV3
+ * @param {Object} context - The build context the claims were built with
+ * @return {Array} { phase, label, claims } for each phase that has claims, in order
+ */
+function splitClaimsIntoPhases(claims, context) {
+  const milestones = {};
+  const evidence = {
+    type: "vouch",
+    verification_method: {
+      type: "auth",
+    },
+    attestation: {
+      type: "digital_attestation",
+      voucher: {
+        name: "Property Partners",
       },
-    };
-  }
+    },
+  };
 
-  if (claimPath.includes("localAuthority")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Local council information retrieved from https://www.gov.uk/find-local-council",
-        },
-      },
-    };
-  }
+  return CLAIM_PHASES.map((phase) => {
+    const phaseClaims = claims.filter((claim) => {
+      const [claimPath] = Object.keys(claim.claims);
+      return getClaimPhase(claimPath, claim.verification.evidence[0]) === phase.id;
+    });
+    if (phaseClaims.length === 0) {
+      return null;
+    }
 
-  if (claimPath.includes("titlesToBeSold") || claimPath.includes("ownership") || claimPath.includes("registerExtract") || claimPath.includes("documentAvailability")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "HMLR Register Extract Service",
-        },
-      },
-      attachments: [{
-        digest: {
-          alg: "md5",
-          value: crypto.randomBytes(16).toString("base64"),
-        },
-        url: "https://landregistry.data.gov.uk/synthetic-extract",
-        desc: "Register Extract from HMLR",
-      }],
-    };
-  }
+    const times = phaseClaims.map((claim) => claim.verification.time).sort();
+    const milestoneClaim = createClaim("/milestones", null, evidence, phaseClaims[0].transactionId, context, phase.id);
+    const ends = { start: times[0], end: milestoneClaim.verification.time };
+    for (const [milestone, field, when] of PHASE_MILESTONES[phase.id] || []) {
+      milestones[milestone] = {
+        ...milestones[milestone],
+        [field]: typeof when === "number" ?
+          new Date(new Date(ends.end).getTime() + when * DAY_MS).toISOString() :
+          ends[when],
+      };
+    }
+    milestoneClaim.claims["/milestones"] = structuredClone(milestones);
 
-  if (claimPath.includes("environmentalIssues/flooding")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Environment Agency Long-term Flood Risk service",
-        },
-      },
-      attachments: [{
-        digest: {
-          alg: "md5",
-          value: crypto.randomBytes(16).toString("base64"),
-        },
-        url: "https://check-long-term-flood-risk.service.gov.uk/synthetic-report",
-        desc: "Environment Agency flood risk report",
-      }],
-    };
-  }
+    return { phase: phase.id, label: phase.label, claims: [...phaseClaims, milestoneClaim] };
+  }).filter(Boolean);
+}
 
-  if (claimPath.includes("environmentalIssues")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Environmental risk assessment - Smart Data Challenge Sandbox",
-        },
-      },
-    };
+/**
+ * Writes a sandbox property's transaction as one claims file per lifecycle
+ * phase, named so they sort in order (e.g. 01-initial-mi.json)
+ * @param {string} propertyAddress - Address or file name slug, e.g. "91 South Hill Avenue 142222"
+ * @param {Object} options - { seed, baseTime } to make the output reproducible,
+ *   scenarios to plant, and outputDir to write somewhere other than
+ *   data/sandbox-claims-phases/<property>
+ * @return {Promise<Object>} { transactionId, outputDir, phases, manifestPath } where
+ *   phases are { phase, label, file, claims } with claims the number written
+ */
+async function generatePhasedClaimsFiles(propertyAddress, options = {}) {
+  const { filename, transactionId, claims, context, manifest } = await buildSandboxTransaction(propertyAddress, options);
+  const outputDir = options.outputDir || path.join(PHASES_DIR, outputSlug(filename, options.scenarios));
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Not named like a phase file, so replay-transaction skips it
+  let manifestPath = null;
+  if (manifest) {
+    manifestPath = path.join(outputDir, "expected-outcomes.json");
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
   }
 
-  if (claimPath.includes("location")) {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Address coordinates obtained from Ordnance Survey API",
-        },
-      },
-    };
+  const phases = [];
+  for (const [index, phase] of splitClaimsIntoPhases(claims, context).entries()) {
+    const file = path.join(outputDir, `${String(index + 1).padStart(2, "0")}-${phase.phase}.json`);
+    await fs.writeFile(file, JSON.stringify(phase.claims, null, 2));
+    phases.push({ phase: phase.phase, label: phase.label, file, claims: phase.claims.length });
   }
+  return { transactionId, outputDir, phases, manifestPath };
+}
 
-  if (claimPath.includes("priceInformation")) {
-    const firstSeller = people[0];
-    return {
-      type: "vouch",
-      verification_method: {
-        type: "auth",
-      },
-      attestation: {
-        type: "digital_attestation",
-        voucher: {
-          name: `${firstSeller.FirstName} ${firstSeller.LastName}`,
-        },
-      },
-    };
+/**
+ * Rebuilds every bundled sandbox property with its golden seed and base time
+ * and compares the result with its committed golden file
+ * @param {Object} options - Options
+ * @param {boolean} options.update - Rewrite the committed files instead of comparing
+ * @return {Promise<Array>} One { file, identical, firstDifference } entry per property
+ */
+async function verifyGoldenClaims({ update = false } = {}) {
+  const files = (await fs.readdir(SANDBOX_DIR)).filter((file) => file.endsWith(".json")).sort();
+  const results = [];
+  if (update) {
+    await fs.mkdir(GOLDEN_DIR, { recursive: true });
   }
 
-  // Seller attestation for personal/property details
-  if (
-    claimPath.includes("alterationsAndChanges") ||
-    claimPath.includes("guaranteesWarrantiesAndIndemnityInsurances") ||
-    claimPath.includes("insurance") ||
-    claimPath.includes("electricity/") ||
-    claimPath.includes("waterAndDrainage/") ||
-    claimPath.includes("heating/") ||
-    claimPath.includes("parking/") ||
-    claimPath.includes("listingAndConservation/") ||
-    claimPath.includes("rightsAndInformalArrangements/") ||
-    claimPath.includes("notices/") ||
-    claimPath.includes("legalBoundaries/") ||
-    claimPath.includes("disputesAndComplaints/") ||
-    claimPath.includes("specialistIssues/") ||
-    claimPath.includes("electricalWorks/") ||
-    claimPath.includes("occupiers/") ||
-    claimPath.includes("completionAndMoving/") ||
-    claimPath.includes("confirmationOfAccuracyByOwners/") ||
-    claimPath === "/status"
-  ) {
-    const firstSeller = people[0];
-    return {
-      type: "vouch",
-      verification_method: {
-        type: "auth",
-      },
-      attestation: {
-        type: "digital_attestation",
-        voucher: {
-          name: `${firstSeller.FirstName} ${firstSeller.LastName}`,
-        },
-      },
-    };
-  }
+  for (const file of files) {
+    const slug = file.replace(".json", "");
+    const { claims } = await buildSandboxTransaction(slug, { seed: slug, baseTime: GOLDEN_BASE_TIME });
+    const goldenPath = path.join(GOLDEN_DIR, `${slug}-claims.json`);
+    const rendered = JSON.stringify(claims, null, 2);
 
-  // Default to electronic record
-  return {
-    type: "electronic_record",
-    record: {
-      source: {
-        name: "Property data verification service - Smart Data Challenge Sandbox",
-      },
-    },
-  };
-}
+    if (update) {
+      await fs.writeFile(goldenPath, rendered);
+      results.push({ file: path.basename(goldenPath), identical: true, firstDifference: null });
+      continue;
+    }
 
-// Generate participant-specific evidence
-function generateParticipantEvidence(participant, people) {
-  if (participant.role === "Estate Agent") {
-    return {
-      type: "electronic_record",
-      record: {
-        source: {
-          name: "Property Partners Estate Agents - Professional Services Registry",
-        },
-      },
-    };
-  } else {
-    const firstSeller = people[0];
-    return {
-      type: "vouch",
-      verification_method: {
-        type: "auth",
-      },
-      attestation: {
-        type: "digital_attestation",
-        voucher: {
-          name: `${firstSeller.FirstName} ${firstSeller.LastName}`,
-        },
-      },
-    };
+    const golden = await fs.readFile(goldenPath, "utf8").catch(() => null);
+    let firstDifference = null;
+    if (golden === null) {
+      firstDifference = "missing golden file";
+    } else if (golden !== rendered) {
+      const expected = golden ? JSON.parse(golden) : [];
+      const index = claims.findIndex((claim, i) => JSON.stringify(claim) !== JSON.stringify(expected[i]));
+      firstDifference = index === -1 ?
+        `claim count ${claims.length} vs ${expected.length}` :
+        `claim ${index} (${Object.keys(claims[index].claims)[0]})`;
+    }
+    results.push({ file: path.basename(goldenPath), identical: firstDifference === null, firstDifference });
   }
+  return results;
 }
 
-// Main function to generate claims file
-async function generateClaimsFileV3(propertyAddress) {
-  const sandboxDir = path.join(__dirname, "../data/sandbox-properties");
-  const outputDir = path.join(__dirname, "../data/sandbox-claims-v3");
+/**
+ * Generates the claims and summary files for a sandbox property
+ * @param {string} propertyAddress - Address or file name slug, e.g. "59 Hawkley Gardens"
+ * @param {Object} options - { seed, baseTime } to make the output reproducible,
+ *   scenarios to plant, and outputDir to write somewhere other than
+ *   data/sandbox-claims-v3 (data/sandbox-claims-scenarios with scenarios)
+ * @return {Promise<Object>} { claims, summary, claimsPath, manifestPath }
+ */
+async function generateClaimsFileV3(propertyAddress, options = {}) {
+  const outputDir = options.outputDir || (options.scenarios?.length ? SCENARIOS_DIR : OUTPUT_DIR);
 
   try {
-    // Load sandbox property data
-    const filename = propertyAddress.toLowerCase().replace(/[^a-z0-9]+/g, "-") + ".json";
-    const sandboxPath = path.join(sandboxDir, filename);
-    const sandboxData = JSON.parse(await fs.readFile(sandboxPath, "utf8"));
-
-    // Generate transaction ID
-    const transactionId = generateClaimId();
-
-    // Build comprehensive claims
-    const claims = await buildClaimsFromSandboxPropertyV3(sandboxData, transactionId);
+    // Build comprehensive claims for the sandbox property
+    const { filename, sandboxData, transactionId, claims, manifest } = await buildSandboxTransaction(propertyAddress, options);
+    const slug = outputSlug(filename, options.scenarios);
 
     // Create output directory
     await fs.mkdir(outputDir, { recursive: true });
 
     // Save claims
-    const claimsPath = path.join(outputDir, `${filename.replace(".json", "")}-claims.json`);
+    const claimsPath = path.join(outputDir, `${slug}-claims.json`);
     await fs.writeFile(claimsPath, JSON.stringify(claims, null, 2));
     console.log(`✓ Claims saved to ${claimsPath}`);
     console.log(`  - Total claims: ${claims.length}`);
@@ -1164,61 +634,128 @@ async function generateClaimsFileV3(propertyAddress) {
       },
     };
 
-    const summaryPath = path.join(outputDir, `${filename.replace(".json", "")}-summary.json`);
+    const summaryPath = path.join(outputDir, `${slug}-summary.json`);
     await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
     console.log(`✓ Summary saved to ${summaryPath}`);
 
-    return { claims, summary };
+    let manifestPath = null;
+    if (manifest) {
+      manifestPath = path.join(outputDir, `${slug}-expected-outcomes.json`);
+      await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+      console.log(`✓ Expected outcomes for ${manifest.scenarios.map((scenario) => scenario.id).join(", ")} saved to ${manifestPath}`);
+    }
+
+    return { claims, summary, claimsPath, manifestPath };
   } catch (error) {
     console.error("Error generating claims:", error.message);
     throw error;
   }
 }
 
+// Check or rewrite the bundled golden claims files
+async function runGoldenCheck(update) {
+  const results = await verifyGoldenClaims({ update });
+  console.log(`🔍 ${update ? "Rewrote" : "Checked"} ${results.length} golden claims files\n`);
+  results.forEach((result) => {
+    console.log(`${result.identical ? "✅" : "❌"} ${result.file}${result.firstDifference ? `: first difference at ${result.firstDifference}` : ""}`);
+  });
+
+  const failures = results.filter((result) => !result.identical).length;
+  console.log(`\n📋 ${failures === 0 ? "All golden files reproduced exactly" : `${failures} golden files differ; rerun with --update-golden if the change is intended`}`);
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
 // Run if executed directly
 if (require.main === module) {
-  const address = process.argv[2] || "59 Hawkley Gardens";
-
-  console.log(`Generating comprehensive PDTF claims (v3 - Full Moverly structure) for: ${address}\n`);
-
-  generateClaimsFileV3(address)
-    .then(async (result) => {
-      console.log("\n✅ Comprehensive claims generation complete!");
-      console.log(`Generated ${result.claims.length} claims with ${result.summary.uniquePaths} unique paths`);
-      console.log(`Moverly compatibility: ${result.summary.moverlyCompatibility.coveragePercentage}% path coverage`);
-      console.log(`Official source claims: ${result.summary.dataSources.official}`);
-      console.log(`Synthetic source claims: ${result.summary.dataSources.synthetic}`);
-      console.log(`Seller vouched claims: ${result.summary.dataSources.vouched}`);
-
-      // Run validation on generated claims
-      console.log("\n🔍 Running PDTF schema validation...");
-      try {
-        const { ClaimValidator } = require("./claim-validator.js");
-        const validator = new ClaimValidator();
-
-        // Wait for schema initialization
-        await new Promise((resolve) => setTimeout(resolve, 1500));
-
-        // Find the generated claims file
-        const filename = address.toLowerCase().replace(/[^a-z0-9]+/g, "-") + ".json";
-        const claimsPath = path.join(__dirname, "../data/sandbox-claims-v3", `${filename.replace(".json", "")}-claims.json`);
-
-        const validationResult = await validator.validateClaimsFile(claimsPath);
-
-        if (validationResult.valid) {
-          console.log("✅ All claims passed PDTF schema validation!");
-        } else {
-          console.log(`❌ Validation failed with ${validationResult.errors.length} errors`);
-          // Don't exit on validation failure for now, just report
-        }
-      } catch (validationError) {
-        console.warn("⚠️  Could not run validation:", validationError.message);
-      }
-    })
-    .catch((err) => {
-      console.error("Failed:", err);
+  const args = process.argv.slice(2);
+  const optionValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const scenarios = args.filter((arg, index) => args[index - 1] === "--scenario");
+  const address = args.find((arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--")) || "59 Hawkley Gardens";
+
+  if (args.includes("--verify") || args.includes("--update-golden")) {
+    runGoldenCheck(args.includes("--update-golden")).catch((err) => {
+      console.error("❌ Golden check failed:", err.message);
       process.exit(1);
     });
+  } else if (args.includes("--phases")) {
+    console.log(`Generating phased PDTF claims for: ${address}\n`);
+
+    generatePhasedClaimsFiles(address, {
+      seed: optionValue("--seed"),
+      baseTime: optionValue("--base-time"),
+      outputDir: optionValue("--output-dir"),
+      scenarios,
+    })
+      .then((result) => {
+        result.phases.forEach((phase) => console.log(`✓ ${phase.label}: ${phase.claims} claims saved to ${phase.file}`));
+        console.log(`\n✅ ${result.phases.length} phases generated for transaction ${result.transactionId}`);
+        console.log(`Replay them with: node replay-transaction.js ${path.relative(process.cwd(), result.outputDir)} --transaction <id>`);
+        if (result.manifestPath) {
+          console.log(`Check the scenarios once replayed with: node sandbox-scenarios.js check <claims-file> ${path.relative(process.cwd(), result.manifestPath)}`);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed:", err);
+        process.exit(1);
+      });
+  } else {
+    console.log(`Generating comprehensive PDTF claims (v3 - Full Moverly structure) for: ${address}\n`);
+
+    generateClaimsFileV3(address, {
+      seed: optionValue("--seed"),
+      baseTime: optionValue("--base-time"),
+      outputDir: optionValue("--output-dir"),
+      scenarios,
+    })
+      .then(async (result) => {
+        console.log("\n✅ Comprehensive claims generation complete!");
+        console.log(`Generated ${result.claims.length} claims with ${result.summary.uniquePaths} unique paths`);
+        console.log(`Moverly compatibility: ${result.summary.moverlyCompatibility.coveragePercentage}% path coverage`);
+        console.log(`Official source claims: ${result.summary.dataSources.official}`);
+        console.log(`Synthetic source claims: ${result.summary.dataSources.synthetic}`);
+        console.log(`Seller vouched claims: ${result.summary.dataSources.vouched}`);
+
+        // Run validation on generated claims
+        console.log("\n🔍 Running PDTF schema validation...");
+        try {
+          const { validateClaimsFile } = require("./pdtf-validator");
+
+          const validationResult = validateClaimsFile(result.claimsPath);
+
+          if (validationResult.valid) {
+            console.log("✅ All claims passed PDTF schema validation!");
+          } else {
+            console.log(`❌ Validation failed with ${validationResult.summary.errors} errors`);
+            // Don't exit on validation failure for now, just report
+          }
+        } catch (validationError) {
+          console.warn("⚠️  Could not run validation:", validationError.message);
+        }
+
+        if (result.manifestPath) {
+          console.log(`\nCheck the scenarios are flagged with: node sandbox-scenarios.js check ${path.relative(process.cwd(), result.claimsPath)} ${path.relative(process.cwd(), result.manifestPath)}`);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed:", err);
+        process.exit(1);
+      });
+  }
 }
 
-module.exports = { buildClaimsFromSandboxPropertyV3, generateClaimsFileV3 };
+module.exports = {
+  CLAIM_PHASES,
+  MAPPING_GENERATORS,
+  PHASE_MILESTONES,
+  buildClaimsFromSandboxPropertyV3,
+  buildSandboxTransaction,
+  createBuildContext,
+  generateClaimsFileV3,
+  generateClaimId,
+  generatePhasedClaimsFiles,
+  getClaimPhase,
+  splitClaimsIntoPhases,
+  verifyGoldenClaims,
+};
@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { isValidJsonPointer } = require("./state-aggregator");
+const { getSchemasForPath, listSchemaLeaves, validatePathValue } = require("./pdtf-validator");
+const { ValidationError } = require("./api-errors");
+
+const MAPPINGS_DIR = path.join(__dirname, "../data/sandbox-mappings");
+const DERIVED_FILE = "derived.json";
+const EVIDENCE_FILE = "evidence.json";
+
+// Values the builder puts in scope for every mapping, alongside the derived values
+const BUILD_SCOPE = ["residence", "people", "conveyancing", "landRegistry", "tenure", "lease", "block", "firstSeller", "dates"];
+
+// Evidence rules also see the claim value they are choosing evidence for
+const EVIDENCE_SCOPE = [...BUILD_SCOPE, "value"];
+
+// Draw on the build's random source, so derived values must not use them
+const RANDOM_OPERATORS = ["$randomHex", "$randomBase64", "$generator"];
+
+const REFERENCE = /\$\{([^}]+)\}/g;
+const WHOLE_REFERENCE = /^\$\{([^}]+)\}$/;
+
+/**
+ * Whether a value counts as given for $default: anything truthy except an empty array
+ * @param {*} value - Value to test
+ * @return {boolean} True if set
+ */
+function isSet(value) {
+  return Boolean(value) && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Mapping expression operators. An object whose only "$" key names an operator
+ * is evaluated by it; `params` and `optional` are the other keys the operator
+ * reads, and `operands` is the least and most values a list operand takes.
+ * Operators get the raw spec and an evaluate function, so branches not taken are
+ * never evaluated and never draw random values.
+ */
+const OPERATORS = {
+  $if: { params: ["then"], optional: ["else"], apply: (spec, ev) => (ev(spec.$if) ? ev(spec.then) : ev(spec.else)) },
+  $yesNo: { apply: (spec, ev) => (ev(spec.$yesNo) ? "Yes" : "No") },
+  $switch: {
+    params: ["cases"],
+    optional: ["default"],
+    apply: (spec, ev) => {
+      const key = ev(spec.$switch);
+      return Object.prototype.hasOwnProperty.call(spec.cases, key) ? ev(spec.cases[key]) : ev(spec.default);
+    },
+  },
+  $default: {
+    operands: [2, Infinity],
+    apply: (spec, ev) => {
+      let value;
+      for (const option of spec.$default) {
+        value = ev(option);
+        if (isSet(value)) return value;
+      }
+      return value;
+    },
+  },
+  $eq: { operands: [2, 2], apply: (spec, ev) => ev(spec.$eq[0]) === ev(spec.$eq[1]) },
+  $gt: { operands: [2, 2], apply: (spec, ev) => ev(spec.$gt[0]) > ev(spec.$gt[1]) },
+  $gte: { operands: [2, 2], apply: (spec, ev) => ev(spec.$gte[0]) >= ev(spec.$gte[1]) },
+  $lt: { operands: [2, 2], apply: (spec, ev) => ev(spec.$lt[0]) < ev(spec.$lt[1]) },
+  $and: { operands: [2, Infinity], apply: (spec, ev) => spec.$and.every((operand) => ev(operand)) },
+  $or: { operands: [2, Infinity], apply: (spec, ev) => spec.$or.some((operand) => ev(operand)) },
+  $not: { apply: (spec, ev) => !ev(spec.$not) },
+  $concat: { operands: [2, Infinity], apply: (spec, ev) => spec.$concat.map((operand) => String(ev(operand))).join("") },
+  $concatArrays: { operands: [2, Infinity], apply: (spec, ev) => [].concat(...spec.$concatArrays.map((operand) => ev(operand))) },
+  $slice: {
+    operands: [2, 3],
+    apply: (spec, ev) => String(ev(spec.$slice[0])).slice(ev(spec.$slice[1]), ev(spec.$slice[2])),
+  },
+  $upper: { apply: (spec, ev) => String(ev(spec.$upper)).toUpperCase() },
+  $lower: { apply: (spec, ev) => String(ev(spec.$lower)).toLowerCase() },
+  $int: { apply: (spec, ev) => parseInt(ev(spec.$int)) },
+  $round: { apply: (spec, ev) => Math.round(ev(spec.$round)) },
+  $max: { operands: [2, Infinity], apply: (spec, ev) => Math.max(...spec.$max.map((operand) => ev(operand))) },
+  $add: { operands: [2, Infinity], apply: (spec, ev) => spec.$add.map((operand) => ev(operand)).reduce((sum, value) => sum + value) },
+  $subtract: { operands: [2, 2], apply: (spec, ev) => ev(spec.$subtract[0]) - ev(spec.$subtract[1]) },
+  $multiply: {
+    operands: [2, Infinity],
+    apply: (spec, ev) => spec.$multiply.map((operand) => ev(operand)).reduce((product, value) => product * value),
+  },
+  $divide: { operands: [2, 2], apply: (spec, ev) => ev(spec.$divide[0]) / ev(spec.$divide[1]) },
+  $map: {
+    params: ["as", "to"],
+    apply: (spec, ev, scope) => (ev(spec.$map) || []).map((item) => ev(spec.to, { ...scope, [spec.as]: item })),
+  },
+  $join: { operands: [2, 2], apply: (spec, ev) => ev(spec.$join[0]).join(ev(spec.$join[1])) },
+  $json: { apply: (spec, ev) => JSON.stringify(ev(spec.$json)) },
+  $randomHex: { apply: (spec, ev, scope, helpers) => helpers.random.bytes(spec.$randomHex).toString("hex") },
+  $randomBase64: { apply: (spec, ev, scope, helpers) => helpers.random.bytes(spec.$randomBase64).toString("base64") },
+  $generator: { apply: (spec, ev, scope, helpers) => helpers.generators[spec.$generator](scope, helpers) },
+};
+
+/**
+ * Finds the operator keys of an expression object
+ * @param {Object} spec - Expression
+ * @return {Array<string>} Keys starting with "$"
+ */
+function operatorKeys(spec) {
+  return Object.keys(spec).filter((key) => key.startsWith("$"));
+}
+
+/**
+ * Looks up a dotted reference such as "residence.UPRN" in the scope
+ * @param {Object} scope - Named values
+ * @param {string} reference - Dotted path
+ * @return {*} The value, or undefined if any step is missing
+ */
+function lookup(scope, reference) {
+  return reference.trim().split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scope);
+}
+
+/**
+ * Evaluates a mapping expression. Strings are templates: "${a.b}" on its own
+ * gives the referenced value as it is, otherwise references are interpolated.
+ * Objects with an operator key are evaluated by OPERATORS; other objects and
+ * arrays are evaluated member by member, leaving out members that come to
+ * undefined, so a $if with no else drops an optional field or item.
+ * @param {*} spec - Expression from a mapping file
+ * @param {Object} scope - Named values references resolve against
+ * @param {Object} helpers - { random, generators } for the random operators
+ * @return {*} The value
+ */
+function evaluate(spec, scope, helpers = {}) {
+  const ev = (child, childScope = scope) => evaluate(child, childScope, helpers);
+
+  if (typeof spec === "string") {
+    const whole = spec.match(WHOLE_REFERENCE);
+    if (whole) {
+      // Copied, so claims built from the same value can be changed independently
+      const value = lookup(scope, whole[1]);
+      return value !== null && typeof value === "object" ? structuredClone(value) : value;
+    }
+    return spec.replace(REFERENCE, (match, reference) => String(lookup(scope, reference)));
+  }
+  if (Array.isArray(spec)) {
+    return spec.map((item) => ev(item)).filter((item) => item !== undefined);
+  }
+  if (spec === null || typeof spec !== "object") {
+    return spec;
+  }
+
+  const [operator] = operatorKeys(spec);
+  if (operator) {
+    return OPERATORS[operator].apply(spec, ev, scope, helpers);
+  }
+  const result = {};
+  for (const [key, child] of Object.entries(spec)) {
+    const value = ev(child);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks an expression's operators, operands and references, without evaluating it
+ * @param {*} spec - Expression
+ * @param {Object} options - { roots, generators, allowRandom }
+ * @param {Function} report - Called with a message for each problem
+ * @return {boolean} True if the expression is a plain literal
+ */
+function checkExpression(spec, options, report) {
+  const check = (child, childOptions = options) => checkExpression(child, childOptions, report);
+
+  if (typeof spec === "string") {
+    const references = [...spec.matchAll(REFERENCE)].map((match) => match[1].trim());
+    references
+      .filter((reference) => !options.roots.includes(reference.split(".")[0]))
+      .forEach((reference) => report(`unknown reference \${${reference}}; use one of ${options.roots.join(", ")}`));
+    return references.length === 0;
+  }
+  if (Array.isArray(spec)) {
+    return spec.map((item) => check(item)).every(Boolean);
+  }
+  if (spec === null || typeof spec !== "object") {
+    return true;
+  }
+
+  const keys = operatorKeys(spec);
+  if (keys.length === 0) {
+    return Object.values(spec).map((child) => check(child)).every(Boolean);
+  }
+  if (keys.length > 1) {
+    report(`one operator per object, found ${keys.join(", ")}`);
+    return false;
+  }
+
+  const [operator] = keys;
+  const definition = OPERATORS[operator];
+  if (!definition) {
+    report(`unknown operator ${operator}`);
+    return false;
+  }
+  if (!options.allowRandom && RANDOM_OPERATORS.includes(operator)) {
+    report(`${operator} draws random values and is not allowed here`);
+  }
+
+  const params = definition.params || [];
+  const allowed = [operator, ...params, ...(definition.optional || [])];
+  params.filter((param) => !(param in spec)).forEach((param) => report(`${operator} needs "${param}"`));
+  Object.keys(spec).filter((key) => !allowed.includes(key)).forEach((key) => report(`${operator} does not take "${key}"`));
+
+  const operand = spec[operator];
+  if (definition.operands) {
+    const [min, max] = definition.operands;
+    if (!Array.isArray(operand) || operand.length < min || operand.length > max) {
+      report(`${operator} takes a list of ${max === Infinity ? `at least ${min}` : min === max ? min : `${min} to ${max}`} values`);
+      return false;
+    }
+  }
+
+  if (operator === "$generator") {
+    if (options.generators && !options.generators.includes(operand)) {
+      report(`unknown generator "${operand}"; the builder provides ${options.generators.join(", ")}`);
+    }
+  } else if (operator === "$randomHex" || operator === "$randomBase64") {
+    if (!Number.isInteger(operand) || operand < 1) {
+      report(`${operator} takes a number of bytes`);
+    }
+  } else if (operator === "$map") {
+    check(operand);
+    if (typeof spec.as !== "string" || !spec.as) {
+      report("$map needs \"as\", the name each item is given in \"to\"");
+    } else {
+      check(spec.to, { ...options, roots: [...options.roots, spec.as] });
+    }
+  } else if (operator === "$switch") {
+    check(operand);
+    Object.values(spec.cases || {}).forEach((child) => check(child));
+    check(spec.default);
+  } else {
+    check(operand);
+    params.concat(definition.optional || []).forEach((param) => check(spec[param]));
+  }
+  return false;
+}
+
+/**
+ * Reads a JSON file from the mappings directory
+ * @param {string} directory - Mappings directory
+ * @param {string} file - File name
+ * @return {Object} Parsed contents
+ */
+function readMappingFile(directory, file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+  } catch (error) {
+    throw new ValidationError(`Cannot read sandbox mapping file ${file}: ${error.message}`, { validation: { file } });
+  }
+}
+
+/**
+ * Whether an evidence rule's path conditions match a claim path
+ * @param {Object} rule - { contains, endsWith, equals }
+ * @param {string} claimPath - Claim path
+ * @return {boolean} True if any condition matches
+ */
+function ruleMatchesPath(rule, claimPath) {
+  return (rule.equals || []).includes(claimPath) ||
+    (rule.endsWith || []).some((suffix) => claimPath.endsWith(suffix)) ||
+    (rule.contains || []).some((fragment) => claimPath.includes(fragment));
+}
+
+/**
+ * Loads the sandbox mapping files and checks them against the PDTF schema.
+ *
+ * The directory holds derived.json (values worked out once per build, named
+ * so mappings can share them), evidence.json (evidence sources and the rules
+ * choosing one per claim path) and one file per schema section, each
+ * { section, description, when?, mappings: [{ path, value, when?, extension? }] }.
+ *
+ * Problems that would stop a build (bad pointers, paths missing from the
+ * schema unless marked as an extension, unknown operators, references,
+ * generators or evidence sources, duplicate paths) are errors. Literal
+ * values the schema rejects are warnings, since the builder has always
+ * emitted some of those.
+ * @param {Object} options - Load options
+ * @param {string} options.directory - Mappings directory
+ * @param {Array<string>} options.generators - Generator names the builder provides; when
+ *   not given, $generator names are not checked
+ * @return {Object} { directory, derived, sections, byPath, evidence, warnings }
+ * @throws {ValidationError} If any mapping file has errors
+ */
+function loadSandboxMappings({ directory = MAPPINGS_DIR, generators = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const derivedFile = readMappingFile(directory, DERIVED_FILE);
+  const derived = Object.entries(derivedFile.values || {});
+  const roots = [...BUILD_SCOPE];
+  for (const [name, spec] of derived) {
+    if (roots.includes(name)) {
+      errors.push({ file: DERIVED_FILE, message: `derived value "${name}" shadows a value the builder provides` });
+      continue;
+    }
+    checkExpression(spec, { roots, generators, allowRandom: false },
+      (message) => errors.push({ file: DERIVED_FILE, message: `${name}: ${message}` }));
+    roots.push(name);
+  }
+
+  const evidence = readMappingFile(directory, EVIDENCE_FILE);
+  const sources = evidence.sources || {};
+  const evidenceRoots = [...EVIDENCE_SCOPE, ...roots.slice(BUILD_SCOPE.length)];
+  Object.entries(sources).forEach(([name, spec]) => checkExpression(spec, { roots: evidenceRoots, generators, allowRandom: true },
+    (message) => errors.push({ file: EVIDENCE_FILE, message: `source ${name}: ${message}` })));
+  (evidence.rules || []).forEach((rule, index) => {
+    const report = (message) => errors.push({ file: EVIDENCE_FILE, message: `rule ${index + 1}: ${message}` });
+    if (!sources[rule.evidence]) {
+      report(`unknown evidence source "${rule.evidence}"`);
+    }
+    if (!["contains", "endsWith", "equals"].some((condition) => Array.isArray(rule[condition]))) {
+      report("needs a contains, endsWith or equals list of paths");
+    }
+    if (rule.when !== undefined) {
+      checkExpression(rule.when, { roots: evidenceRoots, generators, allowRandom: false }, report);
+    }
+  });
+  if (!sources[evidence.default]) {
+    errors.push({ file: EVIDENCE_FILE, message: `default evidence source "${evidence.default}" is not defined` });
+  }
+
+  const sections = [];
+  const byPath = new Map();
+  const sectionFiles = fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".json") && file !== DERIVED_FILE && file !== EVIDENCE_FILE)
+    .sort();
+
+  for (const file of sectionFiles) {
+    const contents = readMappingFile(directory, file);
+    if (!contents.section || !Array.isArray(contents.mappings)) {
+      errors.push({ file, message: "needs a section name and a mappings list" });
+      continue;
+    }
+    const section = { file, section: contents.section, description: contents.description, when: contents.when, mappings: [] };
+    const options = { roots, generators, allowRandom: true };
+    if (section.when !== undefined) {
+      checkExpression(section.when, { ...options, allowRandom: false }, (message) => errors.push({ file, message: `when: ${message}` }));
+    }
+
+    for (const mapping of contents.mappings) {
+      const report = (message) => errors.push({ file, path: mapping.path, message });
+      if (typeof mapping.path !== "string" || !mapping.path || !isValidJsonPointer(mapping.path)) {
+        report(`path must be a JSON Pointer starting with "/": ${mapping.path}`);
+        continue;
+      }
+      if (byPath.has(mapping.path)) {
+        report(`path is already mapped in ${byPath.get(mapping.path).file}`);
+        continue;
+      }
+      if (!("value" in mapping)) {
+        report("needs a value");
+        continue;
+      }
+
+      const inSchema = getSchemasForPath(mapping.path).length > 0;
+      if (!inSchema && !mapping.extension) {
+        report("path is not in the PDTF schema; mark the mapping \"extension\": true if that is intended");
+      } else if (inSchema && mapping.extension) {
+        report("path is in the PDTF schema, so it is not an extension");
+      }
+      if (mapping.when !== undefined) {
+        checkExpression(mapping.when, { ...options, allowRandom: false }, (message) => report(`when: ${message}`));
+      }
+
+      const literal = checkExpression(mapping.value, options, report);
+      if (literal && inSchema) {
+        const values = mapping.path.endsWith("/-") && Array.isArray(mapping.value) ? mapping.value : [mapping.value];
+        values.forEach((value) => validatePathValue(mapping.path, value, {})
+          .forEach((issue) => warnings.push({ file, path: mapping.path, code: issue.code, message: issue.message })));
+      }
+
+      const entry = { ...mapping, file, section: section.section };
+      section.mappings.push(entry);
+      byPath.set(mapping.path, entry);
+    }
+    sections.push(section);
+  }
+
+  if (errors.length > 0) {
+    const lines = errors.map((error) => `  ${error.file}${error.path ? ` ${error.path}` : ""}: ${error.message}`);
+    throw new ValidationError(`Sandbox mappings in ${directory} have ${errors.length} error(s):\n${lines.join("\n")}`, {
+      validation: { directory },
+      details: errors,
+    });
+  }
+
+  return { directory, derived, sections, byPath, evidence: { ...evidence, sources }, warnings };
+}
+
+/**
+ * Works out the derived values for one build
+ * @param {Object} mappings - Result of loadSandboxMappings
+ * @param {Object} buildScope - The BUILD_SCOPE values
+ * @return {Object} Scope with the derived values added
+ */
+function createMappingScope(mappings, buildScope) {
+  const scope = { ...buildScope };
+  for (const [name, spec] of mappings.derived) {
+    scope[name] = evaluate(spec, scope);
+  }
+  return scope;
+}
+
+/**
+ * Whether a mapping applies to this build, from its own and its section's `when`
+ * @param {Object} mappings - Result of loadSandboxMappings
+ * @param {Object} mapping - Entry from mappings.byPath
+ * @param {Object} scope - Build scope
+ * @return {boolean} True if the claim should be built
+ */
+function isMappingActive(mappings, mapping, scope) {
+  const section = mappings.sections.find((candidate) => candidate.file === mapping.file);
+  return [section.when, mapping.when].every((condition) => condition === undefined || Boolean(evaluate(condition, scope)));
+}
+
+/**
+ * Picks the evidence for a claim: the first rule matching its path (and its
+ * `when`, with the claim value in scope as `value`) names the source,
+ * otherwise the default source is used
+ * @param {Object} mappings - Result of loadSandboxMappings
+ * @param {string} claimPath - Claim path
+ * @param {*} value - Claim value
+ * @param {Object} scope - Build scope
+ * @param {Object} helpers - { random, generators }
+ * @return {Object} Evidence for the claim's verification
+ */
+function resolveEvidence(mappings, claimPath, value, scope, helpers) {
+  const evidenceScope = { ...scope, value };
+  const rule = (mappings.evidence.rules || []).find((candidate) => ruleMatchesPath(candidate, claimPath) &&
+    (candidate.when === undefined || Boolean(evaluate(candidate.when, evidenceScope))));
+  return evaluate(mappings.evidence.sources[rule ? rule.evidence : mappings.evidence.default], evidenceScope, helpers);
+}
+
+/**
+ * Names the schema section a path belongs to: the propertyPack member, or the top-level member
+ * @param {string} pointer - JSON Pointer
+ * @return {string} Section path such as "/propertyPack/energyEfficiency"
+ */
+function schemaSectionOf(pointer) {
+  const parts = pointer.split("/").slice(1);
+  return parts[0] === "propertyPack" && parts.length > 1 ? `/propertyPack/${parts[1]}` : `/${parts[0]}`;
+}
+
+/**
+ * Lists the leaf paths a mapping can write, with array positions as "-"
+ * @param {string} mappingPath - Mapping path
+ * @param {*} spec - Mapping value expression
+ * @return {Array<string>} Leaf paths
+ */
+function mappedLeaves(mappingPath, spec) {
+  const normalised = mappingPath.replace(/\/\d+(?=\/|$)/g, "/-");
+  if (Array.isArray(spec)) {
+    // A "-" path takes the list as one claim per item; elsewhere a list is the value
+    const itemPath = normalised.endsWith("/-") ? normalised : `${normalised}/-`;
+    return spec.flatMap((item) => mappedLeaves(itemPath, item));
+  }
+  if (spec === null || typeof spec !== "object") {
+    return [normalised];
+  }
+  const [operator] = operatorKeys(spec);
+  if (!operator) {
+    return Object.entries(spec).flatMap(([key, child]) => mappedLeaves(`${normalised}/${key}`, child));
+  }
+  // Operators that pick between values can write any of them
+  const branches = {
+    $if: [spec.then, spec.else],
+    $switch: [...Object.values(spec.cases || {}), spec.default],
+    $default: spec.$default,
+    $concatArrays: spec.$concatArrays,
+    $map: [[spec.to]],
+  }[operator];
+  // Other operators compute a value, which stands for everything under the path
+  if (!branches) {
+    return [normalised];
+  }
+  return branches.filter((branch) => branch !== undefined).flatMap((branch) => mappedLeaves(normalised, branch));
+}
+
+/**
+ * Summarises mapping coverage per schema section: how many mappings each
+ * section has, how many of its schema leaf fields they can fill, and which
+ * evidence sources back them. Evidence rules with a `when` are left out, as
+ * they depend on the claim value.
+ * @param {Object} mappings - Result of loadSandboxMappings
+ * @return {Array} { section, mappings, extensions, schemaFields, coveredFields, coverage, evidence }
+ *   per schema section, mapped sections first
+ */
+function describeMappingCoverage(mappings) {
+  const rows = new Map();
+  const rowFor = (section) => {
+    if (!rows.has(section)) {
+      rows.set(section, { section, mappings: 0, extensions: 0, schemaFields: 0, coveredFields: 0, coverage: 0, evidence: {}, leaves: new Set() });
+    }
+    return rows.get(section);
+  };
+
+  const schemaLeaves = listSchemaLeaves().filter((leaf) => leaf !== "/propertyPack" && leaf !== "");
+  schemaLeaves.forEach((leaf) => rowFor(schemaSectionOf(leaf)).schemaFields++);
+
+  const unconditionalRules = (mappings.evidence.rules || []).filter((rule) => rule.when === undefined);
+  for (const mapping of mappings.byPath.values()) {
+    const row = rowFor(schemaSectionOf(mapping.path));
+    row.mappings++;
+    if (mapping.extension) {
+      row.extensions++;
+    }
+    mappedLeaves(mapping.path, mapping.value).forEach((leaf) => row.leaves.add(leaf));
+    const rule = unconditionalRules.find((candidate) => ruleMatchesPath(candidate, mapping.path));
+    const source = rule ? rule.evidence : mappings.evidence.default;
+    row.evidence[source] = (row.evidence[source] || 0) + 1;
+  }
+
+  for (const row of rows.values()) {
+    const mapped = [...row.leaves];
+    row.coveredFields = schemaLeaves.filter((leaf) => schemaSectionOf(leaf) === row.section &&
+      mapped.some((mappedLeaf) => leaf === mappedLeaf || leaf.startsWith(`${mappedLeaf}/`) || mappedLeaf.startsWith(`${leaf}/`))).length;
+    row.coverage = row.schemaFields ? Math.round((row.coveredFields / row.schemaFields) * 100) : 0;
+    delete row.leaves;
+  }
+
+  return [...rows.values()].sort((a, b) => (b.mappings > 0) - (a.mappings > 0) || a.section.localeCompare(b.section));
+}
+
+/**
+ * Prints describeMappingCoverage's rows and the load warnings
+ * @param {Object} mappings - Result of loadSandboxMappings
+ * @param {Object} options - { all } to include sections with no mappings
+ */
+function printMappingCoverage(mappings, { all = false } = {}) {
+  const rows = describeMappingCoverage(mappings);
+  const shown = all ? rows : rows.filter((row) => row.mappings > 0);
+  const total = rows.reduce((sum, row) => sum + row.mappings, 0);
+  const files = mappings.sections.length;
+
+  console.log(`🗺️  Sandbox mappings: ${total} paths in ${files} files (${mappings.directory})`);
+  console.log("");
+  shown.forEach((row) => {
+    const evidence = Object.entries(row.evidence).map(([source, count]) => `${source} ×${count}`).join(", ");
+    const extensions = row.extensions ? `, ${row.extensions} extension${row.extensions === 1 ? "" : "s"}` : "";
+    console.log(`  ${row.section}`);
+    console.log(`     ${row.mappings} mapping${row.mappings === 1 ? "" : "s"}${extensions}; ` +
+      `${row.coveredFields}/${row.schemaFields} schema fields (${row.coverage}%)${evidence ? `; evidence: ${evidence}` : ""}`);
+  });
+  if (!all) {
+    console.log(`  … and ${rows.length - shown.length} schema sections with no mappings (--all to list them)`);
+  }
+
+  if (mappings.warnings.length > 0) {
+    console.log("");
+    console.log(`⚠️  ${mappings.warnings.length} literal value(s) the schema rejects:`);
+    mappings.warnings.forEach((warning) => console.log(`  ${warning.file}: ${warning.message}`));
+  }
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - { directory, generators }
+ * @return {Object} { warnings, coverage }
+ */
+function processRequest(params = {}) {
+  const mappings = loadSandboxMappings(params);
+  return { warnings: mappings.warnings, coverage: describeMappingCoverage(mappings) };
+}
+
+// CLI usage
+function main() {
+  const args = process.argv.slice(2);
+  const optionValue = (flag, fallback) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : fallback);
+
+  if (args.includes("--help")) {
+    console.log("Usage: node sandbox-mappings.js [--dir <mappings-dir>] [--all]");
+    console.log("Checks the sandbox claims builder's mapping files against the PDTF schema");
+    console.log("and prints coverage per schema section.");
+    process.exit(0);
+  }
+
+  // $generator names are checked when the builder loads the mappings
+  const mappings = loadSandboxMappings({ directory: path.resolve(optionValue("--dir", MAPPINGS_DIR)) });
+  printMappingCoverage(mappings, { all: args.includes("--all") });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("");
+    console.error("💥 Mapping check failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MAPPINGS_DIR,
+  BUILD_SCOPE,
+  OPERATORS,
+  evaluate,
+  loadSandboxMappings,
+  createMappingScope,
+  isMappingActive,
+  resolveEvidence,
+  describeMappingCoverage,
+  printMappingCoverage,
+  process: processRequest,
+};
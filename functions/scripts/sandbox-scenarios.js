@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const fs = require("fs").promises;
+
+// Load environment variables from .env file, for the AI checks
+require("dotenv").config({
+  path: path.join(__dirname, "../.env"),
+  quiet: true,
+});
+
+const RISK_LEVELS = ["low", "medium", "high", "critical"];
+
+// Committed builds of the sandbox properties; check plants scenarios in these by default
+const GOLDEN_DIR = path.join(__dirname, "../data/sandbox-claims-golden");
+
+const REGISTER_EXTRACT = "/propertyPack/titlesToBeSold/0/registerExtract";
+const KEY_FACTS = "/propertyPack/titlesToBeSold/0/keyFacts";
+
+/**
+ * Wraps a claims array with helpers that patch every claim for a path and
+ * record which paths a scenario touched. Patching a path no claim sets is an
+ * error, so a scenario cannot silently stop applying when the builder changes.
+ * @param {Array} claims - Claims to patch in place
+ * @return {Object} { update(path, updater), remove(path), touched }
+ */
+function createPatcher(claims) {
+  const touched = new Set();
+  const claimsFor = (claimPath) => {
+    const matches = claims.filter((claim) => Object.prototype.hasOwnProperty.call(claim.claims, claimPath));
+    if (matches.length === 0) {
+      throw new Error(`No claim sets ${claimPath}`);
+    }
+    touched.add(claimPath);
+    return matches;
+  };
+
+  return {
+    update(claimPath, updater) {
+      claimsFor(claimPath).forEach((claim) => {
+        claim.claims[claimPath] = updater(claim.claims[claimPath], claim);
+      });
+    },
+    remove(claimPath) {
+      const doomed = new Set(claimsFor(claimPath));
+      claims.splice(0, claims.length, ...claims.filter((claim) => !doomed.has(claim)));
+    },
+    touched,
+  };
+}
+
+/**
+ * Finds the first seller among the participant claims
+ * @param {Array} claims - Claims for the transaction
+ * @return {Object} The seller participant
+ */
+function findFirstSeller(claims) {
+  const seller = claims
+    .map((claim) => claim.claims["/participants/-"])
+    .find((participant) => participant?.role === "Seller");
+  if (!seller) {
+    throw new Error("No seller participant to build the scenario around");
+  }
+  return seller;
+}
+
+// Scenarios that plant a known issue in a generated transaction. Each patches
+// every path that carries the fact, and says which diligence checks should
+// flag it: the check's status must be one of status and its risk level at
+// least minRiskLevel.
+const SCENARIOS = [
+  {
+    id: "seller-name-mismatch",
+    name: "Proprietor and seller name mismatch",
+    description: "The register shows the first seller under a different surname from the one they are selling under",
+    expected: [{ checkId: "seller_name_mismatch", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch, claims) {
+      const seller = findFirstSeller(claims);
+      const { firstName, lastName } = seller.name;
+      const registeredSurname = lastName === "Whitfield" ? "Ashworth" : "Whitfield";
+      const rename = (text) => text
+        .replace(`${firstName} ${lastName}`, `${firstName} ${registeredSurname}`)
+        .replace(`${firstName} ${lastName}`.toUpperCase(), `${firstName} ${registeredSurname}`.toUpperCase());
+      const renameOwner = (owner) => (owner.firstName === firstName && owner.lastName === lastName ?
+        { ...owner, lastName: registeredSurname } : owner);
+
+      patch.update(REGISTER_EXTRACT, (extract) => {
+        extract.ocSummaryData.proprietorship.registeredProprietorParty.forEach((party) => {
+          const name = party.privateIndividual?.name;
+          if (name?.forenamesName === firstName && name.surnameName === lastName) {
+            name.surnameName = registeredSurname;
+          }
+        });
+        extract.ocRegisterData.proprietorshipRegister.registerEntry.forEach((entry) => {
+          entry.entryText = rename(entry.entryText);
+        });
+        return extract;
+      });
+      patch.update(KEY_FACTS, (keyFacts) => ({
+        ...keyFacts,
+        legalOwners: keyFacts.legalOwners.map(rename),
+        beneficialOwners: keyFacts.beneficialOwners.map(rename),
+      }));
+      patch.update("/propertyPack/legalOwners/namesOfLegalOwners", (owners) => owners.map(renameOwner));
+      patch.update("/propertyPack/ownership/ownershipsToBeTransferred/-", (ownership) => ({
+        ...ownership,
+        owner: ownership.owner.map(renameOwner),
+      }));
+    },
+  },
+  {
+    id: "second-charge",
+    name: "Second charge",
+    description: "A secured loan is registered behind the first mortgage",
+    expected: [{ checkId: "outstanding_charges", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch) {
+      let chargeDate;
+      patch.update(REGISTER_EXTRACT, (extract) => {
+        const { ocSummaryData } = extract;
+        chargeDate = ocSummaryData.proprietorship.currentProprietorshipDate;
+        ocSummaryData.registerEntryIndicators = {
+          ...ocSummaryData.registerEntryIndicators,
+          multipleChargeIndicator: true,
+          chargeeIndicator: true,
+        };
+        extract.ocRegisterData.chargesRegister = {
+          registerEntry: [{
+            entryType: "Registered Charge",
+            entryText: `REGISTERED CHARGE dated ${chargeDate} to secure the moneys including the further advances therein mentioned.`,
+            entryDate: chargeDate,
+            entryNumber: "1",
+          }, {
+            entryType: "Proprietor of Charge",
+            entryText: "Proprietor: NATIONWIDE BUILDING SOCIETY of Nationwide House, Pipers Way, Swindon SN38 1NW.",
+            entryDate: chargeDate,
+            entryNumber: "2",
+          }, {
+            entryType: "Registered Charge",
+            entryText: "REGISTERED CHARGE dated 2023-06-14.",
+            entryDate: "2023-06-14",
+            entryNumber: "3",
+          }, {
+            entryType: "Proprietor of Charge",
+            entryText: "Proprietor: TOGETHER COMMERCIAL FINANCE LIMITED of Lake View, Lakeside, Cheadle SK8 3GW.",
+            entryDate: "2023-06-14",
+            entryNumber: "4",
+          }],
+        };
+        return extract;
+      });
+      patch.update(KEY_FACTS, (keyFacts) => ({
+        ...keyFacts,
+        chargesAndFinancialBurdens: [
+          `A first legal charge dated ${chargeDate} in favour of Nationwide Building Society.`,
+          "A second charge dated 2023-06-14 in favour of Together Commercial Finance Limited.",
+        ],
+      }));
+    },
+  },
+  {
+    id: "extension-without-building-regs",
+    name: "Extension without building regulations sign-off",
+    description: "A rear extension was built without building regulations completion",
+    expected: [{ checkId: "title_defects", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch) {
+      patch.update("/propertyPack/alterationsAndChanges/hasStructuralAlterations", () => ({
+        yesNo: "Yes",
+        details: "Single storey rear kitchen extension built in 2020",
+        planningPermission: { yesNo: "Not required", details: "Built under permitted development rights" },
+        buildingRegApproval: { yesNo: "No", details: "No completion certificate was applied for" },
+      }));
+      patch.update("/propertyPack/documents/0/alterationsInsights", (insights) => ({
+        ...insights,
+        hasAlterations: true,
+        summary: "Floorplan shows a single storey rear extension not on the title plan; no building regulations completion certificate supplied",
+      }));
+    },
+  },
+  {
+    id: "high-flood-risk",
+    name: "High flood risk",
+    description: "The property is in a high risk area for river flooding and has flooded before",
+    expected: [{ checkId: "environmental_risks", status: ["warning", "fail"], minRiskLevel: "high" }],
+    apply(patch) {
+      patch.update("/propertyPack/environmentalIssues/flooding/floodRisk", (floodRisk) => ({
+        ...floodRisk,
+        summary: "Flooding from rivers: High risk; Flooding from the sea: Very low risk",
+        riskSubcategories: floodRisk.riskSubcategories.map((risk) => (risk.subCategory === "Flooding from rivers" ?
+          { ...risk, result: "High risk", summary: "Risk greater than 3.3% chance each year", actionAlertRating: 3 } :
+          risk)),
+        riskIndicator: "Yes",
+        actionAlertRating: 3,
+      }));
+      patch.update("/propertyPack/environmentalIssues/flooding/historicalFlooding/hasBeenFlooded", () => "Yes");
+    },
+  },
+  {
+    id: "possessory-title",
+    name: "Possessory title",
+    description: "The freehold is registered with possessory rather than absolute title",
+    expected: [{ checkId: "title_defects", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch) {
+      patch.update(REGISTER_EXTRACT, (extract) => {
+        // HMLR class of title codes for possessory freehold and possessory leasehold
+        const leasehold = extract.ocSummaryData.registerEntryIndicators.leaseHoldTitleIndicator;
+        extract.ocSummaryData.title.classOfTitleCode = leasehold ? "70" : "20";
+        extract.ocRegisterData.propertyRegister.registerEntry.forEach((entry) => {
+          entry.entryText = entry.entryText.replace(/^The (Freehold|Leasehold) land/, "The $1 land (possessory title)");
+        });
+        return extract;
+      });
+      patch.update(KEY_FACTS, (keyFacts) => ({
+        ...keyFacts,
+        propertyAndLandDescription: `${keyFacts.propertyAndLandDescription} The title is possessory, so it is guaranteed only from first registration and earlier rights may still affect it.`,
+      }));
+    },
+  },
+  {
+    id: "japanese-knotweed",
+    name: "Japanese knotweed",
+    description: "The seller discloses Japanese knotweed in the garden",
+    expected: [{ checkId: "environmental_risks", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch) {
+      patch.update("/propertyPack/specialistIssues/japaneseKnotweed/yesNo", () => "Yes");
+    },
+  },
+  {
+    id: "unregistered-land",
+    name: "Unregistered land",
+    description: "The land has never been registered, so the sale triggers first registration from the deeds",
+    expected: [{ checkId: "title_defects", status: ["warning", "fail"], minRiskLevel: "medium" }],
+    apply(patch) {
+      [
+        REGISTER_EXTRACT,
+        KEY_FACTS,
+        "/propertyPack/titlesToBeSold/0/titleExtents",
+        "/propertyPack/titlesToBeSold/0/insights/restrictiveCovenants",
+        "/propertyPack/titlesToBeSold/0/additionalDocuments/1/transcription",
+        "/propertyPack/titlesToBeSold/0/additionalDocuments/2/transcription",
+      ].forEach((claimPath) => patch.remove(claimPath));
+      patch.update("/propertyPack/titlesToBeSold", (titles) => titles.map(({ titleNumber, ...title }) => title));
+      patch.update("/propertyPack/ownership/ownershipsToBeTransferred/-", ({ titleNumber, ...ownership }) => ownership);
+      patch.update("/propertyPack/titlesToBeSold/0/documentAvailability", () => ({
+        titleStatus: "No registered title found. The land appears to be unregistered.",
+        titleStatusCode: "NOT_FOUND",
+        applicationsPending: false,
+      }));
+      patch.update("/propertyPack/titlesToBeSold/0/additionalDocuments/-", (document) => ({
+        ...document,
+        documentType: "Conveyance",
+        documentDate: "1968-05-14",
+        documentReference: "CONV-1968-0514",
+      }));
+      patch.update("/propertyPack/titlesToBeSold/0/additionalDocuments/0/transcription", () => ({
+        rawText: "Conveyance dated 14 May 1968",
+        processedText: "Conveyance of the unregistered freehold forming the root of title",
+      }));
+    },
+  },
+];
+
+/**
+ * Looks up a scenario by ID
+ * @param {string} scenarioId - A SCENARIOS id
+ * @return {Object} The scenario
+ */
+function getScenario(scenarioId) {
+  const scenario = SCENARIOS.find((entry) => entry.id === scenarioId);
+  if (!scenario) {
+    throw new Error(`Unknown scenario '${scenarioId}'. Use one of: ${SCENARIOS.map((entry) => entry.id).join(", ")}`);
+  }
+  return scenario;
+}
+
+/**
+ * Plants scenarios in a generated transaction's claims
+ * @param {Array} claims - Claims from the sandbox claims builder; not modified
+ * @param {Array<string>} scenarioIds - SCENARIOS ids to apply, in order
+ * @return {Object} { claims, manifest } where manifest lists each scenario with
+ *   the paths it patched and the diligence outcomes expected of it
+ */
+function applyScenarios(claims, scenarioIds = []) {
+  const patched = structuredClone(claims);
+  const manifest = {
+    transactionId: claims[0]?.transactionId || null,
+    scenarios: [],
+  };
+
+  for (const scenarioId of scenarioIds) {
+    const scenario = getScenario(scenarioId);
+    const patch = createPatcher(patched);
+    try {
+      scenario.apply(patch, patched);
+    } catch (error) {
+      throw new Error(`Scenario '${scenarioId}' could not be applied: ${error.message}`);
+    }
+    manifest.scenarios.push({
+      id: scenario.id,
+      name: scenario.name,
+      description: scenario.description,
+      paths: [...patch.touched].sort(),
+      expected: scenario.expected,
+    });
+  }
+
+  return { claims: patched, manifest };
+}
+
+/**
+ * Compares a diligence insights report with the outcomes a manifest expects
+ * @param {Object} manifest - Manifest from applyScenarios
+ * @param {Object} insights - Report from generateDiligenceInsights or runDiligenceChecks
+ * @return {Object} { passed, results } with one { scenario, checkId, expected,
+ *   actual, met } result per expectation
+ */
+function checkExpectedOutcomes(manifest, insights) {
+  const checks = insights?.checks || [];
+  const results = manifest.scenarios.flatMap((scenario) => scenario.expected.map((expected) => {
+    const check = checks.find((entry) => entry.checkId === expected.checkId);
+    const actual = check ? { status: check.status, riskLevel: check.riskLevel, findings: check.findings } : null;
+    const met = Boolean(check) &&
+      expected.status.includes(check.status) &&
+      RISK_LEVELS.indexOf(check.riskLevel) >= RISK_LEVELS.indexOf(expected.minRiskLevel);
+    return { scenario: scenario.id, checkId: expected.checkId, expected, actual, met };
+  }));
+  return { passed: results.every((result) => result.met), results };
+}
+
+/**
+ * Prints the outcome check for a manifest
+ * @param {Object} outcome - Result from checkExpectedOutcomes
+ */
+function printOutcomeReport(outcome) {
+  outcome.results.forEach((result) => {
+    const actual = result.actual ? `${result.actual.status}/${result.actual.riskLevel}` : "check missing";
+    const expected = `${result.expected.status.join(" or ")}, at least ${result.expected.minRiskLevel}`;
+    console.log(`${result.met ? "✅" : "❌"} ${result.scenario} → ${result.checkId}: ${actual} (expected ${expected})`);
+    if (result.actual?.findings) {
+      console.log(`   ${result.actual.findings}`);
+    }
+  });
+  console.log("");
+  console.log(`📋 ${outcome.passed ? "Every scenario was flagged as expected" : `${outcome.results.filter((result) => !result.met).length} expectations not met`}`);
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Parameters object
+ * @param {Array} params.claims - Claims to plant scenarios in
+ * @param {Array<string>} params.scenarios - SCENARIOS ids
+ * @return {Promise<Object>} { claims, manifest }
+ */
+async function processRequest(params = {}) {
+  if (!Array.isArray(params.claims)) {
+    throw new Error("claims parameter must be an array");
+  }
+  return applyScenarios(params.claims, params.scenarios || []);
+}
+
+/**
+ * Plants each scenario on its own in each committed golden claims file, so
+ * every scenario can be checked without generating claims first
+ * @return {Promise<Array>} { label, claims, manifest } per golden file and scenario
+ */
+async function buildGoldenScenarioCases() {
+  const files = (await fs.readdir(GOLDEN_DIR)).filter((file) => file.endsWith("-claims.json")).sort();
+  const cases = [];
+  for (const file of files) {
+    const golden = JSON.parse(await fs.readFile(path.join(GOLDEN_DIR, file), "utf8"));
+    for (const scenario of SCENARIOS) {
+      const { claims, manifest } = applyScenarios(golden, [scenario.id]);
+      cases.push({ label: `${file.replace("-claims.json", "")} + ${scenario.id}`, claims, manifest });
+    }
+  }
+  return cases;
+}
+
+/**
+ * Runs the diligence checks over scenario claims and compares the outcomes
+ * @param {Array} claims - Claims with the scenarios planted
+ * @param {Object} manifest - Manifest from applyScenarios
+ * @return {Promise<Object>} Result from checkExpectedOutcomes
+ */
+async function runScenarioCheck(claims, manifest) {
+  const { aggregateState } = require("./state-aggregator");
+  const { runDiligenceChecks } = require("../handlers/diligence-insights");
+
+  console.log(`🔍 Running diligence checks over ${claims.length} claims for ${manifest.scenarios.length} scenarios`);
+  const insights = await runDiligenceChecks(aggregateState(structuredClone(claims)), claims);
+  console.log("");
+  return checkExpectedOutcomes(manifest, insights);
+}
+
+// CLI usage: list scenarios, or run diligence over scenario claims and check the outcomes
+async function main() {
+  const [command, claimsFile, manifestFile] = process.argv.slice(2);
+
+  if (command === "list") {
+    SCENARIOS.forEach((scenario) => {
+      console.log(`${scenario.id}: ${scenario.description}`);
+      scenario.expected.forEach((expected) => console.log(`   expects ${expected.checkId} ${expected.status.join("/")}, at least ${expected.minRiskLevel}`));
+    });
+    return;
+  }
+
+  if (command !== "check" || Boolean(claimsFile) !== Boolean(manifestFile)) {
+    console.error("❌ Usage: node sandbox-scenarios.js list");
+    console.error("       node sandbox-scenarios.js check [<claims-file> <expected-outcomes-file>]");
+    console.error("Without files, check plants each scenario in each golden file in data/sandbox-claims-golden");
+    console.error("Scenario claims come from: node sandbox-claims-builder-v3.js \"<address>\" --scenario <id> [--scenario <id>]");
+    process.exit(1);
+  }
+
+  if (!process.env.OPENAI_API_KEY) {
+    console.log("⚠️  OPENAI_API_KEY is not set, so the checks return canned demo results and cannot confirm the scenarios are flagged");
+    console.log("");
+  }
+
+  if (claimsFile) {
+    const claims = JSON.parse(await fs.readFile(claimsFile, "utf8"));
+    const manifest = JSON.parse(await fs.readFile(manifestFile, "utf8"));
+    const outcome = await runScenarioCheck(claims, manifest);
+    printOutcomeReport(outcome);
+    process.exit(outcome.passed ? 0 : 1);
+  }
+
+  const cases = await buildGoldenScenarioCases();
+  let failed = 0;
+  for (const { label, claims, manifest } of cases) {
+    console.log(`📄 ${label}`);
+    const outcome = await runScenarioCheck(claims, manifest);
+    printOutcomeReport(outcome);
+    console.log("");
+    failed += outcome.passed ? 0 : 1;
+  }
+  console.log(`📋 ${failed === 0 ? `All ${cases.length} golden scenario checks passed` : `${failed} of ${cases.length} golden scenario checks failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Scenario check failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  applyScenarios,
+  buildGoldenScenarioCases,
+  checkExpectedOutcomes,
+  getScenario,
+  printOutcomeReport,
+  process: processRequest,
+};
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const fs = require("fs").promises;
+const { aggregateState, escapePointerToken } = require("./state-aggregator");
+const { getTransactionSchema } = require("./pdtf-validator");
+
+// Load environment variables from .env file, for transactions fetched from a service
+require("dotenv").config({
+  path: path.join(__dirname, "../.env"),
+  quiet: true,
+});
+
+const OUTPUT_FORMATS = ["json", "markdown", "terminal"];
+
+// How a populated field is evidenced, strongest first
+const EVIDENCE_CLASSES = ["electronicRecord", "document", "vouchedOnly", "other"];
+
+// ANSI colours for the terminal view
+const COLOURS = {
+  good: "\x1b[32m",
+  partial: "\x1b[33m",
+  poor: "\x1b[31m",
+  dim: "\x1b[2m",
+  reset: "\x1b[0m",
+};
+
+/**
+ * Lists the report sections: each top-level transaction member, except
+ * propertyPack whose members (the BASPI/TA6 sections) are listed one by one
+ * @return {Array} { path, key, title } in schema order
+ */
+function listSections() {
+  const schema = getTransactionSchema();
+  const sections = [];
+  for (const [key, child] of Object.entries(schema.properties)) {
+    if (key === "$schema") {
+      continue;
+    }
+    if (key === "propertyPack") {
+      for (const [packKey, packChild] of Object.entries(child.properties)) {
+        sections.push({ path: `/propertyPack/${escapePointerToken(packKey)}`, key: packKey, title: packChild.title || packKey });
+      }
+      continue;
+    }
+    sections.push({ path: `/${escapePointerToken(key)}`, key, title: child.title || key });
+  }
+  return sections;
+}
+
+/**
+ * Checks whether a value counts as filled in
+ * @param {any} value - Any JSON value
+ * @return {boolean} False for undefined, null, "" and empty objects or arrays
+ */
+function isPopulated(value) {
+  if (value === undefined || value === null || value === "") {
+    return false;
+  }
+  if (typeof value === "object") {
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Picks the oneOf branches that apply to an object. A branch applies when
+ * every property it shares with the parent schema as an enum discriminator
+ * (e.g. yesNo: ["Yes"]) matches the value.
+ * @param {Object} schema - Object schema with oneOf
+ * @param {Object} value - The object in the state
+ * @return {Array} Matching branches
+ */
+function applicableBranches(schema, value) {
+  return (schema.oneOf || []).filter((branch) => {
+    if (!branch.properties) {
+      return false;
+    }
+    const discriminators = Object.entries(branch.properties)
+      .filter(([key, child]) => child.enum && schema.properties && schema.properties[key]);
+    return discriminators.every(([key, child]) => child.enum.includes(value[key]));
+  });
+}
+
+/**
+ * Merges the properties and required members of a schema and its applicable
+ * branches. Where both define a property, the one with more structure wins,
+ * since branches often only narrow the discriminator's enum.
+ * @param {Array} branches - The schema followed by its applicable branches
+ * @return {Object} { properties, required }
+ */
+function mergeBranches(branches) {
+  const properties = {};
+  const required = new Set();
+  for (const branch of branches) {
+    for (const [key, child] of Object.entries(branch.properties || {})) {
+      const existing = properties[key];
+      if (!existing || (!existing.properties && !existing.items && !existing.oneOf && (child.properties || child.items))) {
+        properties[key] = child;
+      }
+    }
+    (branch.required || []).forEach((key) => required.add(key));
+  }
+  return { properties, required: [...required] };
+}
+
+/**
+ * Walks the schema alongside a state, noting every applicable leaf field,
+ * which are populated, and required members that are missing. Fields are
+ * normalised JSON Pointers with "-" for array items; populated fields also
+ * keep the concrete pointers they were found at, for the evidence lookup.
+ * @param {Object} schema - Subschema for the value
+ * @param {any} value - The value in the state, or undefined if absent
+ * @param {string} pointer - Concrete JSON Pointer of the value
+ * @param {string} field - Normalised JSON Pointer of the value
+ * @param {Object} found - { applicable: Set, populated: Map, missingRequired: [] }
+ */
+function walkSchema(schema, value, pointer, field, found) {
+  if (schema.items) {
+    if (Array.isArray(value) && value.length > 0) {
+      value.forEach((item, index) => walkSchema(schema.items, item, `${pointer}/${index}`, `${field}/-`, found));
+    } else {
+      walkSchema(schema.items, undefined, `${pointer}/-`, `${field}/-`, found);
+    }
+    return;
+  }
+
+  const isObject = value !== null && typeof value === "object" && !Array.isArray(value);
+  if (!schema.properties && !(isObject && schema.oneOf)) {
+    found.applicable.add(field);
+    if (isPopulated(value)) {
+      const pointers = found.populated.get(field) || [];
+      found.populated.set(field, [...pointers, pointer]);
+    }
+    return;
+  }
+
+  if (value === undefined) {
+    // Without a value no discriminator is set, so only the base properties apply
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      const token = escapePointerToken(key);
+      walkSchema(child, undefined, `${pointer}/${token}`, `${field}/${token}`, found);
+    }
+    return;
+  }
+
+  if (!isObject) {
+    // A value of the wrong shape still counts as the field being answered
+    found.applicable.add(field);
+    found.populated.set(field, [...(found.populated.get(field) || []), pointer]);
+    return;
+  }
+
+  const { properties, required } = mergeBranches([schema, ...applicableBranches(schema, value)]);
+  required
+    .filter((key) => !isPopulated(value[key]))
+    .forEach((key) => found.missingRequired.push(`${pointer}/${escapePointerToken(key)}`));
+  for (const [key, child] of Object.entries(properties)) {
+    const token = escapePointerToken(key);
+    walkSchema(child, value[key], `${pointer}/${token}`, `${field}/${token}`, found);
+  }
+}
+
+/**
+ * Classifies the evidence behind a populated value from the provenance of
+ * its leaves, counting superseded assertions too
+ * @param {string} pointer - Concrete pointer the value was found at
+ * @param {Object} provenance - Provenance index from aggregateState
+ * @return {string} One of EVIDENCE_CLASSES
+ */
+function classifyEvidence(pointer, provenance) {
+  const types = new Set();
+  for (const [leafPath, record] of Object.entries(provenance)) {
+    if (leafPath !== pointer && !leafPath.startsWith(`${pointer}/`)) {
+      continue;
+    }
+    [record, ...(record.superseded || [])]
+      .flatMap((entry) => entry.evidence || [])
+      .forEach((evidence) => types.add(evidence.type));
+  }
+  if (types.has("electronic_record")) {
+    return "electronicRecord";
+  }
+  if (types.has("document")) {
+    return "document";
+  }
+  if (types.size > 0 && [...types].every((type) => type === "vouch")) {
+    return "vouchedOnly";
+  }
+  return "other";
+}
+
+/**
+ * Works out a completeness percentage
+ * @param {number} populated - Populated fields
+ * @param {number} applicable - Applicable fields
+ * @return {number|null} Percentage to one decimal place, or null with no fields
+ */
+function percentage(populated, applicable) {
+  return applicable === 0 ? null : Math.round((populated / applicable) * 1000) / 10;
+}
+
+/**
+ * Reports how much of the PDTF transaction schema a transaction fills in.
+ * For each section it counts the fields that apply (taking the oneOf
+ * branches the answers select), how many are populated, which required
+ * fields are missing and, for claim sets, whether each populated field is
+ * backed by an electronic record, a document or only a seller's vouch.
+ * @param {Array|Object} input - Claims array or aggregated state
+ * @return {Object} { summary, sections } where each section is
+ *   { path, title, applicableFields, populatedFields, completeness,
+ *   missingRequired, evidence, electronicRecord, vouchedOnly }. Fields are
+ *   counted once however many array items hold them, while evidence counts
+ *   each populated value and missingRequired, electronicRecord and
+ *   vouchedOnly list concrete pointers such as
+ *   /propertyPack/parking/parkingArrangements/0. evidence and the two
+ *   evidence lists are null when the input is a state
+ */
+function analyseSchemaCoverage(input) {
+  let state = input;
+  let provenance = null;
+  if (Array.isArray(input)) {
+    ({ state, provenance } = aggregateState(structuredClone(input), {}, { provenance: true }));
+  } else if (!input || typeof input !== "object") {
+    throw new Error("Coverage needs a claims array or a state object");
+  }
+
+  const found = { applicable: new Set(), populated: new Map(), missingRequired: [] };
+  walkSchema(getTransactionSchema(), state, "", "", found);
+
+  const inSection = (section) => (fieldPath) => fieldPath === section.path || fieldPath.startsWith(`${section.path}/`);
+  const sections = listSections().map((section) => {
+    const belongs = inSection(section);
+    const populated = [...found.populated.keys()].filter(belongs);
+    const applicableFields = [...found.applicable].filter(belongs).length;
+    const report = {
+      path: section.path,
+      title: section.title,
+      applicableFields,
+      populatedFields: populated.length,
+      completeness: percentage(populated.length, applicableFields),
+      missingRequired: found.missingRequired.filter(belongs),
+      evidence: null,
+      electronicRecord: null,
+      vouchedOnly: null,
+    };
+    if (provenance) {
+      // Each array item is classified on its own, and listed by its concrete pointer
+      const classes = populated.flatMap((fieldPath) => found.populated.get(fieldPath)
+        .map((pointer) => [pointer, classifyEvidence(pointer, provenance)]));
+      report.evidence = Object.fromEntries(EVIDENCE_CLASSES.map((name) =>
+        [name, classes.filter(([, evidenceClass]) => evidenceClass === name).length]));
+      report.electronicRecord = classes.filter(([, evidenceClass]) => evidenceClass === "electronicRecord").map(([pointer]) => pointer);
+      report.vouchedOnly = classes.filter(([, evidenceClass]) => evidenceClass === "vouchedOnly").map(([pointer]) => pointer);
+    }
+    return report;
+  });
+
+  const total = (key) => sections.reduce((sum, section) => sum + section[key], 0);
+  const summary = {
+    sections: sections.length,
+    sectionsStarted: sections.filter((section) => section.populatedFields > 0).length,
+    applicableFields: total("applicableFields"),
+    populatedFields: total("populatedFields"),
+    completeness: percentage(total("populatedFields"), total("applicableFields")),
+    missingRequired: sections.reduce((sum, section) => sum + section.missingRequired.length, 0),
+    evidence: provenance ?
+      Object.fromEntries(EVIDENCE_CLASSES.map((name) => [name, sections.reduce((sum, section) => sum + section.evidence[name], 0)])) :
+      null,
+  };
+  return { summary, sections };
+}
+
+/**
+ * Describes a completeness percentage
+ * @param {number|null} completeness - From analyseSchemaCoverage
+ * @return {string} e.g. "42.5%", or "n/a" for a section with no fields
+ */
+function formatPercentage(completeness) {
+  return completeness === null ? "n/a" : `${completeness}%`;
+}
+
+/**
+ * Renders a coverage report as Markdown
+ * @param {Object} coverage - Result from analyseSchemaCoverage
+ * @param {Object} options - { label } naming the transaction
+ * @return {string} Markdown report
+ */
+function formatMarkdown(coverage, { label = "transaction" } = {}) {
+  const { summary } = coverage;
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const started = coverage.sections.filter((section) => section.populatedFields > 0 || section.missingRequired.length > 0);
+  const lines = [
+    `# Schema coverage: ${label}`,
+    "",
+    `**${summary.populatedFields}** of **${summary.applicableFields}** applicable fields populated (${formatPercentage(summary.completeness)}), ` +
+      `${summary.sectionsStarted} of ${summary.sections} sections started, **${summary.missingRequired}** required fields missing`,
+  ];
+  if (summary.evidence) {
+    lines.push("", `Evidence: ${summary.evidence.electronicRecord} electronic record, ${summary.evidence.document} document, ` +
+      `${summary.evidence.vouchedOnly} seller-vouched only, ${summary.evidence.other} other`);
+  }
+
+  lines.push("", "## Sections", "");
+  if (summary.evidence) {
+    lines.push("| Section | Populated | Completeness | Missing required | Electronic record | Vouched only |", "| --- | --- | --- | --- | --- | --- |");
+  } else {
+    lines.push("| Section | Populated | Completeness | Missing required |", "| --- | --- | --- | --- |");
+  }
+  started.forEach((section) => {
+    const cells = [
+      `${section.title} (\`${section.path}\`)`,
+      `${section.populatedFields}/${section.applicableFields}`,
+      formatPercentage(section.completeness),
+      section.missingRequired.length,
+      ...(section.evidence ? [section.evidence.electronicRecord, section.evidence.vouchedOnly] : []),
+    ];
+    lines.push(`| ${cells.map(cell).join(" | ")} |`);
+  });
+  const untouched = coverage.sections.filter((section) => !started.includes(section));
+  if (untouched.length > 0) {
+    lines.push("", `Not started: ${untouched.map((section) => section.title).join(", ")}`);
+  }
+
+  const missing = coverage.sections.flatMap((section) => section.missingRequired);
+  if (missing.length > 0) {
+    lines.push("", "## Required but missing", "");
+    missing.forEach((fieldPath) => lines.push(`- \`${fieldPath}\``));
+  }
+
+  const vouched = coverage.sections.flatMap((section) => section.vouchedOnly || []);
+  if (vouched.length > 0) {
+    lines.push("", "## Seller-vouched only", "");
+    vouched.forEach((fieldPath) => lines.push(`- \`${fieldPath}\``));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders a coverage report for the terminal, coloured unless colour is turned off
+ * @param {Object} coverage - Result from analyseSchemaCoverage
+ * @param {Object} options - { label, colour, all } where all also lists
+ *   sections with nothing populated
+ * @return {string} Report text
+ */
+function formatTerminal(coverage, { label = "transaction", colour = true, all = false } = {}) {
+  const { summary } = coverage;
+  const paint = (name, text) => (colour ? `${COLOURS[name]}${text}${COLOURS.reset}` : text);
+  const grade = (completeness) => (completeness >= 75 ? "good" : completeness >= 25 ? "partial" : "poor");
+  const lines = [`📐 Schema coverage: ${label}`, ""];
+
+  coverage.sections
+    .filter((section) => all || section.populatedFields > 0 || section.missingRequired.length > 0)
+    .forEach((section) => {
+      const filled = Math.round((section.completeness || 0) / 10);
+      const bar = `${"█".repeat(filled)}${"░".repeat(10 - filled)}`;
+      const counts = `${section.populatedFields}/${section.applicableFields}`.padStart(9);
+      const evidence = section.evidence ?
+        paint("dim", `  ${section.evidence.electronicRecord} record, ${section.evidence.vouchedOnly} vouched only`) :
+        "";
+      lines.push(`${paint(grade(section.completeness || 0), bar)} ${formatPercentage(section.completeness).padStart(6)} ${counts}  ${section.title}${evidence}`);
+      section.missingRequired.forEach((fieldPath) => lines.push(paint("poor", `    ✗ required: ${fieldPath}`)));
+    });
+
+  lines.push("");
+  lines.push(`📋 ${summary.populatedFields} of ${summary.applicableFields} fields populated (${formatPercentage(summary.completeness)}), ${summary.sectionsStarted} of ${summary.sections} sections started`);
+  lines.push(`${summary.missingRequired === 0 ? "✅" : "⚠️ "} ${summary.missingRequired} required fields missing`);
+  if (summary.evidence) {
+    lines.push(`📊 Evidence: ${summary.evidence.electronicRecord} electronic record, ${summary.evidence.document} document, ` +
+      `${summary.evidence.vouchedOnly} seller-vouched only, ${summary.evidence.other} other`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders a coverage report in one of OUTPUT_FORMATS
+ * @param {Object} coverage - Result from analyseSchemaCoverage
+ * @param {string} format - "json", "markdown" or "terminal"
+ * @param {Object} options - Label and display options for the text formats
+ * @return {string} The rendered report
+ */
+function formatCoverage(coverage, format = "json", options = {}) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(coverage, null, 2);
+    case "markdown":
+      return formatMarkdown(coverage, options);
+    case "terminal":
+      return formatTerminal(coverage, options);
+    default:
+      throw new Error(`Unknown format '${format}'. Use one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+}
+
+/**
+ * Loads a transaction from a JSON file, or from a PDTF service when given as
+ * service:transactionId (e.g. moverly:HLbVvS2z3LCEVedziZ3kx8)
+ * @param {string} source - File path or service:transactionId
+ * @return {Promise<Array|Object>} Claims array or state object
+ */
+async function loadTransaction(source) {
+  const serviceMatch = /^([a-z][a-z0-9-]*):([^/\\]+)$/i.exec(source);
+  if (serviceMatch) {
+    const { getAdapter } = require("../adapters");
+    const adapter = getAdapter(serviceMatch[1]);
+    if (adapter) {
+      return adapter.getClaims(serviceMatch[2]);
+    }
+  }
+  return JSON.parse(await fs.readFile(source, "utf8"));
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Parameters object
+ * @param {Array} params.claims - Claims to aggregate and analyse
+ * @param {Object} params.state - Aggregated state, when there are no claims
+ * @return {Promise<Object>} Result from analyseSchemaCoverage
+ */
+async function processRequest(params = {}) {
+  const input = params.claims || params.state;
+  if (!input) {
+    throw new Error("claims or state parameter is required");
+  }
+  return analyseSchemaCoverage(input);
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const optionValue = (flag, fallback) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : fallback);
+  const format = optionValue("--format", "terminal");
+  const outputFile = optionValue("--output", null);
+  const [source] = args.filter((arg, index) => !arg.startsWith("--") && !["--format", "--output"].includes(args[index - 1]));
+
+  if (!source || !OUTPUT_FORMATS.includes(format)) {
+    console.error("❌ Usage: node schema-coverage.js <transaction> [--format json|markdown|terminal] [--output file] [--all]");
+    console.error("The transaction is a claims or state JSON file, or service:transactionId to fetch claims");
+    console.error("Examples:");
+    console.error("  node schema-coverage.js ../data/sandbox-claims-v3/91-south-hill-avenue-142222-claims.json");
+    console.error("  node schema-coverage.js moverly:HLbVvS2z3LCEVedziZ3kx8 --format markdown --output coverage.md");
+    process.exit(1);
+  }
+
+  const coverage = analyseSchemaCoverage(await loadTransaction(source));
+  const colour = !outputFile && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+  const rendered = formatCoverage(coverage, format, { label: path.basename(source), colour, all: args.includes("--all") });
+
+  if (outputFile) {
+    await fs.writeFile(outputFile, rendered);
+    console.log(`💾 Coverage report saved to ${outputFile}`);
+  } else {
+    process.stdout.write(rendered.endsWith("\n") ? rendered : `${rendered}\n`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Coverage failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  EVIDENCE_CLASSES,
+  analyseSchemaCoverage,
+  formatCoverage,
+  formatMarkdown,
+  formatTerminal,
+  process: processRequest,
+};
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+/**
+ * Creates a source of random bytes and numbers. With a seed the sequence is
+ * reproducible, drawn from sha256 of the seed and a counter; without one it
+ * falls back to crypto.randomBytes and Math.random.
+ * @param {string|number} seed - Optional seed
+ * @return {Object} { seeded, bytes(size), random(), integer(min, max), pick(items) }
+ */
+function createRandomSource(seed) {
+  const seeded = seed !== undefined && seed !== null && seed !== "";
+  let counter = 0;
+  let pool = Buffer.alloc(0);
+
+  const bytes = (size) => {
+    if (!seeded) {
+      return crypto.randomBytes(size);
+    }
+    while (pool.length < size) {
+      const block = crypto.createHash("sha256").update(`${seed}:${counter++}`).digest();
+      pool = Buffer.concat([pool, block]);
+    }
+    const chunk = Buffer.from(pool.subarray(0, size));
+    pool = pool.subarray(size);
+    return chunk;
+  };
+
+  const random = () => (seeded ? bytes(4).readUInt32BE(0) / 0x100000000 : Math.random());
+
+  return {
+    seeded,
+    bytes,
+    random,
+    integer: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: (items) => items[Math.floor(random() * items.length)],
+  };
+}
+
+module.exports = { createRandomSource };
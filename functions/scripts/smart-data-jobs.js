@@ -0,0 +1,180 @@
+const { z } = require("zod");
+const { zodToJsonSchema } = require("zod-to-json-schema");
+const { ApiError, NotFoundError, TimeoutError } = require("./api-errors");
+const { authorizeCaller } = require("./request-auth");
+const { applyClaimAccess, buildVisibleState } = require("./claim-access");
+
+// Any JSON object, e.g. a claim or a state
+const jsonObject = z.record(z.any());
+
+// Aggregation runs synchronously and cannot be timed out, so its input is capped
+// instead; the largest bundled transaction has a few hundred claims
+const MAX_AGGREGATE_CLAIMS = 5000;
+
+/**
+ * The data jobs processSmartData can run, keyed by the scriptName callers
+ * send. Nothing outside this catalogue can be invoked over HTTP. Each job has:
+ * - description: What it does, for the job listing
+ * - params: zod schema for its parameters; unknown parameters are rejected
+ * - access: Who may run it, as { required, personas } for authorizeCaller.
+ *   Every job needs a signed-in caller at least, as jobs spend the server's
+ *   API keys or compute
+ * - timeoutMs: How long the caller waits before getting a TIMEOUT error, or
+ *   null for synchronous jobs, which a timer cannot interrupt; those bound
+ *   their input in params instead
+ * - run: async (params, caller) => result
+ */
+const SMART_DATA_JOBS = {
+  "sandbox-data-fetcher": {
+    description: "Fetches people, residences and conveyancing records from the Smart Data Challenge sandbox",
+    params: z.object({
+      joinData: z.boolean().default(true).describe("Join the records into one per person rather than returning each dataset"),
+    }).strict(),
+    access: { required: true },
+    timeoutMs: 60000,
+    run: (params) => require("./sandbox-data-fetcher").process(params),
+  },
+  "property-centric-fetcher": {
+    description: "Builds property-centric records from the Smart Data Challenge sandbox",
+    params: z.object({
+      selectedPropertyId: z.string().nullable().default(null).describe("Only return this property"),
+    }).strict(),
+    access: { required: true },
+    timeoutMs: 60000,
+    // The sandbox key comes from SMART_DATA_CHALLENGE_API_KEY, never from the request
+    run: (params) => require("./property-centric-fetcher").process(params),
+  },
+  "state-aggregator": {
+    description: "Aggregates claims into a PDTF state, optionally with provenance and conflicts",
+    params: z.object({
+      claims: z.array(jsonObject).max(MAX_AGGREGATE_CLAIMS).describe("Verified claims to aggregate"),
+      initialState: jsonObject.default({}),
+      provenance: z.boolean().default(false),
+      detectConflicts: z.boolean().default(false),
+      resolutionPolicy: z.union([z.string(), jsonObject]).optional(),
+      asAt: z.string().datetime({ offset: true }).optional(),
+      upToClaimId: z.string().optional(),
+    }).strict(),
+    access: { required: true },
+    timeoutMs: null,
+    run: (params) => require("./state-aggregator").process(params),
+  },
+  "moverly-api-client": {
+    description: "Fetches a transaction's claims and state from the Moverly staging API, redacted to what the caller may see",
+    params: z.object({
+      transactionId: z.string().min(1),
+      dataType: z.enum(["state", "claims", "all"]).default("all"),
+    }).strict(),
+    access: { required: true },
+    timeoutMs: 60000,
+    run: async ({ transactionId, dataType }, caller) => {
+      const client = require("./moverly-api-client");
+      const visible = applyClaimAccess(await client.fetchMoverlyClaims(transactionId), caller);
+      const getState = () => buildVisibleState(visible, () => client.fetchMoverlyState(transactionId));
+
+      if (dataType === "claims") {
+        return visible.claims;
+      }
+      if (dataType === "state") {
+        return getState();
+      }
+      return { transactionId, state: await getState(), claims: visible.claims };
+    },
+  },
+};
+
+/**
+ * Looks up a registered job
+ * @param {string} scriptName - The job's key in SMART_DATA_JOBS
+ * @return {Object} The job
+ * @throws {NotFoundError} When no job is registered under the name
+ */
+function getJob(scriptName) {
+  if (typeof scriptName !== "string" || !Object.hasOwn(SMART_DATA_JOBS, scriptName)) {
+    throw new NotFoundError(`Unknown job '${scriptName}'. Registered jobs: ${Object.keys(SMART_DATA_JOBS).join(", ")}`);
+  }
+  return SMART_DATA_JOBS[scriptName];
+}
+
+/**
+ * Describes the registered jobs, with their parameters as JSON Schema and
+ * whether the caller may run each one
+ * @param {Object|null} caller - From authenticateRequest, null when anonymous
+ * @return {Array} { scriptName, description, params, access, timeoutMs, allowed }
+ */
+function listJobs(caller) {
+  return Object.entries(SMART_DATA_JOBS).map(([scriptName, job]) => {
+    let allowed = true;
+    try {
+      authorizeCaller(caller, job.access);
+    } catch (error) {
+      allowed = false;
+    }
+    return {
+      scriptName,
+      description: job.description,
+      params: zodToJsonSchema(job.params, { $refStrategy: "none" }),
+      access: { required: Boolean(job.access.required || job.access.personas), personas: job.access.personas || null },
+      timeoutMs: job.timeoutMs,
+      allowed,
+    };
+  });
+}
+
+/**
+ * Settles with a promise's outcome, or rejects once the time is up. The job
+ * itself carries on in the background; only the caller stops waiting.
+ * @param {Promise} promise - The running job
+ * @param {number} timeoutMs - Time limit
+ * @param {string} scriptName - For the error message
+ * @return {Promise} The job's result
+ */
+function withTimeout(promise, timeoutMs, scriptName) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`Job '${scriptName}' did not finish within ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a registered job for a caller, after checking their access and the
+ * parameters
+ * @param {string} scriptName - The job's key in SMART_DATA_JOBS
+ * @param {Object} params - Parameters from the request
+ * @param {Object|null} caller - From authenticateRequest, null when anonymous
+ * @return {Promise<Object>} { scriptName, status, startedAt, durationMs, result }
+ * @throws {NotFoundError} When the job is not registered
+ * @throws {UnauthenticatedError|ForbiddenError} When the caller may not run it
+ * @throws {ApiError} INVALID_PARAMS (400) when the parameters fail the job's schema
+ * @throws {TimeoutError} When an asynchronous job runs past its timeout
+ */
+async function runJob(scriptName, params, caller) {
+  const job = getJob(scriptName);
+  authorizeCaller(caller, job.access);
+
+  const parsed = job.params.safeParse(params || {});
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map((issue) => `${issue.path.join(".") || "params"}: ${issue.message}`);
+    throw new ApiError(`Invalid parameters for '${scriptName}': ${problems.join("; ")}`, { code: "INVALID_PARAMS", status: 400 });
+  }
+
+  const started = Date.now();
+  const running = Promise.resolve().then(() => job.run(parsed.data, caller));
+  const result = await (job.timeoutMs ? withTimeout(running, job.timeoutMs, scriptName) : running);
+  return {
+    scriptName,
+    status: "succeeded",
+    startedAt: new Date(started).toISOString(),
+    durationMs: Date.now() - started,
+    result,
+  };
+}
+
+module.exports = {
+  MAX_AGGREGATE_CLAIMS,
+  SMART_DATA_JOBS,
+  getJob,
+  listJobs,
+  runJob,
+};
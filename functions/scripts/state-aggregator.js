@@ -1,24 +1,81 @@
 const jp = require("jsonpointer");
+const { claimIdentity, restatesValuesInForce } = require("./claim-identity");
 
 /**
- * Aggregates claims into a final state using JSON Pointer paths
+ * Gets the time a claim was made, falling back to the epoch when missing
+ * @param {Object} claim - The verified claim
+ * @return {string} ISO timestamp of the claim
+ */
+function getClaimTime(claim) {
+  return claim.verification?.time || claim.timestamp || "1970-01-01T00:00:00.000Z";
+}
+
+// Named resolution policies for choosing between claims that disagree.
+// Without a policy the latest claim always wins.
+const RESOLUTION_POLICIES = {
+  "latest": null,
+  "electronic-record-first": {
+    evidencePriority: ["electronic_record", "document", "vouch"],
+    preferSources: [],
+  },
+};
+
+// JSON Patch (RFC 6902) operations a claim can carry in its `operations` array
+const PATCH_OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+
+/**
+ * Aggregates claims into a final state using JSON Pointer paths. A claim's
+ * `claims` map sets values (or appends with a trailing `/-`); a claim may also
+ * carry an RFC 6902 `operations` array, applied first and all-or-nothing.
+ * A claim with the same identity (see claim-identity.js) as one already
+ * applied is skipped as a duplicate when every value it sets is already in
+ * force; one re-asserting a value another claim has since replaced is applied.
  * @param {Array} claims - Array of claim objects with path-based claims
  * @param {Object} initialState - Optional initial state to build upon
- * @return {Object} The aggregated state
+ * @param {Object} options - Optional aggregation options
+ * @param {boolean} options.provenance - Also return a path-to-claims index for every leaf
+ * @param {boolean} options.detectConflicts - Also return paths where different sources disagree
+ * @param {Object|string} options.resolutionPolicy - Policy (or RESOLUTION_POLICIES name) deciding which claim wins
+ * @param {string} options.asAt - Only apply claims verified at or before this ISO timestamp
+ * @param {string} options.upToClaimId - Stop after applying the claim with this ID
+ * @param {boolean} options.keepDuplicates - Apply exact duplicate claims too
+ * @param {Set<string>} options.seenIdentities - Identities of claims already in initialState;
+ *   the identities of claims applied here are added to it
+ * @param {Function} options.onDuplicate - Called with each claim skipped as a duplicate
+ * @return {Object} The aggregated state, or { state, provenance, conflicts } when either report is requested
  */
-function aggregateState(claims, initialState = {}) {
+function aggregateState(claims, initialState = {}, options = {}) {
   // Start with a copy of the initial state
   const state = JSON.parse(JSON.stringify(initialState));
+  const policy = resolvePolicy(options.resolutionPolicy);
+  const conflicts = options.detectConflicts ? {} : null;
+  const provenance = options.provenance || conflicts || policy ? {} : null;
+  const context = { state, policy, conflicts };
 
   // Sort claims by timestamp to ensure consistent ordering
   const sortedClaims = claims.sort((a, b) => {
-    const timeA = a.verification?.time || a.timestamp || "1970-01-01T00:00:00.000Z";
-    const timeB = b.verification?.time || b.timestamp || "1970-01-01T00:00:00.000Z";
-    return new Date(timeA) - new Date(timeB);
+    return new Date(getClaimTime(a)) - new Date(getClaimTime(b));
   });
 
+  const applicableClaims = selectClaimsAsAt(sortedClaims, options);
+  const seenIdentities = options.keepDuplicates ? null : options.seenIdentities || new Set();
+
   // Process each claim in chronological order
-  for (const claim of sortedClaims) {
+  for (const claim of applicableClaims) {
+    if (seenIdentities) {
+      // The earliest copy of a duplicated claim is the one that counts
+      const identity = claimIdentity(claim);
+      if (seenIdentities.has(identity) && restatesValuesInForce(claim, (claimPath) => getFromState(state, claimPath))) {
+        options.onDuplicate?.(claim);
+        continue;
+      }
+      seenIdentities.add(identity);
+    }
+
+    if (Array.isArray(claim.operations)) {
+      applyPatchClaim(claim, provenance, context);
+    }
+
     if (!claim.claims) {
       continue; // Skip invalid claims
     }
@@ -44,9 +101,17 @@ function aggregateState(claims, initialState = {}) {
           }
           currentArray.push(claimValue);
           jp.set(state, arrayPath, currentArray);
+
+          if (provenance) {
+            recordProvenance(provenance, `${arrayPath}/${currentArray.length - 1}`, claimValue, claim, context);
+          }
         } else {
           // Regular path - set the value directly, replacing whatever is there
           jp.set(state, claimPath, claimValue);
+
+          if (provenance) {
+            recordProvenance(provenance, claimPath, claimValue, claim, context);
+          }
         }
       } catch (error) {
         console.warn(`Failed to apply claim path "${claimPath}":`, error.message);
@@ -55,9 +120,651 @@ function aggregateState(claims, initialState = {}) {
     }
   }
 
+  if (options.provenance || conflicts) {
+    return {
+      state,
+      ...(options.provenance && { provenance }),
+      ...(conflicts && { conflicts: summariseConflicts(conflicts, provenance) }),
+    };
+  }
+
   return state;
 }
 
+/**
+ * Resolves a resolution policy option into a policy object
+ * @param {Object|string} resolutionPolicy - A policy object or RESOLUTION_POLICIES name
+ * @return {Object|null} The policy, or null for latest-wins
+ */
+function resolvePolicy(resolutionPolicy) {
+  if (!resolutionPolicy) {
+    return null;
+  }
+
+  if (typeof resolutionPolicy === "string") {
+    if (!Object.hasOwn(RESOLUTION_POLICIES, resolutionPolicy)) {
+      throw new Error(`Unknown resolution policy: ${resolutionPolicy}`);
+    }
+    return RESOLUTION_POLICIES[resolutionPolicy];
+  }
+
+  return {
+    evidencePriority: resolutionPolicy.evidencePriority || [],
+    preferSources: resolutionPolicy.preferSources || [],
+  };
+}
+
+/**
+ * Describes where a claim's evidence came from
+ * @param {Array} evidence - The verification evidence array
+ * @return {Object} The evidence type and source name
+ */
+function getEvidenceSource(evidence = []) {
+  const primary = evidence[0];
+  if (!primary) {
+    return { type: "unknown", name: "unknown" };
+  }
+
+  const name =
+    primary.record?.source?.name ||
+    primary.attestation?.voucher?.name ||
+    primary.document?.type ||
+    "unknown";
+
+  return { type: primary.type || "unknown", name };
+}
+
+/**
+ * Ranks a provenance record under a policy; lower ranks win
+ * @param {Object} record - A provenance record
+ * @param {Object} policy - The resolution policy
+ * @return {Array} Source rank followed by evidence type rank
+ */
+function rankRecord(record, policy) {
+  const { type, name } = getEvidenceSource(record.evidence);
+  const sourceRank = policy.preferSources.indexOf(name);
+  const typeRank = policy.evidencePriority.indexOf(type);
+  return [
+    sourceRank === -1 ? policy.preferSources.length : sourceRank,
+    typeRank === -1 ? policy.evidencePriority.length : typeRank,
+  ];
+}
+
+/**
+ * Checks whether an existing record should be kept over a newer one
+ * @param {Object} existing - The record currently in the state
+ * @param {Object} incoming - The record from the newer claim
+ * @param {Object} policy - The resolution policy
+ * @return {boolean} True if the existing record outranks the incoming one
+ */
+function outranks(existing, incoming, policy) {
+  const [existingSource, existingType] = rankRecord(existing, policy);
+  const [incomingSource, incomingType] = rankRecord(incoming, policy);
+  if (existingSource !== incomingSource) {
+    return existingSource < incomingSource;
+  }
+  return existingType < incomingType;
+}
+
+/**
+ * Notes that two records from different sources disagree on a leaf
+ * @param {Object} conflicts - Conflicts keyed by leaf path
+ * @param {string} leafPath - The JSON Pointer of the leaf
+ * @param {Object} existing - The record currently in the state
+ * @param {Object} incoming - The record from the newer claim
+ */
+function noteConflict(conflicts, leafPath, existing, incoming) {
+  const assertions = conflicts[leafPath] || (conflicts[leafPath] = []);
+  for (const record of [existing, incoming]) {
+    if (!assertions.some((assertion) => assertion.claimId === record.claimId && assertion.time === record.time)) {
+      const { type, name } = getEvidenceSource(record.evidence);
+      assertions.push({
+        claimId: record.claimId,
+        time: record.time,
+        value: record.value,
+        evidenceType: type,
+        source: name,
+      });
+    }
+  }
+}
+
+/**
+ * Turns collected conflicts into a report, noting which claim won each path
+ * @param {Object} conflicts - Conflicts keyed by leaf path
+ * @param {Object} provenance - The provenance index after aggregation
+ * @return {Array} Conflict entries ordered by path
+ */
+function summariseConflicts(conflicts, provenance) {
+  return Object.keys(conflicts)
+    .sort()
+    .map((leafPath) => {
+      const winner = provenance[leafPath];
+      return {
+        path: leafPath,
+        assertions: conflicts[leafPath],
+        resolvedValue: winner ? winner.value : undefined,
+        resolvedClaimId: winner ? winner.claimId : null,
+      };
+    });
+}
+
+/**
+ * Restricts chronologically sorted claims to those made at a point in time
+ * @param {Array} sortedClaims - Claims sorted by verification time
+ * @param {Object} options - Aggregation options
+ * @param {string} options.asAt - Only keep claims verified at or before this ISO timestamp
+ * @param {string} options.upToClaimId - Only keep claims up to and including this claim ID
+ * @return {Array} The claims to apply
+ */
+function selectClaimsAsAt(sortedClaims, { asAt, upToClaimId } = {}) {
+  let selected = sortedClaims;
+
+  if (upToClaimId) {
+    const cutOffIndex = selected.findIndex((claim) => claim.id === upToClaimId);
+    if (cutOffIndex === -1) {
+      throw new Error(`Claim ${upToClaimId} not found`);
+    }
+    selected = selected.slice(0, cutOffIndex + 1);
+  }
+
+  if (asAt) {
+    const asAtTime = new Date(asAt);
+    if (isNaN(asAtTime)) {
+      throw new Error(`Invalid asAt timestamp: ${asAt}`);
+    }
+    selected = selected.filter((claim) => new Date(getClaimTime(claim)) <= asAtTime);
+  }
+
+  return selected;
+}
+
+/**
+ * Compares two states leaf by leaf
+ * @param {Object} before - The earlier state
+ * @param {Object} after - The later state
+ * @return {Object} Added, removed and changed leaf paths with their values
+ */
+function diffStates(before, after) {
+  const beforeLeaves = getLeafMap(before);
+  const afterLeaves = getLeafMap(after);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [leafPath, value] of Object.entries(afterLeaves)) {
+    if (!(leafPath in beforeLeaves)) {
+      diff.added.push({ path: leafPath, value });
+    } else if (JSON.stringify(beforeLeaves[leafPath]) !== JSON.stringify(value)) {
+      diff.changed.push({ path: leafPath, before: beforeLeaves[leafPath], after: value });
+    }
+  }
+
+  for (const [leafPath, value] of Object.entries(beforeLeaves)) {
+    if (!(leafPath in afterLeaves)) {
+      diff.removed.push({ path: leafPath, value });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Maps every leaf path in a state to its value, ignoring an empty root
+ * @param {Object} state - The state object
+ * @return {Object} Map of JSON Pointer to leaf value
+ */
+function getLeafMap(state) {
+  return Object.fromEntries(listLeaves("", state || {}).filter(([leafPath]) => leafPath !== ""));
+}
+
+/**
+ * Escapes a single key for use as a JSON Pointer reference token (RFC 6901)
+ * @param {string|number} key - The object key or array index
+ * @return {string} The escaped token
+ */
+function escapePointerToken(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Lists every leaf of a claim value as [pointer, value] pairs. Primitives,
+ * null and empty objects/arrays are leaves, matching the frontend claims map.
+ * @param {string} basePath - JSON Pointer the value is written to
+ * @param {*} value - The claimed value
+ * @return {Array} Array of [path, leafValue] pairs
+ */
+function listLeaves(basePath, value) {
+  if (value === null || typeof value !== "object") {
+    return [[basePath, value]];
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 0) {
+    return [[basePath, value]];
+  }
+
+  return keys.flatMap((key) => listLeaves(`${basePath}/${escapePointerToken(key)}`, value[key]));
+}
+
+/**
+ * Summarises a claim for the provenance index
+ * @param {Object} claim - The verified claim
+ * @param {*} value - The leaf value this claim asserted
+ * @return {Object} Claim reference with its evidence
+ */
+function describeClaim(claim, value) {
+  return {
+    claimId: claim.id || null,
+    time: claim.verification?.time || claim.timestamp || null,
+    value,
+    evidence: claim.verification?.evidence || [],
+  };
+}
+
+/**
+ * Records the leaves written by a claim in the provenance index. Leaves that
+ * the claim overwrites keep their previous winners as superseded claims, and
+ * leaves that no longer exist in the state are dropped. When a resolution
+ * policy is set, leaves held by a higher-ranked source are put back.
+ * @param {Object} provenance - Index of leaf path to provenance record
+ * @param {string} claimPath - The resolved JSON Pointer the claim wrote to
+ * @param {*} claimValue - The value written
+ * @param {Object} claim - The verified claim
+ * @param {Object} context - The state being built, resolution policy and conflicts
+ */
+function recordProvenance(provenance, claimPath, claimValue, claim, { state, policy, conflicts }) {
+  const previous = {};
+  for (const leafPath of Object.keys(provenance)) {
+    const isReplaced = leafPath === claimPath || leafPath.startsWith(`${claimPath}/`);
+    const isAncestor = claimPath.startsWith(`${leafPath}/`);
+    if (isReplaced || isAncestor) {
+      previous[leafPath] = provenance[leafPath];
+      delete provenance[leafPath];
+    }
+  }
+
+  for (const [leafPath, leafValue] of listLeaves(claimPath, claimValue)) {
+    const prior = previous[leafPath];
+    const record = describeClaim(claim, leafValue);
+    delete previous[leafPath];
+
+    if (!prior) {
+      provenance[leafPath] = { ...record, superseded: [] };
+      continue;
+    }
+
+    const disagrees = JSON.stringify(prior.value) !== JSON.stringify(leafValue);
+    const fromOtherSource =
+      JSON.stringify(getEvidenceSource(prior.evidence)) !== JSON.stringify(getEvidenceSource(record.evidence));
+    if (conflicts && disagrees && fromOtherSource) {
+      noteConflict(conflicts, leafPath, prior, record);
+    }
+
+    if (policy && disagrees && outranks(prior, record, policy)) {
+      // Keep the higher-ranked value and record the newer claim as superseded
+      jp.set(state, leafPath, prior.value);
+      provenance[leafPath] = { ...prior, superseded: [record, ...prior.superseded] };
+    } else {
+      provenance[leafPath] = { ...record, superseded: [stripSuperseded(prior), ...prior.superseded] };
+    }
+  }
+
+  if (!policy) {
+    return;
+  }
+
+  // Leaves this claim removed outright survive if their source outranks it
+  for (const [leafPath, prior] of Object.entries(previous)) {
+    if (outranks(prior, describeClaim(claim, undefined), policy)) {
+      jp.set(state, leafPath, prior.value);
+      for (const descendant of Object.keys(provenance)) {
+        if (descendant.startsWith(`${leafPath}/`)) {
+          delete provenance[descendant];
+        }
+      }
+      provenance[leafPath] = prior;
+    }
+  }
+}
+
+/**
+ * Removes the nested superseded list from a provenance record
+ * @param {Object} record - A provenance record
+ * @return {Object} The record without its superseded list
+ */
+function stripSuperseded(record) {
+  const rest = { ...record };
+  delete rest.superseded;
+  return rest;
+}
+
+/**
+ * Gets the provenance record for a path, collecting every leaf beneath it
+ * @param {Object} provenance - Index returned by aggregateState with options.provenance
+ * @param {string} path - JSON Pointer path
+ * @return {Array} Array of { path, ...record } entries, ordered by path
+ */
+function getProvenanceForPath(provenance, path) {
+  return Object.keys(provenance)
+    .filter((leafPath) => leafPath === path || leafPath.startsWith(`${path}/`))
+    .sort()
+    .map((leafPath) => ({ path: leafPath, ...provenance[leafPath] }));
+}
+
+/**
+ * Applies a claim's JSON Patch operations to the state. Like an RFC 6902
+ * patch, the operations apply as a unit: if any fails (including a failed
+ * test), the state and reports are left as they were before the claim.
+ * @param {Object} claim - The verified claim carrying an operations array
+ * @param {Object|null} provenance - Index of leaf path to provenance record
+ * @param {Object} context - The state being built, resolution policy and conflicts
+ */
+function applyPatchClaim(claim, provenance, context) {
+  const { state, conflicts } = context;
+  const snapshot = structuredClone({ state, provenance, conflicts });
+
+  try {
+    for (const operation of claim.operations) {
+      const problems = validatePatchOperation(operation);
+      if (problems.length > 0) {
+        throw new Error(problems.join("; "));
+      }
+
+      const applied = applyPatchOperation(state, operation);
+      if (provenance) {
+        recordPatchProvenance(provenance, applied, claim, context);
+      }
+    }
+  } catch (error) {
+    console.warn(`Skipped operations in claim "${claim.id}":`, error.message);
+    restoreInPlace(state, snapshot.state);
+    if (provenance) restoreInPlace(provenance, snapshot.provenance);
+    if (conflicts) restoreInPlace(conflicts, snapshot.conflicts);
+  }
+}
+
+/**
+ * Checks the shape of a JSON Patch operation without applying it
+ * @param {Object} operation - An RFC 6902 operation
+ * @return {Array} Problems found, empty when the operation is well formed
+ */
+function validatePatchOperation(operation) {
+  if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+    return ["Operation must be an object"];
+  }
+
+  const problems = [];
+  if (!PATCH_OPERATIONS.includes(operation.op)) {
+    problems.push(`Unknown op "${operation.op}", expected one of: ${PATCH_OPERATIONS.join(", ")}`);
+  }
+  if (typeof operation.path !== "string" || operation.path === "" || !isValidJsonPointer(operation.path)) {
+    problems.push(`Operation path must be a non-root JSON Pointer: ${operation.path}`);
+  }
+  if (["add", "replace", "test"].includes(operation.op) && !("value" in operation)) {
+    problems.push(`"${operation.op}" operation requires a value`);
+  }
+  if (["move", "copy"].includes(operation.op)) {
+    if (typeof operation.from !== "string" || operation.from === "" || !isValidJsonPointer(operation.from)) {
+      problems.push(`"${operation.op}" operation requires a non-root JSON Pointer in from: ${operation.from}`);
+    } else if (operation.op === "move" && String(operation.path).startsWith(`${operation.from}/`)) {
+      problems.push(`Cannot move ${operation.from} into one of its own children`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Applies one JSON Patch operation to the state, following RFC 6902: the
+ * parent of the target must exist, array indices insert rather than overwrite,
+ * and "-" appends
+ * @param {Object} state - The state object, modified in place
+ * @param {Object} operation - A well-formed RFC 6902 operation
+ * @return {Object} What changed: { op, path, value, from, removed, inserted }
+ */
+function applyPatchOperation(state, operation) {
+  const { op } = operation;
+
+  if (op === "test") {
+    const target = locatePointer(state, operation.path);
+    if (!target.exists || JSON.stringify(target.parent[target.key]) !== JSON.stringify(operation.value)) {
+      throw new Error(`Test failed at ${operation.path}`);
+    }
+    return { op, path: operation.path };
+  }
+
+  if (op === "remove") {
+    return { op, path: operation.path, removed: removeAtPointer(state, operation.path) };
+  }
+
+  if (op === "replace") {
+    const target = locatePointer(state, operation.path);
+    if (!target.exists) {
+      throw new Error(`Cannot replace missing value at ${operation.path}`);
+    }
+    target.parent[target.key] = structuredClone(operation.value);
+    return { op, path: operation.path, value: operation.value };
+  }
+
+  // add, move and copy all finish by adding a value at path
+  let value = operation.value;
+  let removed = null;
+  if (op === "move" || op === "copy") {
+    const source = locatePointer(state, operation.from);
+    if (!source.exists) {
+      throw new Error(`Cannot ${op} missing value at ${operation.from}`);
+    }
+    value = source.parent[source.key];
+    if (op === "move") {
+      removed = removeAtPointer(state, operation.from);
+    }
+  }
+
+  const inserted = addAtPointer(state, operation.path, structuredClone(value));
+  return { op, path: inserted.path, value, from: operation.from, removed, inserted };
+}
+
+/**
+ * Splits a JSON Pointer into its unescaped reference tokens
+ * @param {string} pointer - JSON Pointer path
+ * @return {Array} The reference tokens
+ */
+function parsePointer(pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Finds the container holding the value a JSON Pointer refers to
+ * @param {Object} state - The state object
+ * @param {string} pointer - Non-root JSON Pointer path
+ * @return {Object} { parent, key, parentPath, isArray, exists }
+ */
+function locatePointer(state, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parentPath = tokens.map((token) => `/${escapePointerToken(token)}`).join("");
+  const parent = parentPath === "" ? state : getFromState(state, parentPath);
+
+  if (parent === null || typeof parent !== "object") {
+    throw new Error(`No object or array at ${parentPath || "the root"} to hold ${pointer}`);
+  }
+
+  if (Array.isArray(parent)) {
+    if (!/^(0|[1-9][0-9]*|-)$/.test(key)) {
+      throw new Error(`Invalid array index in ${pointer}`);
+    }
+    const index = key === "-" ? parent.length : Number(key);
+    return { parent, key: index, parentPath, isArray: true, exists: index < parent.length };
+  }
+
+  return { parent, key, parentPath, isArray: false, exists: Object.hasOwn(parent, key) };
+}
+
+/**
+ * Adds a value at a JSON Pointer, inserting into arrays
+ * @param {Object} state - The state object, modified in place
+ * @param {string} pointer - Non-root JSON Pointer path
+ * @param {*} value - The value to add
+ * @return {Object} { path, parentPath, index } with "-" resolved to an index
+ */
+function addAtPointer(state, pointer, value) {
+  const target = locatePointer(state, pointer);
+
+  if (target.isArray) {
+    if (target.key > target.parent.length) {
+      throw new Error(`Array index out of bounds in ${pointer}`);
+    }
+    target.parent.splice(target.key, 0, value);
+    return { path: `${target.parentPath}/${target.key}`, parentPath: target.parentPath, index: target.key };
+  }
+
+  target.parent[target.key] = value;
+  return { path: pointer, parentPath: target.parentPath, index: null };
+}
+
+/**
+ * Removes the value at a JSON Pointer, closing the gap in arrays
+ * @param {Object} state - The state object, modified in place
+ * @param {string} pointer - Non-root JSON Pointer path
+ * @return {Object} { path, parentPath, index } of the removed value
+ */
+function removeAtPointer(state, pointer) {
+  const target = locatePointer(state, pointer);
+  if (!target.exists) {
+    throw new Error(`Cannot remove missing value at ${pointer}`);
+  }
+
+  if (target.isArray) {
+    target.parent.splice(target.key, 1);
+    return { path: pointer, parentPath: target.parentPath, index: target.key };
+  }
+
+  delete target.parent[target.key];
+  return { path: pointer, parentPath: target.parentPath, index: null };
+}
+
+/**
+ * Keeps the provenance index in step with an applied JSON Patch operation.
+ * Added and replaced values are credited to the claim and go through the
+ * resolution policy like any other value; moved and copied values keep the
+ * claims they came from; removals drop their leaves outright.
+ * @param {Object} provenance - Index of leaf path to provenance record
+ * @param {Object} applied - The result of applyPatchOperation
+ * @param {Object} claim - The verified claim
+ * @param {Object} context - The state being built, resolution policy and conflicts
+ */
+function recordPatchProvenance(provenance, applied, claim, context) {
+  const { op } = applied;
+  if (op === "test") {
+    return;
+  }
+
+  if (op === "replace") {
+    recordProvenance(provenance, applied.path, applied.value, claim, context);
+    return;
+  }
+
+  let carried = null;
+  if (op === "move" || op === "copy") {
+    carried = takeProvenance(provenance, applied.from, op === "move");
+  }
+  if (applied.removed) {
+    dropProvenance(provenance, applied.removed);
+  }
+  if (op === "remove") {
+    return;
+  }
+
+  if (applied.inserted.index !== null) {
+    shiftArrayProvenance(provenance, applied.inserted.parentPath, applied.inserted.index, 1);
+  }
+
+  if (op === "add") {
+    recordProvenance(provenance, applied.path, applied.value, claim, context);
+    return;
+  }
+
+  // Moved and copied leaves replace whatever was at the target path
+  for (const leafPath of Object.keys(provenance)) {
+    const isReplaced = leafPath === applied.path || leafPath.startsWith(`${applied.path}/`);
+    if (isReplaced || applied.path.startsWith(`${leafPath}/`)) {
+      delete provenance[leafPath];
+    }
+  }
+  for (const [suffix, record] of Object.entries(carried)) {
+    provenance[`${applied.path}${suffix}`] = record;
+  }
+}
+
+/**
+ * Collects the provenance records at or beneath a path, keyed by the rest of
+ * their path
+ * @param {Object} provenance - Index of leaf path to provenance record
+ * @param {string} path - JSON Pointer path
+ * @param {boolean} remove - Also delete the records from the index
+ * @return {Object} Map of path suffix to provenance record
+ */
+function takeProvenance(provenance, path, remove) {
+  const taken = {};
+  for (const leafPath of Object.keys(provenance)) {
+    if (leafPath === path || leafPath.startsWith(`${path}/`)) {
+      taken[leafPath.slice(path.length)] = structuredClone(provenance[leafPath]);
+      if (remove) {
+        delete provenance[leafPath];
+      }
+    }
+  }
+  return taken;
+}
+
+/**
+ * Drops provenance for a removed value and renumbers later array elements
+ * @param {Object} provenance - Index of leaf path to provenance record
+ * @param {Object} removed - The { path, parentPath, index } of the removed value
+ */
+function dropProvenance(provenance, removed) {
+  takeProvenance(provenance, removed.path, true);
+  if (removed.index !== null) {
+    shiftArrayProvenance(provenance, removed.parentPath, removed.index + 1, -1);
+  }
+}
+
+/**
+ * Renumbers provenance for array elements from an index onwards
+ * @param {Object} provenance - Index of leaf path to provenance record
+ * @param {string} arrayPath - JSON Pointer of the array
+ * @param {number} fromIndex - First element index to move
+ * @param {number} delta - How far to move each element
+ */
+function shiftArrayProvenance(provenance, arrayPath, fromIndex, delta) {
+  const moved = {};
+  for (const leafPath of Object.keys(provenance)) {
+    if (!leafPath.startsWith(`${arrayPath}/`)) {
+      continue;
+    }
+    const [indexToken, ...rest] = leafPath.slice(arrayPath.length + 1).split("/");
+    const index = Number(indexToken);
+    if (index >= fromIndex) {
+      moved[[`${arrayPath}/${index + delta}`, ...rest].join("/")] = provenance[leafPath];
+      delete provenance[leafPath];
+    }
+  }
+  Object.assign(provenance, moved);
+}
+
+/**
+ * Puts an object back to a previous snapshot without replacing the object
+ * @param {Object} target - The object to restore
+ * @param {Object} snapshot - The snapshot to restore from
+ */
+function restoreInPlace(target, snapshot) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
+  }
+  Object.assign(target, snapshot);
+}
+
 /**
  * Validates that a path is a valid JSON Pointer
  * @param {string} path - The path to validate
@@ -113,20 +820,50 @@ function hasInState(state, path) {
  * @param {Object} params - Parameters object
  * @param {Array} params.claims - Array of claims to aggregate
  * @param {Object} params.initialState - Optional initial state
+ * @param {boolean} params.provenance - Also return the path-to-claims index
+ * @param {boolean} params.detectConflicts - Also return the conflict report
+ * @param {Object|string} params.resolutionPolicy - Optional policy for resolving conflicts
+ * @param {string} params.asAt - Optional ISO timestamp to reconstruct the state at
+ * @param {string} params.upToClaimId - Optional claim ID to stop aggregating after
  * @return {Promise<Object>} The aggregated state
  */
 async function processRequest(params = {}) {
-  const { claims = [], initialState = {} } = params;
+  const {
+    claims = [],
+    initialState = {},
+    provenance = false,
+    detectConflicts = false,
+    resolutionPolicy,
+    asAt,
+    upToClaimId,
+  } = params;
 
   if (!Array.isArray(claims)) {
     throw new Error("claims parameter must be an array");
   }
 
-  return aggregateState(claims, initialState);
+  return aggregateState(claims, initialState, {
+    provenance,
+    detectConflicts,
+    resolutionPolicy,
+    asAt,
+    upToClaimId,
+  });
 }
 
 module.exports = {
   aggregateState,
+  RESOLUTION_POLICIES,
+  PATCH_OPERATIONS,
+  validatePatchOperation,
+  applyPatchOperation,
+  getEvidenceSource,
+  selectClaimsAsAt,
+  diffStates,
+  getClaimTime,
+  getProvenanceForPath,
+  escapePointerToken,
+  listLeaves,
   isValidJsonPointer,
   getFromState,
   hasInState,
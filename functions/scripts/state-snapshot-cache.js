@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const fs = require("fs").promises;
+const { aggregateState, getClaimTime } = require("./state-aggregator");
+
+const SNAPSHOT_VERSION = 4;
+const SNAPSHOT_COLLECTION = "stateSnapshots";
+
+/**
+ * Creates a snapshot store that keeps one JSON file per key, used under the
+ * emulator and by the CLI
+ * @param {string} directory - Directory to keep snapshot files in
+ * @return {Object} Store with async get(key) and set(key, snapshot)
+ */
+function createFileSnapshotStore(directory) {
+  const fileFor = (key) => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async set(key, snapshot) {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(snapshot));
+    },
+  };
+}
+
+/**
+ * Creates a snapshot store backed by a Firestore collection
+ * @param {Object} db - Firestore instance from firebase-admin
+ * @return {Object} Store with async get(key) and set(key, snapshot)
+ */
+function createFirestoreSnapshotStore(db) {
+  const docFor = (key) => db.collection(SNAPSHOT_COLLECTION).doc(encodeURIComponent(key));
+
+  return {
+    async get(key) {
+      const doc = await docFor(key).get();
+      return doc.exists ? doc.data() : null;
+    },
+    async set(key, snapshot) {
+      await docFor(key).set(snapshot);
+    },
+  };
+}
+
+/**
+ * Picks the snapshot store for the current environment: a local directory
+ * under the emulator (or STATE_SNAPSHOT_DIR when set), Firestore otherwise
+ * @return {Object} The snapshot store
+ */
+function getDefaultSnapshotStore() {
+  if (process.env.STATE_SNAPSHOT_DIR || process.env.FUNCTIONS_EMULATOR === "true") {
+    return createFileSnapshotStore(
+      process.env.STATE_SNAPSHOT_DIR || path.join(os.tmpdir(), "pdtf-state-snapshots"),
+    );
+  }
+
+  const admin = require("firebase-admin");
+  return createFirestoreSnapshotStore(admin.firestore());
+}
+
+/**
+ * Sorts claims the same way aggregateState does, without touching the input
+ * @param {Array} claims - Array of claim objects
+ * @return {Array} A new array in chronological order
+ */
+function sortClaims(claims) {
+  return [...claims].sort((a, b) => new Date(getClaimTime(a)) - new Date(getClaimTime(b)));
+}
+
+/**
+ * Hashes a single claim
+ * @param {Object} claim - The claim
+ * @return {string} Hex sha256 digest of its JSON
+ */
+function hashClaim(claim) {
+  return crypto.createHash("sha256").update(JSON.stringify(claim)).digest("hex");
+}
+
+/**
+ * Extends a hash chain with claims, chaining each claim onto the hash of
+ * those before it, so chaining a log in two parts gives the same digest as
+ * chaining it at once
+ * @param {Array} claims - Claims in log order
+ * @param {string} previousHash - Digest of the claims before these, "" for none
+ * @return {string} Hex digest of the log up to and including these claims
+ */
+function chainClaims(claims, previousHash = "") {
+  let digest = previousHash;
+  for (const claim of claims) {
+    digest = crypto.createHash("sha256").update(digest).update(hashClaim(claim)).digest("hex");
+  }
+  return digest;
+}
+
+/**
+ * Latest claim time in a set of claims
+ * @param {Array} claims - Claims
+ * @return {string|null} ISO time, or null when there are no claims
+ */
+function latestClaimTime(claims) {
+  let latest = null;
+  for (const claim of claims) {
+    const time = getClaimTime(claim);
+    if (latest === null || new Date(time) > new Date(latest)) {
+      latest = time;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Works out whether a snapshot can be resumed for a claims log. Claims are an
+ * append-only log, so only the ends of the covered prefix are compared: the
+ * first and last claims it was built from must be unchanged, and every
+ * appended claim must be no older than the high-water mark, so the full sort
+ * puts it after the covered claims. An older claim rewritten in place is not
+ * noticed; claims are never edited once made, and a regenerated claims file
+ * changes its first claim.
+ * @param {Object|null} snapshot - The stored snapshot
+ * @param {Array} claims - All claims, in log order
+ * @return {boolean} True if the tail can be applied on top of the snapshot
+ */
+function canResumeFrom(snapshot, claims) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || snapshot.claimCount > claims.length) {
+    return false;
+  }
+  if (snapshot.claimCount === 0) {
+    return true;
+  }
+  if (hashClaim(claims[0]) !== snapshot.firstClaimHash ||
+    hashClaim(claims[snapshot.claimCount - 1]) !== snapshot.lastClaimHash) {
+    return false;
+  }
+  const highWaterTime = new Date(snapshot.highWaterMark.time);
+  return claims.slice(snapshot.claimCount).every((claim) => new Date(getClaimTime(claim)) >= highWaterTime);
+}
+
+/**
+ * Aggregates claims into a state, starting from the stored snapshot when the
+ * claims it was built from are still the start of the log (see
+ * canResumeFrom). Only the claims appended since are hashed and applied;
+ * anything else (a shortened log, a changed first or last claim, a back-dated
+ * new claim, a missing or unreadable snapshot) falls back to a full rebuild.
+ * The result is byte-identical to aggregateState(claims).
+ * @param {string} key - Snapshot key, usually the property ID
+ * @param {Array} claims - All claims for the property, in the order they were
+ *   made; not modified
+ * @param {Object} store - Snapshot store, defaults to getDefaultSnapshotStore()
+ * @return {Promise<Object>} { state, cache: { mode, claimsApplied, highWaterMark } }
+ */
+async function aggregateStateIncremental(key, claims, store = getDefaultSnapshotStore()) {
+  let snapshot = null;
+  try {
+    snapshot = await store.get(key);
+  } catch (error) {
+    console.warn(`Could not read state snapshot for ${key}:`, error.message);
+  }
+
+  if (canResumeFrom(snapshot, claims) && snapshot.claimCount === claims.length) {
+    return {
+      state: JSON.parse(snapshot.state),
+      cache: { mode: "hit", claimsApplied: 0, highWaterMark: snapshot.highWaterMark },
+    };
+  }
+
+  let mode;
+  let previous;
+  let newClaims;
+  if (canResumeFrom(snapshot, claims)) {
+    mode = "incremental";
+    previous = snapshot;
+    newClaims = claims.slice(snapshot.claimCount);
+  } else {
+    mode = "rebuild";
+    previous = { claimCount: 0, claimsHash: "", highWaterMark: null, identities: [], state: "{}" };
+    newClaims = claims;
+  }
+
+  // Hash before aggregating: appended claim values end up shared with the state
+  const claimsHash = chainClaims(newClaims, previous.claimsHash);
+  // Identities of applied claims, so duplicates among new claims are still dropped
+  const seenIdentities = new Set(previous.identities);
+  const state = aggregateState(JSON.parse(JSON.stringify(newClaims)), JSON.parse(previous.state), { seenIdentities });
+
+  const newest = latestClaimTime(newClaims);
+  const highWaterMark = newest === null ? previous.highWaterMark : {
+    time: newest,
+    claimId: newClaims.filter((claim) => getClaimTime(claim) === newest).pop().id || null,
+  };
+
+  try {
+    // The state is stored as a string so its key order survives the round trip
+    await store.set(key, {
+      version: SNAPSHOT_VERSION,
+      claimCount: claims.length,
+      claimsHash,
+      firstClaimHash: claims.length > 0 ? hashClaim(claims[0]) : null,
+      lastClaimHash: claims.length > 0 ? hashClaim(claims[claims.length - 1]) : null,
+      highWaterMark,
+      identities: [...seenIdentities],
+      state: JSON.stringify(state),
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.warn(`Could not save state snapshot for ${key}:`, error.message);
+  }
+
+  return { state, cache: { mode, claimsApplied: newClaims.length, highWaterMark } };
+}
+
+/**
+ * Checks that incremental aggregation matches a full rebuild for a claims file,
+ * resuming from snapshots taken at several points in its history
+ * @param {string} claimsFilePath - Path to a claims JSON file
+ * @param {Object} store - Snapshot store to use for the check
+ * @return {Promise<Array>} One { resumeFrom, mode, identical } entry per check
+ */
+async function verifyClaimsFile(claimsFilePath, store) {
+  const raw = await fs.readFile(claimsFilePath, "utf8");
+  const expected = JSON.stringify(aggregateState(JSON.parse(raw)));
+  // Replay the log in time order, so each resume point is a log prefix
+  const sortedClaims = sortClaims(JSON.parse(raw));
+  const key = path.basename(claimsFilePath);
+
+  const resumePoints = [0, 1, Math.floor(sortedClaims.length / 2), sortedClaims.length - 1, sortedClaims.length];
+  const results = [];
+  for (const resumeFrom of [...new Set(resumePoints)].filter((point) => point >= 0)) {
+    // Prime the snapshot as if only the earlier claims had existed
+    await aggregateStateIncremental(key, sortedClaims.slice(0, resumeFrom), store);
+    const { state, cache } = await aggregateStateIncremental(key, sortClaims(JSON.parse(raw)), store);
+    results.push({ resumeFrom, mode: cache.mode, identical: JSON.stringify(state) === expected });
+  }
+  return results;
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Parameters object
+ * @param {string} params.key - Snapshot key, usually the property ID
+ * @param {Array} params.claims - Array of claims to aggregate
+ * @return {Promise<Object>} The aggregated state and cache details
+ */
+async function processRequest(params = {}) {
+  const { key, claims = [] } = params;
+
+  if (!key) {
+    throw new Error("key parameter is required");
+  }
+  if (!Array.isArray(claims)) {
+    throw new Error("claims parameter must be an array");
+  }
+
+  return aggregateStateIncremental(key, claims);
+}
+
+// CLI usage: prove incremental aggregation matches a full rebuild
+async function main() {
+  const claimsDir = process.argv[2] || path.join(__dirname, "../data/sandbox-claims-v3");
+  const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdtf-snapshot-verify-"));
+  const store = createFileSnapshotStore(snapshotDir);
+
+  const files = (await fs.readdir(claimsDir)).filter((file) => file.endsWith("-claims.json"));
+  console.log(`🔍 Verifying incremental aggregation for ${files.length} claim files\n`);
+
+  let failures = 0;
+  for (const file of files) {
+    const results = await verifyClaimsFile(path.join(claimsDir, file), store);
+    const failed = results.filter((result) => !result.identical);
+    failures += failed.length;
+
+    console.log(`${failed.length === 0 ? "✅" : "❌"} ${file}`);
+    results.forEach((result) => {
+      console.log(`   resume from ${result.resumeFrom}: ${result.mode}, ${result.identical ? "identical" : "DIFFERENT"}`);
+    });
+  }
+  await fs.rm(snapshotDir, { recursive: true, force: true });
+
+  console.log(`\n📋 ${failures === 0 ? "All snapshots matched a full rebuild" : `${failures} mismatches`}`);
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Verification failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  aggregateStateIncremental,
+  createFileSnapshotStore,
+  createFirestoreSnapshotStore,
+  getDefaultSnapshotStore,
+  verifyClaimsFile,
+  process: processRequest,
+};
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const fs = require("fs").promises;
+const { aggregateState, diffStates, getEvidenceSource } = require("./state-aggregator");
+const { claimIdentity } = require("./claim-identity");
+
+// Load environment variables from .env file, for sides fetched from a service
+require("dotenv").config({
+  path: path.join(__dirname, "../.env"),
+  quiet: true,
+});
+
+const OUTPUT_FORMATS = ["json", "markdown", "terminal"];
+
+// ANSI colours for the terminal view
+const COLOURS = {
+  added: "\x1b[32m",
+  removed: "\x1b[31m",
+  changed: "\x1b[33m",
+  dim: "\x1b[2m",
+  reset: "\x1b[0m",
+};
+
+/**
+ * Summarises the claim behind a leaf for a diff entry
+ * @param {Object} record - Provenance record from aggregateState
+ * @return {Object|null} { claimId, time, source } or null without provenance
+ */
+function describeResponsibleClaim(record) {
+  if (!record) {
+    return null;
+  }
+  return {
+    claimId: record.claimId,
+    time: record.time,
+    source: getEvidenceSource(record.evidence),
+  };
+}
+
+/**
+ * Aggregates a side of a diff, keeping provenance when it is a claim set
+ * @param {Array|Object} input - Claims array or aggregated state
+ * @return {Object} { state, provenance, claims }
+ */
+function resolveSide(input) {
+  if (Array.isArray(input)) {
+    const { state, provenance } = aggregateState(structuredClone(input), {}, { provenance: true });
+    return { state, provenance, claims: input };
+  }
+  if (input && typeof input === "object") {
+    return { state: input, provenance: null, claims: null };
+  }
+  throw new Error("Each side of a diff must be a claims array or a state object");
+}
+
+/**
+ * Compares two transactions by JSON Pointer. Each side may be a claims array
+ * or an already aggregated state; for claim sets every entry names the claim
+ * that set the value, and the claims themselves are compared by identity.
+ * @param {Array|Object} before - Claims or state to compare from
+ * @param {Array|Object} after - Claims or state to compare to
+ * @return {Object} { summary, added, removed, changed, claims } where added and
+ *   removed entries are { path, value, claim } and changed entries are
+ *   { path, before, after, beforeClaim, afterClaim }; claims is null unless
+ *   both sides are claim sets
+ */
+function diffTransactions(before, after) {
+  const beforeSide = resolveSide(before);
+  const afterSide = resolveSide(after);
+  const stateDiff = diffStates(beforeSide.state, afterSide.state);
+  const claimFor = (side, leafPath) => (side.provenance ? describeResponsibleClaim(side.provenance[leafPath]) : null);
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+
+  const diff = {
+    added: stateDiff.added.map((entry) => ({ ...entry, claim: claimFor(afterSide, entry.path) })).sort(byPath),
+    removed: stateDiff.removed.map((entry) => ({ ...entry, claim: claimFor(beforeSide, entry.path) })).sort(byPath),
+    changed: stateDiff.changed.map((entry) => ({
+      ...entry,
+      beforeClaim: claimFor(beforeSide, entry.path),
+      afterClaim: claimFor(afterSide, entry.path),
+    })).sort(byPath),
+    claims: null,
+  };
+
+  if (beforeSide.claims && afterSide.claims) {
+    const beforeIds = new Set(beforeSide.claims.map((claim) => claimIdentity(claim)));
+    const afterIds = new Set(afterSide.claims.map((claim) => claimIdentity(claim)));
+    diff.claims = {
+      onlyBefore: beforeSide.claims.filter((claim) => !afterIds.has(claimIdentity(claim))).map((claim) => claim.id || null),
+      onlyAfter: afterSide.claims.filter((claim) => !beforeIds.has(claimIdentity(claim))).map((claim) => claim.id || null),
+      common: [...beforeIds].filter((identity) => afterIds.has(identity)).length,
+    };
+  }
+
+  diff.summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length,
+    identical: diff.added.length + diff.removed.length + diff.changed.length === 0,
+  };
+  return diff;
+}
+
+/**
+ * Shortens a value for one-line display
+ * @param {any} value - Any JSON value
+ * @return {string} JSON, truncated to 80 characters
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) {
+    return "undefined";
+  }
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Describes a responsible claim in a few words
+ * @param {Object|null} claim - From describeResponsibleClaim
+ * @return {string} e.g. "claim abc (vouch: Jane Smith, 2025-01-01T00:00:00Z)"
+ */
+function formatClaim(claim) {
+  if (!claim) {
+    return "";
+  }
+  return `claim ${claim.claimId || "(no id)"} (${claim.source.type}: ${claim.source.name}, ${claim.time})`;
+}
+
+/**
+ * Renders a diff as Markdown
+ * @param {Object} diff - Result from diffTransactions
+ * @param {Object} labels - { before, after } names for the two sides
+ * @return {string} Markdown report
+ */
+function formatMarkdown(diff, { before = "before", after = "after" } = {}) {
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const lines = [
+    `# Transaction diff: ${before} → ${after}`,
+    "",
+    `**${diff.summary.added}** added, **${diff.summary.removed}** removed, **${diff.summary.changed}** changed paths`,
+  ];
+
+  if (diff.claims) {
+    lines.push("", `Claims: ${diff.claims.common} in both, ${diff.claims.onlyBefore.length} only in ${before}, ${diff.claims.onlyAfter.length} only in ${after}`);
+  }
+
+  const sections = [
+    ["Added", diff.added, (entry) => [entry.path, formatValue(entry.value), formatClaim(entry.claim)]],
+    ["Removed", diff.removed, (entry) => [entry.path, formatValue(entry.value), formatClaim(entry.claim)]],
+  ];
+  for (const [title, entries, row] of sections) {
+    if (entries.length === 0) {
+      continue;
+    }
+    lines.push("", `## ${title}`, "", "| Path | Value | Claim |", "| --- | --- | --- |");
+    entries.forEach((entry) => lines.push(`| ${row(entry).map(cell).join(" | ")} |`));
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push("", "## Changed", "", "| Path | Before | After | Claim |", "| --- | --- | --- | --- |");
+    diff.changed.forEach((entry) => {
+      const cells = [entry.path, formatValue(entry.before), formatValue(entry.after), formatClaim(entry.afterClaim)];
+      lines.push(`| ${cells.map(cell).join(" | ")} |`);
+    });
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders a diff for the terminal, coloured unless colour is turned off
+ * @param {Object} diff - Result from diffTransactions
+ * @param {Object} options - { before, after, colour }
+ * @return {string} Report text
+ */
+function formatTerminal(diff, { before = "before", after = "after", colour = true } = {}) {
+  const paint = (name, text) => (colour ? `${COLOURS[name]}${text}${COLOURS.reset}` : text);
+  const lines = [`🔍 ${before} → ${after}`, ""];
+
+  diff.removed.forEach((entry) => {
+    lines.push(paint("removed", `- ${entry.path}: ${formatValue(entry.value)}`));
+    if (entry.claim) {
+      lines.push(paint("dim", `    ${formatClaim(entry.claim)}`));
+    }
+  });
+  diff.added.forEach((entry) => {
+    lines.push(paint("added", `+ ${entry.path}: ${formatValue(entry.value)}`));
+    if (entry.claim) {
+      lines.push(paint("dim", `    ${formatClaim(entry.claim)}`));
+    }
+  });
+  diff.changed.forEach((entry) => {
+    lines.push(paint("changed", `~ ${entry.path}: ${formatValue(entry.before)} → ${formatValue(entry.after)}`));
+    if (entry.afterClaim) {
+      lines.push(paint("dim", `    ${formatClaim(entry.afterClaim)}`));
+    }
+  });
+
+  lines.push("");
+  lines.push(`📋 ${diff.summary.identical ? "No differences" : `${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`}`);
+  if (diff.claims) {
+    lines.push(`📊 Claims: ${diff.claims.common} in both, ${diff.claims.onlyBefore.length} only in ${before}, ${diff.claims.onlyAfter.length} only in ${after}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders a diff in one of OUTPUT_FORMATS
+ * @param {Object} diff - Result from diffTransactions
+ * @param {string} format - "json", "markdown" or "terminal"
+ * @param {Object} options - Labels and colour option for the text formats
+ * @return {string} The rendered diff
+ */
+function formatDiff(diff, format = "json", options = {}) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(diff, null, 2);
+    case "markdown":
+      return formatMarkdown(diff, options);
+    case "terminal":
+      return formatTerminal(diff, options);
+    default:
+      throw new Error(`Unknown format '${format}'. Use one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+}
+
+/**
+ * Loads one side of a diff from a JSON file, or from a PDTF service when
+ * given as service:transactionId (e.g. moverly:HLbVvS2z3LCEVedziZ3kx8)
+ * @param {string} source - File path or service:transactionId
+ * @return {Promise<Array|Object>} Claims array or state object
+ */
+async function loadSide(source) {
+  const serviceMatch = /^([a-z][a-z0-9-]*):([^/\\]+)$/i.exec(source);
+  if (serviceMatch) {
+    const { getAdapter } = require("../adapters");
+    const adapter = getAdapter(serviceMatch[1]);
+    if (adapter) {
+      return adapter.getClaims(serviceMatch[2]);
+    }
+  }
+  return JSON.parse(await fs.readFile(source, "utf8"));
+}
+
+/**
+ * Process method for script compatibility
+ * @param {Object} params - Parameters object
+ * @param {Array|Object} params.before - Claims or state to compare from
+ * @param {Array|Object} params.after - Claims or state to compare to
+ * @return {Promise<Object>} Result from diffTransactions
+ */
+async function processRequest(params = {}) {
+  if (!params.before || !params.after) {
+    throw new Error("before and after parameters are required");
+  }
+  return diffTransactions(params.before, params.after);
+}
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const optionValue = (flag, fallback) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : fallback);
+  const format = optionValue("--format", "terminal");
+  const outputFile = optionValue("--output", null);
+  const sources = args.filter((arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--"));
+  const [beforeSource, afterSource] = sources;
+
+  if (!beforeSource || !afterSource || !OUTPUT_FORMATS.includes(format)) {
+    console.error("❌ Usage: node transaction-diff.js <before> <after> [--format json|markdown|terminal] [--output file]");
+    console.error("Each side is a claims or state JSON file, or service:transactionId to fetch claims");
+    console.error("Examples:");
+    console.error("  node transaction-diff.js \"../data/moverly-properties/91 South Hill Avenue2.json\" \"../data/moverly-properties/91 South Hill Avenue3.json\"");
+    console.error("  node transaction-diff.js ../data/sandbox-claims-v3/91-south-hill-avenue-142222-claims.json moverly:HLbVvS2z3LCEVedziZ3kx8 --format markdown");
+    process.exit(1);
+  }
+
+  const diff = diffTransactions(await loadSide(beforeSource), await loadSide(afterSource));
+  const labels = { before: path.basename(beforeSource), after: path.basename(afterSource) };
+  const colour = !outputFile && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+  const rendered = formatDiff(diff, format, { ...labels, colour });
+
+  if (outputFile) {
+    await fs.writeFile(outputFile, rendered);
+    console.log(`💾 Diff saved to ${outputFile}`);
+  } else {
+    process.stdout.write(rendered.endsWith("\n") ? rendered : `${rendered}\n`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Diff failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  diffTransactions,
+  formatDiff,
+  formatMarkdown,
+  formatTerminal,
+  process: processRequest,
+};
@@ -0,0 +1,13 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isLocalAdapterEnabled } = require("../adapters/local");
+
+test("the local service is offered under the emulator and to scripts", () => {
+  assert.equal(isLocalAdapterEnabled({ FUNCTIONS_EMULATOR: "true", K_SERVICE: "getpdtfclaims" }), true);
+  assert.equal(isLocalAdapterEnabled({}), true);
+});
+
+test("deployed functions only offer the local service with a writable claims directory", () => {
+  assert.equal(isLocalAdapterEnabled({ K_SERVICE: "getpdtfclaims" }), false);
+  assert.equal(isLocalAdapterEnabled({ K_SERVICE: "getpdtfclaims", LOCAL_PDTF_CLAIMS_DIR: "/tmp/local-claims" }), true);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { NotFoundError, RateLimitedError, ValidationError, toErrorResponse } = require("../scripts/api-errors");
+
+test("an ApiError keeps its code and status", () => {
+  assert.deepEqual(toErrorResponse(new NotFoundError("Transaction tx-1 not found"), "Failed to fetch claims"), {
+    status: 404,
+    body: { error: "Failed to fetch claims", message: "Transaction tx-1 not found", code: "NOT_FOUND" },
+  });
+  assert.equal(toErrorResponse(new RateLimitedError("Slow down", { retryAfter: 30 }), "Failed").body.retryAfter, 30);
+
+  const validation = { issues: [{ code: "PATH_NOT_POINTER" }], summary: { errors: 1 } };
+  const { body } = toErrorResponse(new ValidationError("Invalid", { validation }), "Failed");
+  assert.deepEqual([body.code, body.issues, body.summary], ["VALIDATION_FAILED", validation.issues, validation.summary]);
+});
+
+test("any other error is a 500 INTERNAL, whatever code it carries", () => {
+  const missingFile = Object.assign(new Error("ENOENT: no such file or directory"), { code: "ENOENT" });
+  const { status, body } = toErrorResponse(missingFile, "Failed to read claims");
+  assert.equal(status, 500);
+  assert.equal(body.code, "INTERNAL");
+  assert.equal(toErrorResponse(new TypeError("oops"), "Failed").body.code, "INTERNAL");
+});
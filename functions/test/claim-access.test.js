@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyClaimAccess, buildVisibleState, resolveClaimAccess } = require("../scripts/claim-access");
+const { ForbiddenError } = require("../scripts/api-errors");
+
+const PRICE = "/propertyPack/priceInformation/price";
+
+const seller = { uid: "seller-uid", email: "seller@example.com", emailVerified: true };
+
+function participant(role, participantStatus, extra = {}) {
+  return { role, participantStatus, email: "seller@example.com", ...extra };
+}
+
+function claim(id, time, claims, confidentialityLevel) {
+  return {
+    id,
+    claims,
+    verification: { trust_framework: "uk_pdtf", time, evidence: [{ type: "vouch" }] },
+    ...(confidentialityLevel && { terms_of_use: { confidentiality_level: confidentialityLevel } }),
+  };
+}
+
+test("anonymous callers and strangers see public claims", () => {
+  const participants = [participant("Seller", "Active")];
+  assert.equal(resolveClaimAccess(participants, null).level, "public");
+  assert.equal(resolveClaimAccess(participants, { uid: "other", email: "other@example.com", emailVerified: true }).level, "public");
+});
+
+test("an active participant in a restricted role gets full access", () => {
+  assert.deepEqual(resolveClaimAccess([participant("Seller", "Active")], seller), {
+    level: "full",
+    role: "Seller",
+    participantIndex: 0,
+    status: "Active",
+  });
+  assert.equal(resolveClaimAccess([participant("Seller")], seller).level, "full");
+});
+
+test("invited participants and other roles see public claims", () => {
+  const invited = resolveClaimAccess([participant("Seller", "Invited")], seller);
+  assert.equal(invited.level, "public");
+  assert.equal(invited.status, "Invited");
+  assert.equal(resolveClaimAccess([participant("Surveyor", "Active")], seller).level, "public");
+});
+
+test("a removed participant gets no access", () => {
+  assert.deepEqual(resolveClaimAccess([participant("Seller", "Removed")], seller), {
+    level: "none",
+    role: "Seller",
+    participantIndex: 0,
+    status: "Removed",
+  });
+});
+
+test("a caller on the transaction twice gets the access of their best entry", () => {
+  const access = resolveClaimAccess([
+    participant("Seller", "Removed"),
+    participant("Surveyor", "Active"),
+    participant("Buyer", "Invited"),
+    participant("Buyer", "Active"),
+  ], seller);
+  assert.equal(access.level, "full");
+  assert.equal(access.participantIndex, 3);
+});
+
+test("an email address only matches once it is verified, but a user ID always does", () => {
+  const participants = [participant("Seller", "Active")];
+  assert.equal(resolveClaimAccess(participants, { ...seller, emailVerified: false }).level, "public");
+
+  const byId = [participant("Seller", "Active", { email: "old@example.com", externalIds: { firebase: "seller-uid" } })];
+  assert.equal(resolveClaimAccess(byId, { ...seller, emailVerified: false }).level, "full");
+});
+
+const transaction = () => [
+  claim("c1", "2025-09-01T10:00:00.000Z", { "/participants/-": participant("Seller", "Active") }, "restricted"),
+  claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 300000, "/propertyPack/address/postcode": "AB1 2CD" }),
+  claim("c3", "2025-09-03T10:00:00.000Z", { [PRICE]: 250000 }, "restricted"),
+];
+
+test("applyClaimAccess reads participants from restricted claims and filters for others", () => {
+  assert.equal(applyClaimAccess(transaction(), seller).redacted, 0);
+
+  const visible = applyClaimAccess(transaction(), null);
+  assert.equal(visible.access.level, "public");
+  assert.deepEqual(visible.claims.map((visibleClaim) => visibleClaim.id), ["c2"]);
+  assert.deepEqual(visible.hidden.map((hiddenClaim) => hiddenClaim.id), ["c1", "c3"]);
+  assert.equal(visible.redacted, 2);
+});
+
+test("applyClaimAccess turns away a removed participant", () => {
+  const claims = [...transaction(), claim("c4", "2025-09-04T10:00:00.000Z", { "/participants/0/participantStatus": "Removed" })];
+  assert.throws(() => applyClaimAccess(claims, seller), ForbiddenError);
+});
+
+test("a public value a restricted claim replaced does not show through", async () => {
+  const state = await buildVisibleState(applyClaimAccess(transaction(), null), () => assert.fail("full state loaded"));
+  assert.deepEqual(state, { propertyPack: { address: { postcode: "AB1 2CD" } } });
+});
+
+test("a public value set after a restricted one shows", async () => {
+  const claims = [...transaction(), claim("c4", "2025-09-04T10:00:00.000Z", { [PRICE]: 260000 })];
+  const state = await buildVisibleState(applyClaimAccess(claims, null), () => assert.fail("full state loaded"));
+  assert.equal(state.propertyPack.priceInformation.price, 260000);
+});
+
+test("full access uses the service's own state", async () => {
+  const state = await buildVisibleState(applyClaimAccess(transaction(), seller), async () => ({ from: "service" }));
+  assert.deepEqual(state, { from: "service" });
+});
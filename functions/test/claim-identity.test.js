@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { claimIdentity, dedupeClaims, findUnpushedClaims } = require("../scripts/claim-identity");
+const { aggregateState } = require("../scripts/state-aggregator");
+
+const evidence = [{
+  type: "vouch",
+  verification_method: { type: "auth" },
+  attestation: { type: "digital_attestation", voucher: { name: "Diane Hardy" } },
+}];
+
+function statusClaim(id, status, time) {
+  return {
+    id,
+    transactionId: "tx-1",
+    claims: { "/participants/0/participantStatus": status },
+    verification: { trust_framework: "uk_pdtf", time, evidence },
+  };
+}
+
+// Active, then Removed, then Active again: the third claim re-asserts the first
+const reactivation = [
+  statusClaim("c1", "Active", "2025-09-01T10:00:00.000Z"),
+  statusClaim("c2", "Removed", "2025-09-02T10:00:00.000Z"),
+  statusClaim("c3", "Active", "2025-09-03T10:00:00.000Z"),
+];
+
+test("the same claim with another ID or time has the same identity", () => {
+  assert.equal(claimIdentity(reactivation[0]), claimIdentity({ ...reactivation[0], id: "copy" }));
+  assert.equal(claimIdentity(reactivation[0]), claimIdentity(reactivation[2]));
+  assert.notEqual(claimIdentity(reactivation[0]), claimIdentity(reactivation[1]));
+});
+
+test("aggregation applies A -> B -> A re-assertions", () => {
+  const { state, provenance } = aggregateState(structuredClone(reactivation), {}, { provenance: true });
+  assert.equal(state.participants[0].participantStatus, "Active");
+  assert.equal(provenance["/participants/0/participantStatus"].claimId, "c3");
+});
+
+test("aggregation skips a later copy of the value already in force", () => {
+  const claims = [reactivation[0], statusClaim("c1-again", "Active", "2025-09-05T10:00:00.000Z")];
+  const skipped = [];
+  const { provenance } = aggregateState(structuredClone(claims), {}, { provenance: true, onDuplicate: (claim) => skipped.push(claim.id) });
+  assert.deepEqual(skipped, ["c1-again"]);
+  assert.equal(provenance["/participants/0/participantStatus"].claimId, "c1");
+});
+
+test("aggregation still skips exact duplicates", () => {
+  const claims = [
+    ...structuredClone(reactivation),
+    { ...statusClaim("c2-copy", "Removed", "2025-09-02T10:00:00.000Z") },
+  ];
+  const { state, provenance } = aggregateState(claims, {}, { provenance: true });
+  assert.equal(state.participants[0].participantStatus, "Active");
+  const leaf = provenance["/participants/0/participantStatus"];
+  assert.deepEqual([leaf.claimId, ...leaf.superseded.map((record) => record.claimId)], ["c3", "c2", "c1"]);
+});
+
+test("dedupeClaims keeps re-assertions and drops exact copies", () => {
+  const { unique, duplicates } = dedupeClaims([...reactivation, { ...reactivation[1], id: "c2-copy" }]);
+  assert.deepEqual(unique.map((claim) => claim.id), ["c1", "c2", "c3"]);
+  assert.deepEqual(duplicates.map(({ claim, duplicateOf }) => [claim.id, duplicateOf]), [["c2-copy", "c2"]]);
+});
+
+test("a re-assertion is not treated as already on the service", () => {
+  const { missing, present } = findUnpushedClaims(reactivation, reactivation.slice(0, 2), "tx-1");
+  assert.deepEqual(present.map((claim) => claim.id), ["c1", "c2"]);
+  assert.deepEqual(missing.map((claim) => claim.id), ["c3"]);
+});
+
+test("rebuilt claims with new IDs and times are already on the service", () => {
+  const rebuilt = reactivation.map((claim, index) => statusClaim(`r${index}`, claim.claims["/participants/0/participantStatus"], `2025-10-0${index + 1}T10:00:00.000Z`));
+  const { missing, present } = findUnpushedClaims(rebuilt, reactivation, "tx-1");
+  assert.deepEqual(missing, []);
+  assert.equal(present.length, 3);
+});
@@ -0,0 +1,71 @@
+const admin = require("firebase-admin");
+
+/**
+ * Calls an onRequest handler with a fake request and waits for its response
+ * @param {Function} handler - Exported HTTP function
+ * @param {Object} request - { method, query, body, headers }
+ * @return {Promise<Object>} { statusCode, body, headers }
+ */
+function callHandler(handler, { method = "GET", query = {}, body = {}, headers = {} } = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+      },
+      setHeader(name, value) {
+        res.headers[name.toLowerCase()] = value;
+      },
+      getHeader(name) {
+        return res.headers[name.toLowerCase()];
+      },
+      on() {},
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(payload) {
+        res.body = payload;
+        resolve(res);
+        return res;
+      },
+      end() {
+        resolve(res);
+      },
+    };
+    const lowerHeaders = Object.fromEntries(Object.entries({ origin: "http://localhost", ...headers })
+      .map(([name, value]) => [name.toLowerCase(), value]));
+    handler({
+      method,
+      query,
+      body,
+      headers: lowerHeaders,
+      get: (name) => lowerHeaders[name.toLowerCase()],
+    }, res);
+  });
+}
+
+/**
+ * Makes firebase-admin accept "Bearer <name>" for the callers given, so
+ * handlers wrapped with withAuth see them as signed in
+ * @param {Object} callers - Decoded ID tokens keyed by token
+ */
+function stubIdTokens(callers) {
+  if (admin.apps.length === 0) {
+    admin.initializeApp({ projectId: "demo-test" });
+  }
+  const auth = admin.auth();
+  auth.verifyIdToken = async (token) => {
+    if (!callers[token]) {
+      throw new Error("unknown test token");
+    }
+    return callers[token];
+  };
+}
+
+module.exports = {
+  callHandler,
+  stubIdTokens,
+};
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { configureMoverlyClient } = require("../scripts/moverly-api-client");
+const { createLmsNptnAdapter } = require("../adapters/lms-nptn");
+
+const SETTINGS = ["LMS_NPTN_BASE_URL", "LMS_OAUTH_TOKEN_URL", "LMS_NPTN_CLIENT_ID", "LMS_NPTN_CLIENT_SECRET"];
+
+let server;
+let tokensIssued = 0;
+let lastAuthorization = null;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (req.url === "/oauth/token") {
+      tokensIssued++;
+      return reply(200, { access_token: `token-${tokensIssued}`, expires_in: 3600 });
+    }
+    lastAuthorization = req.headers.authorization;
+    if (req.url.startsWith("/transactions/revoked/")) {
+      return reply(401, { error: "token revoked" });
+    }
+    if (req.url.startsWith("/transactions/slow/")) {
+      return setTimeout(() => reply(200, []), 500);
+    }
+    return reply(200, [{ id: "c1" }]);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    LMS_NPTN_BASE_URL: origin,
+    LMS_OAUTH_TOKEN_URL: `${origin}/oauth/token`,
+    LMS_NPTN_CLIENT_ID: "client",
+    LMS_NPTN_CLIENT_SECRET: "secret",
+  });
+  configureMoverlyClient({ timeoutMs: 200, maxRetries: 1, baseDelayMs: 1, maxDelayMs: 50 });
+});
+
+test.after(() => {
+  SETTINGS.forEach((name) => delete process.env[name]);
+  server.closeAllConnections();
+  server.close();
+});
+
+test("fetches claims with a bearer token that is reused until it is rejected", async () => {
+  const adapter = createLmsNptnAdapter();
+  assert.deepEqual(await adapter.getClaims("tx-1"), [{ id: "c1" }]);
+  assert.deepEqual(await adapter.getClaims("tx-1"), [{ id: "c1" }]);
+  assert.equal(lastAuthorization, "Bearer token-1");
+  assert.equal(tokensIssued, 1);
+
+  await assert.rejects(adapter.getClaims("revoked"), { code: "UPSTREAM_UNAUTHORIZED", status: 502, upstreamStatus: 401 });
+  await adapter.getState("tx-1");
+  assert.equal(lastAuthorization, "Bearer token-2");
+});
+
+test("times out like the Moverly client", async () => {
+  await assert.rejects(createLmsNptnAdapter().getState("slow"), { code: "TIMEOUT", status: 504 });
+});
+
+test("reports missing settings instead of calling the service", async () => {
+  const baseUrl = process.env.LMS_NPTN_BASE_URL;
+  delete process.env.LMS_NPTN_BASE_URL;
+  try {
+    await assert.rejects(createLmsNptnAdapter().getClaims("tx-1"), { code: "NOT_CONFIGURED", status: 500 });
+  } finally {
+    process.env.LMS_NPTN_BASE_URL = baseUrl;
+  }
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const client = require("../scripts/moverly-api-client");
+
+// Each transaction ID makes the stub answer differently; requests are counted per path
+const requests = new Map();
+let lastApiKey = null;
+const routes = {
+  "ok": () => ({ status: 200, body: { ok: true } }),
+  "slow": () => ({ status: 200, body: { ok: true }, delayMs: 500 }),
+  "flaky-503": (count) => (count < 3 ? { status: 503, body: { error: "busy" } } : { status: 200, body: { ok: true } }),
+  "always-500": () => ({ status: 500, body: { error: "broken" } }),
+  "rate-limited": (count) => (count < 2 ? { status: 429, body: {}, headers: { "Retry-After": "0" } } : { status: 200, body: { ok: true } }),
+  "rate-limited-long": () => ({ status: 429, body: {}, headers: { "Retry-After": "120" } }),
+  "unauthorized": () => ({ status: 401, body: { error: "bad key" } }),
+  "forbidden": () => ({ status: 403, body: { error: "no access" } }),
+  "missing": () => ({ status: 404, body: { error: "not found" } }),
+};
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  process.env.MOVERLY_NPTN_API_KEY = "test-key";
+  server = http.createServer((req, res) => {
+    const [, , transactionId] = req.url.split("/");
+    const count = requests.get(req.url) || 0;
+    requests.set(req.url, count + 1);
+    lastApiKey = req.headers["moverly-api-key"];
+    const reply = (routes[transactionId] || routes.missing)(count);
+    setTimeout(() => {
+      res.writeHead(reply.status, { "Content-Type": "application/json", ...reply.headers });
+      res.end(JSON.stringify(reply.body));
+    }, reply.delayMs || 0);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/transactions`;
+  client.configureMoverlyClient({ timeoutMs: 200, maxRetries: 3, baseDelayMs: 1, maxDelayMs: 50 });
+});
+
+test.beforeEach(() => requests.clear());
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const attempts = (transactionId) => requests.get(`/transactions/${transactionId}/claims`) || 0;
+
+test("returns the response body", async () => {
+  assert.deepEqual(await client.fetchMoverlyClaims("ok", false, baseUrl), { ok: true });
+  assert.equal(attempts("ok"), 1);
+});
+
+test("sends the API key", async () => {
+  await client.fetchMoverlyState("ok", false, baseUrl);
+  assert.equal(lastApiKey, "test-key");
+});
+
+test("times out with a TIMEOUT error after retrying", async () => {
+  await assert.rejects(client.fetchMoverlyClaims("slow", false, baseUrl), { code: "TIMEOUT", status: 504 });
+  assert.equal(attempts("slow"), 4);
+});
+
+test("retries 5xx responses until they succeed", async () => {
+  assert.deepEqual(await client.fetchMoverlyClaims("flaky-503", false, baseUrl), { ok: true });
+  assert.equal(attempts("flaky-503"), 4);
+});
+
+test("gives up after maxRetries and maps the last 5xx to UPSTREAM_ERROR", async () => {
+  await assert.rejects(client.fetchMoverlyClaims("always-500", false, baseUrl), { code: "UPSTREAM_ERROR", status: 502, upstreamStatus: 500 });
+  assert.equal(attempts("always-500"), 4);
+});
+
+test("retries 429 responses after Retry-After", async () => {
+  assert.deepEqual(await client.fetchMoverlyClaims("rate-limited", false, baseUrl), { ok: true });
+  assert.equal(attempts("rate-limited"), 3);
+});
+
+test("does not wait out a Retry-After longer than maxDelayMs", async () => {
+  await assert.rejects(client.fetchMoverlyClaims("rate-limited-long", false, baseUrl), { code: "RATE_LIMITED", status: 429, retryAfter: 120 });
+  assert.equal(attempts("rate-limited-long"), 1);
+});
+
+test("maps rejected credentials to a 502, not a 401 for our caller", async () => {
+  for (const transactionId of ["unauthorized", "forbidden"]) {
+    await assert.rejects(client.fetchMoverlyClaims(transactionId, false, baseUrl), { code: "UPSTREAM_UNAUTHORIZED", status: 502 });
+    assert.equal(attempts(transactionId), 1);
+  }
+});
+
+test("maps a 404 to NOT_FOUND without retrying", async () => {
+  await assert.rejects(client.fetchMoverlyClaims("missing", false, baseUrl), { code: "NOT_FOUND", status: 404, upstreamStatus: 404 });
+  assert.equal(attempts("missing"), 1);
+});
+
+test("does not retry a POST after a 500, which may have stored the claim", async () => {
+  await assert.rejects(client.createMoverlyClaim("always-500", [], false, { force: true, baseUrl }), { code: "UPSTREAM_ERROR" });
+  assert.equal(attempts("always-500"), 1);
+});
+
+test("maps an unreachable service to UPSTREAM_UNAVAILABLE", async () => {
+  client.configureMoverlyClient({ maxRetries: 0 });
+  try {
+    await assert.rejects(client.fetchMoverlyClaims("ok", false, "http://127.0.0.1:1/transactions"), { code: "UPSTREAM_UNAVAILABLE", status: 503 });
+  } finally {
+    client.configureMoverlyClient({ maxRetries: 3 });
+  }
+});
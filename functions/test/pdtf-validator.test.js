@@ -0,0 +1,222 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  RULES,
+  assertValidOutboundClaims,
+  validateClaim,
+  validateClaims,
+  validateState,
+} = require("../scripts/pdtf-validator");
+const { ValidationError, toErrorResponse } = require("../scripts/api-errors");
+
+const PRICE = "/propertyPack/priceInformation/price";
+
+const vouch = () => ({
+  type: "vouch",
+  verification_method: { type: "auth" },
+  attestation: { type: "digital_attestation", voucher: { name: "Diane Hardy" } },
+});
+
+function validClaim(overrides = {}) {
+  return {
+    id: "c1",
+    transactionId: "tx-1",
+    claims: { [PRICE]: 300000 },
+    verification: { trust_framework: "uk_pdtf", time: "2025-09-01T10:00:00.000Z", evidence: [vouch()] },
+    ...overrides,
+  };
+}
+
+// Rule codes a test below has seen reported
+const reported = new Set();
+
+/**
+ * Checks that a result reports a rule with its RULES severity
+ * @param {Object} result - A validator result
+ * @param {string} code - The expected rule code
+ * @return {Object} The first matching issue
+ */
+function assertReports(result, code) {
+  const issue = result.issues.find((candidate) => candidate.code === code);
+  assert.ok(issue, `expected ${code} in ${JSON.stringify(result.issues.map((candidate) => candidate.code))}`);
+  assert.equal(issue.severity, RULES[code]);
+  assert.equal(result.valid, !result.issues.some((candidate) => candidate.severity === "error"));
+  reported.add(code);
+  return issue;
+}
+
+test("a well-formed claim is valid", () => {
+  assert.deepEqual(validateClaim(validClaim()), {
+    valid: true,
+    issues: [],
+    summary: { errors: 0, warnings: 0, byCode: {} },
+  });
+});
+
+test("claim structure problems are errors", () => {
+  assertReports(validateClaim(["not", "a", "claim"]), "CLAIM_NOT_OBJECT");
+  assert.deepEqual(assertReports(validateClaim(validClaim({ id: undefined })), "CLAIM_MISSING_FIELD").details, { field: "id" });
+  assertReports(validateClaim(validClaim({ claims: undefined })), "CLAIM_NO_CONTENT");
+  assertReports(validateClaim(validClaim({ claims: [PRICE, 300000] })), "CLAIMS_NOT_OBJECT");
+  assertReports(validateClaims("not a list"), "CLAIMS_NOT_OBJECT");
+});
+
+test("an outbound claim may leave out its id", () => {
+  assert.equal(validateClaim(validClaim({ id: undefined }), { requireId: false }).valid, true);
+});
+
+test("claimed paths and values are checked against the schema", () => {
+  assertReports(validateClaim(validClaim({ claims: { "propertyPack/priceInformation/price": 1 } })), "PATH_NOT_POINTER");
+  assert.deepEqual(assertReports(validateClaim(validClaim({ claims: { [PRICE]: "lots" } })), "VALUE_SCHEMA_MISMATCH").value, "lots");
+
+  const unknownPath = validateClaim(validClaim({ claims: { "/propertyPack/moatDepth": 3 } }));
+  assert.equal(assertReports(unknownPath, "PATH_NOT_IN_SCHEMA").path, "/propertyPack/moatDepth");
+  assert.equal(unknownPath.valid, true);
+  assert.deepEqual(unknownPath.summary, { errors: 0, warnings: 1, byCode: { PATH_NOT_IN_SCHEMA: 1 } });
+});
+
+test("operations must be well-formed and write values that fit the schema", () => {
+  assertReports(validateClaim(validClaim({ claims: undefined, operations: [] })), "OPERATION_INVALID");
+  const unknownOp = assertReports(validateClaim(validClaim({ operations: [{ op: "merge", path: PRICE }] })), "OPERATION_INVALID");
+  assert.deepEqual(unknownOp.details, { operationIndex: 0 });
+
+  const mistyped = validateClaim(validClaim({ claims: undefined, operations: [{ op: "replace", path: PRICE, value: "lots" }] }));
+  assertReports(mistyped, "VALUE_SCHEMA_MISMATCH");
+  assert.equal(validateClaim(validClaim({ claims: undefined, operations: [{ op: "remove", path: PRICE }] })).valid, true);
+});
+
+test("the verification block needs the PDTF trust framework, a time and evidence", () => {
+  assertReports(validateClaim(validClaim({ verification: undefined })), "VERIFICATION_MISSING");
+
+  const verification = validClaim().verification;
+  const wrongFramework = validateClaim(validClaim({ verification: { ...verification, trust_framework: "eidas" } }));
+  assert.equal(assertReports(wrongFramework, "VERIFICATION_TRUST_FRAMEWORK").value, "eidas");
+  for (const time of [undefined, "1 September 2025", "2025-13-01T10:00:00Z"]) {
+    assertReports(validateClaim(validClaim({ verification: { ...verification, time } })), "VERIFICATION_TIME");
+  }
+  assertReports(validateClaim(validClaim({ verification: { ...verification, evidence: [] } })), "VERIFICATION_NO_EVIDENCE");
+});
+
+test("an aggregated state is checked against the whole schema", () => {
+  const issue = assertReports(validateState({ propertyPack: { priceInformation: { price: "lots" } } }), "STATE_SCHEMA_MISMATCH");
+  assert.equal(issue.path, PRICE);
+
+  const result = validateClaims([validClaim({ claims: { "/propertyPack/priceInformation": { price: "lots" } } })], {
+    validateState: true,
+  });
+  assert.equal(result.valid, false);
+  assertReports(result.state, "STATE_SCHEMA_MISMATCH");
+});
+
+test("validateClaims counts valid and invalid claims", () => {
+  const result = validateClaims([validClaim(), validClaim({ id: "c2", claims: { [PRICE]: "lots" } })]);
+  assert.equal(result.totalClaims, 2);
+  assert.equal(result.validClaims, 1);
+  assert.equal(result.invalidClaims, 1);
+  assert.equal(result.issues[0].claimIndex, 1);
+  assert.equal(result.issues[0].claimId, "c2");
+});
+
+test("assertValidOutboundClaims throws a 422 that carries the issues", () => {
+  const outbound = [validClaim({ id: undefined }), validClaim({ id: undefined, claims: { [PRICE]: "lots" } })];
+  assert.throws(() => assertValidOutboundClaims(outbound), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.status, 422);
+    assert.equal(error.message, "Claims failed PDTF validation: 1 errors in 1 claims");
+
+    const { status, body } = toErrorResponse(error, "Failed to push claims");
+    assert.equal(status, 422);
+    assert.equal(body.code, "VALIDATION_FAILED");
+    assert.deepEqual(body.issues.map((issue) => [issue.code, issue.claimIndex]), [["VALUE_SCHEMA_MISMATCH", 1]]);
+    assert.deepEqual(body.summary, { errors: 1, warnings: 0, byCode: { VALUE_SCHEMA_MISMATCH: 1 } });
+    return true;
+  });
+});
+
+test("assertValidOutboundClaims returns the result when the claims pass or force is set", () => {
+  assert.equal(assertValidOutboundClaims(validClaim({ id: undefined })).totalClaims, 1);
+  const forced = assertValidOutboundClaims(validClaim({ id: undefined, claims: { [PRICE]: "lots" } }), { force: true });
+  assert.equal(forced.valid, false);
+});
+
+/**
+ * Validates the standard claim with other evidence
+ * @param {Array} evidence - The verification evidence
+ * @param {Object} claims - The claims map, the price by default
+ * @return {Object} Validation result
+ */
+function validateWithEvidence(evidence, claims = { [PRICE]: 300000 }) {
+  const claim = validClaim({ claims });
+  claim.verification.evidence = evidence;
+  return validateClaim(claim);
+}
+
+const record = (name = "HM Land Registry") => ({ type: "electronic_record", record: { source: { name } } });
+
+test("evidence must be of a known type and carry what its type needs", () => {
+  assert.equal(assertReports(validateWithEvidence([{ type: "hearsay" }]), "EVIDENCE_INVALID_TYPE").value, "hearsay");
+  assertReports(validateWithEvidence([null]), "EVIDENCE_INVALID_TYPE");
+
+  const noVoucher = { ...vouch(), attestation: { type: "digital_attestation" } };
+  assert.deepEqual(assertReports(validateWithEvidence([vouch(), noVoucher]), "VOUCH_MISSING_VOUCHER").details, { evidenceIndex: 1 });
+  const organisation = { ...vouch(), attestation: { voucher: { organization: "Moverly" } } };
+  assert.equal(validateWithEvidence([organisation]).valid, true);
+  assertReports(validateWithEvidence([{ ...vouch(), verification_method: {} }]), "VOUCH_MISSING_METHOD");
+
+  assertReports(validateWithEvidence([{ type: "electronic_record", record: { source: {} } }]), "RECORD_MISSING_SOURCE");
+  assert.equal(validateWithEvidence([record()]).valid, true);
+
+  assertReports(validateWithEvidence([{ type: "document" }]), "DOCUMENT_MISSING_DETAILS");
+  assert.equal(validateWithEvidence([{ type: "document", document_details: { type: "epc" } }]).valid, true);
+  assert.equal(validateWithEvidence([{ type: "electronic_signature" }]).valid, true);
+});
+
+test("attachment digests must use a known algorithm and be base64 of the right length", () => {
+  const sha256 = crypto.createHash("sha256").update("title register").digest();
+  const withDigest = (alg, value) => [{ ...record(), attachments: [{ digest: { alg, value } }] }];
+
+  assert.equal(validateWithEvidence(withDigest("sha-256", sha256.toString("base64"))).valid, true);
+  assert.equal(validateWithEvidence(withDigest("sha-256", sha256.toString("base64url"))).valid, true);
+  assert.equal(validateWithEvidence([{ ...record(), attachments: [{ url: "https://example.com/register.pdf" }] }]).valid, true);
+
+  const unknownAlg = assertReports(validateWithEvidence(withDigest("sha3-256", sha256.toString("base64"))), "DIGEST_UNKNOWN_ALG");
+  assert.deepEqual(unknownAlg.details, { evidenceIndex: 0, attachmentIndex: 0 });
+  assertReports(validateWithEvidence(withDigest("sha-512", sha256.toString("base64"))), "DIGEST_INVALID_VALUE");
+  assertReports(validateWithEvidence(withDigest("sha-256", "not base64!")), "DIGEST_INVALID_VALUE");
+  assertReports(validateWithEvidence(withDigest("md5", 12345)), "DIGEST_INVALID_VALUE");
+});
+
+test("every plausibility rule flags evidence its source could not have given", () => {
+  const cases = [
+    ["/propertyPack/titlesToBeSold/0/registerExtract/ocSummaryData/title/titleNumber", "AB123", [vouch()]],
+    ["/propertyPack/energyEfficiency/certificate/currentEnergyRating", "C", [vouch()]],
+    ["/propertyPack/environmentalIssues/flooding/floodRisk", {}, [vouch()]],
+    ["/propertyPack/localSearches", {}, [vouch()]],
+    ["/propertyPack/confirmationOfAccuracyByOwners", {}, [record()]],
+  ];
+
+  for (const [claimPath, value, evidence] of cases) {
+    const issue = assertReports(validateWithEvidence(evidence, { [claimPath]: value }), "EVIDENCE_IMPLAUSIBLE_FOR_PATH");
+    assert.equal(issue.path, claimPath);
+  }
+});
+
+test("plausibility is checked against the leaves of whole objects, appends and operations", () => {
+  const certificate = { certificate: { currentEnergyRating: "C" } };
+  const whole = validateWithEvidence([vouch()], { "/propertyPack/energyEfficiency": certificate });
+  assert.equal(assertReports(whole, "EVIDENCE_IMPLAUSIBLE_FOR_PATH").path,
+    "/propertyPack/energyEfficiency/certificate/currentEnergyRating");
+
+  const appended = validateWithEvidence([vouch()], { "/propertyPack/titlesToBeSold/-": { registerExtract: {} } });
+  assert.equal(assertReports(appended, "EVIDENCE_IMPLAUSIBLE_FOR_PATH").path, "/propertyPack/titlesToBeSold/-/registerExtract");
+
+  const patched = validClaim({ claims: undefined, operations: [{ op: "add", path: "/propertyPack/energyEfficiency", value: certificate }] });
+  assertReports(validateClaim(patched), "EVIDENCE_IMPLAUSIBLE_FOR_PATH");
+
+  assert.equal(validateWithEvidence([vouch(), record()], { "/propertyPack/energyEfficiency": certificate }).issues.length, 0);
+});
+
+test("every rule code is covered by a test above", () => {
+  assert.deepEqual(Object.keys(RULES).filter((code) => !reported.has(code)), []);
+});
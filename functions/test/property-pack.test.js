@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { callHandler } = require("./helpers");
+const { getAggregatedState, getStateHistory } = require("../handlers/property-pack");
+
+const PROPERTY_ID = "59-hawkley-gardens";
+
+test("getAggregatedState only takes a full ISO 8601 asAt", async () => {
+  for (const asAt of ["1", "2025", "2025-09-01", "2025-09-01T00:00:00", ["2025-09-01T00:00:00Z"]]) {
+    const res = await callHandler(getAggregatedState, { query: { propertyId: PROPERTY_ID, asAt } });
+    assert.equal(res.statusCode, 400, `asAt ${JSON.stringify(asAt)}`);
+  }
+
+  const res = await callHandler(getAggregatedState, { query: { propertyId: PROPERTY_ID, asAt: "2030-01-01T00:00:00+01:00" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.asAt, "2030-01-01T00:00:00+01:00");
+});
+
+test("getStateHistory lists the asAt values that are not full ISO 8601 timestamps", async () => {
+  const res = await callHandler(getStateHistory, {
+    query: { propertyId: PROPERTY_ID, asAt: "2025-09-01T00:00:00Z,2025,1" },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.invalid, ["2025", "1"]);
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadPropertyRegistry,
+  listProperties,
+  getProperty,
+  findPropertyByTransaction,
+  getClaimsFilePath,
+} = require("../scripts/property-registry");
+const { ConfigurationError, NotFoundError, toErrorResponse } = require("../scripts/api-errors");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "pdtf-registry-"));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+/**
+ * Writes a registry manifest to the scratch directory
+ * @param {string} name - File name
+ * @param {Object} manifest - Registry contents
+ * @return {string} The file path
+ */
+function writeRegistry(name, manifest) {
+  const file = path.join(scratch, name);
+  fs.writeFileSync(file, JSON.stringify(manifest));
+  return file;
+}
+
+const property = (slug, extra = {}) => ({ slug, transactions: { local: `tx-${slug}` }, ...extra });
+
+test("a registry fills in defaults for each property", () => {
+  const file = writeRegistry("valid.json", { defaults: { lender: "1-high-st" }, properties: [property("1-high-st")] });
+  const registry = loadPropertyRegistry({ file });
+  assert.deepEqual(registry.defaults, { lender: "1-high-st" });
+  assert.deepEqual(registry.bySlug.get("1-high-st"), {
+    slug: "1-high-st",
+    name: "1-high-st",
+    address: null,
+    uprn: null,
+    claimsFile: null,
+    transactions: { local: "tx-1-high-st" },
+    media: { images: [] },
+  });
+});
+
+test("every problem in a registry is reported as a configuration error", () => {
+  const file = writeRegistry("invalid.json", {
+    defaults: { lender: "nowhere", seller: "1-high-st" },
+    properties: [
+      property("1-high-st"),
+      property("1-High-St"),
+      property("1-high-st", { claimsFile: "/etc/passwd" }),
+      { slug: "2-low-rd" },
+      {},
+    ],
+  });
+
+  assert.throws(() => loadPropertyRegistry({ file }), (error) => {
+    assert.ok(error instanceof ConfigurationError);
+    assert.deepEqual(error.details.errors, [
+      "property 2 (1-High-St): slug must be lower-case words joined by hyphens",
+      "property 3 (1-high-st): duplicate slug",
+      "property 3 (1-high-st): claimsFile must be relative to functions/data",
+      "property 4 (2-low-rd): needs a transactions object, keyed by PDTF service ID",
+      "property 5: slug must be lower-case words joined by hyphens",
+      "default for lender: unknown property \"nowhere\"",
+    ]);
+
+    const { status, body } = toErrorResponse(error, "Failed to list properties");
+    assert.equal(status, 500);
+    assert.equal(body.code, "CONFIGURATION_INVALID");
+    assert.match(body.message, /Property registry has 6 error\(s\)/);
+    return true;
+  });
+});
+
+test("an unreadable registry is a configuration error", () => {
+  const file = path.join(scratch, "broken.json");
+  fs.writeFileSync(file, "{ not json");
+  assert.throws(() => loadPropertyRegistry({ file }), (error) => error instanceof ConfigurationError && error.status === 500);
+  assert.throws(() => loadPropertyRegistry({ file: path.join(scratch, "missing.json") }), ConfigurationError);
+});
+
+test("the bundled registry is valid and its defaults are registered properties", () => {
+  const { defaults, properties } = loadPropertyRegistry();
+  assert.ok(properties.length > 0);
+  for (const slug of Object.values(defaults)) {
+    assert.equal(getProperty(slug).slug, slug);
+  }
+  for (const entry of properties) {
+    if (entry.claimsFile) {
+      assert.ok(fs.existsSync(getClaimsFilePath(entry)), `${entry.slug} claims file is missing`);
+    }
+  }
+});
+
+test("properties are looked up by slug and by transaction", () => {
+  const [first] = listProperties({ service: "local" });
+  assert.equal(findPropertyByTransaction("local", first.transactions.local), first);
+  assert.equal(findPropertyByTransaction("local", "no-such-transaction"), null);
+  assert.ok(listProperties({ service: "moverly" }).every((entry) => entry.transactions.moverly));
+  assert.throws(() => getProperty("no-such-property"), NotFoundError);
+});
+
+test("a claims file outside functions/data is not served", () => {
+  assert.throws(() => getClaimsFilePath({ slug: "escape", claimsFile: "../package.json" }), NotFoundError);
+  assert.throws(() => getClaimsFilePath({ slug: "none", claimsFile: null }), NotFoundError);
+});
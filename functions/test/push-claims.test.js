@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Posted claims go to a scratch directory, never functions/data/local-claims
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "pdtf-push-claims-"));
+process.env.LOCAL_PDTF_CLAIMS_DIR = path.join(scratch, "local-claims");
+
+const { pushClaims } = require("../scripts/push-claims");
+const { validateOutboundClaims } = require("../scripts/pdtf-validator");
+const { buildSandboxTransaction } = require("../scripts/sandbox-claims-builder-v3");
+const { createLocalAdapter } = require("../adapters/local");
+
+const DATA_DIR = path.join(__dirname, "../data");
+const PHASES_DIR = path.join(DATA_DIR, "sandbox-claims-phases/91-south-hill-avenue-142222");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+function push(target, transactionId) {
+  return pushClaims({
+    target,
+    service: "local",
+    transactionId,
+    delayMs: 0,
+    checkpointPath: path.join(scratch, `${transactionId}-checkpoint.json`),
+  });
+}
+
+function writeClaims(name, claims) {
+  const file = path.join(scratch, name);
+  fs.writeFileSync(file, JSON.stringify(claims));
+  return file;
+}
+
+function parkingClaim(arrangement, time) {
+  return {
+    transactionId: "sandbox",
+    claims: { "/propertyPack/parking/parkingArrangements": [arrangement] },
+    verification: {
+      trust_framework: "uk_pdtf",
+      time,
+      evidence: [{
+        type: "vouch",
+        verification_method: { type: "auth" },
+        attestation: { type: "digital_attestation", voucher: { name: "Diane Hardy" } },
+      }],
+    },
+  };
+}
+
+test("the bundled sandbox claims pass pre-flight validation", () => {
+  const directories = ["sandbox-claims-v3", "sandbox-claims-golden"].map((name) => path.join(DATA_DIR, name));
+  const files = [
+    ...directories.flatMap((directory) => fs.readdirSync(directory).map((file) => path.join(directory, file))),
+    ...fs.readdirSync(PHASES_DIR).map((file) => path.join(PHASES_DIR, file)),
+  ].filter((file) => file.endsWith(".json"));
+
+  for (const file of files) {
+    const result = validateOutboundClaims(JSON.parse(fs.readFileSync(file, "utf8")));
+    const errors = result.issues.filter((issue) => issue.severity === "error").map((issue) => `${issue.path}: ${issue.message}`);
+    assert.deepEqual(errors, [], path.relative(DATA_DIR, file));
+  }
+});
+
+test("pushes the phase files without --force and skips them once they are on the service", async () => {
+  const first = await push(PHASES_DIR, "push-phases");
+  assert.equal(first.complete, true);
+  assert.equal(first.totals.pushed, first.totals.claims);
+
+  const again = await push(PHASES_DIR, "push-phases");
+  assert.equal(again.totals.pushed, 0);
+  assert.equal(again.totals.alreadyRemote, first.totals.claims);
+});
+
+test("skips exact copies already on the service but pushes a later re-assertion", async () => {
+  await push(writeClaims("driveway.json", [parkingClaim("Driveway", "2025-09-01T10:00:00.000Z")]), "push-reassert");
+
+  const report = await push(writeClaims("timeline.json", [
+    parkingClaim("Driveway", "2025-09-01T10:00:00.000Z"),
+    parkingClaim("On Street", "2025-09-02T10:00:00.000Z"),
+    parkingClaim("Driveway", "2025-09-03T10:00:00.000Z"),
+  ]), "push-reassert");
+  assert.equal(report.totals.alreadyRemote, 1);
+  assert.equal(report.totals.pushed, 2);
+});
+
+test("rebuilding and re-pushing a seeded transaction pushes nothing twice", async () => {
+  const build = async (name) => writeClaims(name, (await buildSandboxTransaction("91-south-hill-avenue-142222", { seed: "x" })).claims);
+  const first = await push(await build("first-build.json"), "push-rebuild");
+  assert.equal(first.totals.pushed, first.totals.claims - first.totals.repeated);
+
+  const again = await push(await build("second-build.json"), "push-rebuild");
+  assert.equal(again.totals.pushed, 0);
+
+  const onService = await createLocalAdapter().getClaims("push-rebuild");
+  assert.equal(onService.length, first.totals.pushed);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRandomSource } = require("../scripts/seeded-random");
+const {
+  CLAIM_PHASES,
+  buildSandboxTransaction,
+  createBuildContext,
+  splitClaimsIntoPhases,
+  verifyGoldenClaims,
+} = require("../scripts/sandbox-claims-builder-v3");
+
+const BASE_TIME = "2025-09-01T00:00:00.000Z";
+const PROPERTY = "59-hawkley-gardens";
+
+test("the same seed gives the same random sequence and a different seed another", () => {
+  const draw = (seed) => createRandomSource(seed).bytes(64).toString("hex");
+  assert.equal(draw("seed-a"), draw("seed-a"));
+  assert.notEqual(draw("seed-a"), draw("seed-b"));
+});
+
+test("different seeds build different claims", async () => {
+  const build = async (seed) => (await buildSandboxTransaction(PROPERTY, { seed, baseTime: BASE_TIME })).claims;
+  const [first, again, other] = await Promise.all([build("seed-a"), build("seed-a"), build("seed-b")]);
+
+  assert.equal(JSON.stringify(first), JSON.stringify(again));
+  assert.notEqual(JSON.stringify(first), JSON.stringify(other));
+  assert.notEqual(first[0].transactionId, other[0].transactionId);
+  assert.notDeepEqual(first.map((claim) => claim.id), other.map((claim) => claim.id));
+});
+
+test("the golden files reproduce from their seeds", async () => {
+  const results = await verifyGoldenClaims();
+  assert.ok(results.length > 0);
+  for (const result of results) {
+    assert.ok(result.identical, `${result.file}: ${result.firstDifference}`);
+  }
+});
+
+test("CLAIM_PHASES start at the base time and move forward", () => {
+  const context = createBuildContext({ seed: "phases", baseTime: BASE_TIME });
+  const starts = CLAIM_PHASES.map((phase) => context.phaseStart(phase.id).getTime());
+
+  assert.equal(starts[0], Date.parse(BASE_TIME));
+  starts.slice(1).forEach((start, index) => assert.ok(start > starts[index], CLAIM_PHASES[index + 1].id));
+});
+
+test("claim timestamps increase monotonically from the base time through the phases", async () => {
+  const { claims, context } = await buildSandboxTransaction(PROPERTY, { seed: "phases", baseTime: BASE_TIME });
+  const phases = splitClaimsIntoPhases(claims, context);
+  assert.ok(phases.length > 1);
+
+  let previous = Date.parse(BASE_TIME);
+  phases.forEach(({ phase, claims: phaseClaims }, index) => {
+    const start = context.phaseStart(phase).getTime();
+    const next = phases[index + 1] ? context.phaseStart(phases[index + 1].phase).getTime() : Infinity;
+    for (const claim of phaseClaims) {
+      const time = Date.parse(claim.verification.time);
+      assert.ok(time > previous, `${phase}: ${claim.verification.time} is not after the claim before it`);
+      assert.ok(time >= start && time < next, `${phase}: ${claim.verification.time} is outside the phase`);
+      previous = time;
+    }
+  });
+});
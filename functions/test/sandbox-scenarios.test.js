@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SCENARIOS, buildGoldenScenarioCases, checkExpectedOutcomes } = require("../scripts/sandbox-scenarios");
+
+test("every scenario can be planted in every golden file", async () => {
+  const cases = await buildGoldenScenarioCases();
+  assert.ok(cases.length >= SCENARIOS.length);
+  for (const { label, manifest } of cases) {
+    assert.equal(manifest.scenarios.length, 1, label);
+    assert.ok(manifest.scenarios[0].paths.length > 0, label);
+  }
+});
+
+test("an expectation is met only by the right status at or above the risk level", () => {
+  const manifest = { scenarios: [{ id: "second-charge", expected: SCENARIOS.find((entry) => entry.id === "second-charge").expected }] };
+  const report = (status, riskLevel) => ({ checks: [{ checkId: "outstanding_charges", status, riskLevel }] });
+
+  assert.equal(checkExpectedOutcomes(manifest, report("fail", "high")).passed, true);
+  assert.equal(checkExpectedOutcomes(manifest, report("warning", "low")).passed, false);
+  assert.equal(checkExpectedOutcomes(manifest, report("pass", "high")).passed, false);
+  assert.equal(checkExpectedOutcomes(manifest, { checks: [] }).passed, false);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyseSchemaCoverage, formatMarkdown } = require("../scripts/schema-coverage");
+
+const PARKING = "/propertyPack/parking";
+
+function claim(id, time, claims, evidence) {
+  return { id, claims, verification: { trust_framework: "uk_pdtf", time, evidence } };
+}
+
+const vouch = [{ type: "vouch", verification_method: { type: "auth" }, attestation: { voucher: { name: "Seller" } } }];
+const record = [{ type: "electronic_record", record: { source: { name: "HM Land Registry" } } }];
+const document = [{ type: "document", document: { type: "survey" } }];
+
+const section = (coverage, sectionPath) => coverage.sections.find((entry) => entry.path === sectionPath);
+
+const parkingClaims = () => [
+  claim("c1", "2025-09-01T10:00:00.000Z", { [`${PARKING}/parkingArrangements/-`]: "Garage" }, vouch),
+  claim("c2", "2025-09-02T10:00:00.000Z", { [`${PARKING}/parkingArrangements/-`]: "Driveway" }, record),
+  claim("c3", "2025-09-03T10:00:00.000Z", { [`${PARKING}/controlledParking`]: { yesNo: "Yes" } }, vouch),
+  claim("c4", "2025-09-04T10:00:00.000Z", { [`${PARKING}/disabledParking/yesNo`]: "No" }, document),
+];
+
+test("a section counts its applicable fields, including those the answers select", () => {
+  const empty = section(analyseSchemaCoverage({}), PARKING);
+  assert.equal(empty.populatedFields, 0);
+  assert.equal(empty.completeness, 0);
+
+  const parking = section(analyseSchemaCoverage(parkingClaims()), PARKING);
+  // Answering yes to controlled parking brings in the annual cost of the permit
+  assert.equal(parking.applicableFields, empty.applicableFields + 1);
+  // The two parking arrangements are one field
+  assert.equal(parking.populatedFields, 3);
+  assert.equal(parking.completeness, Math.round((3 / parking.applicableFields) * 1000) / 10);
+});
+
+test("evidence is classified per value and listed by concrete pointer", () => {
+  const parking = section(analyseSchemaCoverage(parkingClaims()), PARKING);
+  assert.deepEqual(parking.evidence, { electronicRecord: 1, document: 1, vouchedOnly: 2, other: 0 });
+  assert.deepEqual(parking.electronicRecord, [`${PARKING}/parkingArrangements/1`]);
+  assert.deepEqual(parking.vouchedOnly.sort(), [`${PARKING}/controlledParking/yesNo`, `${PARKING}/parkingArrangements/0`]);
+});
+
+test("a superseded record still counts as record evidence", () => {
+  const claims = [
+    claim("c1", "2025-09-01T10:00:00.000Z", { [`${PARKING}/disabledParking/yesNo`]: "No" }, record),
+    claim("c2", "2025-09-02T10:00:00.000Z", { [`${PARKING}/disabledParking/yesNo`]: "Yes" }, vouch),
+  ];
+  assert.deepEqual(section(analyseSchemaCoverage(claims), PARKING).electronicRecord, [`${PARKING}/disabledParking/yesNo`]);
+});
+
+test("missing required members are listed by concrete pointer", () => {
+  const coverage = analyseSchemaCoverage({
+    propertyPack: {
+      location: { bng: { easting: 375000 } },
+      saleReadyDeclarations: { sellerSignatures: [{ name: "Diane Hardy", signedOn: "2025-09-01" }, { name: "Laurel Hardy" }] },
+    },
+  });
+  assert.deepEqual(section(coverage, "/propertyPack/location").missingRequired, ["/propertyPack/location/bng/northing"]);
+  assert.deepEqual(section(coverage, "/propertyPack/saleReadyDeclarations").missingRequired, [
+    "/propertyPack/saleReadyDeclarations/sellerSignatures/1/signedOn",
+  ]);
+  assert.equal(coverage.summary.missingRequired, 2);
+  assert.match(formatMarkdown(coverage), /- `\/propertyPack\/location\/bng\/northing`/);
+});
+
+test("a state has no evidence", () => {
+  const coverage = analyseSchemaCoverage({ propertyPack: { parking: { parkingArrangements: ["Garage"] } } });
+  const parking = section(coverage, PARKING);
+  assert.equal(parking.populatedFields, 1);
+  assert.equal(parking.evidence, null);
+  assert.equal(parking.vouchedOnly, null);
+  assert.equal(coverage.summary.evidence, null);
+});
+
+test("the summary adds up the sections", () => {
+  const coverage = analyseSchemaCoverage(parkingClaims());
+  assert.equal(coverage.summary.sections, coverage.sections.length);
+  assert.equal(coverage.summary.sectionsStarted, 1);
+  assert.equal(coverage.summary.populatedFields, 3);
+  assert.deepEqual(coverage.summary.evidence, { electronicRecord: 1, document: 1, vouchedOnly: 2, other: 0 });
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { callHandler, stubIdTokens } = require("./helpers");
+
+// Posted claims go to a scratch directory rather than functions/data
+const postedDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "pdtf-local-claims-"));
+process.env.LOCAL_PDTF_CLAIMS_DIR = postedDirectory;
+test.after(() => fs.rmSync(postedDirectory, { recursive: true, force: true }));
+
+const { updateParticipantStatus, inviteParticipant } = require("../handlers/seller-consent-management");
+
+// HLbVvS2z3LCEVedziZ3kx8 is in the bundled claims, with Diane Hardy as its active seller
+const TRANSACTION_ID = "HLbVvS2z3LCEVedziZ3kx8";
+
+stubIdTokens({
+  seller: { uid: "seller-uid", email: "ed+dianelaurel@moverly.com", email_verified: true, persona: "seller" },
+  outsider: { uid: "outsider-uid", email: "someone@example.com", email_verified: true, persona: "conveyancer" },
+});
+
+const invite = (token) => callHandler(inviteParticipant, {
+  method: "POST",
+  headers: { Authorization: `Bearer ${token}` },
+  body: {
+    transactionId: TRANSACTION_ID,
+    firstName: "Test",
+    lastName: "Buyer",
+    email: "test.buyer@example.com",
+    role: "Buyer",
+    service: "local",
+  },
+});
+
+test("a consent persona who is not on the transaction cannot invite participants", async () => {
+  const res = await invite("outsider");
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "FORBIDDEN");
+});
+
+test("a consent persona who is not on the transaction cannot change participant status", async () => {
+  const res = await callHandler(updateParticipantStatus, {
+    method: "POST",
+    headers: { Authorization: "Bearer outsider" },
+    body: { transactionId: TRANSACTION_ID, participantIndex: 0, status: "removed", service: "local" },
+  });
+  assert.equal(res.statusCode, 403);
+});
+
+test("the transaction's active seller can invite participants", async () => {
+  const res = await invite("seller");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+});
+
+test("anonymous callers are asked to sign in", async () => {
+  const res = await callHandler(inviteParticipant, { method: "POST", body: { transactionId: TRANSACTION_ID } });
+  assert.equal(res.statusCode, 401);
+});
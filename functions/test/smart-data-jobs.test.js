@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_AGGREGATE_CLAIMS, SMART_DATA_JOBS, listJobs, runJob } = require("../scripts/smart-data-jobs");
+const { callHandler } = require("./helpers");
+
+const caller = { uid: "user-1", email: "seller@example.com", persona: "seller" };
+
+test("every job needs a signed-in caller", async () => {
+  for (const scriptName of Object.keys(SMART_DATA_JOBS)) {
+    await assert.rejects(runJob(scriptName, {}, null), { code: "UNAUTHENTICATED" }, scriptName);
+  }
+  assert.ok(listJobs(null).every((job) => job.access.required && !job.allowed));
+});
+
+test("only registered jobs can be run", async () => {
+  await assert.rejects(runJob("../index", {}, caller), { code: "NOT_FOUND" });
+  await assert.rejects(runJob("toString", {}, caller), { code: "NOT_FOUND" });
+});
+
+test("state-aggregator runs for a signed-in caller", async () => {
+  const run = await runJob("state-aggregator", {
+    claims: [{ id: "c1", claims: { "/propertyPack/uprn": 1 }, verification: { time: "2025-09-01T10:00:00.000Z" } }],
+  }, caller);
+  assert.equal(run.status, "succeeded");
+  assert.equal(run.result.propertyPack.uprn, 1);
+});
+
+test("state-aggregator rejects more claims than it may aggregate", async () => {
+  const claims = Array.from({ length: MAX_AGGREGATE_CLAIMS + 1 }, (_, index) => ({ id: `c${index}`, claims: {} }));
+  await assert.rejects(runJob("state-aggregator", { claims }, caller), { code: "INVALID_PARAMS", status: 400 });
+});
+
+test("the sandbox and property data endpoints turn away signed-out callers", async () => {
+  const { getPropertyData, getSandboxData } = require("../handlers/sandbox-data");
+  for (const handler of [getPropertyData, getSandboxData]) {
+    const res = await callHandler(handler);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, "UNAUTHENTICATED");
+  }
+});
@@ -0,0 +1,264 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  aggregateState,
+  applyPatchOperation,
+  getFromState,
+  getProvenanceForPath,
+  RESOLUTION_POLICIES,
+  selectClaimsAsAt,
+  validatePatchOperation,
+} = require("../scripts/state-aggregator");
+
+const PRICE = "/propertyPack/priceInformation/price";
+
+function vouch(name) {
+  return [{ type: "vouch", verification_method: { type: "auth" }, attestation: { voucher: { name } } }];
+}
+
+function record(name) {
+  return [{ type: "electronic_record", record: { source: { name } } }];
+}
+
+function claim(id, time, claims, evidence = vouch("Seller")) {
+  return { id, claims, verification: { trust_framework: "uk_pdtf", time, evidence } };
+}
+
+test("without report options the bare state is returned", () => {
+  const state = aggregateState([claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 })]);
+  assert.deepEqual(state, { propertyPack: { priceInformation: { price: 300000 } } });
+});
+
+test("provenance credits each leaf to its latest claim and keeps the claims it superseded", () => {
+  const { state, provenance } = aggregateState([
+    claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 250000 }),
+    claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }),
+  ], {}, { provenance: true });
+
+  assert.equal(state.propertyPack.priceInformation.price, 250000);
+  const leaf = provenance[PRICE];
+  assert.equal(leaf.claimId, "c2");
+  assert.equal(leaf.time, "2025-09-02T10:00:00.000Z");
+  assert.equal(leaf.value, 250000);
+  assert.deepEqual(leaf.evidence, vouch("Seller"));
+  assert.deepEqual(leaf.superseded.map((superseded) => [superseded.claimId, superseded.value]), [["c1", 300000]]);
+});
+
+test("provenance splits object values into leaves and drops leaves a later object replaces", () => {
+  const { provenance } = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { "/propertyPack/address": { line1: "1 High St", postcode: "AB1 2CD" } }),
+    claim("c2", "2025-09-02T10:00:00.000Z", { "/propertyPack/address": { line1: "1 High Street" } }),
+  ], {}, { provenance: true });
+
+  const entries = getProvenanceForPath(provenance, "/propertyPack/address");
+  assert.deepEqual(entries.map((entry) => [entry.path, entry.claimId, entry.value]), [
+    ["/propertyPack/address/line1", "c2", "1 High Street"],
+  ]);
+  assert.deepEqual(entries[0].superseded.map((superseded) => superseded.claimId), ["c1"]);
+});
+
+test("provenance credits appended values at the index they were appended to", () => {
+  const { provenance } = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { "/propertyPack/parking/parkingArrangements/-": { parkingType: "Garage" } }),
+    claim("c2", "2025-09-02T10:00:00.000Z", { "/propertyPack/parking/parkingArrangements/-": { parkingType: "Driveway" } }),
+  ], {}, { provenance: true });
+
+  const entries = getProvenanceForPath(provenance, "/propertyPack/parking/parkingArrangements");
+  assert.deepEqual(entries.map((entry) => [entry.path, entry.claimId]), [
+    ["/propertyPack/parking/parkingArrangements/0/parkingType", "c1"],
+    ["/propertyPack/parking/parkingArrangements/1/parkingType", "c2"],
+  ]);
+});
+
+const history = () => [
+  claim("c3", "2025-09-03T10:00:00.000Z", { [PRICE]: 275000 }),
+  claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }),
+  claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 250000 }),
+];
+
+test("asAt applies claims verified up to and including the cut-off", () => {
+  assert.equal(aggregateState(history(), {}, { asAt: "2025-09-02T10:00:00.000Z" }).propertyPack.priceInformation.price, 250000);
+  assert.equal(aggregateState(history(), {}, { asAt: "2025-09-02T09:59:59.999Z" }).propertyPack.priceInformation.price, 300000);
+  assert.deepEqual(aggregateState(history(), {}, { asAt: "2025-08-31T00:00:00.000Z" }), {});
+});
+
+test("upToClaimId stops after the named claim in time order", () => {
+  assert.equal(aggregateState(history(), {}, { upToClaimId: "c2" }).propertyPack.priceInformation.price, 250000);
+  assert.throws(() => aggregateState(history(), {}, { upToClaimId: "missing" }), /Claim missing not found/);
+});
+
+test("asAt and upToClaimId together apply the earlier cut-off", () => {
+  const state = aggregateState(history(), {}, { upToClaimId: "c3", asAt: "2025-09-01T12:00:00.000Z" });
+  assert.equal(state.propertyPack.priceInformation.price, 300000);
+});
+
+test("selectClaimsAsAt rejects an unreadable timestamp", () => {
+  assert.throws(() => selectClaimsAsAt(history(), { asAt: "not a date" }), /Invalid asAt timestamp/);
+});
+
+const disputedPrice = () => [
+  claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }, record("HM Land Registry")),
+  claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 250000 }),
+];
+
+test("detectConflicts reports sources that disagree and lets the latest claim win", () => {
+  const { state, conflicts } = aggregateState(disputedPrice(), {}, { detectConflicts: true });
+  assert.equal(state.propertyPack.priceInformation.price, 250000);
+  assert.deepEqual(conflicts, [{
+    path: PRICE,
+    assertions: [
+      { claimId: "c1", time: "2025-09-01T10:00:00.000Z", value: 300000, evidenceType: "electronic_record", source: "HM Land Registry" },
+      { claimId: "c2", time: "2025-09-02T10:00:00.000Z", value: 250000, evidenceType: "vouch", source: "Seller" },
+    ],
+    resolvedValue: 250000,
+    resolvedClaimId: "c2",
+  }]);
+});
+
+test("a source correcting itself is not a conflict", () => {
+  const { conflicts } = aggregateState(history(), {}, { detectConflicts: true });
+  assert.deepEqual(conflicts, []);
+});
+
+test("the electronic-record-first policy keeps a record over a later vouch", () => {
+  const { state, provenance, conflicts } = aggregateState(disputedPrice(), {}, {
+    provenance: true,
+    detectConflicts: true,
+    resolutionPolicy: "electronic-record-first",
+  });
+  assert.equal(state.propertyPack.priceInformation.price, 300000);
+  assert.equal(provenance[PRICE].claimId, "c1");
+  assert.deepEqual(provenance[PRICE].superseded.map((superseded) => superseded.claimId), ["c2"]);
+  assert.equal(conflicts[0].resolvedClaimId, "c1");
+  assert.equal(conflicts[0].resolvedValue, 300000);
+});
+
+test("preferSources ranks named sources ahead of evidence type", () => {
+  const claims = [
+    claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }, vouch("Estate Agent")),
+    claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 250000 }, record("HM Land Registry")),
+  ];
+  const policy = { evidencePriority: ["electronic_record", "vouch"], preferSources: ["Estate Agent"] };
+  assert.equal(aggregateState(claims, {}, { resolutionPolicy: policy }).propertyPack.priceInformation.price, 300000);
+  assert.deepEqual(RESOLUTION_POLICIES["electronic-record-first"].preferSources, []);
+  assert.equal(RESOLUTION_POLICIES.latest, null);
+});
+
+test("a policy keeps a higher-ranked leaf that a later object would drop", () => {
+  const state = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { "/propertyPack/titleNumber": { number: "AB123" } }, record("HM Land Registry")),
+    claim("c2", "2025-09-02T10:00:00.000Z", { "/propertyPack/titleNumber": { tenure: "Freehold" } }),
+  ], {}, { resolutionPolicy: "electronic-record-first" });
+  assert.deepEqual(state.propertyPack.titleNumber, { number: "AB123", tenure: "Freehold" });
+});
+
+test("an unknown policy name is rejected", () => {
+  assert.throws(() => aggregateState(disputedPrice(), {}, { resolutionPolicy: "oldest" }), /Unknown resolution policy: oldest/);
+});
+
+const CHARGES = "/propertyPack/titlesToBeSold/0/registerExtract/charges";
+
+function patch(id, time, operations) {
+  return { id, operations, verification: { trust_framework: "uk_pdtf", time, evidence: vouch("Conveyancer") } };
+}
+
+const charged = () => claim("c1", "2025-09-01T10:00:00.000Z", { [CHARGES]: ["Barclays", "HSBC"] }, record("HM Land Registry"));
+
+test("an add at an index inserts and renumbers the provenance after it", () => {
+  const { state, provenance } = aggregateState([
+    charged(),
+    patch("p1", "2025-09-02T10:00:00.000Z", [{ op: "add", path: `${CHARGES}/0`, value: "Nationwide" }]),
+  ], {}, { provenance: true });
+
+  assert.deepEqual(getFromState(state, CHARGES), ["Nationwide", "Barclays", "HSBC"]);
+  assert.deepEqual(getProvenanceForPath(provenance, CHARGES).map((entry) => [entry.path, entry.claimId, entry.value]), [
+    [`${CHARGES}/0`, "p1", "Nationwide"],
+    [`${CHARGES}/1`, "c1", "Barclays"],
+    [`${CHARGES}/2`, "c1", "HSBC"],
+  ]);
+});
+
+test("a remove closes the gap in the provenance", () => {
+  const { state, provenance } = aggregateState([
+    charged(),
+    patch("p1", "2025-09-02T10:00:00.000Z", [{ op: "remove", path: `${CHARGES}/0` }]),
+  ], {}, { provenance: true });
+
+  assert.deepEqual(getFromState(state, CHARGES), ["HSBC"]);
+  assert.deepEqual(getProvenanceForPath(provenance, CHARGES).map((entry) => [entry.path, entry.claimId, entry.value]), [
+    [`${CHARGES}/0`, "c1", "HSBC"],
+  ]);
+});
+
+test("moved and copied values keep the claims they came from", () => {
+  const { state, provenance } = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { "/draft": { price: 300000 }, "/notes": "first" }),
+    patch("p1", "2025-09-02T10:00:00.000Z", [
+      { op: "move", from: "/draft", path: "/agreed" },
+      { op: "copy", from: "/notes", path: "/summary" },
+    ]),
+  ], {}, { provenance: true });
+
+  assert.deepEqual(state, { agreed: { price: 300000 }, notes: "first", summary: "first" });
+  assert.deepEqual(Object.keys(provenance).sort(), ["/agreed/price", "/notes", "/summary"]);
+  assert.equal(provenance["/agreed/price"].claimId, "c1");
+  assert.equal(provenance["/summary"].claimId, "c1");
+});
+
+test("a passing test lets the rest of the claim apply", () => {
+  const state = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }),
+    patch("p1", "2025-09-02T10:00:00.000Z", [
+      { op: "test", path: PRICE, value: 300000 },
+      { op: "replace", path: PRICE, value: 290000 },
+    ]),
+  ]);
+  assert.equal(state.propertyPack.priceInformation.price, 290000);
+});
+
+test("a failed test rolls back the whole claim", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { state, provenance, conflicts } = aggregateState([
+    claim("c1", "2025-09-01T10:00:00.000Z", { [PRICE]: 300000 }, record("HM Land Registry")),
+    patch("p1", "2025-09-02T10:00:00.000Z", [
+      { op: "replace", path: PRICE, value: 290000 },
+      { op: "add", path: "/propertyPack/priceInformation/priceQualifier", value: "Offers over" },
+      { op: "test", path: PRICE, value: 300000 },
+    ]),
+  ], {}, { provenance: true, detectConflicts: true });
+
+  assert.deepEqual(state, { propertyPack: { priceInformation: { price: 300000 } } });
+  assert.deepEqual(Object.keys(provenance), [PRICE]);
+  assert.equal(provenance[PRICE].claimId, "c1");
+  assert.deepEqual(provenance[PRICE].superseded, []);
+  assert.deepEqual(conflicts, []);
+  assert.match(warn.mock.calls[0].arguments[1], /Test failed at/);
+});
+
+test("claims values apply after the operations of the same claim", () => {
+  const state = aggregateState([
+    charged(),
+    {
+      ...patch("p1", "2025-09-02T10:00:00.000Z", [{ op: "remove", path: `${CHARGES}/0` }]),
+      claims: { [`${CHARGES}/-`]: "Nationwide" },
+    },
+  ]);
+  assert.deepEqual(getFromState(state, CHARGES), ["HSBC", "Nationwide"]);
+});
+
+test("validatePatchOperation describes malformed operations", () => {
+  assert.deepEqual(validatePatchOperation({ op: "add", path: "/a", value: 1 }), []);
+  assert.deepEqual(validatePatchOperation(["add"]), ["Operation must be an object"]);
+  assert.match(validatePatchOperation({ op: "merge", path: "/a" })[0], /Unknown op "merge"/);
+  assert.match(validatePatchOperation({ op: "remove", path: "" })[0], /non-root JSON Pointer/);
+  assert.match(validatePatchOperation({ op: "test", path: "/a" })[0], /"test" operation requires a value/);
+  assert.match(validatePatchOperation({ op: "copy", path: "/a" })[0], /requires a non-root JSON Pointer in from/);
+  assert.match(validatePatchOperation({ op: "move", from: "/a", path: "/a/b" })[0], /into one of its own children/);
+});
+
+test("applyPatchOperation follows RFC 6902 for missing targets", () => {
+  assert.throws(() => applyPatchOperation({}, { op: "replace", path: "/a", value: 1 }), /Cannot replace missing value/);
+  assert.throws(() => applyPatchOperation({}, { op: "add", path: "/a/b", value: 1 }), /No object or array at \/a/);
+  assert.throws(() => applyPatchOperation({ list: [] }, { op: "add", path: "/list/1", value: 1 }), /out of bounds/);
+  assert.deepEqual(applyPatchOperation({ list: [1] }, { op: "add", path: "/list/-", value: 2 }).inserted.path, "/list/1");
+});
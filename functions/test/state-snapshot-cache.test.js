@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { aggregateStateIncremental, verifyClaimsFile } = require("../scripts/state-snapshot-cache");
+const { aggregateState } = require("../scripts/state-aggregator");
+
+const CLAIMS_DIR = path.join(__dirname, "../data/sandbox-claims-v3");
+
+function createMemoryStore() {
+  const snapshots = new Map();
+  return {
+    snapshots,
+    async get(key) {
+      return snapshots.get(key) || null;
+    },
+    async set(key, snapshot) {
+      snapshots.set(key, snapshot);
+    },
+  };
+}
+
+function claim(id, path, value, day) {
+  return {
+    id,
+    claims: { [path]: value },
+    verification: { time: `2025-09-${String(day).padStart(2, "0")}T10:00:00.000Z`, evidence: [] },
+  };
+}
+
+const log = [
+  claim("c1", "/propertyPack/uprn", 1, 1),
+  claim("c2", "/propertyPack/address/line1", "1 High Street", 2),
+  claim("c3", "/propertyPack/address/line1", "2 High Street", 3),
+];
+
+async function run(store, claims) {
+  const { state, cache } = await aggregateStateIncremental("property", structuredClone(claims), store);
+  assert.equal(JSON.stringify(state), JSON.stringify(aggregateState(structuredClone(claims))));
+  return cache;
+}
+
+async function createSnapshot(claims) {
+  const store = createMemoryStore();
+  await run(store, claims);
+  return store.snapshots.get("property");
+}
+
+test("a repeated call is served from the snapshot", async () => {
+  const store = createMemoryStore();
+  assert.equal((await run(store, log)).mode, "rebuild");
+  assert.deepEqual(await run(store, log), {
+    mode: "hit",
+    claimsApplied: 0,
+    highWaterMark: { time: "2025-09-03T10:00:00.000Z", claimId: "c3" },
+  });
+});
+
+test("appended claims are applied on top of the snapshot", async () => {
+  const store = createMemoryStore();
+  await run(store, log);
+  const cache = await run(store, [...log, claim("c4", "/propertyPack/uprn", 2, 4), claim("c5", "/propertyPack/uprn", 3, 5)]);
+  assert.equal(cache.mode, "incremental");
+  assert.equal(cache.claimsApplied, 2);
+  assert.equal(cache.highWaterMark.claimId, "c5");
+});
+
+test("the hash chain of an appended log matches a full rebuild", async () => {
+  const appended = [...log, claim("c4", "/propertyPack/uprn", 2, 4)];
+  const incremental = createMemoryStore();
+  await run(incremental, log);
+  await run(incremental, appended);
+  const rebuilt = createMemoryStore();
+  await run(rebuilt, appended);
+
+  const { claimsHash, lastClaimHash } = incremental.snapshots.get("property");
+  assert.match(claimsHash, /^[0-9a-f]{64}$/);
+  assert.equal(claimsHash, rebuilt.snapshots.get("property").claimsHash);
+  assert.equal(lastClaimHash, rebuilt.snapshots.get("property").lastClaimHash);
+  assert.notEqual(claimsHash, (await createSnapshot(log)).claimsHash);
+});
+
+test("a changed first or last claim invalidates the snapshot", async () => {
+  for (const index of [0, log.length - 1]) {
+    const store = createMemoryStore();
+    await run(store, log);
+    const changed = structuredClone(log);
+    changed[index].claims = { "/propertyPack/uprn": 99 };
+    assert.equal((await run(store, changed)).mode, "rebuild", `claim ${index}`);
+    assert.equal((await run(store, changed)).mode, "hit", `claim ${index}`);
+  }
+});
+
+test("a back-dated appended claim invalidates the snapshot", async () => {
+  const store = createMemoryStore();
+  await run(store, log);
+  assert.equal((await run(store, [...log, claim("c0", "/propertyPack/address/line1", "3 High Street", 2)])).mode, "rebuild");
+});
+
+test("a shorter log invalidates the snapshot", async () => {
+  const store = createMemoryStore();
+  await run(store, log);
+  assert.equal((await run(store, log.slice(0, 2))).mode, "rebuild");
+});
+
+test("an unreadable snapshot falls back to a full rebuild", async () => {
+  const store = {
+    async get() {
+      throw new Error("store offline");
+    },
+    async set() {},
+  };
+  assert.equal((await run(store, log)).mode, "rebuild");
+});
+
+test("resuming the bundled claim files matches a full rebuild", async () => {
+  const files = fs.readdirSync(CLAIMS_DIR).filter((file) => file.endsWith("-claims.json"));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const results = await verifyClaimsFile(path.join(CLAIMS_DIR, file), createMemoryStore());
+    assert.ok(results.every((result) => result.identical), file);
+    assert.equal(results[results.length - 1].mode, "hit", file);
+  }
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffTransactions, formatDiff, formatMarkdown } = require("../scripts/transaction-diff");
+
+const PRICE = "/propertyPack/priceInformation/price";
+
+function claim(id, time, claims, name = "Diane Hardy") {
+  return {
+    id,
+    transactionId: "tx-1",
+    claims,
+    verification: {
+      trust_framework: "uk_pdtf",
+      time,
+      evidence: [{ type: "vouch", verification_method: { type: "auth" }, attestation: { voucher: { name } } }],
+    },
+  };
+}
+
+const address = claim("c1", "2025-09-01T10:00:00.000Z", { "/propertyPack/address": { line1: "1 High St", town: "Bath" } });
+const price = claim("c2", "2025-09-02T10:00:00.000Z", { [PRICE]: 300000 });
+const reduction = claim("c3", "2025-09-03T10:00:00.000Z", { [PRICE]: 275000 }, "Estate Agent");
+const parking = claim("c4", "2025-09-04T10:00:00.000Z", { "/propertyPack/parking/parkingArrangements/-": "Garage" });
+
+test("claim sets are compared by path, naming the claim behind each value", () => {
+  const before = [address, price];
+  const after = [claim("c1", "2025-09-01T10:00:00.000Z", { "/propertyPack/address": { line1: "1 High St" } }), price, reduction, parking];
+  const diff = diffTransactions(before, after);
+
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, identical: false });
+  assert.deepEqual(diff.added, [{
+    path: "/propertyPack/parking/parkingArrangements/0",
+    value: "Garage",
+    claim: { claimId: "c4", time: "2025-09-04T10:00:00.000Z", source: { type: "vouch", name: "Diane Hardy" } },
+  }]);
+  assert.deepEqual(diff.removed.map((entry) => [entry.path, entry.value, entry.claim.claimId]), [
+    ["/propertyPack/address/town", "Bath", "c1"],
+  ]);
+  assert.deepEqual(diff.changed, [{
+    path: PRICE,
+    before: 300000,
+    after: 275000,
+    beforeClaim: { claimId: "c2", time: "2025-09-02T10:00:00.000Z", source: { type: "vouch", name: "Diane Hardy" } },
+    afterClaim: { claimId: "c3", time: "2025-09-03T10:00:00.000Z", source: { type: "vouch", name: "Estate Agent" } },
+  }]);
+  assert.deepEqual(diff.claims, { onlyBefore: ["c1"], onlyAfter: ["c1", "c3", "c4"], common: 1 });
+});
+
+test("claims are matched by identity, not by ID", () => {
+  const diff = diffTransactions([price], [{ ...price, id: "renumbered" }]);
+  assert.deepEqual(diff.claims, { onlyBefore: [], onlyAfter: [], common: 1 });
+  assert.equal(diff.summary.identical, true);
+});
+
+test("states are compared without claims", () => {
+  const diff = diffTransactions(
+    { propertyPack: { priceInformation: { price: 300000 }, address: { town: "Bath" } } },
+    { propertyPack: { priceInformation: { price: 275000 } } },
+  );
+  assert.equal(diff.claims, null);
+  assert.deepEqual(diff.changed, [{ path: PRICE, before: 300000, after: 275000, beforeClaim: null, afterClaim: null }]);
+  assert.deepEqual(diff.removed, [{ path: "/propertyPack/address/town", value: "Bath", claim: null }]);
+});
+
+test("a claim set can be compared with a state", () => {
+  const diff = diffTransactions([price], { propertyPack: { priceInformation: { price: 275000 } } });
+  assert.equal(diff.claims, null);
+  assert.equal(diff.changed[0].beforeClaim.claimId, "c2");
+  assert.equal(diff.changed[0].afterClaim, null);
+});
+
+test("identical inputs have no differences", () => {
+  const diff = diffTransactions([address, price], [price, address]);
+  assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 0, identical: true });
+  assert.deepEqual(diff.claims, { onlyBefore: [], onlyAfter: [], common: 2 });
+  assert.match(formatDiff(diff, "terminal", { colour: false }), /No differences/);
+});
+
+test("the inputs are left as they were", () => {
+  const before = [price, address];
+  diffTransactions(before, [address]);
+  assert.deepEqual(before.map((entry) => entry.id), ["c2", "c1"]);
+});
+
+test("a side that is neither claims nor a state is rejected", () => {
+  assert.throws(() => diffTransactions(null, []), /must be a claims array or a state object/);
+});
+
+test("Markdown escapes pipes in paths and values", () => {
+  const diff = diffTransactions({}, { propertyPack: { "a|b": "x | y" } });
+  const markdown = formatMarkdown(diff, { before: "old", after: "new" });
+  assert.match(markdown, /^# Transaction diff: old → new$/m);
+  assert.ok(markdown.includes("| /propertyPack/a\\|b | \"x \\| y\" |  |"), markdown);
+});
+
+test("an unknown format is rejected", () => {
+  assert.throws(() => formatDiff(diffTransactions({}, {}), "html"), /Unknown format 'html'/);
+});